@@ -17,6 +17,7 @@ const customerRoutes = require('./routes/customer');
 const webhookRoutes = require('./routes/webhook');
 const guestRoutes = require('./routes/guest');
 const { authenticate } = require('./middleware/auth');
+const { requestId } = require('./middleware/requestId');
 
 const app = express();
 
@@ -73,6 +74,11 @@ const swaggerOptions = {
             phone: { type: 'string' },
             is_active: { type: 'boolean' },
             email_verified_at: { type: 'string', format: 'date-time' },
+            email_verification_sent_at: { type: 'string', format: 'date-time' },
+            last_login_at: { type: 'string', format: 'date-time' },
+            failed_login_attempts: { type: 'integer' },
+            locked_until: { type: 'string', format: 'date-time' },
+            two_factor_enabled_at: { type: 'string', format: 'date-time' },
             created_at: { type: 'string', format: 'date-time' },
             updated_at: { type: 'string', format: 'date-time' }
           }
@@ -81,6 +87,7 @@ const swaggerOptions = {
           type: 'object',
           properties: {
             id: { type: 'integer' },
+            parent_id: { type: 'integer', nullable: true },
             name: { type: 'string' },
             description: { type: 'string' },
             image_url: { type: 'string', format: 'uri' },
@@ -111,10 +118,50 @@ const swaggerOptions = {
               type: 'array',
               items: { $ref: '#/components/schemas/ProductImage' }
             },
+            variants: {
+              type: 'array',
+              description: 'Only returned by product detail endpoints',
+              items: { $ref: '#/components/schemas/ProductVariant' }
+            },
             created_at: { type: 'string', format: 'date-time' },
             updated_at: { type: 'string', format: 'date-time' }
           }
         },
+        SearchFacets: {
+          type: 'object',
+          description: 'Counts over all search results; only returned when searching',
+          properties: {
+            categories: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'integer' },
+                  name: { type: 'string' },
+                  count: { type: 'integer' }
+                }
+              }
+            },
+            price_ranges: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  min: { type: 'number' },
+                  max: { type: 'number', nullable: true },
+                  count: { type: 'integer' }
+                }
+              }
+            },
+            availability: {
+              type: 'object',
+              properties: {
+                in_stock: { type: 'integer' },
+                out_of_stock: { type: 'integer' }
+              }
+            }
+          }
+        },
         ProductImage: {
           type: 'object',
           properties: {
@@ -128,6 +175,23 @@ const swaggerOptions = {
             updated_at: { type: 'string', format: 'date-time' }
           }
         },
+        ProductVariant: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            product_id: { type: 'integer' },
+            name: { type: 'string', example: '2 kg / Chicken' },
+            options: { type: 'object', example: { size: '2 kg', flavour: 'Chicken' } },
+            sku: { type: 'string', example: 'DOG-FOOD-001-2KG-CHK' },
+            price: { type: 'number', format: 'float' },
+            stock_quantity: { type: 'integer' },
+            weight_grams: { type: 'integer', nullable: true, description: 'Falls back to the product weight when null' },
+            is_active: { type: 'boolean' },
+            sort_order: { type: 'integer' },
+            created_at: { type: 'string', format: 'date-time' },
+            updated_at: { type: 'string', format: 'date-time' }
+          }
+        },
         Address: {
           type: 'object',
           properties: {
@@ -174,6 +238,8 @@ const swaggerOptions = {
             subtotal: { type: 'number', format: 'float' },
             shipping_cost: { type: 'number', format: 'float' },
             tax_amount: { type: 'number', format: 'float' },
+            tax_rate: { type: 'number', format: 'float' },
+            tax_inclusive: { type: 'boolean' },
             discount_amount: { type: 'number', format: 'float' },
             total_amount: { type: 'number', format: 'float' },
             payment_status: {
@@ -186,6 +252,7 @@ const swaggerOptions = {
             ordered_at: { type: 'string', format: 'date-time' },
             shipped_at: { type: 'string', format: 'date-time', nullable: true },
             delivered_at: { type: 'string', format: 'date-time', nullable: true },
+            stock_restored_at: { type: 'string', format: 'date-time', nullable: true },
             address: { $ref: '#/components/schemas/Address' },
             orderItems: {
               type: 'array',
@@ -200,11 +267,14 @@ const swaggerOptions = {
             id: { type: 'integer' },
             order_id: { type: 'integer' },
             product_id: { type: 'integer' },
+            variant_id: { type: 'integer', nullable: true },
             quantity: { type: 'integer' },
             unit_price: { type: 'number', format: 'float' },
             total_price: { type: 'number', format: 'float' },
             product_name: { type: 'string' },
-            product_sku: { type: 'string' }
+            product_sku: { type: 'string', description: 'The variant SKU when a variant was ordered' },
+            variant_name: { type: 'string', nullable: true, example: '2 kg / Chicken' },
+            variant_options: { type: 'object', nullable: true, example: { size: '2 kg', flavour: 'Chicken' } }
           }
         },
         Payment: {
@@ -231,6 +301,12 @@ const swaggerOptions = {
               enum: ['accept', 'challenge', 'deny']
             },
             payment_date: { type: 'string', format: 'date-time' },
+            refund_required_at: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Set when the payment succeeded after its order was cancelled; the customer has to be refunded'
+            },
             payment_url: { type: 'string', format: 'uri' }
           }
         },
@@ -269,6 +345,9 @@ const swaggerOptions = {
 
 const swaggerDocs = swaggerJsdoc(swaggerOptions);
 
+// Tag every request (and its audit log entries) with an ID
+app.use(requestId);
+
 // Security middleware
 app.use(helmet());
 app.use(cors());
@@ -0,0 +1,427 @@
+const { AuditLog, User, sequelize } = require('../../models');
+const { Op } = require('sequelize');
+const { param, query, validationResult } = require('express-validator');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditLog:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         actor_id:
+ *           type: integer
+ *           nullable: true
+ *         actor_email:
+ *           type: string
+ *         action:
+ *           type: string
+ *           example: "products.update"
+ *         entity_type:
+ *           type: string
+ *           example: "products"
+ *         entity_id:
+ *           type: integer
+ *           nullable: true
+ *         before:
+ *           type: object
+ *           nullable: true
+ *           description: Previous values of the changed fields (full row for deletes)
+ *           example: { "price": "150000.00" }
+ *         after:
+ *           type: object
+ *           nullable: true
+ *           description: New values of the changed fields (full row for creates)
+ *           example: { "price": 135000 }
+ *         metadata:
+ *           type: object
+ *           nullable: true
+ *         request_id:
+ *           type: string
+ *         method:
+ *           type: string
+ *           example: "PUT"
+ *         path:
+ *           type: string
+ *           example: "/api/v1/admin/products/12"
+ *         ip_address:
+ *           type: string
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /admin/audit-logs:
+ *   get:
+ *     tags:
+ *       - Admin Audit Logs
+ *     summary: Get audit logs
+ *     description: Browse the record of admin changes, newest first
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: actor_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: Exact action, e.g. products.update
+ *       - in: query
+ *         name: entity_type
+ *         schema:
+ *           type: string
+ *         description: Table name, e.g. products
+ *       - in: query
+ *         name: entity_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: request_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date_from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: date_to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Audit logs retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     audit_logs:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AuditLog'
+ *                     pagination:
+ *                       type: object
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - audit:read permission required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /admin/audit-logs/{entityType}/{entityId}:
+ *   get:
+ *     tags:
+ *       - Admin Audit Logs
+ *     summary: Get entity history
+ *     description: Changes to a single record, oldest first. Pass `field` to follow one value over time, e.g. a product's price history.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: entityType
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: products
+ *       - in: path
+ *         name: entityId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: field
+ *         schema:
+ *           type: string
+ *         example: price
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Entity history retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     history:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: integer
+ *                           action:
+ *                             type: string
+ *                           actor:
+ *                             type: object
+ *                           changes:
+ *                             type: object
+ *                             example: { "price": { "from": "150000.00", "to": 135000 } }
+ *                           request_id:
+ *                             type: string
+ *                           created_at:
+ *                             type: string
+ *                             format: date-time
+ *                     pagination:
+ *                       type: object
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+const actorInclude = {
+  model: User,
+  as: 'actor',
+  attributes: ['id', 'name', 'email'],
+  paranoid: false
+};
+
+const buildPagination = (page, limit, count) => {
+  const totalPages = Math.ceil(count / limit);
+
+  return {
+    current_page: parseInt(page),
+    total_pages: totalPages,
+    total_items: count,
+    items_per_page: parseInt(limit),
+    has_next: page < totalPages,
+    has_prev: page > 1
+  };
+};
+
+// Field-by-field view of one entry: { price: { from, to } }
+const formatChanges = (log, field) => {
+  const before = log.before || {};
+  const after = log.after || {};
+  const fields = field ? [field] : [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+  return fields.reduce((changes, name) => ({
+    ...changes,
+    [name]: {
+      from: before[name] === undefined ? null : before[name],
+      to: after[name] === undefined ? null : after[name]
+    }
+  }), {});
+};
+
+const getAuditLogs = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('actor_id').optional().isInt().withMessage('Actor ID must be an integer'),
+  query('action').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Action must be between 1 and 100 characters'),
+  query('entity_type').optional().matches(/^[a-z_]+$/).withMessage('Invalid entity type'),
+  query('entity_id').optional().isInt().withMessage('Entity ID must be an integer'),
+  query('request_id').optional().trim().isLength({ min: 1, max: 64 }).withMessage('Invalid request ID'),
+  query('date_from').optional().isISO8601().withMessage('date_from must be a valid date'),
+  query('date_to').optional().isISO8601().withMessage('date_to must be a valid date'),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const {
+        page = 1,
+        limit = 20,
+        actor_id,
+        action,
+        entity_type,
+        entity_id,
+        request_id,
+        date_from,
+        date_to
+      } = req.query;
+
+      const offset = (page - 1) * limit;
+      const whereClause = {};
+
+      if (actor_id) {
+        whereClause.actor_id = actor_id;
+      }
+
+      if (action) {
+        whereClause.action = action;
+      }
+
+      if (entity_type) {
+        whereClause.entity_type = entity_type;
+      }
+
+      if (entity_id) {
+        whereClause.entity_id = entity_id;
+      }
+
+      if (request_id) {
+        whereClause.request_id = request_id;
+      }
+
+      if (date_from || date_to) {
+        whereClause.created_at = {};
+        if (date_from) {
+          whereClause.created_at[Op.gte] = new Date(date_from);
+        }
+        if (date_to) {
+          whereClause.created_at[Op.lte] = new Date(date_to);
+        }
+      }
+
+      const { count, rows: auditLogs } = await AuditLog.findAndCountAll({
+        where: whereClause,
+        include: [actorInclude],
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        order: [['created_at', 'DESC'], ['id', 'DESC']]
+      });
+
+      res.json({
+        success: true,
+        data: {
+          audit_logs: auditLogs,
+          pagination: buildPagination(page, limit, count)
+        }
+      });
+    } catch (error) {
+      console.error('Get audit logs error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch audit logs',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+const getEntityHistory = [
+  param('entityType').matches(/^[a-z_]+$/).withMessage('Invalid entity type'),
+  param('entityId').isInt().withMessage('Entity ID must be an integer'),
+  query('field').optional().matches(/^[a-z_]+$/).withMessage('Invalid field name'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { entityType, entityId } = req.params;
+      const { field, page = 1, limit = 20 } = req.query;
+      const offset = (page - 1) * limit;
+
+      const whereClause = {
+        entity_type: entityType,
+        entity_id: entityId
+      };
+
+      // Only entries that changed the field (field is validated above, so it is safe in the JSON path)
+      if (field) {
+        whereClause[Op.and] = [
+          sequelize.where(sequelize.fn('JSON_CONTAINS_PATH', sequelize.col('after'), 'one', `$.${field}`), 1)
+        ];
+      }
+
+      const { count, rows: auditLogs } = await AuditLog.findAndCountAll({
+        where: whereClause,
+        include: [actorInclude],
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        order: [['created_at', 'ASC'], ['id', 'ASC']]
+      });
+
+      res.json({
+        success: true,
+        data: {
+          history: auditLogs.map(log => ({
+            id: log.id,
+            action: log.action,
+            actor: log.actor || { id: log.actor_id, email: log.actor_email },
+            changes: formatChanges(log, field),
+            request_id: log.request_id,
+            created_at: log.createdAt
+          })),
+          pagination: buildPagination(page, limit, count)
+        }
+      });
+    } catch (error) {
+      console.error('Get entity history error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch entity history',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+module.exports = {
+  getAuditLogs,
+  getEntityHistory
+};
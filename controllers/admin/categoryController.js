@@ -1,6 +1,7 @@
 const { Category, Product, sequelize } = require('../../models');
 const { Op } = require('sequelize');
 const { body, param, query, validationResult } = require('express-validator');
+const { buildCategoryTree, wouldCreateCycle } = require('../../utils/categoryTree');
 
 /**
  * @swagger
@@ -16,6 +17,11 @@ const { body, param, query, validationResult } = require('express-validator');
  *           minLength: 1
  *           maxLength: 255
  *           example: "Pet Food"
+ *         parent_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Parent category ID, or null for a top-level category
+ *           example: 1
  *         description:
  *           type: string
  *           example: "Premium pet food products"
@@ -69,6 +75,11 @@ const { body, param, query, validationResult } = require('express-validator');
  *           type: boolean
  *         description: Filter by active status
  *       - in: query
+ *         name: parent_id
+ *         schema:
+ *           type: string
+ *         description: Filter by parent category ID, or "null" for top-level categories
+ *       - in: query
  *         name: sort_by
  *         schema:
  *           type: string
@@ -121,6 +132,43 @@ const { body, param, query, validationResult } = require('express-validator');
  *               $ref: '#/components/schemas/Error'
  */
 
+/**
+ * @swagger
+ * /admin/categories/tree:
+ *   get:
+ *     tags:
+ *       - Admin Categories
+ *     summary: Get category tree
+ *     description: Retrieve all categories, including inactive ones, nested under their parents
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Category tree retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     categories:
+ *                       type: array
+ *                       description: Top-level categories, each with a nested `children` array
+ *                       items:
+ *                         $ref: '#/components/schemas/Category'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
 /**
  * @swagger
  * /admin/categories/{id}:
@@ -204,7 +252,7 @@ const { body, param, query, validationResult } = require('express-validator');
  *                     category:
  *                       $ref: '#/components/schemas/Category'
  *       400:
- *         description: Validation error
+ *         description: Validation error or parent category not found
  *         content:
  *           application/json:
  *             schema:
@@ -266,7 +314,7 @@ const { body, param, query, validationResult } = require('express-validator');
  *                     category:
  *                       $ref: '#/components/schemas/Category'
  *       400:
- *         description: Validation error
+ *         description: Validation error, parent category not found, or the move would create a cycle
  *         content:
  *           application/json:
  *             schema:
@@ -335,7 +383,7 @@ const { body, param, query, validationResult } = require('express-validator');
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       409:
- *         description: Cannot delete category with existing products
+ *         description: Cannot delete category with existing products or subcategories
  *         content:
  *           application/json:
  *             schema:
@@ -348,6 +396,7 @@ const getCategories = [
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
   query('search').optional().trim().isLength({ min: 1 }).withMessage('Search term cannot be empty'),
   query('is_active').optional().isIn(['true', 'false']).withMessage('is_active must be true or false'),
+  query('parent_id').optional().custom(value => value === 'null' || /^\d+$/.test(value)).withMessage('parent_id must be an integer or "null"'),
 
   async (req, res) => {
     try {
@@ -366,6 +415,7 @@ const getCategories = [
         limit = 10,
         search,
         is_active,
+        parent_id,
         sort_by = 'sort_order',
         sort_order = 'ASC'
       } = req.query;
@@ -386,6 +436,11 @@ const getCategories = [
         whereClause.is_active = is_active === 'true';
       }
 
+      // Parent filter
+      if (parent_id !== undefined) {
+        whereClause.parent_id = parent_id === 'null' ? null : parent_id;
+      }
+
       // Sorting
       const validSortFields = ['id', 'name', 'sort_order', 'created_at', 'updated_at'];
       const sortField = validSortFields.includes(sort_by) ? sort_by : 'sort_order';
@@ -434,6 +489,34 @@ const getCategories = [
   }
 ];
 
+const getCategoryTree = async (req, res) => {
+  try {
+    const categories = await Category.findAll({
+      attributes: {
+        include: [
+          [
+            sequelize.literal('(SELECT COUNT(*) FROM products WHERE products.category_id = Category.id AND products.deleted_at IS NULL)'),
+            'product_count'
+          ]
+        ]
+      },
+      order: [['sort_order', 'ASC'], ['name', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: { categories: buildCategoryTree(categories) }
+    });
+  } catch (error) {
+    console.error('Get category tree error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch category tree',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+};
+
 const getCategory = [
   param('id').isInt().withMessage('Category ID must be an integer'),
 
@@ -486,6 +569,7 @@ const getCategory = [
 const createCategory = [
   // Validation
   body('name').trim().isLength({ min: 1, max: 255 }).withMessage('Name is required and must be less than 255 characters'),
+  body('parent_id').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Parent category ID must be an integer'),
   body('description').optional().trim(),
   body('image_url').optional().trim().isURL().withMessage('Image URL must be a valid URL'),
   body('is_active').optional().isBoolean().withMessage('is_active must be a boolean'),
@@ -504,6 +588,7 @@ const createCategory = [
 
       const {
         name,
+        parent_id = null,
         description,
         image_url,
         is_active = true,
@@ -519,8 +604,20 @@ const createCategory = [
         });
       }
 
+      // Check if parent category exists
+      if (parent_id) {
+        const parent = await Category.findByPk(parent_id);
+        if (!parent) {
+          return res.status(400).json({
+            success: false,
+            message: 'Parent category not found'
+          });
+        }
+      }
+
       const category = await Category.create({
         name,
+        parent_id,
         description,
         image_url,
         is_active,
@@ -546,6 +643,7 @@ const createCategory = [
 const updateCategory = [
   param('id').isInt().withMessage('Category ID must be an integer'),
   body('name').optional().trim().isLength({ min: 1, max: 255 }).withMessage('Name must be less than 255 characters'),
+  body('parent_id').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Parent category ID must be an integer'),
   body('description').optional().trim(),
   body('image_url').optional().trim().isURL().withMessage('Image URL must be a valid URL'),
   body('is_active').optional().isBoolean().withMessage('is_active must be a boolean'),
@@ -590,6 +688,24 @@ const updateCategory = [
         }
       }
 
+      // Check the new parent (if updating parent_id)
+      if (updateData.parent_id) {
+        const parent = await Category.findByPk(updateData.parent_id);
+        if (!parent) {
+          return res.status(400).json({
+            success: false,
+            message: 'Parent category not found'
+          });
+        }
+
+        if (await wouldCreateCycle(id, updateData.parent_id)) {
+          return res.status(400).json({
+            success: false,
+            message: 'A category cannot be moved under itself or one of its subcategories'
+          });
+        }
+      }
+
       // Update category
       await category.update(updateData);
 
@@ -648,6 +764,18 @@ const deleteCategory = [
         });
       }
 
+      // Check if category has subcategories
+      const childCount = await Category.count({
+        where: { parent_id: id }
+      });
+
+      if (childCount > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Cannot delete category with subcategories. Please move or delete subcategories first.'
+        });
+      }
+
       // Soft delete
       await category.destroy();
 
@@ -668,6 +796,7 @@ const deleteCategory = [
 
 module.exports = {
   getCategories,
+  getCategoryTree,
   getCategory,
   createCategory,
   updateCategory,
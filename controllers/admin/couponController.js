@@ -0,0 +1,761 @@
+const { Coupon, CouponUsage, User, Order } = require('../../models');
+const { Op } = require('sequelize');
+const { body, param, query, validationResult } = require('express-validator');
+const { normalizeCode } = require('../../utils/coupon');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Coupon:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         code:
+ *           type: string
+ *           example: "PETLOVER10"
+ *         description:
+ *           type: string
+ *         discount_type:
+ *           type: string
+ *           enum: [percentage, fixed]
+ *         discount_value:
+ *           type: number
+ *           example: 10
+ *         min_spend:
+ *           type: number
+ *           example: 100000
+ *         max_discount:
+ *           type: number
+ *           nullable: true
+ *           example: 25000
+ *         usage_limit:
+ *           type: integer
+ *           nullable: true
+ *         usage_limit_per_user:
+ *           type: integer
+ *           nullable: true
+ *         used_count:
+ *           type: integer
+ *         starts_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         category_ids:
+ *           type: array
+ *           nullable: true
+ *           items:
+ *             type: integer
+ *         product_ids:
+ *           type: array
+ *           nullable: true
+ *           items:
+ *             type: integer
+ *         is_active:
+ *           type: boolean
+ *     CouponRequest:
+ *       type: object
+ *       required:
+ *         - code
+ *         - discount_type
+ *         - discount_value
+ *       properties:
+ *         code:
+ *           type: string
+ *           maxLength: 50
+ *           example: "PETLOVER10"
+ *         description:
+ *           type: string
+ *           example: "10% off for pet lovers"
+ *         discount_type:
+ *           type: string
+ *           enum: [percentage, fixed]
+ *           example: "percentage"
+ *         discount_value:
+ *           type: number
+ *           example: 10
+ *           description: Percentage (1-100) or fixed amount in IDR
+ *         min_spend:
+ *           type: number
+ *           example: 100000
+ *         max_discount:
+ *           type: number
+ *           example: 25000
+ *           description: Upper bound for the discount amount (optional)
+ *         usage_limit:
+ *           type: integer
+ *           example: 100
+ *           description: Total number of redemptions (optional, unlimited if omitted)
+ *         usage_limit_per_user:
+ *           type: integer
+ *           example: 1
+ *           description: Redemptions per customer (optional, unlimited if omitted)
+ *         starts_at:
+ *           type: string
+ *           format: date-time
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *         category_ids:
+ *           type: array
+ *           items:
+ *             type: integer
+ *           description: Only discount products in these categories (optional)
+ *         product_ids:
+ *           type: array
+ *           items:
+ *             type: integer
+ *           description: Only discount these products (optional)
+ *         is_active:
+ *           type: boolean
+ *           default: true
+ */
+
+/**
+ * @swagger
+ * /admin/coupons:
+ *   get:
+ *     tags:
+ *       - Admin Coupons
+ *     summary: Get all coupons
+ *     description: Retrieve a paginated list of coupons
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Items per page
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by code or description
+ *       - in: query
+ *         name: is_active
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active status
+ *       - in: query
+ *         name: sort_by
+ *         schema:
+ *           type: string
+ *           enum: [id, code, used_count, expires_at, created_at, updated_at]
+ *         description: Sort field
+ *       - in: query
+ *         name: sort_order
+ *         schema:
+ *           type: string
+ *           enum: [ASC, DESC]
+ *         description: Sort order
+ *     responses:
+ *       200:
+ *         description: Coupons retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     coupons:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Coupon'
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         current_page:
+ *                           type: integer
+ *                         total_pages:
+ *                           type: integer
+ *                         total_items:
+ *                           type: integer
+ *                         items_per_page:
+ *                           type: integer
+ *                         has_next:
+ *                           type: boolean
+ *                         has_prev:
+ *                           type: boolean
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   post:
+ *     tags:
+ *       - Admin Coupons
+ *     summary: Create coupon
+ *     description: Create a new coupon code
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CouponRequest'
+ *     responses:
+ *       201:
+ *         description: Coupon created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Coupon created successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     coupon:
+ *                       $ref: '#/components/schemas/Coupon'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Coupon code already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /admin/coupons/{id}:
+ *   get:
+ *     tags:
+ *       - Admin Coupons
+ *     summary: Get coupon by ID
+ *     description: Retrieve a coupon with its most recent redemptions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Coupon ID
+ *     responses:
+ *       200:
+ *         description: Coupon retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     coupon:
+ *                       $ref: '#/components/schemas/Coupon'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Coupon not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   put:
+ *     tags:
+ *       - Admin Coupons
+ *     summary: Update coupon
+ *     description: Update an existing coupon
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Coupon ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CouponRequest'
+ *     responses:
+ *       200:
+ *         description: Coupon updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Coupon updated successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     coupon:
+ *                       $ref: '#/components/schemas/Coupon'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Coupon not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Coupon code already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     tags:
+ *       - Admin Coupons
+ *     summary: Delete coupon
+ *     description: Soft delete a coupon. Orders that already used it keep their discount.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Coupon ID
+ *     responses:
+ *       200:
+ *         description: Coupon deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Coupon deleted successfully"
+ *       404:
+ *         description: Coupon not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+// Validators shared by create and update; `optional` relaxes the required fields
+const couponValidators = (optional = false) => {
+  const required = (chain) => (optional ? chain.optional() : chain);
+
+  return [
+    required(body('code')).trim().isLength({ min: 3, max: 50 }).withMessage('Code must be between 3 and 50 characters')
+      .matches(/^[A-Za-z0-9_-]+$/).withMessage('Code may only contain letters, numbers, dashes and underscores'),
+    body('description').optional().trim(),
+    required(body('discount_type')).isIn(['percentage', 'fixed']).withMessage('Discount type must be percentage or fixed'),
+    required(body('discount_value')).isFloat({ gt: 0 }).withMessage('Discount value must be greater than 0'),
+    body('min_spend').optional().isFloat({ min: 0 }).withMessage('Minimum spend must be a non-negative number'),
+    body('max_discount').optional({ values: 'null' }).isFloat({ gt: 0 }).withMessage('Maximum discount must be greater than 0'),
+    body('usage_limit').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Usage limit must be a positive integer'),
+    body('usage_limit_per_user').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Per-user usage limit must be a positive integer'),
+    body('starts_at').optional({ values: 'null' }).isISO8601().withMessage('starts_at must be a valid date'),
+    body('expires_at').optional({ values: 'null' }).isISO8601().withMessage('expires_at must be a valid date'),
+    body('category_ids').optional({ values: 'null' }).isArray().withMessage('Category IDs must be an array'),
+    body('category_ids.*').optional().isInt().withMessage('Category ID must be an integer'),
+    body('product_ids').optional({ values: 'null' }).isArray().withMessage('Product IDs must be an array'),
+    body('product_ids.*').optional().isInt().withMessage('Product ID must be an integer'),
+    body('is_active').optional().isBoolean().withMessage('is_active must be a boolean')
+  ];
+};
+
+// Rules that depend on several fields, checked against the coupon as it will be saved
+const validateCouponRules = (coupon) => {
+  if (coupon.discount_type === 'percentage' && parseFloat(coupon.discount_value) > 100) {
+    return 'Percentage discount cannot exceed 100';
+  }
+
+  if (coupon.starts_at && coupon.expires_at && new Date(coupon.expires_at) <= new Date(coupon.starts_at)) {
+    return 'expires_at must be after starts_at';
+  }
+
+  return null;
+};
+
+const pickCouponFields = (source) => {
+  const fields = [
+    'code', 'description', 'discount_type', 'discount_value', 'min_spend', 'max_discount',
+    'usage_limit', 'usage_limit_per_user', 'starts_at', 'expires_at', 'category_ids',
+    'product_ids', 'is_active'
+  ];
+
+  return fields.reduce((data, field) => {
+    if (source[field] !== undefined) {
+      data[field] = source[field];
+    }
+    return data;
+  }, {});
+};
+
+const getCoupons = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('search').optional().trim().isLength({ min: 1 }).withMessage('Search term cannot be empty'),
+  query('is_active').optional().isIn(['true', 'false']).withMessage('is_active must be true or false'),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const {
+        page = 1,
+        limit = 10,
+        search,
+        is_active,
+        sort_by = 'created_at',
+        sort_order = 'DESC'
+      } = req.query;
+
+      const offset = (page - 1) * limit;
+      const whereClause = {};
+
+      if (search) {
+        whereClause[Op.or] = [
+          { code: { [Op.like]: `%${search}%` } },
+          { description: { [Op.like]: `%${search}%` } }
+        ];
+      }
+
+      if (is_active !== undefined) {
+        whereClause.is_active = is_active === 'true';
+      }
+
+      const validSortFields = ['id', 'code', 'used_count', 'expires_at', 'created_at', 'updated_at'];
+      const sortField = validSortFields.includes(sort_by) ? sort_by : 'created_at';
+      const sortDirection = sort_order.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+
+      const { count, rows: coupons } = await Coupon.findAndCountAll({
+        where: whereClause,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        order: [[sortField, sortDirection]]
+      });
+
+      const totalPages = Math.ceil(count / limit);
+
+      res.json({
+        success: true,
+        data: {
+          coupons,
+          pagination: {
+            current_page: parseInt(page),
+            total_pages: totalPages,
+            total_items: count,
+            items_per_page: parseInt(limit),
+            has_next: page < totalPages,
+            has_prev: page > 1
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get coupons error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch coupons',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+const getCoupon = [
+  param('id').isInt().withMessage('Coupon ID must be an integer'),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { id } = req.params;
+
+      const coupon = await Coupon.findByPk(id, {
+        include: [
+          {
+            model: CouponUsage,
+            as: 'usages',
+            separate: true,
+            limit: 20,
+            order: [['used_at', 'DESC']],
+            include: [
+              {
+                model: User,
+                as: 'user',
+                attributes: ['id', 'name', 'email']
+              },
+              {
+                model: Order,
+                as: 'order',
+                attributes: ['id', 'order_number', 'status', 'total_amount']
+              }
+            ]
+          }
+        ]
+      });
+
+      if (!coupon) {
+        return res.status(404).json({
+          success: false,
+          message: 'Coupon not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { coupon }
+      });
+    } catch (error) {
+      console.error('Get coupon error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch coupon',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+const createCoupon = [
+  ...couponValidators(),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const couponData = pickCouponFields(req.body);
+
+      const ruleError = validateCouponRules(couponData);
+      if (ruleError) {
+        return res.status(400).json({
+          success: false,
+          message: ruleError
+        });
+      }
+
+      // Codes are stored upper case, so compare case-insensitively. Soft-deleted
+      // coupons still hold their code because of the unique index.
+      const existingCoupon = await Coupon.findOne({
+        where: { code: normalizeCode(couponData.code) },
+        paranoid: false
+      });
+
+      if (existingCoupon) {
+        return res.status(409).json({
+          success: false,
+          message: 'Coupon code already exists'
+        });
+      }
+
+      const coupon = await Coupon.create(couponData);
+
+      res.status(201).json({
+        success: true,
+        message: 'Coupon created successfully',
+        data: { coupon }
+      });
+    } catch (error) {
+      console.error('Create coupon error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create coupon',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+const updateCoupon = [
+  param('id').isInt().withMessage('Coupon ID must be an integer'),
+  ...couponValidators(true),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { id } = req.params;
+      const updateData = pickCouponFields(req.body);
+
+      const coupon = await Coupon.findByPk(id);
+      if (!coupon) {
+        return res.status(404).json({
+          success: false,
+          message: 'Coupon not found'
+        });
+      }
+
+      const ruleError = validateCouponRules({ ...coupon.get(), ...updateData });
+      if (ruleError) {
+        return res.status(400).json({
+          success: false,
+          message: ruleError
+        });
+      }
+
+      if (updateData.code) {
+        const existingCoupon = await Coupon.findOne({
+          where: {
+            code: normalizeCode(updateData.code),
+            id: { [Op.ne]: id }
+          },
+          paranoid: false
+        });
+
+        if (existingCoupon) {
+          return res.status(409).json({
+            success: false,
+            message: 'Coupon code already exists'
+          });
+        }
+      }
+
+      await coupon.update(updateData);
+
+      const updatedCoupon = await Coupon.findByPk(id);
+
+      res.json({
+        success: true,
+        message: 'Coupon updated successfully',
+        data: { coupon: updatedCoupon }
+      });
+    } catch (error) {
+      console.error('Update coupon error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update coupon',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+const deleteCoupon = [
+  param('id').isInt().withMessage('Coupon ID must be an integer'),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { id } = req.params;
+
+      const coupon = await Coupon.findByPk(id);
+      if (!coupon) {
+        return res.status(404).json({
+          success: false,
+          message: 'Coupon not found'
+        });
+      }
+
+      // Soft delete
+      await coupon.destroy();
+
+      res.json({
+        success: true,
+        message: 'Coupon deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete coupon error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete coupon',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+module.exports = {
+  getCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+};
@@ -0,0 +1,622 @@
+const { Product, ProductVariant, InventoryMovement, Order, OrderItem, User, sequelize } = require('../../models');
+const { Op } = require('sequelize');
+const { body, param, query, validationResult } = require('express-validator');
+const { paginationValidators, paginate } = require('../../utils/pagination');
+const { countActiveVariants } = require('../../utils/productVariant');
+const { MOVEMENT_TYPES, MANUAL_MOVEMENT_TYPES, recordStockMovement, getReturnedQuantity } = require('../../utils/inventory');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     InventoryMovement:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         product_id:
+ *           type: integer
+ *         variant_id:
+ *           type: integer
+ *           nullable: true
+ *         type:
+ *           type: string
+ *           enum: [initial, sale, cancellation_restock, adjustment, return]
+ *         quantity_change:
+ *           type: integer
+ *           description: Negative when stock went down
+ *           example: -2
+ *         quantity_before:
+ *           type: integer
+ *           example: 12
+ *         quantity_after:
+ *           type: integer
+ *           example: 10
+ *         reason:
+ *           type: string
+ *           nullable: true
+ *           example: "Damaged in storage"
+ *         order_id:
+ *           type: integer
+ *           nullable: true
+ *         actor_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Admin or customer who caused the change; null for system changes such as payment webhooks
+ *         variant:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             id:
+ *               type: integer
+ *             name:
+ *               type: string
+ *             sku:
+ *               type: string
+ *         order:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             id:
+ *               type: integer
+ *             order_number:
+ *               type: string
+ *         actor:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             id:
+ *               type: integer
+ *             name:
+ *               type: string
+ *             email:
+ *               type: string
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *     StockAdjustmentRequest:
+ *       type: object
+ *       required:
+ *         - quantity_change
+ *         - reason
+ *       properties:
+ *         quantity_change:
+ *           type: integer
+ *           description: Units added (positive) or removed (negative); never zero
+ *           example: -2
+ *         type:
+ *           type: string
+ *           enum: [adjustment, return]
+ *           default: adjustment
+ *         reason:
+ *           type: string
+ *           maxLength: 255
+ *           example: "Damaged in storage"
+ *         variant_id:
+ *           type: integer
+ *           description: Required for products with active variants
+ *         order_id:
+ *           type: integer
+ *           description: Required for returns; the order must be shipped or delivered and contain the product (or variant)
+ */
+
+/**
+ * @swagger
+ * /admin/products/{id}/inventory/adjustments:
+ *   post:
+ *     tags:
+ *       - Admin Inventory
+ *     summary: Post a stock adjustment
+ *     description: Add or remove stock with a reason, e.g. after a stock count, damage or a customer return. The change is recorded in the inventory ledger with the admin who made it. Returns must reference a shipped or delivered order containing the product, and cannot exceed the quantity ordered minus earlier returns.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Product ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/StockAdjustmentRequest'
+ *     responses:
+ *       201:
+ *         description: Adjustment recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Stock adjusted successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     movement:
+ *                       $ref: '#/components/schemas/InventoryMovement'
+ *                     stock_quantity:
+ *                       type: integer
+ *                       description: New stock of the product or variant
+ *       400:
+ *         description: Validation error, missing variant, invalid return or stock would go below zero
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Product, variant or order not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Return against an order that was not shipped or delivered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /admin/products/{id}/inventory/movements:
+ *   get:
+ *     tags:
+ *       - Admin Inventory
+ *     summary: Get stock movement history
+ *     description: Every stock change of a product and its variants, newest first, with a reconciliation summary comparing the current stock of each product or variant with the total of its movements.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Product ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Cursor from the next_cursor or prev_cursor of a previous response. Used instead of page; totals are then null
+ *       - in: query
+ *         name: variant_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [initial, sale, cancellation_restock, adjustment, return]
+ *       - in: query
+ *         name: order_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: date_from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: date_to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Movements retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     movements:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/InventoryMovement'
+ *                     stock:
+ *                       type: array
+ *                       description: One entry for the product, or one per variant for products with variants
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           variant_id:
+ *                             type: integer
+ *                             nullable: true
+ *                           name:
+ *                             type: string
+ *                           sku:
+ *                             type: string
+ *                           stock_quantity:
+ *                             type: integer
+ *                           ledger_quantity:
+ *                             type: integer
+ *                             description: Sum of all movements
+ *                           discrepancy:
+ *                             type: integer
+ *                             description: stock_quantity minus ledger_quantity; non-zero when stock changed outside the ledger
+ *                     pagination:
+ *                       type: object
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Product not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+// Only orders that reached the customer can be returned
+const RETURNABLE_STATUSES = ['shipped', 'delivered'];
+
+// Units of the product (or variant) on an order that can still be returned
+const getReturnableQuantity = async (orderId, productId, variantId, options = {}) => {
+  const ordered = await OrderItem.sum('quantity', {
+    where: { order_id: orderId, product_id: productId, variant_id: variantId },
+    transaction: options.transaction
+  }) || 0;
+
+  return ordered - await getReturnedQuantity(orderId, productId, variantId, options);
+};
+
+// Current stock next to the sum of its movements, per product or variant
+const buildStockSummary = async (product) => {
+  const variants = await ProductVariant.findAll({
+    where: { product_id: product.id },
+    attributes: ['id', 'name', 'sku', 'stock_quantity'],
+    order: [['sort_order', 'ASC'], ['id', 'ASC']]
+  });
+
+  const totals = await InventoryMovement.findAll({
+    where: { product_id: product.id },
+    attributes: ['variant_id', [sequelize.fn('SUM', sequelize.col('quantity_change')), 'ledger_quantity']],
+    group: ['variant_id'],
+    raw: true
+  });
+  const ledgerQuantity = (variantId) => {
+    const total = totals.find(row => row.variant_id === variantId);
+    return total ? parseInt(total.ledger_quantity) : 0;
+  };
+
+  const units = variants.length > 0
+    ? variants.map(variant => ({ variant_id: variant.id, name: variant.name, sku: variant.sku, stock_quantity: variant.stock_quantity }))
+    : [{ variant_id: null, name: product.name, sku: product.sku, stock_quantity: product.stock_quantity }];
+
+  return units.map(unit => {
+    const ledger = ledgerQuantity(unit.variant_id);
+    return {
+      ...unit,
+      ledger_quantity: ledger,
+      discrepancy: unit.stock_quantity - ledger
+    };
+  });
+};
+
+const createStockAdjustment = [
+  param('id').isInt().withMessage('Product ID must be an integer'),
+  body('quantity_change').isInt().withMessage('Quantity change must be an integer')
+    .custom(value => parseInt(value) !== 0).withMessage('Quantity change cannot be zero'),
+  body('type').optional().isIn(MANUAL_MOVEMENT_TYPES).withMessage(`Type must be one of: ${MANUAL_MOVEMENT_TYPES.join(', ')}`),
+  body('reason').trim().isLength({ min: 1, max: 255 }).withMessage('Reason is required and must be less than 255 characters'),
+  body('variant_id').optional({ nullable: true }).isInt().withMessage('Variant ID must be an integer'),
+  body('order_id').optional({ nullable: true }).isInt().withMessage('Order ID must be an integer'),
+
+  async (req, res) => {
+    let transaction;
+
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { reason, variant_id, order_id, type = 'adjustment' } = req.body;
+      const change = parseInt(req.body.quantity_change);
+
+      const product = await Product.findByPk(req.params.id);
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found'
+        });
+      }
+
+      let variant = null;
+      if (variant_id) {
+        variant = await ProductVariant.findOne({
+          where: { id: variant_id, product_id: product.id }
+        });
+
+        if (!variant) {
+          return res.status(404).json({
+            success: false,
+            message: 'Variant not found'
+          });
+        }
+      } else if (await countActiveVariants(product.id) > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Stock of a product with variants is managed on its variants; pass variant_id'
+        });
+      }
+
+      if (type === 'return') {
+        if (!order_id) {
+          return res.status(400).json({
+            success: false,
+            message: 'Returns must reference an order'
+          });
+        }
+
+        if (change < 0) {
+          return res.status(400).json({
+            success: false,
+            message: 'Returns must add stock'
+          });
+        }
+      } else if (order_id) {
+        const order = await Order.findByPk(order_id, { attributes: ['id'] });
+        if (!order) {
+          return res.status(404).json({
+            success: false,
+            message: 'Order not found'
+          });
+        }
+      }
+
+      transaction = await sequelize.transaction();
+
+      // Checked on the locked order so parallel returns cannot both pass
+      if (type === 'return') {
+        const order = await Order.findByPk(order_id, {
+          lock: transaction.LOCK.UPDATE,
+          transaction
+        });
+
+        if (!order) {
+          await transaction.rollback();
+          return res.status(404).json({
+            success: false,
+            message: 'Order not found'
+          });
+        }
+
+        if (!RETURNABLE_STATUSES.includes(order.status)) {
+          await transaction.rollback();
+          return res.status(409).json({
+            success: false,
+            message: `Only ${RETURNABLE_STATUSES.join(' or ')} orders can be returned`
+          });
+        }
+
+        // A cancelled order has already put its items back
+        if (order.stock_restored_at) {
+          await transaction.rollback();
+          return res.status(400).json({
+            success: false,
+            message: 'Stock of this order was already restored when it was cancelled'
+          });
+        }
+
+        const returnable = await getReturnableQuantity(order.id, product.id, variant ? variant.id : null, { transaction });
+        if (change > returnable) {
+          await transaction.rollback();
+          return res.status(400).json({
+            success: false,
+            message: `Only ${returnable} unit(s) of this item can be returned for this order`
+          });
+        }
+      }
+
+      const result = await recordStockMovement({
+        productId: product.id,
+        variantId: variant ? variant.id : null,
+        change,
+        type,
+        reason,
+        orderId: order_id || null
+      }, { transaction });
+
+      if (!result || !result.success) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: result ? result.message : 'Product not found'
+        });
+      }
+
+      await transaction.commit();
+
+      res.status(201).json({
+        success: true,
+        message: 'Stock adjusted successfully',
+        data: {
+          movement: result.movement,
+          stock_quantity: result.stockQuantity
+        }
+      });
+    } catch (error) {
+      if (transaction && !transaction.finished) {
+        await transaction.rollback();
+      }
+      console.error('Create stock adjustment error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to adjust stock',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+const getInventoryMovements = [
+  param('id').isInt().withMessage('Product ID must be an integer'),
+  ...paginationValidators,
+  query('variant_id').optional().isInt().withMessage('Variant ID must be an integer'),
+  query('type').optional().isIn(MOVEMENT_TYPES).withMessage(`Type must be one of: ${MOVEMENT_TYPES.join(', ')}`),
+  query('order_id').optional().isInt().withMessage('Order ID must be an integer'),
+  query('date_from').optional().isISO8601().withMessage('date_from must be a valid date'),
+  query('date_to').optional().isISO8601().withMessage('date_to must be a valid date'),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const {
+        page = 1,
+        limit = 20,
+        cursor,
+        variant_id,
+        type,
+        order_id,
+        date_from,
+        date_to
+      } = req.query;
+
+      const product = await Product.findByPk(req.params.id, {
+        attributes: ['id', 'name', 'sku', 'stock_quantity']
+      });
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found'
+        });
+      }
+
+      const whereClause = { product_id: product.id };
+
+      if (variant_id) {
+        whereClause.variant_id = variant_id;
+      }
+
+      if (type) {
+        whereClause.type = type;
+      }
+
+      if (order_id) {
+        whereClause.order_id = order_id;
+      }
+
+      if (date_from || date_to) {
+        whereClause.created_at = {};
+        if (date_from) {
+          whereClause.created_at[Op.gte] = new Date(date_from);
+        }
+        if (date_to) {
+          whereClause.created_at[Op.lte] = new Date(date_to);
+        }
+      }
+
+      const result = await paginate(InventoryMovement, {
+        where: whereClause,
+        include: [
+          {
+            model: ProductVariant,
+            as: 'variant',
+            attributes: ['id', 'name', 'sku'],
+            paranoid: false
+          },
+          {
+            model: Order,
+            as: 'order',
+            attributes: ['id', 'order_number']
+          },
+          {
+            model: User,
+            as: 'actor',
+            attributes: ['id', 'name', 'email'],
+            paranoid: false
+          }
+        ],
+        sortField: 'created_at',
+        sortDirection: 'DESC',
+        page,
+        limit,
+        cursor
+      });
+
+      if (!result) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cursor does not match the requested sort order'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          movements: result.rows,
+          stock: await buildStockSummary(product),
+          pagination: result.pagination
+        }
+      });
+    } catch (error) {
+      console.error('Get inventory movements error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch inventory movements',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+module.exports = {
+  createStockAdjustment,
+  getInventoryMovements
+};
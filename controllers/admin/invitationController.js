@@ -0,0 +1,406 @@
+const { AdminInvitation, User } = require('../../models');
+const { Op } = require('sequelize');
+const { body, param, query, validationResult } = require('express-validator');
+const { createInvitation: sendInvitation, getInvitationStatus } = require('../../utils/adminInvitation');
+const { resolveAssignableRoles } = require('../../utils/permissions');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AdminInvitation:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         email:
+ *           type: string
+ *           format: email
+ *         status:
+ *           type: string
+ *           enum: [pending, accepted, revoked, expired]
+ *         role_ids:
+ *           type: array
+ *           description: Roles the admin gets on accepting
+ *           items:
+ *             type: integer
+ *         invited_by:
+ *           type: integer
+ *         inviter:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: integer
+ *             name:
+ *               type: string
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *         accepted_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         accepted_user_id:
+ *           type: integer
+ *           nullable: true
+ *         revoked_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+const formatInvitation = (invitation) => {
+  const data = invitation.toJSON();
+  delete data.token_hash;
+  return { ...data, status: getInvitationStatus(invitation) };
+};
+
+// Where clause for each computed status
+const statusWhere = (status) => {
+  const now = new Date();
+  switch (status) {
+    case 'accepted':
+      return { accepted_at: { [Op.ne]: null } };
+    case 'revoked':
+      return { accepted_at: null, revoked_at: { [Op.ne]: null } };
+    case 'expired':
+      return { accepted_at: null, revoked_at: null, expires_at: { [Op.lte]: now } };
+    default:
+      return { accepted_at: null, revoked_at: null, expires_at: { [Op.gt]: now } };
+  }
+};
+
+/**
+ * @swagger
+ * /admin/invitations:
+ *   get:
+ *     tags:
+ *       - Admin Invitations
+ *     summary: Get admin invitations
+ *     description: Retrieve a paginated list of admin invitations
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Items per page
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, revoked, expired]
+ *         description: Filter by invitation status
+ *     responses:
+ *       200:
+ *         description: Invitations retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     invitations:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AdminInvitation'
+ *                     pagination:
+ *                       type: object
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   post:
+ *     tags:
+ *       - Admin Invitations
+ *     summary: Invite an admin
+ *     description: Email a one-time link that lets the recipient create an admin account. Re-inviting an address revokes its previous pending invitation.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role_ids
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "new.admin@petneeds.com"
+ *               role_ids:
+ *                 type: array
+ *                 description: Roles the new admin gets. Only roles whose permissions you have can be granted.
+ *                 items:
+ *                   type: integer
+ *                 example: [2]
+ *     responses:
+ *       201:
+ *         description: Invitation sent successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Invitation sent successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     invitation:
+ *                       $ref: '#/components/schemas/AdminInvitation'
+ *       400:
+ *         description: Validation error or unknown role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The roles grant permissions you do not have
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Email already registered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+const getInvitations = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('status').optional().isIn(['pending', 'accepted', 'revoked', 'expired']).withMessage('Invalid invitation status'),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { page = 1, limit = 10, status } = req.query;
+      const offset = (page - 1) * limit;
+
+      const { count, rows: invitations } = await AdminInvitation.findAndCountAll({
+        where: status ? statusWhere(status) : {},
+        include: [
+          {
+            model: User,
+            as: 'inviter',
+            attributes: ['id', 'name', 'email'],
+            paranoid: false
+          }
+        ],
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        order: [['created_at', 'DESC']]
+      });
+
+      const totalPages = Math.ceil(count / limit);
+
+      res.json({
+        success: true,
+        data: {
+          invitations: invitations.map(formatInvitation),
+          pagination: {
+            current_page: parseInt(page),
+            total_pages: totalPages,
+            total_items: count,
+            items_per_page: parseInt(limit),
+            has_next: page < totalPages,
+            has_prev: page > 1
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get invitations error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch invitations',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+const createInvitation = [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+  body('role_ids').isArray({ min: 1 }).withMessage('At least one role is required'),
+  body('role_ids.*').isInt({ min: 1 }).withMessage('Role ID must be a positive integer'),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { email } = req.body;
+
+      const existingUser = await User.findOne({ where: { email }, paranoid: false });
+      if (existingUser) {
+        return res.status(409).json({
+          success: false,
+          message: 'Email already registered'
+        });
+      }
+
+      const assignable = await resolveAssignableRoles(req.body.role_ids, req.user.permissions);
+      if (!assignable.success) {
+        return res.status(assignable.status).json({
+          success: false,
+          message: assignable.message
+        });
+      }
+
+      const invitation = await sendInvitation(email, req.user, assignable.roles);
+
+      res.status(201).json({
+        success: true,
+        message: 'Invitation sent successfully',
+        data: { invitation: formatInvitation(invitation) }
+      });
+    } catch (error) {
+      console.error('Create invitation error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to send invitation',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+/**
+ * @swagger
+ * /admin/invitations/{id}:
+ *   delete:
+ *     tags:
+ *       - Admin Invitations
+ *     summary: Revoke an invitation
+ *     description: Revoke a pending invitation so its link can no longer be used
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Invitation ID
+ *     responses:
+ *       200:
+ *         description: Invitation revoked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Invitation revoked successfully"
+ *       400:
+ *         description: Invitation is no longer pending
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Invitation not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+const revokeInvitation = [
+  param('id').isInt().withMessage('Invitation ID must be an integer'),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const invitation = await AdminInvitation.findByPk(req.params.id);
+      if (!invitation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invitation not found'
+        });
+      }
+
+      if (getInvitationStatus(invitation) !== 'pending') {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot revoke an invitation that is ${getInvitationStatus(invitation)}`
+        });
+      }
+
+      await invitation.update({ revoked_at: new Date() });
+
+      res.json({
+        success: true,
+        message: 'Invitation revoked successfully'
+      });
+    } catch (error) {
+      console.error('Revoke invitation error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to revoke invitation',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+module.exports = {
+  getInvitations,
+  createInvitation,
+  revokeInvitation
+};
@@ -0,0 +1,782 @@
+const { Order, OrderItem, Address, Payment, Shipment, User } = require('../../models');
+const { Op } = require('sequelize');
+const { body, param, query, validationResult } = require('express-validator');
+const { cancelOrder: cancelOrderWithRestock } = require('../../utils/orderCancellation');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     OrderStatusChangeRequest:
+ *       type: object
+ *       properties:
+ *         notes:
+ *           type: string
+ *           example: "Confirmed after manual bank transfer check"
+ */
+
+/**
+ * @swagger
+ * /admin/orders:
+ *   get:
+ *     tags:
+ *       - Admin Orders
+ *     summary: Get all orders
+ *     description: Retrieve a paginated list of all orders with filtering and search
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Items per page
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, confirmed, processing, shipped, delivered, cancelled]
+ *         description: Filter by order status
+ *       - in: query
+ *         name: payment_status
+ *         schema:
+ *           type: string
+ *           enum: [pending, paid, failed, refunded]
+ *         description: Filter by payment status
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: integer
+ *         description: Filter by customer ID
+ *       - in: query
+ *         name: order_number
+ *         schema:
+ *           type: string
+ *         description: Filter by exact order number
+ *       - in: query
+ *         name: date_from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only orders placed at or after this date
+ *       - in: query
+ *         name: date_to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only orders placed at or before this date
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by order number, customer name or email
+ *       - in: query
+ *         name: sort_by
+ *         schema:
+ *           type: string
+ *           enum: [id, order_number, total_amount, status, payment_status, ordered_at, created_at]
+ *         description: Sort field
+ *       - in: query
+ *         name: sort_order
+ *         schema:
+ *           type: string
+ *           enum: [ASC, DESC]
+ *         description: Sort order
+ *     responses:
+ *       200:
+ *         description: Orders retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     orders:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Order'
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         current_page:
+ *                           type: integer
+ *                         total_pages:
+ *                           type: integer
+ *                         total_items:
+ *                           type: integer
+ *                         items_per_page:
+ *                           type: integer
+ *                         has_next:
+ *                           type: boolean
+ *                         has_prev:
+ *                           type: boolean
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /admin/orders/{id}:
+ *   get:
+ *     tags:
+ *       - Admin Orders
+ *     summary: Get order by ID
+ *     description: Retrieve an order with its customer, items, address, payment and shipment
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Order ID
+ *     responses:
+ *       200:
+ *         description: Order details retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     order:
+ *                       $ref: '#/components/schemas/Order'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Order not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /admin/orders/{id}/confirm:
+ *   put:
+ *     tags:
+ *       - Admin Orders
+ *     summary: Confirm order
+ *     description: Move a pending order to confirmed
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Order ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/OrderStatusChangeRequest'
+ *     responses:
+ *       200:
+ *         description: Order confirmed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Order confirmed successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     order:
+ *                       $ref: '#/components/schemas/Order'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Order not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Order cannot be confirmed from its current status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /admin/orders/{id}/process:
+ *   put:
+ *     tags:
+ *       - Admin Orders
+ *     summary: Start processing order
+ *     description: Move a confirmed order to processing
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Order ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/OrderStatusChangeRequest'
+ *     responses:
+ *       200:
+ *         description: Order moved to processing successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Order moved to processing successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     order:
+ *                       $ref: '#/components/schemas/Order'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Order not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Order cannot be processed from its current status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /admin/orders/{id}/cancel:
+ *   put:
+ *     tags:
+ *       - Admin Orders
+ *     summary: Cancel order
+ *     description: Cancel an order that has not been shipped yet and restore product stock
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Order ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/OrderStatusChangeRequest'
+ *     responses:
+ *       200:
+ *         description: Order cancelled successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Order cancelled successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     order:
+ *                       $ref: '#/components/schemas/Order'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Order not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Order cannot be cancelled from its current status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+// Statuses an order may move to from each status through the admin actions.
+// Shipping and delivery are driven by the shipment endpoints.
+const ORDER_STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['processing', 'cancelled'],
+  processing: ['cancelled'],
+  shipped: [],
+  delivered: [],
+  cancelled: []
+};
+
+const canTransition = (from, to) => (ORDER_STATUS_TRANSITIONS[from] || []).includes(to);
+
+const CANCELLABLE_STATUSES = Object.keys(ORDER_STATUS_TRANSITIONS).filter(status => canTransition(status, 'cancelled'));
+
+// Append an admin note to the order notes without losing the customer's note
+const appendNote = (existingNotes, note) => {
+  if (!note) {
+    return existingNotes;
+  }
+  return existingNotes ? `${existingNotes}\n[admin] ${note}` : `[admin] ${note}`;
+};
+
+const orderDetailIncludes = [
+  {
+    model: User,
+    as: 'user',
+    attributes: ['id', 'name', 'email', 'phone']
+  },
+  {
+    model: Address,
+    as: 'address',
+    attributes: ['id', 'label', 'recipient_name', 'phone', 'province', 'city', 'district', 'postal_code', 'full_address']
+  },
+  {
+    model: OrderItem,
+    as: 'items',
+    attributes: ['id', 'product_id', 'variant_id', 'product_name', 'product_sku', 'variant_name', 'variant_options', 'quantity', 'unit_price', 'total_price']
+  },
+  {
+    model: Payment,
+    as: 'payment',
+    attributes: ['id', 'payment_method', 'midtrans_transaction_id', 'midtrans_payment_type', 'amount', 'status', 'fraud_status', 'payment_date', 'created_at'],
+    required: false
+  },
+  {
+    model: Shipment,
+    as: 'shipment',
+    attributes: ['id', 'tracking_number', 'carrier', 'service_type', 'status', 'estimated_delivery', 'actual_delivery', 'shipping_cost'],
+    required: false
+  }
+];
+
+const getOrders = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('status').optional().isIn(['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled']).withMessage('Invalid status'),
+  query('payment_status').optional().isIn(['pending', 'paid', 'failed', 'refunded']).withMessage('Invalid payment status'),
+  query('user_id').optional().isInt().withMessage('User ID must be an integer'),
+  query('order_number').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Order number must be less than 50 characters'),
+  query('date_from').optional().isISO8601().withMessage('date_from must be a valid date'),
+  query('date_to').optional().isISO8601().withMessage('date_to must be a valid date'),
+  query('search').optional().trim().isLength({ min: 1 }).withMessage('Search term cannot be empty'),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const {
+        page = 1,
+        limit = 10,
+        status,
+        payment_status,
+        user_id,
+        order_number,
+        date_from,
+        date_to,
+        search,
+        sort_by = 'created_at',
+        sort_order = 'DESC'
+      } = req.query;
+
+      const offset = (page - 1) * limit;
+      const whereClause = {};
+
+      if (status) {
+        whereClause.status = status;
+      }
+
+      if (payment_status) {
+        whereClause.payment_status = payment_status;
+      }
+
+      if (user_id) {
+        whereClause.user_id = user_id;
+      }
+
+      if (order_number) {
+        whereClause.order_number = order_number;
+      }
+
+      if (date_from || date_to) {
+        whereClause.ordered_at = {};
+        if (date_from) {
+          whereClause.ordered_at[Op.gte] = new Date(date_from);
+        }
+        if (date_to) {
+          whereClause.ordered_at[Op.lte] = new Date(date_to);
+        }
+      }
+
+      if (search) {
+        whereClause[Op.or] = [
+          { order_number: { [Op.like]: `%${search}%` } },
+          { '$user.name$': { [Op.like]: `%${search}%` } },
+          { '$user.email$': { [Op.like]: `%${search}%` } }
+        ];
+      }
+
+      const validSortFields = ['id', 'order_number', 'total_amount', 'status', 'payment_status', 'ordered_at', 'created_at'];
+      const sortField = validSortFields.includes(sort_by) ? sort_by : 'created_at';
+      const sortDirection = sort_order.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+
+      const { count, rows: orders } = await Order.findAndCountAll({
+        where: whereClause,
+        include: [
+          {
+            model: User,
+            as: 'user',
+            attributes: ['id', 'name', 'email']
+          },
+          {
+            model: Payment,
+            as: 'payment',
+            attributes: ['id', 'status', 'payment_method'],
+            required: false
+          },
+          {
+            model: Shipment,
+            as: 'shipment',
+            attributes: ['id', 'tracking_number', 'carrier', 'status'],
+            required: false
+          }
+        ],
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        order: [[sortField, sortDirection]],
+        distinct: true
+      });
+
+      const totalPages = Math.ceil(count / limit);
+
+      res.json({
+        success: true,
+        data: {
+          orders,
+          pagination: {
+            current_page: parseInt(page),
+            total_pages: totalPages,
+            total_items: count,
+            items_per_page: parseInt(limit),
+            has_next: page < totalPages,
+            has_prev: page > 1
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get orders error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch orders',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+const getOrder = [
+  param('id').isInt().withMessage('Order ID must be an integer'),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { id } = req.params;
+
+      const order = await Order.findByPk(id, {
+        include: orderDetailIncludes
+      });
+
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: 'Order not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { order }
+      });
+    } catch (error) {
+      console.error('Get order error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch order',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+const confirmOrder = [
+  param('id').isInt().withMessage('Order ID must be an integer'),
+  body('notes').optional().trim(),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { id } = req.params;
+      const { notes } = req.body;
+
+      const order = await Order.findByPk(id);
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: 'Order not found'
+        });
+      }
+
+      if (!canTransition(order.status, 'confirmed')) {
+        return res.status(409).json({
+          success: false,
+          message: `Order cannot be confirmed from status "${order.status}"`
+        });
+      }
+
+      await order.update({
+        status: 'confirmed',
+        notes: appendNote(order.notes, notes)
+      });
+
+      const updatedOrder = await Order.findByPk(id, { include: orderDetailIncludes });
+
+      res.json({
+        success: true,
+        message: 'Order confirmed successfully',
+        data: { order: updatedOrder }
+      });
+    } catch (error) {
+      console.error('Confirm order error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to confirm order',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+const processOrder = [
+  param('id').isInt().withMessage('Order ID must be an integer'),
+  body('notes').optional().trim(),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { id } = req.params;
+      const { notes } = req.body;
+
+      const order = await Order.findByPk(id);
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: 'Order not found'
+        });
+      }
+
+      if (!canTransition(order.status, 'processing')) {
+        return res.status(409).json({
+          success: false,
+          message: `Order cannot be processed from status "${order.status}"`
+        });
+      }
+
+      await order.update({
+        status: 'processing',
+        notes: appendNote(order.notes, notes)
+      });
+
+      const updatedOrder = await Order.findByPk(id, { include: orderDetailIncludes });
+
+      res.json({
+        success: true,
+        message: 'Order moved to processing successfully',
+        data: { order: updatedOrder }
+      });
+    } catch (error) {
+      console.error('Process order error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to process order',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+const cancelOrder = [
+  param('id').isInt().withMessage('Order ID must be an integer'),
+  body('notes').optional().trim(),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { id } = req.params;
+      const { notes } = req.body;
+
+      const order = await Order.findByPk(id);
+
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: 'Order not found'
+        });
+      }
+
+      if (!canTransition(order.status, 'cancelled')) {
+        return res.status(409).json({
+          success: false,
+          message: `Order cannot be cancelled from status "${order.status}"`
+        });
+      }
+
+      // Restocks the items and fails a pending payment
+      const result = await cancelOrderWithRestock(order.id, {
+        notes: appendNote(order.notes, notes),
+        allowedStatuses: CANCELLABLE_STATUSES
+      });
+
+      if (!result.success) {
+        return res.status(result.status).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      const updatedOrder = await Order.findByPk(id, { include: orderDetailIncludes });
+
+      res.json({
+        success: true,
+        message: 'Order cancelled successfully',
+        data: { order: updatedOrder }
+      });
+    } catch (error) {
+      console.error('Cancel order error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to cancel order',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+module.exports = {
+  getOrders,
+  getOrder,
+  confirmOrder,
+  processOrder,
+  cancelOrder
+};
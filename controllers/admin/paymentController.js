@@ -1,6 +1,9 @@
-const { Payment, Order, User } = require('../../models');
+const { Payment, Order, User, sequelize } = require('../../models');
 const { Op } = require('sequelize');
 const { body, param, query, validationResult } = require('express-validator');
+const { paginationValidators, paginate } = require('../../utils/pagination');
+const { SUCCESS_STATUSES, REFUND_STATUSES } = require('../../utils/paymentStatus');
+const { applyTransactionStatus } = require('../../utils/midtransWebhook');
 
 /**
  * @swagger
@@ -27,6 +30,11 @@ const { body, param, query, validationResult } = require('express-validator');
  *           maximum: 100
  *         description: Items per page
  *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Cursor from the next_cursor or prev_cursor of a previous response. Used instead of page; totals are then null
+ *       - in: query
  *         name: order_id
  *         schema:
  *           type: integer
@@ -49,6 +57,11 @@ const { body, param, query, validationResult } = require('express-validator');
  *           enum: [midtrans, bank_transfer, credit_card, ewallet]
  *         description: Filter by payment method
  *       - in: query
+ *         name: refund_required
+ *         schema:
+ *           type: boolean
+ *         description: Set to true to list only payments that succeeded after their order was cancelled and have not been refunded yet
+ *       - in: query
  *         name: search
  *         schema:
  *           type: string
@@ -98,6 +111,12 @@ const { body, param, query, validationResult } = require('express-validator');
  *                           type: boolean
  *                         has_prev:
  *                           type: boolean
+ *                         next_cursor:
+ *                           type: string
+ *                           nullable: true
+ *                         prev_cursor:
+ *                           type: string
+ *                           nullable: true
  *       401:
  *         description: Unauthorized
  *         content:
@@ -160,7 +179,7 @@ const { body, param, query, validationResult } = require('express-validator');
  *     tags:
  *       - Admin Payments
  *     summary: Sync payment status
- *     description: Synchronize payment status with Midtrans payment gateway
+ *     description: Synchronize payment status with Midtrans payment gateway. The status is applied exactly like a webhook notification, so a successful payment also confirms a pending order.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -210,6 +229,12 @@ const { body, param, query, validationResult } = require('express-validator');
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Midtrans status would be an illegal transition from the current payment status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Failed to sync with Midtrans API
  *         content:
@@ -219,12 +244,12 @@ const { body, param, query, validationResult } = require('express-validator');
  */
 
 const getPayments = [
-  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
-  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  ...paginationValidators,
   query('order_id').optional().isInt().withMessage('Order ID must be an integer'),
   query('user_id').optional().isInt().withMessage('User ID must be an integer'),
   query('status').optional().isIn(['pending', 'settlement', 'capture', 'cancel', 'deny', 'expire', 'failure', 'refund', 'partial_refund']).withMessage('Invalid status'),
   query('payment_method').optional().isIn(['midtrans', 'bank_transfer', 'credit_card', 'ewallet']).withMessage('Invalid payment method'),
+  query('refund_required').optional().isIn(['true', 'false']).withMessage('refund_required must be true or false'),
   query('search').optional().trim().isLength({ min: 1 }).withMessage('Search term cannot be empty'),
 
   async (req, res) => {
@@ -241,16 +266,17 @@ const getPayments = [
       const {
         page = 1,
         limit = 10,
+        cursor,
         order_id,
         user_id,
         status,
         payment_method,
+        refund_required,
         search,
         sort_by = 'created_at',
         sort_order = 'DESC'
       } = req.query;
 
-      const offset = (page - 1) * limit;
       const whereClause = {};
 
       if (order_id) {
@@ -269,6 +295,11 @@ const getPayments = [
         whereClause.payment_method = payment_method;
       }
 
+      if (refund_required === 'true') {
+        whereClause.refund_required_at = { [Op.ne]: null };
+        whereClause[Op.and] = [{ status: { [Op.notIn]: REFUND_STATUSES } }];
+      }
+
       if (search) {
         whereClause[Op.or] = [
           { midtrans_transaction_id: { [Op.like]: `%${search}%` } },
@@ -282,7 +313,7 @@ const getPayments = [
       const sortField = validSortFields.includes(sort_by) ? sort_by : 'created_at';
       const sortDirection = sort_order.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
 
-      const { count, rows: payments } = await Payment.findAndCountAll({
+      const result = await paginate(Payment, {
         where: whereClause,
         include: [
           {
@@ -296,26 +327,27 @@ const getPayments = [
             attributes: ['id', 'name', 'email']
           }
         ],
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        order: [[sortField, sortDirection]],
-        distinct: true
+        sortField,
+        sortDirection,
+        page,
+        limit,
+        cursor
       });
 
-      const totalPages = Math.ceil(count / limit);
+      if (!result) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cursor does not match the requested sort order'
+        });
+      }
+
+      const { rows: payments, pagination } = result;
 
       res.json({
         success: true,
         data: {
           payments,
-          pagination: {
-            current_page: parseInt(page),
-            total_pages: totalPages,
-            total_items: count,
-            items_per_page: parseInt(limit),
-            has_next: page < totalPages,
-            has_prev: page > 1
-          }
+          pagination
         }
       });
     } catch (error) {
@@ -386,6 +418,8 @@ const syncPaymentStatus = [
   param('orderId').isInt().withMessage('Order ID must be an integer'),
 
   async (req, res) => {
+    let transaction;
+
     try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
@@ -400,14 +434,7 @@ const syncPaymentStatus = [
 
       // Find payment by order_id
       const payment = await Payment.findOne({
-        where: { order_id: orderId },
-        include: [
-          {
-            model: Order,
-            as: 'order',
-            attributes: ['id', 'order_number', 'status']
-          }
-        ]
+        where: { order_id: orderId }
       });
 
       if (!payment) {
@@ -435,68 +462,89 @@ const syncPaymentStatus = [
         clientKey: process.env.MIDTRANS_CLIENT_KEY
       });
 
+      let statusResponse;
       try {
         // Check payment status from Midtrans
-        const statusResponse = await coreApi.transaction.status(payment.midtrans_transaction_id);
-
-        // Update payment status
-        const updateData = {
-          status: statusResponse.transaction_status,
-          fraud_status: statusResponse.fraud_status || null,
-          payment_date: statusResponse.settlement_time || statusResponse.transaction_time || null
-        };
-
-        // Add additional fields based on payment type
-        if (statusResponse.payment_type) {
-          updateData.midtrans_payment_type = statusResponse.payment_type;
-        }
+        statusResponse = await coreApi.transaction.status(payment.midtrans_transaction_id);
+      } catch (midtransError) {
+        console.error('Midtrans API error:', midtransError);
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to sync with Midtrans',
+          error: process.env.NODE_ENV === 'development' ? midtransError.message : {}
+        });
+      }
 
-        if (statusResponse.va_numbers) {
-          updateData.va_numbers = statusResponse.va_numbers;
-        }
+      const transactionStatus = statusResponse.transaction_status;
 
-        if (statusResponse.qr_string) {
-          updateData.qr_string = statusResponse.qr_string;
-        }
+      // Store raw response
+      const paymentFields = {
+        fraud_status: statusResponse.fraud_status || null,
+        raw_response: statusResponse
+      };
 
-        if (statusResponse.bill_key) {
-          updateData.bill_key = statusResponse.bill_key;
-          updateData.biller_code = statusResponse.biller_code;
-        }
+      if (SUCCESS_STATUSES.includes(transactionStatus) && (statusResponse.settlement_time || statusResponse.transaction_time)) {
+        paymentFields.payment_date = statusResponse.settlement_time || statusResponse.transaction_time;
+      }
 
-        if (statusResponse.permata_va_number) {
-          updateData.permata_va_number = statusResponse.permata_va_number;
-        }
+      // Add additional fields based on payment type
+      if (statusResponse.payment_type) {
+        paymentFields.midtrans_payment_type = statusResponse.payment_type;
+      }
+
+      if (statusResponse.va_numbers) {
+        paymentFields.va_numbers = statusResponse.va_numbers;
+      }
 
-        // Store raw response
-        updateData.raw_response = statusResponse;
+      if (statusResponse.qr_string) {
+        paymentFields.qr_string = statusResponse.qr_string;
+      }
 
-        await payment.update(updateData);
+      if (statusResponse.bill_key) {
+        paymentFields.bill_key = statusResponse.bill_key;
+        paymentFields.biller_code = statusResponse.biller_code;
+      }
 
-        // Update order status based on payment status
-        if (['settlement', 'capture'].includes(statusResponse.transaction_status)) {
-          await payment.order.update({ payment_status: 'paid' });
-        } else if (['cancel', 'deny', 'expire', 'failure'].includes(statusResponse.transaction_status)) {
-          await payment.order.update({ payment_status: 'failed' });
-        }
+      if (statusResponse.permata_va_number) {
+        paymentFields.permata_va_number = statusResponse.permata_va_number;
+      }
+
+      transaction = await sequelize.transaction();
+
+      // Same row lock and state changes as webhook notifications, so the two cannot interleave
+      const lockedPayment = await Payment.findByPk(payment.id, {
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      const result = await applyTransactionStatus(lockedPayment, transactionStatus, paymentFields, { transaction });
 
-        res.json({
-          success: true,
-          message: 'Payment status synchronized successfully',
+      if (!result.applied) {
+        await transaction.rollback();
+        return res.status(409).json({
+          success: false,
+          message: result.message,
           data: {
-            payment: await Payment.findByPk(payment.id),
+            payment: lockedPayment,
             midtrans_response: statusResponse
           }
         });
-      } catch (midtransError) {
-        console.error('Midtrans API error:', midtransError);
-        res.status(500).json({
-          success: false,
-          message: 'Failed to sync with Midtrans',
-          error: process.env.NODE_ENV === 'development' ? midtransError.message : {}
-        });
       }
+
+      await transaction.commit();
+
+      res.json({
+        success: true,
+        message: 'Payment status synchronized successfully',
+        data: {
+          payment: await Payment.findByPk(payment.id),
+          midtrans_response: statusResponse
+        }
+      });
     } catch (error) {
+      if (transaction && !transaction.finished) {
+        await transaction.rollback();
+      }
       console.error('Sync payment status error:', error);
       res.status(500).json({
         success: false,
@@ -1,6 +1,11 @@
-const { Product, Category, ProductImage } = require('../../models');
+const { Product, Category, ProductImage, ProductVariant, sequelize } = require('../../models');
 const { Op } = require('sequelize');
 const { body, param, query, validationResult } = require('express-validator');
+const { getDescendantIds } = require('../../utils/categoryTree');
+const { searchProducts } = require('../../utils/productSearch');
+const { paginationValidators, paginate } = require('../../utils/pagination');
+const { describeVariant, isSkuTaken, syncProductStock, countActiveVariants } = require('../../utils/productVariant');
+const { recordStockMovement, recordOpeningBalance } = require('../../utils/inventory');
 
 /**
  * @swagger
@@ -59,6 +64,11 @@ const { body, param, query, validationResult } = require('express-validator');
  *           items:
  *             type: string
  *           example: ["premium", "dog", "nutrition"]
+ *         stock_reason:
+ *           type: string
+ *           maxLength: 255
+ *           description: Updates only. Reason recorded in the inventory ledger when stock_quantity changes
+ *           example: "Stock count correction"
  */
 
 /**
@@ -86,15 +96,20 @@ const { body, param, query, validationResult } = require('express-validator');
  *           maximum: 100
  *         description: Items per page
  *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Cursor from the next_cursor or prev_cursor of a previous response. Used instead of page; totals are then null
+ *       - in: query
  *         name: search
  *         schema:
  *           type: string
- *         description: Search term for product name, description, or SKU
+ *         description: Search term matched against product name, SKU, tags and description, allowing prefixes and small typos. Results are ranked by relevance and come with facet counts.
  *       - in: query
  *         name: category_id
  *         schema:
  *           type: integer
- *         description: Filter by category ID
+ *         description: Filter by category ID, including its subcategories
  *       - in: query
  *         name: is_active
  *         schema:
@@ -109,8 +124,8 @@ const { body, param, query, validationResult } = require('express-validator');
  *         name: sort_by
  *         schema:
  *           type: string
- *           enum: [id, name, price, stock_quantity, created_at, updated_at]
- *         description: Sort field
+ *           enum: [relevance, id, name, price, stock_quantity, created_at, updated_at]
+ *         description: Sort field (defaults to relevance when searching, otherwise created_at)
  *       - in: query
  *         name: sort_order
  *         schema:
@@ -150,6 +165,14 @@ const { body, param, query, validationResult } = require('express-validator');
  *                           type: boolean
  *                         has_prev:
  *                           type: boolean
+ *                         next_cursor:
+ *                           type: string
+ *                           nullable: true
+ *                         prev_cursor:
+ *                           type: string
+ *                           nullable: true
+ *                     facets:
+ *                       $ref: '#/components/schemas/SearchFacets'
  *       401:
  *         description: Unauthorized
  *         content:
@@ -267,7 +290,7 @@ const { body, param, query, validationResult } = require('express-validator');
  *     tags:
  *       - Admin Products
  *     summary: Update product
- *     description: Update an existing product
+ *     description: Update an existing product. A changed stock_quantity is recorded in the inventory ledger as an adjustment; products with variants have their stock changed on the variants instead.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -373,10 +396,296 @@ const { body, param, query, validationResult } = require('express-validator');
  *               $ref: '#/components/schemas/Error'
  */
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ProductVariantRequest:
+ *       type: object
+ *       required:
+ *         - options
+ *         - sku
+ *         - price
+ *       properties:
+ *         options:
+ *           type: object
+ *           description: Option name to value, e.g. size and flavour. Each combination can only exist once per product
+ *           additionalProperties:
+ *             type: string
+ *           example: { "size": "2 kg", "flavour": "Chicken" }
+ *         name:
+ *           type: string
+ *           maxLength: 255
+ *           description: Defaults to the option values joined with " / "
+ *           example: "2 kg / Chicken"
+ *         sku:
+ *           type: string
+ *           maxLength: 100
+ *           description: Unique across products and variants
+ *           example: "PDF-001-2KG-CHK"
+ *         price:
+ *           type: number
+ *           format: float
+ *           minimum: 0
+ *           example: 185000
+ *         stock_quantity:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *           example: 20
+ *         weight_grams:
+ *           type: integer
+ *           minimum: 0
+ *           nullable: true
+ *           description: Falls back to the product weight when not set
+ *           example: 2000
+ *         is_active:
+ *           type: boolean
+ *           default: true
+ *         sort_order:
+ *           type: integer
+ *           default: 0
+ *         stock_reason:
+ *           type: string
+ *           maxLength: 255
+ *           description: Updates only. Reason recorded in the inventory ledger when stock_quantity changes
+ */
+
+/**
+ * @swagger
+ * /admin/products/{id}/variants:
+ *   get:
+ *     tags:
+ *       - Admin Products
+ *     summary: Get product variants
+ *     description: Retrieve all variants of a product, active and inactive, ordered by sort_order
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Product ID
+ *     responses:
+ *       200:
+ *         description: Variants retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     variants:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ProductVariant'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Product not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   post:
+ *     tags:
+ *       - Admin Products
+ *     summary: Create product variant
+ *     description: Add a variant (size, flavour, weight...) with its own SKU, price and stock. Once a product has active variants, its stock_quantity is the total stock of those variants and customers must pick a variant when adding it to the cart.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Product ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProductVariantRequest'
+ *     responses:
+ *       201:
+ *         description: Variant created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Variant created successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     variant:
+ *                       $ref: '#/components/schemas/ProductVariant'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Product not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: SKU already exists or the product already has a variant with these options
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /admin/products/{id}/variants/{variantId}:
+ *   put:
+ *     tags:
+ *       - Admin Products
+ *     summary: Update product variant
+ *     description: Update a variant of a product. The product's stock_quantity is recalculated from its active variants.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Product ID
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Variant ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProductVariantRequest'
+ *     responses:
+ *       200:
+ *         description: Variant updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Variant updated successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     variant:
+ *                       $ref: '#/components/schemas/ProductVariant'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Variant not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: SKU already exists or the product already has a variant with these options
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     tags:
+ *       - Admin Products
+ *     summary: Delete product variant
+ *     description: Soft delete a variant. Past orders keep their snapshot of it.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Product ID
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Variant ID
+ *     responses:
+ *       200:
+ *         description: Variant deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Variant deleted successfully"
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Variant not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
 const getProducts = [
   // Validation
-  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
-  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  ...paginationValidators,
   query('search').optional().trim().isLength({ min: 1 }).withMessage('Search term cannot be empty'),
   query('category_id').optional().isInt().withMessage('Category ID must be an integer'),
   query('is_active').optional().isIn(['true', 'false']).withMessage('is_active must be true or false'),
@@ -397,29 +706,20 @@ const getProducts = [
       const {
         page = 1,
         limit = 10,
+        cursor,
         search,
         category_id,
         is_active,
         featured,
-        sort_by = 'created_at',
+        sort_by = search ? 'relevance' : 'created_at',
         sort_order = 'DESC'
       } = req.query;
 
-      const offset = (page - 1) * limit;
       const whereClause = {};
 
-      // Search filter
-      if (search) {
-        whereClause[Op.or] = [
-          { name: { [Op.like]: `%${search}%` } },
-          { description: { [Op.like]: `%${search}%` } },
-          { sku: { [Op.like]: `%${search}%` } }
-        ];
-      }
-
       // Category filter
       if (category_id) {
-        whereClause.category_id = category_id;
+        whereClause.category_id = { [Op.in]: await getDescendantIds(category_id) };
       }
 
       // Active status filter
@@ -434,10 +734,32 @@ const getProducts = [
 
       // Sorting
       const validSortFields = ['id', 'name', 'price', 'stock_quantity', 'created_at', 'updated_at'];
-      const sortField = validSortFields.includes(sort_by) ? sort_by : 'created_at';
       const sortDirection = sort_order.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
 
-      const { count, rows: products } = await Product.findAndCountAll({
+      // Searches are ranked by the search index and come with facet counts
+      if (search) {
+        if (cursor) {
+          return res.status(400).json({
+            success: false,
+            message: 'Cursor pagination is not available for searches; use page instead'
+          });
+        }
+
+        return res.json({
+          success: true,
+          data: await searchProducts(search, {
+            where: whereClause,
+            page,
+            limit,
+            sortField: validSortFields.includes(sort_by) ? sort_by : 'relevance',
+            sortDirection
+          })
+        });
+      }
+
+      const sortField = validSortFields.includes(sort_by) ? sort_by : 'created_at';
+
+      const result = await paginate(Product, {
         where: whereClause,
         include: [
           {
@@ -454,26 +776,27 @@ const getProducts = [
             limit: 1
           }
         ],
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        order: [[sortField, sortDirection]],
-        distinct: true
+        sortField,
+        sortDirection,
+        page,
+        limit,
+        cursor
       });
 
-      const totalPages = Math.ceil(count / limit);
+      if (!result) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cursor does not match the requested sort order'
+        });
+      }
+
+      const { rows: products, pagination } = result;
 
       res.json({
         success: true,
         data: {
           products,
-          pagination: {
-            current_page: parseInt(page),
-            total_pages: totalPages,
-            total_items: count,
-            items_per_page: parseInt(limit),
-            has_next: page < totalPages,
-            has_prev: page > 1
-          }
+          pagination
         }
       });
     } catch (error) {
@@ -514,8 +837,13 @@ const getProduct = [
             model: ProductImage,
             as: 'images',
             attributes: ['id', 'image_url', 'alt_text', 'is_primary', 'sort_order']
+          },
+          {
+            model: ProductVariant,
+            as: 'variants'
           }
-        ]
+        ],
+        order: [[{ model: ProductVariant, as: 'variants' }, 'sort_order', 'ASC'], [{ model: ProductVariant, as: 'variants' }, 'id', 'ASC']]
       });
 
       if (!product) {
@@ -555,6 +883,8 @@ const createProduct = [
   body('tags').optional().isArray().withMessage('Tags must be an array'),
 
   async (req, res) => {
+    let transaction;
+
     try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
@@ -588,17 +918,16 @@ const createProduct = [
         });
       }
 
-      // Check if SKU is unique
-      if (sku) {
-        const existingProduct = await Product.findOne({ where: { sku } });
-        if (existingProduct) {
-          return res.status(409).json({
-            success: false,
-            message: 'SKU already exists'
-          });
-        }
+      // Check if SKU is unique across products and variants
+      if (sku && await isSkuTaken(sku)) {
+        return res.status(409).json({
+          success: false,
+          message: 'SKU already exists'
+        });
       }
 
+      transaction = await sequelize.transaction();
+
       const product = await Product.create({
         name,
         description,
@@ -611,7 +940,12 @@ const createProduct = [
         is_active,
         featured,
         tags
-      });
+      }, { transaction });
+
+      // The ledger starts from the stock the product was created with
+      await recordOpeningBalance({ productId: product.id, quantity: parseInt(stock_quantity) }, { transaction });
+
+      await transaction.commit();
 
       // Fetch the created product with associations
       const createdProduct = await Product.findByPk(product.id, {
@@ -630,6 +964,9 @@ const createProduct = [
         data: { product: createdProduct }
       });
     } catch (error) {
+      if (transaction && !transaction.finished) {
+        await transaction.rollback();
+      }
       console.error('Create product error:', error);
       res.status(500).json({
         success: false,
@@ -653,8 +990,11 @@ const updateProduct = [
   body('is_active').optional().isBoolean().withMessage('is_active must be a boolean'),
   body('featured').optional().isBoolean().withMessage('featured must be a boolean'),
   body('tags').optional().isArray().withMessage('Tags must be an array'),
+  body('stock_reason').optional().trim().isLength({ min: 1, max: 255 }).withMessage('Stock reason must be less than 255 characters'),
 
   async (req, res) => {
+    let transaction;
+
     try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
@@ -666,7 +1006,7 @@ const updateProduct = [
       }
 
       const { id } = req.params;
-      const updateData = req.body;
+      const { stock_quantity, stock_reason, ...updateData } = req.body;
 
       // Find product
       const product = await Product.findByPk(id);
@@ -688,24 +1028,46 @@ const updateProduct = [
         }
       }
 
-      // Check if SKU is unique (if updating SKU)
-      if (updateData.sku) {
-        const existingProduct = await Product.findOne({
-          where: {
-            sku: updateData.sku,
-            id: { [Op.ne]: id }
-          }
+      // Check if SKU is unique across products and variants (if updating SKU)
+      if (updateData.sku && await isSkuTaken(updateData.sku, { productId: id })) {
+        return res.status(409).json({
+          success: false,
+          message: 'SKU already exists'
         });
-        if (existingProduct) {
-          return res.status(409).json({
+      }
+
+      transaction = await sequelize.transaction();
+
+      // Update product
+      await product.update(updateData, { transaction });
+
+      // A new stock level is posted to the inventory ledger as an adjustment
+      if (stock_quantity !== undefined) {
+        const stockResult = await recordStockMovement({
+          productId: product.id,
+          quantity: parseInt(stock_quantity),
+          type: 'adjustment',
+          reason: stock_reason || 'Stock set through product update'
+        }, { transaction });
+
+        if (!stockResult || !stockResult.success) {
+          await transaction.rollback();
+          return res.status(400).json({
+            success: false,
+            message: stockResult ? stockResult.message : 'Product not found'
+          });
+        }
+
+        if (stockResult.movement && await countActiveVariants(product.id, { transaction }) > 0) {
+          await transaction.rollback();
+          return res.status(400).json({
             success: false,
-            message: 'SKU already exists'
+            message: 'Stock of a product with variants is managed on its variants'
           });
         }
       }
 
-      // Update product
-      await product.update(updateData);
+      await transaction.commit();
 
       // Fetch updated product with associations
       const updatedProduct = await Product.findByPk(id, {
@@ -724,6 +1086,9 @@ const updateProduct = [
         data: { product: updatedProduct }
       });
     } catch (error) {
+      if (transaction && !transaction.finished) {
+        await transaction.rollback();
+      }
       console.error('Update product error:', error);
       res.status(500).json({
         success: false,
@@ -776,10 +1141,337 @@ const deleteProduct = [
   }
 ];
 
+// Variant options are a flat object of option name to a short text value
+const isVariantOptions = (options) => {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    return false;
+  }
+  const entries = Object.entries(options);
+  return entries.length > 0 && entries.every(([key, value]) =>
+    key.trim().length > 0 &&
+    key.length <= 50 &&
+    ['string', 'number'].includes(typeof value) &&
+    String(value).trim().length > 0 &&
+    String(value).length <= 100
+  );
+};
+
+// Options compared regardless of key order and letter case
+const optionsKey = (options) => JSON.stringify(
+  Object.entries(options || {})
+    .map(([key, value]) => [key.trim().toLowerCase(), String(value).trim().toLowerCase()])
+    .sort(([a], [b]) => a.localeCompare(b))
+);
+
+const hasVariantWithOptions = async (productId, options, excludeVariantId = null) => {
+  const variants = await ProductVariant.findAll({
+    where: { product_id: productId },
+    attributes: ['id', 'options']
+  });
+  const key = optionsKey(options);
+  return variants.some(variant => variant.id !== excludeVariantId && optionsKey(variant.options) === key);
+};
+
+const variantValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('options').custom(isVariantOptions).withMessage('Options must be an object of option names to values, e.g. { "size": "2 kg" }'),
+    body('name').optional().trim().isLength({ min: 1, max: 255 }).withMessage('Name must be less than 255 characters'),
+    field('sku').trim().isLength({ min: 1, max: 100 }).withMessage('SKU is required and must be less than 100 characters'),
+    field('price').isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+    body('stock_quantity').optional().isInt({ min: 0 }).withMessage('Stock quantity must be a non-negative integer'),
+    body('weight_grams').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Weight must be a non-negative integer'),
+    body('is_active').optional().isBoolean().withMessage('is_active must be a boolean'),
+    body('sort_order').optional().isInt().withMessage('Sort order must be an integer')
+  ];
+};
+
+const getProductVariants = [
+  param('id').isInt().withMessage('Product ID must be an integer'),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const product = await Product.findByPk(req.params.id, { attributes: ['id'] });
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found'
+        });
+      }
+
+      const variants = await ProductVariant.findAll({
+        where: { product_id: product.id },
+        order: [['sort_order', 'ASC'], ['id', 'ASC']]
+      });
+
+      res.json({
+        success: true,
+        data: { variants }
+      });
+    } catch (error) {
+      console.error('Get product variants error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch product variants',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+const createProductVariant = [
+  param('id').isInt().withMessage('Product ID must be an integer'),
+  ...variantValidators(false),
+
+  async (req, res) => {
+    let transaction;
+
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const {
+        options,
+        name,
+        sku,
+        price,
+        stock_quantity = 0,
+        weight_grams = null,
+        is_active = true,
+        sort_order = 0
+      } = req.body;
+
+      const product = await Product.findByPk(req.params.id);
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found'
+        });
+      }
+
+      if (await isSkuTaken(sku)) {
+        return res.status(409).json({
+          success: false,
+          message: 'SKU already exists'
+        });
+      }
+
+      if (await hasVariantWithOptions(product.id, options)) {
+        return res.status(409).json({
+          success: false,
+          message: 'A variant with these options already exists'
+        });
+      }
+
+      transaction = await sequelize.transaction();
+
+      const variant = await ProductVariant.create({
+        product_id: product.id,
+        options,
+        name: name || describeVariant(options),
+        sku,
+        price,
+        stock_quantity,
+        weight_grams,
+        is_active,
+        sort_order
+      }, { transaction });
+
+      await recordOpeningBalance({ productId: product.id, variantId: variant.id, quantity: parseInt(stock_quantity) }, { transaction });
+      await syncProductStock(product.id, { transaction });
+
+      await transaction.commit();
+
+      res.status(201).json({
+        success: true,
+        message: 'Variant created successfully',
+        data: { variant }
+      });
+    } catch (error) {
+      if (transaction && !transaction.finished) {
+        await transaction.rollback();
+      }
+      console.error('Create product variant error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create product variant',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+const updateProductVariant = [
+  param('id').isInt().withMessage('Product ID must be an integer'),
+  param('variantId').isInt().withMessage('Variant ID must be an integer'),
+  ...variantValidators(true),
+  body('stock_reason').optional().trim().isLength({ min: 1, max: 255 }).withMessage('Stock reason must be less than 255 characters'),
+
+  async (req, res) => {
+    let transaction;
+
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const variant = await ProductVariant.findOne({
+        where: { id: req.params.variantId, product_id: req.params.id }
+      });
+      if (!variant) {
+        return res.status(404).json({
+          success: false,
+          message: 'Variant not found'
+        });
+      }
+
+      const allowedFields = ['options', 'name', 'sku', 'price', 'weight_grams', 'is_active', 'sort_order'];
+      const updateData = {};
+      allowedFields.forEach(field => {
+        if (req.body[field] !== undefined) {
+          updateData[field] = req.body[field];
+        }
+      });
+
+      if (updateData.sku && await isSkuTaken(updateData.sku, { variantId: variant.id })) {
+        return res.status(409).json({
+          success: false,
+          message: 'SKU already exists'
+        });
+      }
+
+      if (updateData.options) {
+        if (await hasVariantWithOptions(variant.product_id, updateData.options, variant.id)) {
+          return res.status(409).json({
+            success: false,
+            message: 'A variant with these options already exists'
+          });
+        }
+
+        // Keep a generated name in step with the options
+        if (!updateData.name && variant.name === describeVariant(variant.options)) {
+          updateData.name = describeVariant(updateData.options);
+        }
+      }
+
+      transaction = await sequelize.transaction();
+
+      await variant.update(updateData, { transaction });
+
+      // A new stock level is posted to the inventory ledger as an adjustment
+      if (req.body.stock_quantity !== undefined) {
+        const stockResult = await recordStockMovement({
+          productId: variant.product_id,
+          variantId: variant.id,
+          quantity: parseInt(req.body.stock_quantity),
+          type: 'adjustment',
+          reason: req.body.stock_reason || 'Stock set through variant update'
+        }, { transaction });
+
+        if (!stockResult || !stockResult.success) {
+          await transaction.rollback();
+          return res.status(400).json({
+            success: false,
+            message: stockResult ? stockResult.message : 'Variant not found'
+          });
+        }
+      }
+
+      await syncProductStock(variant.product_id, { transaction });
+      await transaction.commit();
+      await variant.reload();
+
+      res.json({
+        success: true,
+        message: 'Variant updated successfully',
+        data: { variant }
+      });
+    } catch (error) {
+      if (transaction && !transaction.finished) {
+        await transaction.rollback();
+      }
+      console.error('Update product variant error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update product variant',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+const deleteProductVariant = [
+  param('id').isInt().withMessage('Product ID must be an integer'),
+  param('variantId').isInt().withMessage('Variant ID must be an integer'),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const variant = await ProductVariant.findOne({
+        where: { id: req.params.variantId, product_id: req.params.id }
+      });
+      if (!variant) {
+        return res.status(404).json({
+          success: false,
+          message: 'Variant not found'
+        });
+      }
+
+      // Soft delete
+      await variant.destroy();
+      await syncProductStock(variant.product_id);
+
+      res.json({
+        success: true,
+        message: 'Variant deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete product variant error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete product variant',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
 module.exports = {
   getProducts,
   getProduct,
   createProduct,
   updateProduct,
-  deleteProduct
+  deleteProduct,
+  getProductVariants,
+  createProductVariant,
+  updateProductVariant,
+  deleteProductVariant
 };
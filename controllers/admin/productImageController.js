@@ -3,6 +3,7 @@ const { Op } = require('sequelize');
 const { body, param, query, validationResult } = require('express-validator');
 const multer = require('multer');
 const path = require('path');
+const { auditContext } = require('../../middleware/audit');
 
 /**
  * @swagger
@@ -413,6 +414,7 @@ const getProductImages = [
 
 const uploadProductImage = [
   upload.single('image'),
+  auditContext,
 
   body('product_id').isInt().withMessage('Product ID must be an integer'),
   body('alt_text').optional().trim().isLength({ max: 255 }).withMessage('Alt text must be less than 255 characters'),
@@ -0,0 +1,793 @@
+const { Role, User, UserRole, sequelize } = require('../../models');
+const { Op } = require('sequelize');
+const { body, param, validationResult } = require('express-validator');
+const {
+  PERMISSIONS,
+  isKnownPermission,
+  getUserPermissions,
+  hasPermission,
+  coversPermissions,
+  resolveAssignableRoles,
+  canManageUser
+} = require('../../utils/permissions');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Role:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *           example: "warehouse"
+ *         description:
+ *           type: string
+ *           example: "Packs orders and manages shipments"
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["orders:read", "shipments:read", "shipments:write"]
+ *         is_system:
+ *           type: boolean
+ *         user_count:
+ *           type: integer
+ *     RoleRequest:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: "support"
+ *         description:
+ *           type: string
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["orders:read", "users:read"]
+ */
+
+const roleValidators = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name').trim().matches(/^[a-z][a-z0-9_]{1,49}$/).withMessage('Name must be 2-50 lowercase letters, digits or underscores'),
+    body('description').optional({ nullable: true }).trim().isLength({ max: 255 }).withMessage('Description must be at most 255 characters'),
+    field('permissions').isArray({ min: 1 }).withMessage('Permissions must be a non-empty array'),
+    body('permissions.*').custom(isKnownPermission).withMessage('Unknown permission')
+  ];
+};
+
+const formatRole = (role, userCount) => ({
+  id: role.id,
+  name: role.name,
+  description: role.description,
+  permissions: role.permissions,
+  is_system: role.is_system,
+  user_count: userCount
+});
+
+const countUsersByRole = async () => {
+  const rows = await UserRole.findAll({
+    attributes: ['role_id', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+    group: ['role_id'],
+    raw: true
+  });
+
+  return rows.reduce((counts, row) => ({ ...counts, [row.role_id]: parseInt(row.count) }), {});
+};
+
+/**
+ * @swagger
+ * /admin/permissions:
+ *   get:
+ *     tags:
+ *       - Admin Roles
+ *     summary: Get permission catalog
+ *     description: List every permission a role can grant
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permissions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     permissions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           name:
+ *                             type: string
+ *                             example: "shipments:write"
+ *                           description:
+ *                             type: string
+ *       403:
+ *         description: Forbidden - roles:manage permission required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+const getPermissions = (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+    }
+  });
+};
+
+/**
+ * @swagger
+ * /admin/roles:
+ *   get:
+ *     tags:
+ *       - Admin Roles
+ *     summary: Get roles
+ *     description: List all roles with their permissions and number of assigned users
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     roles:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Role'
+ *       403:
+ *         description: Forbidden - roles:manage permission required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   post:
+ *     tags:
+ *       - Admin Roles
+ *     summary: Create role
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RoleRequest'
+ *     responses:
+ *       201:
+ *         description: Role created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Role created successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     role:
+ *                       $ref: '#/components/schemas/Role'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The role grants permissions you do not have
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Role name already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+const getRoles = async (req, res) => {
+  try {
+    const roles = await Role.findAll({ order: [['name', 'ASC']] });
+    const userCounts = await countUsersByRole();
+
+    res.json({
+      success: true,
+      data: {
+        roles: roles.map(role => formatRole(role, userCounts[role.id] || 0))
+      }
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch roles',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+};
+
+const createRole = [
+  ...roleValidators(),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { name, description, permissions } = req.body;
+
+      if (!coversPermissions(req.user.permissions, permissions)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You cannot grant permissions you do not have'
+        });
+      }
+
+      const existingRole = await Role.findOne({ where: { name } });
+      if (existingRole) {
+        return res.status(409).json({
+          success: false,
+          message: 'Role name already exists'
+        });
+      }
+
+      const role = await Role.create({
+        name,
+        description,
+        permissions: [...new Set(permissions)]
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Role created successfully',
+        data: { role: formatRole(role, 0) }
+      });
+    } catch (error) {
+      console.error('Create role error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create role',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+/**
+ * @swagger
+ * /admin/roles/{id}:
+ *   put:
+ *     tags:
+ *       - Admin Roles
+ *     summary: Update role
+ *     description: Update a custom role. System roles cannot be changed, and only admins holding every permission the role has before and after the change can edit it.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RoleRequest'
+ *     responses:
+ *       200:
+ *         description: Role updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     role:
+ *                       $ref: '#/components/schemas/Role'
+ *       400:
+ *         description: Validation error or system role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The role has or would get permissions you do not have
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Role not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Role name already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     tags:
+ *       - Admin Roles
+ *     summary: Delete role
+ *     description: Delete a custom role that is not assigned to anyone
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Role deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Role deleted successfully"
+ *       400:
+ *         description: System role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Role not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Role is still assigned to users
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+const updateRole = [
+  param('id').isInt().withMessage('Role ID must be an integer'),
+  ...roleValidators(true),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const role = await Role.findByPk(req.params.id);
+      if (!role) {
+        return res.status(404).json({
+          success: false,
+          message: 'Role not found'
+        });
+      }
+
+      if (role.is_system) {
+        return res.status(400).json({
+          success: false,
+          message: 'System roles cannot be changed'
+        });
+      }
+
+      const { name, description, permissions } = req.body;
+
+      // Editing a role changes the access of everyone holding it, before and after
+      if (!coversPermissions(req.user.permissions, [...(role.permissions || []), ...(permissions || [])])) {
+        return res.status(403).json({
+          success: false,
+          message: 'You cannot change a role with permissions you do not have'
+        });
+      }
+
+      const updateData = {};
+
+      if (name !== undefined && name !== role.name) {
+        const existingRole = await Role.findOne({ where: { name, id: { [Op.ne]: role.id } } });
+        if (existingRole) {
+          return res.status(409).json({
+            success: false,
+            message: 'Role name already exists'
+          });
+        }
+        updateData.name = name;
+      }
+
+      if (description !== undefined) {
+        updateData.description = description;
+      }
+
+      if (permissions !== undefined) {
+        updateData.permissions = [...new Set(permissions)];
+      }
+
+      await role.update(updateData);
+      const userCounts = await countUsersByRole();
+
+      res.json({
+        success: true,
+        message: 'Role updated successfully',
+        data: { role: formatRole(role, userCounts[role.id] || 0) }
+      });
+    } catch (error) {
+      console.error('Update role error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update role',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+const deleteRole = [
+  param('id').isInt().withMessage('Role ID must be an integer'),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const role = await Role.findByPk(req.params.id);
+      if (!role) {
+        return res.status(404).json({
+          success: false,
+          message: 'Role not found'
+        });
+      }
+
+      if (role.is_system) {
+        return res.status(400).json({
+          success: false,
+          message: 'System roles cannot be deleted'
+        });
+      }
+
+      // Deleting an assigned role would silently take permissions away from its admins
+      const assignedCount = await UserRole.count({ where: { role_id: role.id } });
+      if (assignedCount > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `Role is assigned to ${assignedCount} user(s); reassign them first`
+        });
+      }
+
+      await role.destroy();
+
+      res.json({
+        success: true,
+        message: 'Role deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete role error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete role',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+/**
+ * @swagger
+ * /admin/users/{id}/roles:
+ *   get:
+ *     tags:
+ *       - Admin Roles
+ *     summary: Get user roles
+ *     description: Roles assigned to an admin and the permissions they add up to
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: User roles retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     roles:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Role'
+ *                     permissions:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   put:
+ *     tags:
+ *       - Admin Roles
+ *     summary: Set user roles
+ *     description: Replace the roles of an admin. At least one role is required, admins cannot remove their own roles:manage permission, and only roles whose permissions you have can be given to an admin who has no permissions you lack.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role_ids
+ *             properties:
+ *               role_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 example: [3]
+ *     responses:
+ *       200:
+ *         description: User roles updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "User roles updated successfully"
+ *       400:
+ *         description: Validation error, unknown role, non-admin user or self lock-out
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The roles grant permissions you do not have, or the admin has permissions you do not have
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+const getUserRoles = [
+  param('id').isInt().withMessage('User ID must be an integer'),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const user = await User.findByPk(req.params.id, {
+        attributes: ['id', 'name', 'email', 'role'],
+        include: [
+          {
+            model: Role,
+            as: 'roles',
+            through: { attributes: [] }
+          }
+        ]
+      });
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      const userCounts = await countUsersByRole();
+
+      res.json({
+        success: true,
+        data: {
+          roles: user.roles.map(role => formatRole(role, userCounts[role.id] || 0)),
+          permissions: user.role === 'admin' ? await getUserPermissions(user.id) : []
+        }
+      });
+    } catch (error) {
+      console.error('Get user roles error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch user roles',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+const setUserRoles = [
+  param('id').isInt().withMessage('User ID must be an integer'),
+  body('role_ids').isArray({ min: 1 }).withMessage('At least one role is required'),
+  body('role_ids.*').isInt({ min: 1 }).withMessage('Role ID must be a positive integer'),
+
+  async (req, res) => {
+    let transaction;
+
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const user = await User.findByPk(req.params.id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (user.role !== 'admin') {
+        return res.status(400).json({
+          success: false,
+          message: 'Roles can only be assigned to admins'
+        });
+      }
+
+      if (!(await canManageUser(req.user.permissions, user))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You cannot manage an admin who has permissions you do not have'
+        });
+      }
+
+      const assignable = await resolveAssignableRoles(req.body.role_ids, req.user.permissions);
+      if (!assignable.success) {
+        return res.status(assignable.status).json({
+          success: false,
+          message: assignable.message
+        });
+      }
+      const { roles } = assignable;
+
+      // Keep at least one admin able to manage roles
+      const grantedPermissions = roles.flatMap(role => role.permissions);
+      if (user.id === req.user.id && !hasPermission(grantedPermissions, 'roles:manage')) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot remove your own roles:manage permission'
+        });
+      }
+
+      transaction = await sequelize.transaction();
+
+      await UserRole.destroy({ where: { user_id: user.id }, transaction });
+      await UserRole.bulkCreate(roles.map(role => ({
+        user_id: user.id,
+        role_id: role.id,
+        assigned_by: req.user.id
+      })), { transaction });
+
+      await transaction.commit();
+
+      res.json({
+        success: true,
+        message: 'User roles updated successfully',
+        data: {
+          roles: roles.map(role => ({ id: role.id, name: role.name })),
+          permissions: [...new Set(grantedPermissions)]
+        }
+      });
+    } catch (error) {
+      if (transaction && !transaction.finished) {
+        await transaction.rollback();
+      }
+      console.error('Set user roles error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update user roles',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+module.exports = {
+  getPermissions,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  getUserRoles,
+  setUserRoles
+};
@@ -1,6 +1,7 @@
 const { Shipment, Order, User } = require('../../models');
 const { Op } = require('sequelize');
 const { body, param, query, validationResult } = require('express-validator');
+const { paginationValidators, paginate } = require('../../utils/pagination');
 
 /**
  * @swagger
@@ -84,6 +85,11 @@ const { body, param, query, validationResult } = require('express-validator');
  *           maximum: 100
  *         description: Items per page
  *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Cursor from the next_cursor or prev_cursor of a previous response. Used instead of page; totals are then null
+ *       - in: query
  *         name: order_id
  *         schema:
  *           type: integer
@@ -149,6 +155,12 @@ const { body, param, query, validationResult } = require('express-validator');
  *                           type: boolean
  *                         has_prev:
  *                           type: boolean
+ *                         next_cursor:
+ *                           type: string
+ *                           nullable: true
+ *                         prev_cursor:
+ *                           type: string
+ *                           nullable: true
  *       401:
  *         description: Unauthorized
  *         content:
@@ -385,8 +397,7 @@ const { body, param, query, validationResult } = require('express-validator');
  */
 
 const getShipments = [
-  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
-  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  ...paginationValidators,
   query('order_id').optional().isInt().withMessage('Order ID must be an integer'),
   query('status').optional().isIn(['pending', 'pickup', 'in_transit', 'delivered', 'failed', 'returned']).withMessage('Invalid status'),
   query('carrier').optional().trim().isLength({ min: 1 }).withMessage('Carrier cannot be empty'),
@@ -406,6 +417,7 @@ const getShipments = [
       const {
         page = 1,
         limit = 10,
+        cursor,
         order_id,
         status,
         carrier,
@@ -414,7 +426,6 @@ const getShipments = [
         sort_order = 'DESC'
       } = req.query;
 
-      const offset = (page - 1) * limit;
       const whereClause = {};
 
       if (order_id) {
@@ -443,7 +454,7 @@ const getShipments = [
       const sortField = validSortFields.includes(sort_by) ? sort_by : 'created_at';
       const sortDirection = sort_order.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
 
-      const { count, rows: shipments } = await Shipment.findAndCountAll({
+      const result = await paginate(Shipment, {
         where: whereClause,
         include: [
           {
@@ -459,26 +470,27 @@ const getShipments = [
             ]
           }
         ],
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        order: [[sortField, sortDirection]],
-        distinct: true
+        sortField,
+        sortDirection,
+        page,
+        limit,
+        cursor
       });
 
-      const totalPages = Math.ceil(count / limit);
+      if (!result) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cursor does not match the requested sort order'
+        });
+      }
+
+      const { rows: shipments, pagination } = result;
 
       res.json({
         success: true,
         data: {
           shipments,
-          pagination: {
-            current_page: parseInt(page),
-            total_pages: totalPages,
-            total_items: count,
-            items_per_page: parseInt(limit),
-            has_next: page < totalPages,
-            has_prev: page > 1
-          }
+          pagination
         }
       });
     } catch (error) {
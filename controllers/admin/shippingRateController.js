@@ -0,0 +1,666 @@
+const { ShippingRate } = require('../../models');
+const { Op } = require('sequelize');
+const { body, param, query, validationResult } = require('express-validator');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ShippingRate:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         carrier:
+ *           type: string
+ *           example: "JNE"
+ *         service_type:
+ *           type: string
+ *           example: "REG"
+ *         service_name:
+ *           type: string
+ *           example: "Layanan Reguler"
+ *         province:
+ *           type: string
+ *           nullable: true
+ *           example: "DKI Jakarta"
+ *         city:
+ *           type: string
+ *           nullable: true
+ *           example: "Jakarta Selatan"
+ *         postal_code_prefix:
+ *           type: string
+ *           nullable: true
+ *           example: "121"
+ *         base_cost:
+ *           type: number
+ *           example: 5000
+ *         cost_per_kg:
+ *           type: number
+ *           example: 9000
+ *         min_weight_grams:
+ *           type: integer
+ *           example: 0
+ *         max_weight_grams:
+ *           type: integer
+ *           nullable: true
+ *           example: 30000
+ *         estimated_days_min:
+ *           type: integer
+ *           example: 2
+ *         estimated_days_max:
+ *           type: integer
+ *           example: 3
+ *         is_active:
+ *           type: boolean
+ *     ShippingRateRequest:
+ *       type: object
+ *       required:
+ *         - carrier
+ *         - service_type
+ *         - cost_per_kg
+ *       properties:
+ *         carrier:
+ *           type: string
+ *           example: "JNE"
+ *         service_type:
+ *           type: string
+ *           example: "REG"
+ *         service_name:
+ *           type: string
+ *           example: "Layanan Reguler"
+ *         province:
+ *           type: string
+ *           description: Destination province (optional, any province if omitted)
+ *         city:
+ *           type: string
+ *           description: Destination city (optional, any city if omitted)
+ *         postal_code_prefix:
+ *           type: string
+ *           description: Destination postal code prefix (optional)
+ *         base_cost:
+ *           type: number
+ *           example: 5000
+ *         cost_per_kg:
+ *           type: number
+ *           example: 9000
+ *           description: Charged per started kilogram, minimum 1 kg
+ *         min_weight_grams:
+ *           type: integer
+ *         max_weight_grams:
+ *           type: integer
+ *         estimated_days_min:
+ *           type: integer
+ *         estimated_days_max:
+ *           type: integer
+ *         is_active:
+ *           type: boolean
+ *           default: true
+ */
+
+/**
+ * @swagger
+ * /admin/shipping-rates:
+ *   get:
+ *     tags:
+ *       - Admin Shipping Rates
+ *     summary: Get all shipping rates
+ *     description: Retrieve a paginated list of courier rate table entries
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Items per page
+ *       - in: query
+ *         name: carrier
+ *         schema:
+ *           type: string
+ *         description: Filter by carrier
+ *       - in: query
+ *         name: service_type
+ *         schema:
+ *           type: string
+ *         description: Filter by service type
+ *       - in: query
+ *         name: province
+ *         schema:
+ *           type: string
+ *         description: Filter by destination province
+ *       - in: query
+ *         name: is_active
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active status
+ *     responses:
+ *       200:
+ *         description: Shipping rates retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     shipping_rates:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ShippingRate'
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         current_page:
+ *                           type: integer
+ *                         total_pages:
+ *                           type: integer
+ *                         total_items:
+ *                           type: integer
+ *                         items_per_page:
+ *                           type: integer
+ *                         has_next:
+ *                           type: boolean
+ *                         has_prev:
+ *                           type: boolean
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   post:
+ *     tags:
+ *       - Admin Shipping Rates
+ *     summary: Create shipping rate
+ *     description: Add a rate for a carrier service and destination zone
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShippingRateRequest'
+ *     responses:
+ *       201:
+ *         description: Shipping rate created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Shipping rate created successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     shipping_rate:
+ *                       $ref: '#/components/schemas/ShippingRate'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /admin/shipping-rates/{id}:
+ *   get:
+ *     tags:
+ *       - Admin Shipping Rates
+ *     summary: Get shipping rate by ID
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Shipping rate ID
+ *     responses:
+ *       200:
+ *         description: Shipping rate retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     shipping_rate:
+ *                       $ref: '#/components/schemas/ShippingRate'
+ *       404:
+ *         description: Shipping rate not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   put:
+ *     tags:
+ *       - Admin Shipping Rates
+ *     summary: Update shipping rate
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Shipping rate ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShippingRateRequest'
+ *     responses:
+ *       200:
+ *         description: Shipping rate updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Shipping rate updated successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     shipping_rate:
+ *                       $ref: '#/components/schemas/ShippingRate'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Shipping rate not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     tags:
+ *       - Admin Shipping Rates
+ *     summary: Delete shipping rate
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Shipping rate ID
+ *     responses:
+ *       200:
+ *         description: Shipping rate deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Shipping rate deleted successfully"
+ *       404:
+ *         description: Shipping rate not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+// Validators shared by create and update; `optional` relaxes the required fields
+const shippingRateValidators = (optional = false) => {
+  const required = (chain) => (optional ? chain.optional() : chain);
+
+  return [
+    required(body('carrier')).trim().isLength({ min: 1, max: 100 }).withMessage('Carrier is required and must be less than 100 characters'),
+    required(body('service_type')).trim().isLength({ min: 1, max: 50 }).withMessage('Service type is required and must be less than 50 characters'),
+    body('service_name').optional({ values: 'null' }).trim().isLength({ max: 100 }).withMessage('Service name must be less than 100 characters'),
+    body('province').optional({ values: 'null' }).trim().isLength({ min: 1, max: 100 }).withMessage('Province must be less than 100 characters'),
+    body('city').optional({ values: 'null' }).trim().isLength({ min: 1, max: 100 }).withMessage('City must be less than 100 characters'),
+    body('postal_code_prefix').optional({ values: 'null' }).trim().isNumeric().isLength({ min: 1, max: 10 }).withMessage('Postal code prefix must be numeric'),
+    body('base_cost').optional().isFloat({ min: 0 }).withMessage('Base cost must be a non-negative number'),
+    required(body('cost_per_kg')).isFloat({ min: 0 }).withMessage('Cost per kg must be a non-negative number'),
+    body('min_weight_grams').optional().isInt({ min: 0 }).withMessage('Minimum weight must be a non-negative integer'),
+    body('max_weight_grams').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Maximum weight must be a positive integer'),
+    body('estimated_days_min').optional({ values: 'null' }).isInt({ min: 0 }).withMessage('Estimated days must be a non-negative integer'),
+    body('estimated_days_max').optional({ values: 'null' }).isInt({ min: 0 }).withMessage('Estimated days must be a non-negative integer'),
+    body('is_active').optional().isBoolean().withMessage('is_active must be a boolean')
+  ];
+};
+
+// Rules that depend on several fields, checked against the rate as it will be saved
+const validateRateRules = (rate) => {
+  if (rate.max_weight_grams !== null && rate.max_weight_grams !== undefined &&
+      parseInt(rate.max_weight_grams) < parseInt(rate.min_weight_grams || 0)) {
+    return 'Maximum weight must not be less than minimum weight';
+  }
+
+  if (rate.estimated_days_min !== null && rate.estimated_days_min !== undefined &&
+      rate.estimated_days_max !== null && rate.estimated_days_max !== undefined &&
+      parseInt(rate.estimated_days_max) < parseInt(rate.estimated_days_min)) {
+    return 'estimated_days_max must not be less than estimated_days_min';
+  }
+
+  return null;
+};
+
+const pickRateFields = (source) => {
+  const fields = [
+    'carrier', 'service_type', 'service_name', 'province', 'city', 'postal_code_prefix',
+    'base_cost', 'cost_per_kg', 'min_weight_grams', 'max_weight_grams',
+    'estimated_days_min', 'estimated_days_max', 'is_active'
+  ];
+
+  return fields.reduce((data, field) => {
+    if (source[field] !== undefined) {
+      data[field] = source[field];
+    }
+    return data;
+  }, {});
+};
+
+const getShippingRates = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('carrier').optional().trim().isLength({ min: 1 }).withMessage('Carrier cannot be empty'),
+  query('service_type').optional().trim().isLength({ min: 1 }).withMessage('Service type cannot be empty'),
+  query('province').optional().trim().isLength({ min: 1 }).withMessage('Province cannot be empty'),
+  query('is_active').optional().isIn(['true', 'false']).withMessage('is_active must be true or false'),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const {
+        page = 1,
+        limit = 10,
+        carrier,
+        service_type,
+        province,
+        is_active
+      } = req.query;
+
+      const offset = (page - 1) * limit;
+      const whereClause = {};
+
+      if (carrier) {
+        whereClause.carrier = carrier;
+      }
+
+      if (service_type) {
+        whereClause.service_type = service_type;
+      }
+
+      if (province) {
+        whereClause.province = { [Op.like]: `%${province}%` };
+      }
+
+      if (is_active !== undefined) {
+        whereClause.is_active = is_active === 'true';
+      }
+
+      const { count, rows: shippingRates } = await ShippingRate.findAndCountAll({
+        where: whereClause,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        order: [['carrier', 'ASC'], ['service_type', 'ASC'], ['province', 'ASC'], ['city', 'ASC']]
+      });
+
+      const totalPages = Math.ceil(count / limit);
+
+      res.json({
+        success: true,
+        data: {
+          shipping_rates: shippingRates,
+          pagination: {
+            current_page: parseInt(page),
+            total_pages: totalPages,
+            total_items: count,
+            items_per_page: parseInt(limit),
+            has_next: page < totalPages,
+            has_prev: page > 1
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get shipping rates error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch shipping rates',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+const getShippingRate = [
+  param('id').isInt().withMessage('Shipping rate ID must be an integer'),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const shippingRate = await ShippingRate.findByPk(req.params.id);
+
+      if (!shippingRate) {
+        return res.status(404).json({
+          success: false,
+          message: 'Shipping rate not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { shipping_rate: shippingRate }
+      });
+    } catch (error) {
+      console.error('Get shipping rate error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch shipping rate',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+const createShippingRate = [
+  ...shippingRateValidators(),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const rateData = pickRateFields(req.body);
+
+      const ruleError = validateRateRules(rateData);
+      if (ruleError) {
+        return res.status(400).json({
+          success: false,
+          message: ruleError
+        });
+      }
+
+      const shippingRate = await ShippingRate.create(rateData);
+
+      res.status(201).json({
+        success: true,
+        message: 'Shipping rate created successfully',
+        data: { shipping_rate: shippingRate }
+      });
+    } catch (error) {
+      console.error('Create shipping rate error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create shipping rate',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+const updateShippingRate = [
+  param('id').isInt().withMessage('Shipping rate ID must be an integer'),
+  ...shippingRateValidators(true),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { id } = req.params;
+      const updateData = pickRateFields(req.body);
+
+      const shippingRate = await ShippingRate.findByPk(id);
+      if (!shippingRate) {
+        return res.status(404).json({
+          success: false,
+          message: 'Shipping rate not found'
+        });
+      }
+
+      const ruleError = validateRateRules({ ...shippingRate.get(), ...updateData });
+      if (ruleError) {
+        return res.status(400).json({
+          success: false,
+          message: ruleError
+        });
+      }
+
+      await shippingRate.update(updateData);
+
+      const updatedShippingRate = await ShippingRate.findByPk(id);
+
+      res.json({
+        success: true,
+        message: 'Shipping rate updated successfully',
+        data: { shipping_rate: updatedShippingRate }
+      });
+    } catch (error) {
+      console.error('Update shipping rate error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update shipping rate',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+const deleteShippingRate = [
+  param('id').isInt().withMessage('Shipping rate ID must be an integer'),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const shippingRate = await ShippingRate.findByPk(req.params.id);
+      if (!shippingRate) {
+        return res.status(404).json({
+          success: false,
+          message: 'Shipping rate not found'
+        });
+      }
+
+      // Soft delete
+      await shippingRate.destroy();
+
+      res.json({
+        success: true,
+        message: 'Shipping rate deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete shipping rate error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete shipping rate',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+module.exports = {
+  getShippingRates,
+  getShippingRate,
+  createShippingRate,
+  updateShippingRate,
+  deleteShippingRate
+};
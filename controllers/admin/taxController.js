@@ -0,0 +1,256 @@
+const { TaxSetting, Category } = require('../../models');
+const { Op } = require('sequelize');
+const { body, validationResult } = require('express-validator');
+const { getTaxSetting } = require('../../utils/tax');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TaxSetting:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           nullable: true
+ *         name:
+ *           type: string
+ *           example: "PPN"
+ *         rate:
+ *           type: number
+ *           example: 11
+ *         is_inclusive:
+ *           type: boolean
+ *           description: true when product prices already include the tax
+ *         exempt_category_ids:
+ *           type: array
+ *           items:
+ *             type: integer
+ *           description: Categories whose products are not taxed
+ *         is_active:
+ *           type: boolean
+ */
+
+// Returned until an admin saves the first setting
+const DEFAULT_TAX_SETTING = {
+  id: null,
+  name: 'PPN',
+  rate: 0,
+  is_inclusive: false,
+  exempt_category_ids: [],
+  is_active: false
+};
+
+const formatTaxSetting = (setting) => {
+  if (!setting) {
+    return DEFAULT_TAX_SETTING;
+  }
+
+  return {
+    id: setting.id,
+    name: setting.name,
+    rate: parseFloat(setting.rate),
+    is_inclusive: setting.is_inclusive,
+    exempt_category_ids: setting.exempt_category_ids || [],
+    is_active: setting.is_active,
+    updated_at: setting.updatedAt
+  };
+};
+
+/**
+ * @swagger
+ * /admin/tax-settings:
+ *   get:
+ *     tags:
+ *       - Admin Tax Settings
+ *     summary: Get tax settings
+ *     description: Retrieve the store-wide tax (PPN) configuration. Returns an inactive default when nothing has been saved yet.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Tax settings retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     tax_setting:
+ *                       $ref: '#/components/schemas/TaxSetting'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   put:
+ *     tags:
+ *       - Admin Tax Settings
+ *     summary: Update tax settings
+ *     description: Create or update the store-wide tax configuration. Changes apply to cart quotes and orders created afterwards; existing orders keep their tax amount.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "PPN"
+ *               rate:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 100
+ *                 example: 11
+ *               is_inclusive:
+ *                 type: boolean
+ *                 example: false
+ *               exempt_category_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               is_active:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       200:
+ *         description: Tax settings updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Tax settings updated successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     tax_setting:
+ *                       $ref: '#/components/schemas/TaxSetting'
+ *       400:
+ *         description: Validation error or unknown category
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+const getTaxSettings = async (req, res) => {
+  try {
+    const setting = await getTaxSetting();
+
+    res.json({
+      success: true,
+      data: { tax_setting: formatTaxSetting(setting) }
+    });
+  } catch (error) {
+    console.error('Get tax settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve tax settings',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+};
+
+const updateTaxSettings = [
+  body('name').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Tax name must be between 1 and 50 characters'),
+  body('rate').optional().isFloat({ min: 0, max: 100 }).withMessage('Tax rate must be between 0 and 100'),
+  body('is_inclusive').optional().isBoolean().withMessage('is_inclusive must be a boolean'),
+  body('exempt_category_ids').optional().isArray().withMessage('Exempt category IDs must be an array'),
+  body('exempt_category_ids.*').optional().isInt({ min: 1 }).withMessage('Exempt category ID must be a positive integer'),
+  body('is_active').optional().isBoolean().withMessage('is_active must be a boolean'),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const updateData = {};
+      ['name', 'rate', 'is_inclusive', 'is_active'].forEach(field => {
+        if (req.body[field] !== undefined) {
+          updateData[field] = req.body[field];
+        }
+      });
+
+      if (req.body.exempt_category_ids !== undefined) {
+        const categoryIds = [...new Set(req.body.exempt_category_ids.map(id => parseInt(id)))];
+
+        const categoryCount = await Category.count({
+          where: { id: { [Op.in]: categoryIds } }
+        });
+
+        if (categoryCount !== categoryIds.length) {
+          return res.status(400).json({
+            success: false,
+            message: 'One or more exempt categories do not exist'
+          });
+        }
+
+        updateData.exempt_category_ids = categoryIds;
+      }
+
+      let setting = await getTaxSetting();
+      if (setting) {
+        await setting.update(updateData);
+      } else {
+        setting = await TaxSetting.create(updateData);
+      }
+
+      res.json({
+        success: true,
+        message: 'Tax settings updated successfully',
+        data: { tax_setting: formatTaxSetting(setting) }
+      });
+    } catch (error) {
+      console.error('Update tax settings error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update tax settings',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+module.exports = {
+  getTaxSettings,
+  updateTaxSettings
+};
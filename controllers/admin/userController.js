@@ -0,0 +1,1490 @@
+const { User, UserRole, Order, Payment, sequelize } = require('../../models');
+const { Op } = require('sequelize');
+const { body, param, query, validationResult } = require('express-validator');
+const { hashPassword } = require('../../utils/password');
+const { isLocked, clearLoginFailures } = require('../../utils/loginProtection');
+const { revokeAllSessions } = require('../../utils/session');
+const { resolveAssignableRoles, canManageUser } = require('../../utils/permissions');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     UserSummary:
+ *       type: object
+ *       properties:
+ *         orders:
+ *           type: object
+ *           properties:
+ *             total_orders:
+ *               type: integer
+ *             by_status:
+ *               type: object
+ *               additionalProperties:
+ *                 type: integer
+ *             total_spent:
+ *               type: number
+ *               format: float
+ *             last_ordered_at:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *         payments:
+ *           type: object
+ *           properties:
+ *             total_payments:
+ *               type: integer
+ *             by_status:
+ *               type: object
+ *               additionalProperties:
+ *                 type: integer
+ *             total_paid:
+ *               type: number
+ *               format: float
+ *     ResetUserPasswordRequest:
+ *       type: object
+ *       required:
+ *         - new_password
+ *       properties:
+ *         new_password:
+ *           type: string
+ *           minLength: 6
+ *           example: "temporary123"
+ *     UpdateUserRoleRequest:
+ *       type: object
+ *       required:
+ *         - role
+ *       properties:
+ *         role:
+ *           type: string
+ *           enum: [admin, customer]
+ *         role_ids:
+ *           type: array
+ *           description: Roles of the promoted admin; required when role is admin
+ *           items:
+ *             type: integer
+ */
+
+/**
+ * @swagger
+ * /admin/users:
+ *   get:
+ *     tags:
+ *       - Admin Users
+ *     summary: Get all users
+ *     description: Retrieve a paginated list of users with filtering and search
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Items per page
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [admin, customer]
+ *         description: Filter by role
+ *       - in: query
+ *         name: is_active
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active status
+ *       - in: query
+ *         name: include_deleted
+ *         schema:
+ *           type: boolean
+ *         description: Include soft-deleted users
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by name, email or phone
+ *       - in: query
+ *         name: sort_by
+ *         schema:
+ *           type: string
+ *           enum: [id, name, email, role, last_login_at, created_at]
+ *         description: Sort field
+ *       - in: query
+ *         name: sort_order
+ *         schema:
+ *           type: string
+ *           enum: [ASC, DESC]
+ *         description: Sort order
+ *     responses:
+ *       200:
+ *         description: Users retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     users:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/User'
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         current_page:
+ *                           type: integer
+ *                         total_pages:
+ *                           type: integer
+ *                         total_items:
+ *                           type: integer
+ *                         items_per_page:
+ *                           type: integer
+ *                         has_next:
+ *                           type: boolean
+ *                         has_prev:
+ *                           type: boolean
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   post:
+ *     tags:
+ *       - Admin Users
+ *     summary: Create user
+ *     description: Create an account directly. This is the only way besides an invitation to create an admin, since public registration always creates customers.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - email
+ *               - password
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Store Admin"
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "admin@petneeds.com"
+ *               password:
+ *                 type: string
+ *                 minLength: 6
+ *               phone:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [admin, customer]
+ *                 default: admin
+ *               role_ids:
+ *                 type: array
+ *                 description: Roles of the new admin; required for admins and not allowed for customers. Only roles whose permissions you have can be granted.
+ *                 items:
+ *                   type: integer
+ *                 example: [2]
+ *     responses:
+ *       201:
+ *         description: User created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "User created successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Validation error or unknown role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The roles grant permissions you do not have
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Email already registered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /admin/users/{id}:
+ *   get:
+ *     tags:
+ *       - Admin Users
+ *     summary: Get user by ID
+ *     description: Retrieve a user with order and payment summaries. Soft-deleted users are included.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *                     summary:
+ *                       $ref: '#/components/schemas/UserSummary'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /admin/users/{id}/activate:
+ *   put:
+ *     tags:
+ *       - Admin Users
+ *     summary: Activate user
+ *     description: Re-enable a deactivated account so it can log in again
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User activated successfully
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The user is an admin with permissions you do not have
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /admin/users/{id}/deactivate:
+ *   put:
+ *     tags:
+ *       - Admin Users
+ *     summary: Deactivate user
+ *     description: Block an account from logging in or using existing tokens. Admins cannot deactivate themselves.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User deactivated successfully
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The user is an admin with permissions you do not have
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Cannot deactivate your own account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /admin/users/{id}/role:
+ *   put:
+ *     tags:
+ *       - Admin Users
+ *     summary: Change user role
+ *     description: Promote a customer to admin with the given roles, or demote an admin to customer. Demoted admins lose their role assignments and are logged out everywhere. Admins cannot change their own role.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateUserRoleRequest'
+ *     responses:
+ *       200:
+ *         description: User role updated successfully
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The user is an admin with permissions you do not have
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Cannot change your own role, or the user already has this role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /admin/users/{id}/reset-password:
+ *   put:
+ *     tags:
+ *       - Admin Users
+ *     summary: Reset user password
+ *     description: Set a new password for a user, e.g. a temporary one communicated out of band. The user is logged out of every session.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ResetUserPasswordRequest'
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The user is an admin with permissions you do not have
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /admin/users/{id}:
+ *   delete:
+ *     tags:
+ *       - Admin Users
+ *     summary: Delete user
+ *     description: Soft delete a user. Admins cannot delete themselves.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The user is an admin with permissions you do not have
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Cannot delete your own account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /admin/users/{id}/restore:
+ *   put:
+ *     tags:
+ *       - Admin Users
+ *     summary: Restore user
+ *     description: Restore a soft-deleted user
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User restored successfully
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The user is an admin with permissions you do not have
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: User is not deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /admin/users/locked:
+ *   get:
+ *     tags:
+ *       - Admin Users
+ *     summary: Get locked accounts
+ *     description: List accounts currently locked after too many failed login attempts
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Locked accounts retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     users:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: integer
+ *                           name:
+ *                             type: string
+ *                           email:
+ *                             type: string
+ *                           role:
+ *                             type: string
+ *                           failed_login_attempts:
+ *                             type: integer
+ *                           last_failed_login_at:
+ *                             type: string
+ *                             format: date-time
+ *                           locked_until:
+ *                             type: string
+ *                             format: date-time
+ *                     pagination:
+ *                       type: object
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /admin/users/{id}/unlock:
+ *   put:
+ *     tags:
+ *       - Admin Users
+ *     summary: Unlock user
+ *     description: Lift a login lockout and reset the failed attempt counter
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User unlocked successfully
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The user is an admin with permissions you do not have
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: User is not locked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+const userAttributes = { exclude: User.PRIVATE_ATTRIBUTES };
+
+// Admins need at least one role; customers cannot have any
+const roleIdsValidators = [
+  body('role_ids')
+    .if((value, { req }) => (req.body.role || 'admin') === 'admin')
+    .isArray({ min: 1 }).withMessage('At least one role is required for an admin'),
+  body('role_ids')
+    .if((value, { req }) => req.body.role === 'customer')
+    .custom(value => value === undefined || (Array.isArray(value) && value.length === 0))
+    .withMessage('Roles can only be assigned to admins'),
+  body('role_ids.*').isInt({ min: 1 }).withMessage('Role ID must be a positive integer')
+];
+
+// Aggregate a user's orders and payments for the detail view
+const buildUserSummary = async (userId) => {
+  const orderRows = await Order.findAll({
+    where: { user_id: userId },
+    attributes: [
+      'status',
+      [sequelize.fn('COUNT', sequelize.col('id')), 'count'],
+      [sequelize.fn('MAX', sequelize.col('ordered_at')), 'last_ordered_at']
+    ],
+    group: ['status'],
+    raw: true
+  });
+
+  const totalSpent = await Order.sum('total_amount', {
+    where: { user_id: userId, payment_status: 'paid' }
+  });
+
+  const paymentRows = await Payment.findAll({
+    where: { user_id: userId },
+    attributes: [
+      'status',
+      [sequelize.fn('COUNT', sequelize.col('id')), 'count']
+    ],
+    group: ['status'],
+    raw: true
+  });
+
+  const totalPaid = await Payment.sum('amount', {
+    where: { user_id: userId, status: { [Op.in]: ['settlement', 'capture'] } }
+  });
+
+  const ordersByStatus = {};
+  let lastOrderedAt = null;
+  for (const row of orderRows) {
+    ordersByStatus[row.status] = parseInt(row.count);
+    if (row.last_ordered_at && (!lastOrderedAt || new Date(row.last_ordered_at) > lastOrderedAt)) {
+      lastOrderedAt = new Date(row.last_ordered_at);
+    }
+  }
+
+  const paymentsByStatus = {};
+  for (const row of paymentRows) {
+    paymentsByStatus[row.status] = parseInt(row.count);
+  }
+
+  return {
+    orders: {
+      total_orders: Object.values(ordersByStatus).reduce((sum, count) => sum + count, 0),
+      by_status: ordersByStatus,
+      total_spent: parseFloat(totalSpent || 0),
+      last_ordered_at: lastOrderedAt
+    },
+    payments: {
+      total_payments: Object.values(paymentsByStatus).reduce((sum, count) => sum + count, 0),
+      by_status: paymentsByStatus,
+      total_paid: parseFloat(totalPaid || 0)
+    }
+  };
+};
+
+const getUsers = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('role').optional().isIn(['admin', 'customer']).withMessage('Role must be admin or customer'),
+  query('is_active').optional().isIn(['true', 'false']).withMessage('is_active must be true or false'),
+  query('include_deleted').optional().isIn(['true', 'false']).withMessage('include_deleted must be true or false'),
+  query('search').optional().trim().isLength({ min: 1 }).withMessage('Search term cannot be empty'),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const {
+        page = 1,
+        limit = 10,
+        role,
+        is_active,
+        include_deleted,
+        search,
+        sort_by = 'created_at',
+        sort_order = 'DESC'
+      } = req.query;
+
+      const offset = (page - 1) * limit;
+      const whereClause = {};
+
+      if (role) {
+        whereClause.role = role;
+      }
+
+      if (is_active !== undefined) {
+        whereClause.is_active = is_active === 'true';
+      }
+
+      if (search) {
+        whereClause[Op.or] = [
+          { name: { [Op.like]: `%${search}%` } },
+          { email: { [Op.like]: `%${search}%` } },
+          { phone: { [Op.like]: `%${search}%` } }
+        ];
+      }
+
+      const validSortFields = ['id', 'name', 'email', 'role', 'last_login_at', 'created_at'];
+      const sortField = validSortFields.includes(sort_by) ? sort_by : 'created_at';
+      const sortDirection = sort_order.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+
+      const { count, rows: users } = await User.findAndCountAll({
+        where: whereClause,
+        attributes: userAttributes,
+        paranoid: include_deleted !== 'true',
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        order: [[sortField, sortDirection]]
+      });
+
+      const totalPages = Math.ceil(count / limit);
+
+      res.json({
+        success: true,
+        data: {
+          users,
+          pagination: {
+            current_page: parseInt(page),
+            total_pages: totalPages,
+            total_items: count,
+            items_per_page: parseInt(limit),
+            has_next: page < totalPages,
+            has_prev: page > 1
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get users error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch users',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+const getUser = [
+  param('id').isInt().withMessage('User ID must be an integer'),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { id } = req.params;
+
+      const user = await User.findByPk(id, {
+        attributes: userAttributes,
+        paranoid: false
+      });
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      const summary = await buildUserSummary(user.id);
+
+      res.json({
+        success: true,
+        data: { user, summary }
+      });
+    } catch (error) {
+      console.error('Get user error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch user',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+const createUser = [
+  body('name').trim().isLength({ min: 2, max: 255 }).withMessage('Name must be 2-255 characters'),
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  body('phone').optional().isString().withMessage('Phone must be a string'),
+  body('role').optional().isIn(['admin', 'customer']).withMessage('Role must be admin or customer'),
+  ...roleIdsValidators,
+
+  async (req, res) => {
+    let transaction;
+
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { name, email, password, phone, role = 'admin', role_ids } = req.body;
+
+      const existingUser = await User.findOne({ where: { email }, paranoid: false });
+      if (existingUser) {
+        return res.status(409).json({
+          success: false,
+          message: 'Email already registered'
+        });
+      }
+
+      let roles = [];
+      if (role === 'admin') {
+        const assignable = await resolveAssignableRoles(role_ids, req.user.permissions);
+        if (!assignable.success) {
+          return res.status(assignable.status).json({
+            success: false,
+            message: assignable.message
+          });
+        }
+        roles = assignable.roles;
+      }
+
+      const hashedPassword = await hashPassword(password);
+
+      transaction = await sequelize.transaction();
+
+      const user = await User.create({
+        name,
+        email,
+        password: hashedPassword,
+        phone,
+        role,
+        is_active: true
+      }, { transaction });
+
+      await UserRole.bulkCreate(roles.map(assignedRole => ({
+        user_id: user.id,
+        role_id: assignedRole.id,
+        assigned_by: req.user.id
+      })), { transaction });
+
+      await transaction.commit();
+
+      const createdUser = await User.findByPk(user.id, { attributes: userAttributes });
+
+      res.status(201).json({
+        success: true,
+        message: 'User created successfully',
+        data: { user: createdUser }
+      });
+    } catch (error) {
+      if (transaction && !transaction.finished) {
+        await transaction.rollback();
+      }
+      console.error('Create user error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create user',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+const activateUser = [
+  param('id').isInt().withMessage('User ID must be an integer'),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { id } = req.params;
+
+      const user = await User.findByPk(id, { attributes: userAttributes });
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (!(await canManageUser(req.user.permissions, user))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You cannot manage an admin who has permissions you do not have'
+        });
+      }
+
+      await user.update({ is_active: true });
+
+      res.json({
+        success: true,
+        message: 'User activated successfully',
+        data: { user }
+      });
+    } catch (error) {
+      console.error('Activate user error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to activate user',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+const deactivateUser = [
+  param('id').isInt().withMessage('User ID must be an integer'),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { id } = req.params;
+
+      // Prevent admins from locking themselves out
+      if (parseInt(id) === req.user.id) {
+        return res.status(409).json({
+          success: false,
+          message: 'Cannot deactivate your own account'
+        });
+      }
+
+      const user = await User.findByPk(id, { attributes: userAttributes });
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (!(await canManageUser(req.user.permissions, user))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You cannot manage an admin who has permissions you do not have'
+        });
+      }
+
+      await user.update({ is_active: false });
+
+      res.json({
+        success: true,
+        message: 'User deactivated successfully',
+        data: { user }
+      });
+    } catch (error) {
+      console.error('Deactivate user error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to deactivate user',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+const updateUserRole = [
+  param('id').isInt().withMessage('User ID must be an integer'),
+  body('role').isIn(['admin', 'customer']).withMessage('Role must be admin or customer'),
+  ...roleIdsValidators,
+
+  async (req, res) => {
+    let transaction;
+
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { id } = req.params;
+      const { role, role_ids } = req.body;
+
+      if (parseInt(id) === req.user.id) {
+        return res.status(409).json({
+          success: false,
+          message: 'Cannot change your own role'
+        });
+      }
+
+      const user = await User.findByPk(id, { attributes: userAttributes });
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (!(await canManageUser(req.user.permissions, user))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You cannot manage an admin who has permissions you do not have'
+        });
+      }
+
+      if (user.role === role) {
+        return res.status(409).json({
+          success: false,
+          message: `User is already ${role === 'admin' ? 'an admin' : 'a customer'}`
+        });
+      }
+
+      let roles = [];
+      if (role === 'admin') {
+        const assignable = await resolveAssignableRoles(role_ids, req.user.permissions);
+        if (!assignable.success) {
+          return res.status(assignable.status).json({
+            success: false,
+            message: assignable.message
+          });
+        }
+        roles = assignable.roles;
+      }
+
+      transaction = await sequelize.transaction();
+
+      await user.update({ role }, { transaction });
+
+      if (role === 'admin') {
+        await UserRole.bulkCreate(roles.map(assignedRole => ({
+          user_id: user.id,
+          role_id: assignedRole.id,
+          assigned_by: req.user.id
+        })), { transaction });
+      } else {
+        // A demoted admin keeps no permissions and no admin sessions
+        await UserRole.destroy({ where: { user_id: user.id }, transaction });
+        await revokeAllSessions(user.id, 'role_changed', { transaction });
+      }
+
+      await transaction.commit();
+
+      res.json({
+        success: true,
+        message: 'User role updated successfully',
+        data: { user }
+      });
+    } catch (error) {
+      if (transaction && !transaction.finished) {
+        await transaction.rollback();
+      }
+      console.error('Update user role error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update user role',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+const resetUserPassword = [
+  param('id').isInt().withMessage('User ID must be an integer'),
+  body('new_password').isLength({ min: 6 }).withMessage('New password must be at least 6 characters'),
+
+  async (req, res) => {
+    let transaction;
+
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { id } = req.params;
+      const { new_password } = req.body;
+
+      const user = await User.findByPk(id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (!(await canManageUser(req.user.permissions, user))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You cannot manage an admin who has permissions you do not have'
+        });
+      }
+
+      const hashedPassword = await hashPassword(new_password);
+
+      // Whoever knew the old password must not stay logged in
+      transaction = await sequelize.transaction();
+      await user.update({ password: hashedPassword }, { transaction });
+      await revokeAllSessions(user.id, 'admin_password_reset', { transaction });
+      await transaction.commit();
+
+      res.json({
+        success: true,
+        message: 'Password reset successfully'
+      });
+    } catch (error) {
+      if (transaction && !transaction.finished) {
+        await transaction.rollback();
+      }
+      console.error('Reset user password error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to reset password',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+const deleteUser = [
+  param('id').isInt().withMessage('User ID must be an integer'),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { id } = req.params;
+
+      if (parseInt(id) === req.user.id) {
+        return res.status(409).json({
+          success: false,
+          message: 'Cannot delete your own account'
+        });
+      }
+
+      const user = await User.findByPk(id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (!(await canManageUser(req.user.permissions, user))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You cannot manage an admin who has permissions you do not have'
+        });
+      }
+
+      // Soft delete
+      await user.destroy();
+
+      res.json({
+        success: true,
+        message: 'User deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete user error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete user',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+const restoreUser = [
+  param('id').isInt().withMessage('User ID must be an integer'),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { id } = req.params;
+
+      const user = await User.findByPk(id, {
+        attributes: userAttributes,
+        paranoid: false
+      });
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (!(await canManageUser(req.user.permissions, user))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You cannot manage an admin who has permissions you do not have'
+        });
+      }
+
+      if (!user.isSoftDeleted()) {
+        return res.status(409).json({
+          success: false,
+          message: 'User is not deleted'
+        });
+      }
+
+      await user.restore();
+
+      res.json({
+        success: true,
+        message: 'User restored successfully',
+        data: { user }
+      });
+    } catch (error) {
+      console.error('Restore user error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to restore user',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+const getLockedUsers = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { page = 1, limit = 10 } = req.query;
+      const offset = (page - 1) * limit;
+
+      const { count, rows: users } = await User.findAndCountAll({
+        where: { locked_until: { [Op.gt]: new Date() } },
+        attributes: ['id', 'name', 'email', 'role', 'failed_login_attempts', 'last_failed_login_at', 'locked_until'],
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        order: [['locked_until', 'DESC']]
+      });
+
+      const totalPages = Math.ceil(count / limit);
+
+      res.json({
+        success: true,
+        data: {
+          users,
+          pagination: {
+            current_page: parseInt(page),
+            total_pages: totalPages,
+            total_items: count,
+            items_per_page: parseInt(limit),
+            has_next: page < totalPages,
+            has_prev: page > 1
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get locked users error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch locked users',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+const unlockUser = [
+  param('id').isInt().withMessage('User ID must be an integer'),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { id } = req.params;
+
+      const user = await User.findByPk(id, { attributes: userAttributes });
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (!(await canManageUser(req.user.permissions, user))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You cannot manage an admin who has permissions you do not have'
+        });
+      }
+
+      if (!isLocked(user)) {
+        return res.status(409).json({
+          success: false,
+          message: 'User is not locked'
+        });
+      }
+
+      await clearLoginFailures(user);
+
+      res.json({
+        success: true,
+        message: 'User unlocked successfully',
+        data: { user }
+      });
+    } catch (error) {
+      console.error('Unlock user error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to unlock user',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+module.exports = {
+  getUsers,
+  getUser,
+  getLockedUsers,
+  createUser,
+  activateUser,
+  deactivateUser,
+  unlockUser,
+  updateUserRole,
+  resetUserPassword,
+  deleteUser,
+  restoreUser
+};
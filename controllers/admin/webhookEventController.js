@@ -0,0 +1,463 @@
+const { WebhookEvent, Payment, Order } = require('../../models');
+const { Op } = require('sequelize');
+const { param, query, validationResult } = require('express-validator');
+const { processEvent } = require('../../utils/midtransWebhook');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WebhookEvent:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         provider:
+ *           type: string
+ *           example: "midtrans"
+ *         event_key:
+ *           type: string
+ *           example: "12345678-1234-1234-abcd-123456789012:settlement"
+ *         payment_id:
+ *           type: integer
+ *           nullable: true
+ *         midtrans_order_id:
+ *           type: string
+ *         midtrans_transaction_id:
+ *           type: string
+ *         transaction_status:
+ *           type: string
+ *         fraud_status:
+ *           type: string
+ *         payment_type:
+ *           type: string
+ *         payload:
+ *           type: object
+ *         processing_status:
+ *           type: string
+ *           enum: [received, processed, ignored, failed]
+ *         processing_note:
+ *           type: string
+ *         attempts:
+ *           type: integer
+ *         received_at:
+ *           type: string
+ *           format: date-time
+ *         processed_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /admin/webhook-events:
+ *   get:
+ *     tags:
+ *       - Admin Webhook Events
+ *     summary: Get webhook events
+ *     description: Browse stored payment gateway notifications
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Items per page
+ *       - in: query
+ *         name: processing_status
+ *         schema:
+ *           type: string
+ *           enum: [received, processed, ignored, failed]
+ *         description: Filter by processing status
+ *       - in: query
+ *         name: transaction_status
+ *         schema:
+ *           type: string
+ *         description: Filter by Midtrans transaction status
+ *       - in: query
+ *         name: payment_id
+ *         schema:
+ *           type: integer
+ *         description: Filter by payment ID
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by Midtrans order ID or transaction ID
+ *       - in: query
+ *         name: date_from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only events received at or after this date
+ *       - in: query
+ *         name: date_to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only events received at or before this date
+ *     responses:
+ *       200:
+ *         description: Webhook events retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     events:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/WebhookEvent'
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         current_page:
+ *                           type: integer
+ *                         total_pages:
+ *                           type: integer
+ *                         total_items:
+ *                           type: integer
+ *                         items_per_page:
+ *                           type: integer
+ *                         has_next:
+ *                           type: boolean
+ *                         has_prev:
+ *                           type: boolean
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /admin/webhook-events/{id}:
+ *   get:
+ *     tags:
+ *       - Admin Webhook Events
+ *     summary: Get webhook event by ID
+ *     description: Retrieve a stored notification with its full payload
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Webhook event ID
+ *     responses:
+ *       200:
+ *         description: Webhook event retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     event:
+ *                       $ref: '#/components/schemas/WebhookEvent'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Webhook event not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /admin/webhook-events/{id}/replay:
+ *   post:
+ *     tags:
+ *       - Admin Webhook Events
+ *     summary: Replay webhook event
+ *     description: Apply a stored notification again, e.g. one that failed because its payment did not exist yet. Payment status transition rules still apply.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Webhook event ID
+ *     responses:
+ *       200:
+ *         description: Webhook event replayed (processed or ignored)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Webhook event replayed successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     outcome:
+ *                       type: string
+ *                       enum: [processed, ignored]
+ *                     event:
+ *                       $ref: '#/components/schemas/WebhookEvent'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Webhook event or its payment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+const getWebhookEvents = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('processing_status').optional().isIn(['received', 'processed', 'ignored', 'failed']).withMessage('Invalid processing status'),
+  query('transaction_status').optional().isIn(['pending', 'settlement', 'capture', 'cancel', 'deny', 'expire', 'failure', 'refund', 'partial_refund']).withMessage('Invalid transaction status'),
+  query('payment_id').optional().isInt().withMessage('Payment ID must be an integer'),
+  query('search').optional().trim().isLength({ min: 1 }).withMessage('Search term cannot be empty'),
+  query('date_from').optional().isISO8601().withMessage('date_from must be a valid date'),
+  query('date_to').optional().isISO8601().withMessage('date_to must be a valid date'),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const {
+        page = 1,
+        limit = 10,
+        processing_status,
+        transaction_status,
+        payment_id,
+        search,
+        date_from,
+        date_to
+      } = req.query;
+
+      const offset = (page - 1) * limit;
+      const whereClause = {};
+
+      if (processing_status) {
+        whereClause.processing_status = processing_status;
+      }
+
+      if (transaction_status) {
+        whereClause.transaction_status = transaction_status;
+      }
+
+      if (payment_id) {
+        whereClause.payment_id = payment_id;
+      }
+
+      if (search) {
+        whereClause[Op.or] = [
+          { midtrans_order_id: { [Op.like]: `%${search}%` } },
+          { midtrans_transaction_id: { [Op.like]: `%${search}%` } }
+        ];
+      }
+
+      if (date_from || date_to) {
+        whereClause.received_at = {};
+        if (date_from) {
+          whereClause.received_at[Op.gte] = new Date(date_from);
+        }
+        if (date_to) {
+          whereClause.received_at[Op.lte] = new Date(date_to);
+        }
+      }
+
+      const { count, rows: events } = await WebhookEvent.findAndCountAll({
+        where: whereClause,
+        attributes: { exclude: ['payload'] },
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        order: [['received_at', 'DESC'], ['id', 'DESC']]
+      });
+
+      const totalPages = Math.ceil(count / limit);
+
+      res.json({
+        success: true,
+        data: {
+          events,
+          pagination: {
+            current_page: parseInt(page),
+            total_pages: totalPages,
+            total_items: count,
+            items_per_page: parseInt(limit),
+            has_next: page < totalPages,
+            has_prev: page > 1
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get webhook events error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch webhook events',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+const getWebhookEvent = [
+  param('id').isInt().withMessage('Webhook event ID must be an integer'),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { id } = req.params;
+
+      const event = await WebhookEvent.findByPk(id, {
+        include: [
+          {
+            model: Payment,
+            as: 'payment',
+            attributes: ['id', 'status', 'amount', 'midtrans_order_id', 'midtrans_transaction_id'],
+            include: [
+              {
+                model: Order,
+                as: 'order',
+                attributes: ['id', 'order_number', 'status', 'payment_status']
+              }
+            ]
+          }
+        ]
+      });
+
+      if (!event) {
+        return res.status(404).json({
+          success: false,
+          message: 'Webhook event not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { event }
+      });
+    } catch (error) {
+      console.error('Get webhook event error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch webhook event',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+const replayWebhookEvent = [
+  param('id').isInt().withMessage('Webhook event ID must be an integer'),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { id } = req.params;
+
+      const event = await WebhookEvent.findByPk(id);
+      if (!event) {
+        return res.status(404).json({
+          success: false,
+          message: 'Webhook event not found'
+        });
+      }
+
+      const result = await processEvent(event);
+
+      if (result.outcome === 'not_found') {
+        return res.status(404).json({
+          success: false,
+          message: 'Payment not found for this webhook event'
+        });
+      }
+
+      await event.reload();
+
+      res.json({
+        success: true,
+        message: result.outcome === 'processed'
+          ? 'Webhook event replayed successfully'
+          : `Webhook event ignored: ${result.message}`,
+        data: {
+          outcome: result.outcome,
+          event
+        }
+      });
+    } catch (error) {
+      console.error('Replay webhook event error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to replay webhook event',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+module.exports = {
+  getWebhookEvents,
+  getWebhookEvent,
+  replayWebhookEvent
+};
@@ -1,6 +1,12 @@
 const { User } = require('../models');
 const { hashPassword, verifyPassword } = require('../utils/password');
-const { generateToken, generateRefreshToken } = require('../utils/jwt');
+const { createSession, rotateSession, revokeSession, revokeAllSessions } = require('../utils/session');
+const { sendVerificationEmail, sendVerificationEmailSafely, getResendWaitSeconds } = require('../utils/emailVerification');
+const { verifyEmailVerificationToken, generateTwoFactorChallengeToken, verifyTwoFactorChallengeToken } = require('../utils/jwt');
+const { acceptInvitation: acceptAdminInvitation } = require('../utils/adminInvitation');
+const { requestPasswordReset, resetPassword: resetPasswordWithToken, sendPasswordChangedEmail } = require('../utils/passwordReset');
+const { getLoginBlock, recordFailedLogin, clearLoginFailures, unlockWithToken } = require('../utils/loginProtection');
+const { isTwoFactorEnabled, isTwoFactorRequired, startEnrolment, confirmEnrolment, verifySecondFactor, resetRecoveryCodes, disableTwoFactor: clearTwoFactor } = require('../utils/twoFactor');
 const { body, validationResult } = require('express-validator');
 
 /**
@@ -30,11 +36,6 @@ const { body, validationResult } = require('express-validator');
  *         phone:
  *           type: string
  *           example: "+6281234567890"
- *         role:
- *           type: string
- *           enum: [admin, customer]
- *           default: customer
- *           example: "customer"
  *     LoginRequest:
  *       type: object
  *       required:
@@ -65,15 +66,15 @@ const { body, validationResult } = require('express-validator');
  *             token:
  *               type: string
  *               example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
- *             refreshToken:
+ *             refresh_token:
  *               type: string
  *               example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
  *     RefreshTokenRequest:
  *       type: object
  *       required:
- *         - refreshToken
+ *         - refresh_token
  *       properties:
- *         refreshToken:
+ *         refresh_token:
  *           type: string
  *           example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
  *     UpdateProfileRequest:
@@ -87,6 +88,24 @@ const { body, validationResult } = require('express-validator');
  *         phone:
  *           type: string
  *           example: "+6281234567890"
+ *     TwoFactorChallenge:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *           example: true
+ *         message:
+ *           type: string
+ *           example: "Two-factor authentication required"
+ *         data:
+ *           type: object
+ *           properties:
+ *             two_factor_required:
+ *               type: boolean
+ *               example: true
+ *             challenge_token:
+ *               type: string
+ *               description: Short-lived token for POST /auth/2fa/verify (TWO_FACTOR_CHALLENGE_EXPIRE)
  *     ChangePasswordRequest:
  *       type: object
  *       required:
@@ -102,6 +121,23 @@ const { body, validationResult } = require('express-validator');
  *           example: "newpassword123"
  */
 
+// Reset failure tracking, start a session and build the login response
+const completeLogin = async (user, req) => {
+  await clearLoginFailures(user, { last_login_at: new Date() });
+
+  const { token, refresh_token: refreshToken } = await createSession(user, req);
+
+  // Remove credentials from response
+  const userResponse = { ...user.toJSON() };
+  User.PRIVATE_ATTRIBUTES.forEach(attribute => delete userResponse[attribute]);
+
+  return {
+    user: userResponse,
+    token,
+    refresh_token: refreshToken
+  };
+};
+
 /**
  * @swagger
  * /auth/register:
@@ -109,7 +145,7 @@ const { body, validationResult } = require('express-validator');
  *     tags:
  *       - Authentication
  *     summary: Register a new user
- *     description: Create a new user account with email and password
+ *     description: Create a new customer account with email and password. Admin accounts cannot be self-registered.
  *     requestBody:
  *       required: true
  *       content:
@@ -142,7 +178,6 @@ const register = [
   body('name').trim().isLength({ min: 2, max: 255 }).withMessage('Name must be 2-255 characters'),
   body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-  body('role').optional().isIn(['admin', 'customer']).withMessage('Role must be admin or customer'),
 
   async (req, res) => {
     try {
@@ -156,7 +191,8 @@ const register = [
         });
       }
 
-      const { name, email, password, phone, role = 'customer' } = req.body;
+      // Public sign-up always creates customers; admins are created by other admins
+      const { name, email, password, phone } = req.body;
 
       // Check if user already exists
       const existingUser = await User.findOne({ where: { email } });
@@ -176,17 +212,18 @@ const register = [
         email,
         password: hashedPassword,
         phone,
-        role,
+        role: 'customer',
         is_active: true
       });
 
-      // Generate tokens
-      const token = generateToken({ id: user.id, email: user.email, role: user.role });
-      const refreshToken = generateRefreshToken({ id: user.id });
+      await sendVerificationEmailSafely(user);
+
+      // Start a session and generate tokens
+      const { token, refresh_token: refreshToken } = await createSession(user, req);
 
-      // Remove password from response
+      // Remove credentials from response
       const userResponse = { ...user.toJSON() };
-      delete userResponse.password;
+      User.PRIVATE_ATTRIBUTES.forEach(attribute => delete userResponse[attribute]);
 
       res.status(201).json({
         success: true,
@@ -215,7 +252,7 @@ const register = [
  *     tags:
  *       - Authentication
  *     summary: Login user
- *     description: Authenticate user with email and password
+ *     description: Authenticate user with email and password. Consecutive failed attempts must wait progressively longer (429), and LOGIN_MAX_ATTEMPTS failures lock the account for LOGIN_LOCKOUT_MINUTES (423) and email an unlock link.
  *     requestBody:
  *       required: true
  *       content:
@@ -224,11 +261,13 @@ const register = [
  *             $ref: '#/components/schemas/LoginRequest'
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful, or a two-factor challenge when the account has two-factor authentication enabled
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/AuthResponse'
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/AuthResponse'
+ *                 - $ref: '#/components/schemas/TwoFactorChallenge'
  *       400:
  *         description: Validation error or invalid credentials
  *         content:
@@ -241,6 +280,18 @@ const register = [
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       423:
+ *         description: Account temporarily locked; see the Retry-After header
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many attempts; see the Retry-After header
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
 
 const login = [
@@ -271,34 +322,51 @@ const login = [
         });
       }
 
+      // Locked accounts and attempts inside the progressive delay are refused before the password is checked
+      const block = getLoginBlock(user);
+      if (block) {
+        res.set('Retry-After', String(block.retryAfter));
+        return res.status(block.status).json({
+          success: false,
+          message: block.message
+        });
+      }
+
       // Verify password
       const isValidPassword = await verifyPassword(password, user.password);
       if (!isValidPassword) {
+        const locked = await recordFailedLogin(user);
+        if (locked) {
+          const lockBlock = getLoginBlock(user);
+          res.set('Retry-After', String(lockBlock.retryAfter));
+          return res.status(423).json({
+            success: false,
+            message: lockBlock.message
+          });
+        }
+
         return res.status(401).json({
           success: false,
           message: 'Invalid credentials'
         });
       }
 
-      // Update last login
-      await user.update({ last_login_at: new Date() });
-
-      // Generate tokens
-      const token = generateToken({ id: user.id, email: user.email, role: user.role });
-      const refreshToken = generateRefreshToken({ id: user.id });
-
-      // Remove password from response
-      const userResponse = { ...user.toJSON() };
-      delete userResponse.password;
+      // Accounts with two-factor authentication finish the login at /auth/2fa/verify
+      if (isTwoFactorEnabled(user)) {
+        return res.json({
+          success: true,
+          message: 'Two-factor authentication required',
+          data: {
+            two_factor_required: true,
+            challenge_token: generateTwoFactorChallengeToken(user)
+          }
+        });
+      }
 
       res.json({
         success: true,
         message: 'Login successful',
-        data: {
-          user: userResponse,
-          token,
-          refresh_token: refreshToken
-        }
+        data: await completeLogin(user, req)
       });
     } catch (error) {
       console.error('Login error:', error);
@@ -318,7 +386,7 @@ const login = [
  *     tags:
  *       - Authentication
  *     summary: Refresh access token
- *     description: Generate new access token using refresh token
+ *     description: Exchange a refresh token for a new access token and refresh token. Each refresh token can be used once; presenting a used one revokes the whole session.
  *     requestBody:
  *       required: true
  *       content:
@@ -333,7 +401,13 @@ const login = [
  *             schema:
  *               $ref: '#/components/schemas/AuthResponse'
  *       400:
- *         description: Invalid refresh token
+ *         description: Refresh token missing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Invalid, expired or reused refresh token
  *         content:
  *           application/json:
  *             schema:
@@ -351,51 +425,46 @@ const refreshToken = async (req, res) => {
       });
     }
 
-    // Verify refresh token
-    const decoded = jwt.verify(refresh_token, process.env.JWT_REFRESH_SECRET);
-
-    // Find user
-    const user = await User.findByPk(decoded.id);
-    if (!user || !user.is_active) {
+    // Rotate the session's refresh token; reusing an old one revokes the session
+    const result = await rotateSession(refresh_token, req);
+    if (!result.success) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid refresh token'
+        message: result.message
       });
     }
 
-    // Generate new tokens
-    const token = generateToken({ id: user.id, email: user.email, role: user.role });
-    const newRefreshToken = generateRefreshToken({ id: user.id });
-
     res.json({
       success: true,
       message: 'Token refreshed successfully',
       data: {
-        token,
-        refresh_token: newRefreshToken
+        token: result.token,
+        refresh_token: result.refresh_token
       }
     });
   } catch (error) {
-    res.status(401).json({
+    console.error('Refresh token error:', error);
+    res.status(500).json({
       success: false,
-      message: 'Invalid refresh token'
+      message: 'Failed to refresh token',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
     });
   }
 };
 
 /**
  * @swagger
- * /auth/profile:
- *   get:
+ * /auth/logout:
+ *   post:
  *     tags:
  *       - Authentication
- *     summary: Get user profile
- *     description: Retrieve current user's profile information
+ *     summary: Logout
+ *     description: Revoke the current session. Its refresh token and access token stop working immediately.
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: Profile retrieved successfully
+ *         description: Logged out successfully
  *         content:
  *           application/json:
  *             schema:
@@ -404,11 +473,9 @@ const refreshToken = async (req, res) => {
  *                 success:
  *                   type: boolean
  *                   example: true
- *                 data:
- *                   type: object
- *                   properties:
- *                     user:
- *                       $ref: '#/components/schemas/User'
+ *                 message:
+ *                   type: string
+ *                   example: "Logged out successfully"
  *       401:
  *         description: Unauthorized
  *         content:
@@ -417,28 +484,21 @@ const refreshToken = async (req, res) => {
  *               $ref: '#/components/schemas/Error'
  */
 
-const getProfile = async (req, res) => {
+const logout = async (req, res) => {
   try {
-    const user = await User.findByPk(req.user.id, {
-      attributes: { exclude: ['password'] }
-    });
-
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
+    if (req.user.session_id) {
+      await revokeSession(req.user.session_id, req.user.id, 'logout');
     }
 
     res.json({
       success: true,
-      data: { user }
+      message: 'Logged out successfully'
     });
   } catch (error) {
-    console.error('Get profile error:', error);
+    console.error('Logout error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to get profile',
+      message: 'Failed to logout',
       error: process.env.NODE_ENV === 'development' ? error.message : {}
     });
   }
@@ -446,23 +506,17 @@ const getProfile = async (req, res) => {
 
 /**
  * @swagger
- * /auth/profile:
- *   put:
+ * /auth/logout-all:
+ *   post:
  *     tags:
  *       - Authentication
- *     summary: Update user profile
- *     description: Update current user's profile information
+ *     summary: Logout from all devices
+ *     description: Revoke every session of the current user, including this one
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/UpdateProfileRequest'
  *     responses:
  *       200:
- *         description: Profile updated successfully
+ *         description: All sessions revoked
  *         content:
  *           application/json:
  *             schema:
@@ -473,41 +527,92 @@ const getProfile = async (req, res) => {
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: "Profile updated successfully"
+ *                   example: "Logged out from all devices"
  *                 data:
  *                   type: object
  *                   properties:
- *                     user:
- *                       $ref: '#/components/schemas/User'
- *       400:
- *         description: Validation error
+ *                     revoked_sessions:
+ *                       type: integer
+ *                       example: 3
+ *       401:
+ *         description: Unauthorized
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       401:
- *         description: Unauthorized
+ */
+
+const logoutAll = async (req, res) => {
+  try {
+    const revokedSessions = await revokeAllSessions(req.user.id, 'logout_all');
+
+    res.json({
+      success: true,
+      message: 'Logged out from all devices',
+      data: { revoked_sessions: revokedSessions }
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to logout from all devices',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /auth/verify-email:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Verify email address
+ *     description: Confirm the email address with the token from the verification email
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Error'
- *       409:
- *         description: Email already taken
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Email verified successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     email_verified_at:
+ *                       type: string
+ *                       format: date-time
+ *       400:
+ *         description: Invalid or expired token
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
 
-const updateProfile = [
-  // Validation rules
-  body('name').optional().trim().isLength({ min: 2, max: 255 }).withMessage('Name must be 2-255 characters'),
-  body('email').optional().isEmail().normalizeEmail().withMessage('Please provide a valid email'),
-  body('phone').optional().isMobilePhone().withMessage('Please provide a valid phone number'),
+const verifyEmail = [
+  body('token').isString().notEmpty().withMessage('Verification token is required'),
 
   async (req, res) => {
     try {
-      // Check validation errors
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
         return res.status(400).json({
@@ -517,38 +622,1172 @@ const updateProfile = [
         });
       }
 
-      const { name, email, phone } = req.body;
-      const userId = req.user.id;
-
-      // Check if email is already taken by another user
-      if (email) {
-        const existingUser = await User.findOne({
-          where: { email, id: { [require('sequelize').Op.ne]: userId } }
+      let decoded;
+      try {
+        decoded = verifyEmailVerificationToken(req.body.token);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired verification token'
         });
-        if (existingUser) {
-          return res.status(409).json({
-            success: false,
-            message: 'Email already taken'
-          });
-        }
       }
 
-      // Update user
-      const [updatedRowsCount] = await User.update(
-        { name, email, phone },
-        { where: { id: userId } }
-      );
-
-      if (updatedRowsCount === 0) {
-        return res.status(404).json({
+      // The token is tied to the address it was sent to
+      const user = await User.findByPk(decoded.id);
+      if (!user || user.email !== decoded.email) {
+        return res.status(400).json({
           success: false,
-          message: 'User not found'
+          message: 'Invalid or expired verification token'
         });
       }
 
+      if (!user.email_verified_at) {
+        await user.update({ email_verified_at: new Date() });
+      }
+
+      res.json({
+        success: true,
+        message: 'Email verified successfully',
+        data: { email_verified_at: user.email_verified_at }
+      });
+    } catch (error) {
+      console.error('Verify email error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to verify email',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+/**
+ * @swagger
+ * /auth/resend-verification:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Resend verification email
+ *     description: Send a new verification email to the current user. Limited to one email per EMAIL_VERIFICATION_RESEND_SECONDS.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Verification email sent"
+ *       400:
+ *         description: Email already verified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: A verification email was sent too recently
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+const resendVerification = async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+
+    if (user.email_verified_at) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const waitSeconds = getResendWaitSeconds(user);
+    if (waitSeconds > 0) {
+      res.set('Retry-After', String(waitSeconds));
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${waitSeconds} seconds before requesting another verification email`
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send verification email',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /auth/forgot-password:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Request password reset
+ *     description: Email a single-use password reset link. The response is the same whether or not the email is registered. Limited per email address.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "john@example.com"
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "If the email is registered, a password reset link has been sent"
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many reset requests for this email
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+const forgotPassword = [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      // Same answer for unknown emails, so the endpoint cannot be used to find accounts
+      const user = await User.findOne({ where: { email: req.body.email } });
+      if (user && user.is_active) {
+        await requestPasswordReset(user, { ip: req.ip });
+      }
+
+      res.json({
+        success: true,
+        message: 'If the email is registered, a password reset link has been sent'
+      });
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to request password reset',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+/**
+ * @swagger
+ * /auth/reset-password:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Reset password
+ *     description: Set a new password with the token from the reset email. The token can be used once, and every existing session is logged out.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - new_password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               new_password:
+ *                 type: string
+ *                 minLength: 6
+ *                 example: "newpassword123"
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Password reset successfully"
+ *       400:
+ *         description: Validation error or invalid, used or expired token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+const resetPassword = [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  body('new_password').isLength({ min: 6 }).withMessage('New password must be at least 6 characters'),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const user = await resetPasswordWithToken(req.body.token, req.body.new_password);
+      if (!user) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired reset token'
+        });
+      }
+
+      await sendPasswordChangedEmail(user);
+
+      res.json({
+        success: true,
+        message: 'Password reset successfully'
+      });
+    } catch (error) {
+      console.error('Reset password error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to reset password',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+/**
+ * @swagger
+ * /auth/unlock-account:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Unlock account
+ *     description: Lift a login lockout early with the token from the lockout email
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Account unlocked successfully"
+ *       400:
+ *         description: Validation error or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+const unlockAccount = [
+  body('token').isString().notEmpty().withMessage('Unlock token is required'),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const user = await unlockWithToken(req.body.token);
+      if (!user) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired unlock token'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Account unlocked successfully'
+      });
+    } catch (error) {
+      console.error('Unlock account error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to unlock account',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+/**
+ * @swagger
+ * /auth/2fa/verify:
+ *   post:
+ *     tags:
+ *       - Two-Factor Authentication
+ *     summary: Complete login with a second factor
+ *     description: Exchange the challenge token from /auth/login and a TOTP code (or an unused recovery code) for access and refresh tokens. Wrong codes count as failed login attempts.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challenge_token
+ *             properties:
+ *               challenge_token:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               recovery_code:
+ *                 type: string
+ *                 example: "3f9a1-0c7d2"
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Invalid challenge token or code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       423:
+ *         description: Account temporarily locked; see the Retry-After header
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+const verifyTwoFactor = [
+  body('challenge_token').isString().notEmpty().withMessage('Challenge token is required'),
+  body('code').optional().isString().withMessage('Code must be a string'),
+  body('recovery_code').optional().isString().withMessage('Recovery code must be a string'),
+  body('code').if(body('recovery_code').not().exists()).notEmpty().withMessage('A code or recovery code is required'),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      let decoded;
+      try {
+        decoded = verifyTwoFactorChallengeToken(req.body.challenge_token);
+      } catch (error) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or expired challenge token'
+        });
+      }
+
+      const user = await User.findByPk(decoded.id);
+      if (!user || !user.is_active || !isTwoFactorEnabled(user)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or expired challenge token'
+        });
+      }
+
+      const block = getLoginBlock(user);
+      if (block) {
+        res.set('Retry-After', String(block.retryAfter));
+        return res.status(block.status).json({
+          success: false,
+          message: block.message
+        });
+      }
+
+      const verified = await verifySecondFactor(user, {
+        code: req.body.code,
+        recoveryCode: req.body.recovery_code
+      });
+
+      if (!verified) {
+        const locked = await recordFailedLogin(user);
+        if (locked) {
+          const lockBlock = getLoginBlock(user);
+          res.set('Retry-After', String(lockBlock.retryAfter));
+          return res.status(423).json({
+            success: false,
+            message: lockBlock.message
+          });
+        }
+
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid two-factor code'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Login successful',
+        data: await completeLogin(user, req)
+      });
+    } catch (error) {
+      console.error('Verify two-factor error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Two-factor verification failed',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+/**
+ * @swagger
+ * /auth/2fa/setup:
+ *   post:
+ *     tags:
+ *       - Two-Factor Authentication
+ *     summary: Start two-factor enrolment
+ *     description: Generate a new TOTP secret for the current user. Add it to an authenticator app (or scan the otpauth URI as a QR code), then confirm with /auth/2fa/enable.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                       example: "JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP"
+ *                     otpauth_url:
+ *                       type: string
+ *                       example: "otpauth://totp/PetNeeds%3Aadmin%40petneeds.com?secret=JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP&issuer=PetNeeds"
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Two-factor authentication is already enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+
+    if (isTwoFactorEnabled(user)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const enrolment = await startEnrolment(user);
+
+    res.json({
+      success: true,
+      message: 'Scan the secret with your authenticator app and confirm with a code',
+      data: enrolment
+    });
+  } catch (error) {
+    console.error('Setup two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to set up two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /auth/2fa/enable:
+ *   post:
+ *     tags:
+ *       - Two-Factor Authentication
+ *     summary: Enable two-factor authentication
+ *     description: Confirm enrolment with a code from the authenticator app. Returns recovery codes, which are shown only once. Other sessions are logged out.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recovery_codes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *       400:
+ *         description: Validation error, no pending setup or invalid code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Two-factor authentication is already enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+const enableTwoFactor = [
+  body('code').isString().notEmpty().withMessage('Code is required'),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const user = await User.findByPk(req.user.id);
+
+      if (isTwoFactorEnabled(user)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Two-factor authentication is already enabled'
+        });
+      }
+
+      if (!user.two_factor_secret) {
+        return res.status(400).json({
+          success: false,
+          message: 'Start two-factor setup first'
+        });
+      }
+
+      const recoveryCodes = await confirmEnrolment(user, req.body.code);
+      if (!recoveryCodes) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid two-factor code'
+        });
+      }
+
+      // Sessions opened with only the password should not outlive enrolment
+      await revokeAllSessions(user.id, 'two_factor_enabled', { exceptSessionId: req.user.session_id });
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe.',
+        data: { recovery_codes: recoveryCodes }
+      });
+    } catch (error) {
+      console.error('Enable two-factor error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to enable two-factor authentication',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+/**
+ * @swagger
+ * /auth/2fa/disable:
+ *   post:
+ *     tags:
+ *       - Two-Factor Authentication
+ *     summary: Disable two-factor authentication
+ *     description: Requires the password and a TOTP or recovery code. Not allowed for admins while REQUIRE_ADMIN_2FA is enabled.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recovery_code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Validation error, not enabled, wrong password or invalid code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Two-factor authentication is required for admin accounts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+const disableTwoFactor = [
+  body('password').notEmpty().withMessage('Password is required'),
+  body('code').optional().isString().withMessage('Code must be a string'),
+  body('recovery_code').optional().isString().withMessage('Recovery code must be a string'),
+  body('code').if(body('recovery_code').not().exists()).notEmpty().withMessage('A code or recovery code is required'),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const user = await User.findByPk(req.user.id);
+
+      if (!isTwoFactorEnabled(user)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Two-factor authentication is not enabled'
+        });
+      }
+
+      if (isTwoFactorRequired(user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Two-factor authentication is required for admin accounts'
+        });
+      }
+
+      const isValidPassword = await verifyPassword(req.body.password, user.password);
+      if (!isValidPassword) {
+        return res.status(400).json({
+          success: false,
+          message: 'Password is incorrect'
+        });
+      }
+
+      const verified = await verifySecondFactor(user, {
+        code: req.body.code,
+        recoveryCode: req.body.recovery_code
+      });
+
+      if (!verified) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid two-factor code'
+        });
+      }
+
+      await clearTwoFactor(user);
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication disabled'
+      });
+    } catch (error) {
+      console.error('Disable two-factor error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to disable two-factor authentication',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+/**
+ * @swagger
+ * /auth/2fa/recovery-codes:
+ *   post:
+ *     tags:
+ *       - Two-Factor Authentication
+ *     summary: Regenerate recovery codes
+ *     description: Replace all recovery codes with a new set after confirming a TOTP code. The old codes stop working.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Recovery codes regenerated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recovery_codes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *       400:
+ *         description: Validation error, not enabled or invalid code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+const regenerateRecoveryCodes = [
+  body('code').isString().notEmpty().withMessage('Code is required'),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const user = await User.findByPk(req.user.id);
+
+      if (!isTwoFactorEnabled(user)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Two-factor authentication is not enabled'
+        });
+      }
+
+      if (!(await verifySecondFactor(user, { code: req.body.code }))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid two-factor code'
+        });
+      }
+
+      const recoveryCodes = await resetRecoveryCodes(user);
+
+      res.json({
+        success: true,
+        message: 'Recovery codes regenerated',
+        data: { recovery_codes: recoveryCodes }
+      });
+    } catch (error) {
+      console.error('Regenerate recovery codes error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to regenerate recovery codes',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+/**
+ * @swagger
+ * /auth/accept-invitation:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Accept admin invitation
+ *     description: Create an admin account with the one-time token from an invitation email and log in. The account gets the roles chosen by the inviter.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - name
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *                 example: "New Admin"
+ *               password:
+ *                 type: string
+ *                 minLength: 6
+ *               phone:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Admin account created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Validation error, invalid, used or expired invitation, or none of its roles exist anymore
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Email already registered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+const acceptInvitation = [
+  body('token').isString().notEmpty().withMessage('Invitation token is required'),
+  body('name').trim().isLength({ min: 2, max: 255 }).withMessage('Name must be 2-255 characters'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { token, name, password, phone } = req.body;
+
+      const result = await acceptAdminInvitation(token, { name, password, phone });
+      if (!result.success) {
+        return res.status(result.status).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      const { token: accessToken, refresh_token: refreshToken } = await createSession(result.user, req);
+
+      const userResponse = { ...result.user.toJSON() };
+      User.PRIVATE_ATTRIBUTES.forEach(attribute => delete userResponse[attribute]);
+
+      res.status(201).json({
+        success: true,
+        message: 'Invitation accepted successfully',
+        data: {
+          user: userResponse,
+          token: accessToken,
+          refresh_token: refreshToken
+        }
+      });
+    } catch (error) {
+      console.error('Accept invitation error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to accept invitation',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+/**
+ * @swagger
+ * /auth/profile:
+ *   get:
+ *     tags:
+ *       - Authentication
+ *     summary: Get user profile
+ *     description: Retrieve current user's profile information
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Profile retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+const getProfile = async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id, {
+      attributes: { exclude: User.PRIVATE_ATTRIBUTES }
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { user }
+    });
+  } catch (error) {
+    console.error('Get profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get profile',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /auth/profile:
+ *   put:
+ *     tags:
+ *       - Authentication
+ *     summary: Update user profile
+ *     description: Update current user's profile information
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateProfileRequest'
+ *     responses:
+ *       200:
+ *         description: Profile updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Profile updated successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Email already taken
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+const updateProfile = [
+  // Validation rules
+  body('name').optional().trim().isLength({ min: 2, max: 255 }).withMessage('Name must be 2-255 characters'),
+  body('email').optional().isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+  body('phone').optional().isMobilePhone().withMessage('Please provide a valid phone number'),
+
+  async (req, res) => {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { name, email, phone } = req.body;
+      const userId = req.user.id;
+
+      // Check if email is already taken by another user
+      if (email) {
+        const existingUser = await User.findOne({
+          where: { email, id: { [require('sequelize').Op.ne]: userId } }
+        });
+        if (existingUser) {
+          return res.status(409).json({
+            success: false,
+            message: 'Email already taken'
+          });
+        }
+      }
+
+      // Update user
+      const [updatedRowsCount] = await User.update(
+        { name, email, phone },
+        { where: { id: userId } }
+      );
+
+      if (updatedRowsCount === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      // A new address has to be verified again
+      if (email && email !== req.user.email) {
+        const changedUser = await User.findByPk(userId);
+        await changedUser.update({ email_verified_at: null });
+        await sendVerificationEmailSafely(changedUser);
+      }
+
       // Get updated user
       const user = await User.findByPk(userId, {
-        attributes: { exclude: ['password'] }
+        attributes: { exclude: User.PRIVATE_ATTRIBUTES }
       });
 
       res.json({
@@ -674,6 +1913,19 @@ module.exports = {
   register,
   login,
   refreshToken,
+  logout,
+  logoutAll,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  unlockAccount,
+  verifyTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  acceptInvitation,
   getProfile,
   updateProfile,
   changePassword
@@ -1,6 +1,7 @@
 const { Address } = require('../../models');
 const { Op } = require('sequelize');
 const { body, param, query, validationResult } = require('express-validator');
+const { paginationValidators, paginate } = require('../../utils/pagination');
 
 /**
  * @swagger
@@ -98,6 +99,11 @@ const { body, param, query, validationResult } = require('express-validator');
  *           maximum: 100
  *         description: Items per page
  *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Cursor from the next_cursor or prev_cursor of a previous response. Used instead of page; totals are then null
+ *       - in: query
  *         name: is_active
  *         schema:
  *           type: boolean
@@ -147,6 +153,12 @@ const { body, param, query, validationResult } = require('express-validator');
  *                           type: boolean
  *                         has_prev:
  *                           type: boolean
+ *                         next_cursor:
+ *                           type: string
+ *                           nullable: true
+ *                         prev_cursor:
+ *                           type: string
+ *                           nullable: true
  *       401:
  *         description: Unauthorized
  *         content:
@@ -415,8 +427,7 @@ const { body, param, query, validationResult } = require('express-validator');
  */
 
 const getAddresses = [
-  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
-  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  ...paginationValidators,
   query('is_active').optional().isIn(['true', 'false']).withMessage('is_active must be true or false'),
 
   async (req, res) => {
@@ -433,12 +444,12 @@ const getAddresses = [
       const {
         page = 1,
         limit = 10,
+        cursor,
         is_active,
         sort_by = 'created_at',
         sort_order = 'DESC'
       } = req.query;
 
-      const offset = (page - 1) * limit;
       const whereClause = { user_id: req.user.id };
 
       if (is_active !== undefined) {
@@ -449,28 +460,29 @@ const getAddresses = [
       const sortField = validSortFields.includes(sort_by) ? sort_by : 'created_at';
       const sortDirection = sort_order.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
 
-      const { count, rows: addresses } = await Address.findAndCountAll({
+      const result = await paginate(Address, {
         where: whereClause,
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        order: [[sortField, sortDirection]],
-        distinct: true
+        sortField,
+        sortDirection,
+        page,
+        limit,
+        cursor
       });
 
-      const totalPages = Math.ceil(count / limit);
+      if (!result) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cursor does not match the requested sort order'
+        });
+      }
+
+      const { rows: addresses, pagination } = result;
 
       res.json({
         success: true,
         data: {
           addresses,
-          pagination: {
-            current_page: parseInt(page),
-            total_pages: totalPages,
-            total_items: count,
-            items_per_page: parseInt(limit),
-            has_next: page < totalPages,
-            has_prev: page > 1
-          }
+          pagination
         }
       });
     } catch (error) {
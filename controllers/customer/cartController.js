@@ -1,6 +1,9 @@
-const { Cart, Product, ProductImage } = require('../../models');
+const { Cart, Product, ProductImage, ProductVariant } = require('../../models');
 const { Op } = require('sequelize');
 const { body, param, query, validationResult } = require('express-validator');
+const { toLineItems } = require('../../utils/coupon');
+const { getTaxSetting, calculateTax } = require('../../utils/tax');
+const { getLineDetails, isLineAvailable, countActiveVariants } = require('../../utils/productVariant');
 
 /**
  * @swagger
@@ -14,6 +17,10 @@ const { body, param, query, validationResult } = require('express-validator');
  *         product_id:
  *           type: integer
  *           example: 1
+ *         variant_id:
+ *           type: integer
+ *           description: Required when the product has active variants
+ *           example: 3
  *         quantity:
  *           type: integer
  *           minimum: 1
@@ -51,8 +58,19 @@ const { body, param, query, validationResult } = require('express-validator');
  *                         type: integer
  *                       product_name:
  *                         type: string
+ *                       variant_id:
+ *                         type: integer
+ *                         nullable: true
+ *                       variant_name:
+ *                         type: string
+ *                         nullable: true
+ *                         example: "2 kg / Chicken"
+ *                       variant_options:
+ *                         type: object
+ *                         nullable: true
  *                       product_sku:
  *                         type: string
+ *                         description: The variant SKU when a variant was chosen
  *                       product_price:
  *                         type: number
  *                         format: float
@@ -82,6 +100,23 @@ const { body, param, query, validationResult } = require('express-validator');
  *                       format: float
  *                     item_count:
  *                       type: integer
+ *                     tax_name:
+ *                       type: string
+ *                       nullable: true
+ *                       example: "PPN"
+ *                     tax_rate:
+ *                       type: number
+ *                       example: 11
+ *                     tax_inclusive:
+ *                       type: boolean
+ *                       description: Whether product prices already include the tax
+ *                     tax_amount:
+ *                       type: number
+ *                       format: float
+ *                     grand_total:
+ *                       type: number
+ *                       format: float
+ *                       description: Item total plus tax when prices exclude it (before shipping and discounts)
  */
 
 /**
@@ -116,7 +151,7 @@ const { body, param, query, validationResult } = require('express-validator');
  *     tags:
  *       - Customer Cart
  *     summary: Add item to cart
- *     description: Add a product to the customer's shopping cart
+ *     description: Add a product to the customer's shopping cart. Products with active variants need a variant_id; each variant is its own cart line.
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -171,7 +206,7 @@ const { body, param, query, validationResult } = require('express-validator');
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       404:
- *         description: Product not found
+ *         description: Product or variant not found
  *         content:
  *           application/json:
  *             schema:
@@ -195,6 +230,11 @@ const { body, param, query, validationResult } = require('express-validator');
  *         schema:
  *           type: integer
  *         description: Product ID in cart
+ *       - in: query
+ *         name: variant_id
+ *         schema:
+ *           type: integer
+ *         description: Variant of the cart line, for products sold in variants
  *     requestBody:
  *       required: true
  *       content:
@@ -269,6 +309,11 @@ const { body, param, query, validationResult } = require('express-validator');
  *         schema:
  *           type: integer
  *         description: Product ID to remove from cart
+ *       - in: query
+ *         name: variant_id
+ *         schema:
+ *           type: integer
+ *         description: Variant of the cart line, for products sold in variants
  *     responses:
  *       200:
  *         description: Item removed from cart successfully
@@ -337,7 +382,7 @@ const getCart = async (req, res) => {
         {
           model: Product,
           as: 'product',
-          attributes: ['id', 'name', 'price', 'sku', 'stock_quantity', 'is_active'],
+          attributes: ['id', 'name', 'price', 'sku', 'stock_quantity', 'is_active', 'category_id'],
           include: [
             {
               model: ProductImage,
@@ -348,18 +393,34 @@ const getCart = async (req, res) => {
               limit: 1
             }
           ]
+        },
+        {
+          model: ProductVariant,
+          as: 'variant',
+          attributes: ['id', 'name', 'options', 'sku', 'price', 'stock_quantity', 'weight_grams', 'is_active']
         }
       ],
       order: [['created_at', 'DESC']]
     });
 
+    // Lines without a variant cannot be ordered once their product has active variants
+    const productsWithVariants = new Set((await ProductVariant.findAll({
+      where: {
+        product_id: cartItems.filter(item => !item.variant_id).map(item => item.product_id),
+        is_active: true
+      },
+      attributes: ['product_id'],
+      raw: true
+    })).map(variant => variant.product_id));
+
     // Calculate totals
     let totalItems = 0;
     let totalAmount = 0;
 
     const formattedCart = cartItems.map(item => {
       const product = item.product;
-      const subtotal = product.price * item.quantity;
+      const line = getLineDetails(item);
+      const subtotal = line.price * item.quantity;
       totalItems += item.quantity;
       totalAmount += subtotal;
 
@@ -367,17 +428,22 @@ const getCart = async (req, res) => {
         id: item.id,
         product_id: product.id,
         product_name: product.name,
-        product_sku: product.sku,
-        product_price: product.price,
+        variant_id: item.variant_id,
+        variant_name: item.variant ? item.variant.name : null,
+        variant_options: item.variant ? item.variant.options : null,
+        product_sku: line.sku,
+        product_price: line.price,
         product_image: product.images && product.images.length > 0 ? product.images[0].image_url : null,
         quantity: item.quantity,
-        stock_available: product.stock_quantity,
+        stock_available: line.stock_quantity,
         subtotal: subtotal,
         added_at: item.added_at,
-        is_available: product.is_active && product.stock_quantity > 0
+        is_available: isLineAvailable(item) && (Boolean(item.variant_id) || !productsWithVariants.has(product.id)) && line.stock_quantity > 0
       };
     });
 
+    const tax = calculateTax(await getTaxSetting(), toLineItems(cartItems));
+
     res.json({
       success: true,
       data: {
@@ -386,7 +452,12 @@ const getCart = async (req, res) => {
           summary: {
             total_items: totalItems,
             total_amount: totalAmount,
-            item_count: cartItems.length
+            item_count: cartItems.length,
+            tax_name: tax.name,
+            tax_rate: tax.rate,
+            tax_inclusive: tax.is_inclusive,
+            tax_amount: tax.tax_amount,
+            grand_total: totalAmount + tax.added_amount
           }
         }
       }
@@ -403,6 +474,7 @@ const getCart = async (req, res) => {
 
 const addToCart = [
   body('product_id').isInt().withMessage('Product ID must be an integer'),
+  body('variant_id').optional({ nullable: true }).isInt().withMessage('Variant ID must be an integer'),
   body('quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
 
   async (req, res) => {
@@ -416,7 +488,7 @@ const addToCart = [
         });
       }
 
-      const { product_id, quantity = 1 } = req.body;
+      const { product_id, variant_id, quantity = 1 } = req.body;
 
       // Check if product exists and is active
       const product = await Product.findByPk(product_id);
@@ -434,10 +506,39 @@ const addToCart = [
         });
       }
 
-      if (product.stock_quantity < quantity) {
+      // Products sold in variants are added one variant at a time
+      let variant = null;
+      if (variant_id) {
+        variant = await ProductVariant.findOne({
+          where: { id: variant_id, product_id: product.id }
+        });
+
+        if (!variant) {
+          return res.status(404).json({
+            success: false,
+            message: 'Variant not found'
+          });
+        }
+
+        if (!variant.is_active) {
+          return res.status(400).json({
+            success: false,
+            message: 'Variant is not available'
+          });
+        }
+      } else if (await countActiveVariants(product.id) > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please select a variant'
+        });
+      }
+
+      const { stock_quantity: stockAvailable } = getLineDetails({ product, variant });
+
+      if (stockAvailable < quantity) {
         return res.status(400).json({
           success: false,
-          message: `Insufficient stock. Available: ${product.stock_quantity}`
+          message: `Insufficient stock. Available: ${stockAvailable}`
         });
       }
 
@@ -445,7 +546,8 @@ const addToCart = [
       const existingCartItem = await Cart.findOne({
         where: {
           user_id: req.user.id,
-          product_id
+          product_id,
+          variant_id: variant ? variant.id : null
         }
       });
 
@@ -454,10 +556,10 @@ const addToCart = [
         // Update quantity
         const newQuantity = existingCartItem.quantity + quantity;
 
-        if (product.stock_quantity < newQuantity) {
+        if (stockAvailable < newQuantity) {
           return res.status(400).json({
             success: false,
-            message: `Insufficient stock. Available: ${product.stock_quantity}, requested: ${newQuantity}`
+            message: `Insufficient stock. Available: ${stockAvailable}, requested: ${newQuantity}`
           });
         }
 
@@ -467,6 +569,7 @@ const addToCart = [
         cartItem = await Cart.create({
           user_id: req.user.id,
           product_id,
+          variant_id: variant ? variant.id : null,
           quantity
         });
       }
@@ -488,6 +591,11 @@ const addToCart = [
                 limit: 1
               }
             ]
+          },
+          {
+            model: ProductVariant,
+            as: 'variant',
+            attributes: ['id', 'name', 'options', 'sku', 'price', 'stock_quantity']
           }
         ]
       });
@@ -510,6 +618,7 @@ const addToCart = [
 
 const updateCartItem = [
   param('productId').isInt().withMessage('Product ID must be an integer'),
+  query('variant_id').optional().isInt().withMessage('Variant ID must be an integer'),
   body('quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
 
   async (req, res) => {
@@ -529,13 +638,19 @@ const updateCartItem = [
       const cartItem = await Cart.findOne({
         where: {
           user_id: req.user.id,
-          product_id: productId
+          product_id: productId,
+          variant_id: req.query.variant_id || null
         },
         include: [
           {
             model: Product,
             as: 'product',
             attributes: ['id', 'name', 'stock_quantity', 'is_active']
+          },
+          {
+            model: ProductVariant,
+            as: 'variant',
+            attributes: ['id', 'name', 'stock_quantity', 'is_active']
           }
         ]
       });
@@ -548,21 +663,29 @@ const updateCartItem = [
       }
 
       // Check stock availability
-      if (cartItem.product.stock_quantity < quantity) {
+      const { stock_quantity: stockAvailable } = getLineDetails(cartItem);
+      if (stockAvailable < quantity) {
         return res.status(400).json({
           success: false,
-          message: `Insufficient stock. Available: ${cartItem.product.stock_quantity}`
+          message: `Insufficient stock. Available: ${stockAvailable}`
         });
       }
 
-      // Check if product is still active
-      if (!cartItem.product.is_active) {
+      // Check if product (and variant) is still active
+      if (!isLineAvailable(cartItem)) {
         return res.status(400).json({
           success: false,
           message: 'Product is no longer available'
         });
       }
 
+      if (!cartItem.variant_id && await countActiveVariants(cartItem.product_id) > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please select a variant'
+        });
+      }
+
       await cartItem.update({ quantity });
 
       res.json({
@@ -583,6 +706,7 @@ const updateCartItem = [
 
 const removeFromCart = [
   param('productId').isInt().withMessage('Product ID must be an integer'),
+  query('variant_id').optional().isInt().withMessage('Variant ID must be an integer'),
 
   async (req, res) => {
     try {
@@ -600,7 +724,8 @@ const removeFromCart = [
       const cartItem = await Cart.findOne({
         where: {
           user_id: req.user.id,
-          product_id: productId
+          product_id: productId,
+          variant_id: req.query.variant_id || null
         }
       });
 
@@ -0,0 +1,187 @@
+const { Cart, Product, ProductVariant } = require('../../models');
+const { Op } = require('sequelize');
+const { body, validationResult } = require('express-validator');
+const { findCouponByCode, toLineItems, evaluateCoupon } = require('../../utils/coupon');
+const { isLineAvailable } = require('../../utils/productVariant');
+
+/**
+ * @swagger
+ * /customer/coupons/validate:
+ *   post:
+ *     tags:
+ *       - Customer Coupons
+ *     summary: Validate coupon
+ *     description: Check a coupon code against the current cart and preview the discount. Nothing is redeemed until the order is created.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "PETLOVER10"
+ *               cart_item_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Cart items to check against (optional, uses the whole cart if not provided)
+ *     responses:
+ *       200:
+ *         description: Coupon is valid for the cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Coupon is valid"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     coupon:
+ *                       type: object
+ *                       properties:
+ *                         code:
+ *                           type: string
+ *                         description:
+ *                           type: string
+ *                         discount_type:
+ *                           type: string
+ *                         discount_value:
+ *                           type: number
+ *                     subtotal:
+ *                       type: number
+ *                       example: 150000
+ *                     discount_amount:
+ *                       type: number
+ *                       example: 15000
+ *                     total_after_discount:
+ *                       type: number
+ *                       example: 135000
+ *       400:
+ *         description: Empty cart or coupon not applicable
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Coupon not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+const validateCoupon = [
+  body('code').trim().isLength({ min: 1, max: 50 }).withMessage('Coupon code is required'),
+  body('cart_item_ids').optional().isArray().withMessage('Cart item IDs must be an array'),
+  body('cart_item_ids.*').optional().isInt().withMessage('Cart item ID must be an integer'),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { code, cart_item_ids } = req.body;
+
+      const coupon = await findCouponByCode(code);
+      if (!coupon) {
+        return res.status(404).json({
+          success: false,
+          message: 'Coupon not found'
+        });
+      }
+
+      const whereClause = { user_id: req.user.id };
+      if (cart_item_ids && cart_item_ids.length > 0) {
+        whereClause.id = { [Op.in]: cart_item_ids };
+      }
+
+      const cartItems = await Cart.findAll({
+        where: whereClause,
+        include: [
+          {
+            model: Product,
+            as: 'product',
+            attributes: ['id', 'name', 'price', 'category_id', 'is_active']
+          },
+          {
+            model: ProductVariant,
+            as: 'variant',
+            attributes: ['id', 'price', 'is_active']
+          }
+        ]
+      });
+
+      const availableItems = cartItems.filter(isLineAvailable);
+
+      if (availableItems.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No items in cart'
+        });
+      }
+
+      const result = await evaluateCoupon(coupon, {
+        userId: req.user.id,
+        items: toLineItems(availableItems)
+      });
+
+      if (!result.valid) {
+        return res.status(400).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Coupon is valid',
+        data: {
+          coupon: {
+            code: coupon.code,
+            description: coupon.description,
+            discount_type: coupon.discount_type,
+            discount_value: parseFloat(coupon.discount_value)
+          },
+          subtotal: result.subtotal,
+          discount_amount: result.discount_amount,
+          total_after_discount: result.subtotal - result.discount_amount
+        }
+      });
+    } catch (error) {
+      console.error('Validate coupon error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to validate coupon',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+module.exports = {
+  validateCoupon
+};
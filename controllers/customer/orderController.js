@@ -1,6 +1,12 @@
-const { Order, OrderItem, Cart, Product, Address, Payment } = require('../../models');
+const { Order, OrderItem, Cart, Product, ProductVariant, Address, Payment } = require('../../models');
 const { Op } = require('sequelize');
 const { body, param, query, validationResult } = require('express-validator');
+const { cancelOrder: cancelOrderWithRestock } = require('../../utils/orderCancellation');
+const { findCouponByCode, toLineItems, evaluateCoupon, redeemCoupon } = require('../../utils/coupon');
+const { calculateCartWeight, getShippingQuotes } = require('../../utils/shipping');
+const { getLineDetails, isLineAvailable, countActiveVariants } = require('../../utils/productVariant');
+const { recordStockMovement } = require('../../utils/inventory');
+const { getTaxSetting, calculateTax } = require('../../utils/tax');
 
 /**
  * @swagger
@@ -27,6 +33,15 @@ const { body, param, query, validationResult } = require('express-validator');
  *             type: integer
  *           example: [1, 2, 3]
  *           description: Specific cart item IDs to include in order (optional, uses all cart items if not provided)
+ *         coupon_code:
+ *           type: string
+ *           maxLength: 50
+ *           example: "PETLOVER10"
+ *           description: Coupon to apply to the order (optional)
+ *         shipping_rate_id:
+ *           type: integer
+ *           example: 3
+ *           description: Shipping rate picked from the shipping quote endpoint. Required when shipping rates are configured for the address; overrides shipping_method.
  */
 
 /**
@@ -201,7 +216,7 @@ const { body, param, query, validationResult } = require('express-validator');
  *                     order:
  *                       $ref: '#/components/schemas/Order'
  *       400:
- *         description: Validation error or insufficient stock
+ *         description: Validation error, insufficient stock or coupon not applicable
  *         content:
  *           application/json:
  *             schema:
@@ -213,7 +228,7 @@ const { body, param, query, validationResult } = require('express-validator');
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       404:
- *         description: Address or product not found
+ *         description: Address, product or coupon not found
  *         content:
  *           application/json:
  *             schema:
@@ -269,8 +284,17 @@ const { body, param, query, validationResult } = require('express-validator');
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The order changed status while it was being cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
 
+// Customers can cancel an order until it is being processed
+const CANCELLABLE_STATUSES = ['pending', 'confirmed'];
+
 // Helper function to generate order number
 const generateOrderNumber = () => {
   const timestamp = Date.now();
@@ -330,7 +354,7 @@ const getOrders = [
           {
             model: OrderItem,
             as: 'items',
-            attributes: ['id', 'product_name', 'quantity', 'unit_price', 'total_price'],
+            attributes: ['id', 'product_name', 'variant_name', 'quantity', 'unit_price', 'total_price'],
             limit: 3 // Just show first 3 items
           }
         ],
@@ -397,7 +421,7 @@ const getOrder = [
           {
             model: OrderItem,
             as: 'items',
-            attributes: ['id', 'product_id', 'product_name', 'product_sku', 'quantity', 'unit_price', 'total_price']
+            attributes: ['id', 'product_id', 'variant_id', 'product_name', 'product_sku', 'variant_name', 'variant_options', 'quantity', 'unit_price', 'total_price']
           },
           {
             model: Payment,
@@ -436,6 +460,8 @@ const createOrder = [
   body('notes').optional().trim(),
   body('cart_item_ids').optional().isArray().withMessage('Cart item IDs must be an array'),
   body('cart_item_ids.*').optional().isInt().withMessage('Cart item ID must be an integer'),
+  body('coupon_code').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Coupon code must be less than 50 characters'),
+  body('shipping_rate_id').optional().isInt().withMessage('Shipping rate ID must be an integer'),
 
   async (req, res) => {
     let transactionCommitted = false;
@@ -451,7 +477,7 @@ const createOrder = [
         });
       }
 
-      const { address_id, shipping_method, notes, cart_item_ids } = req.body;
+      const { address_id, shipping_method, notes, cart_item_ids, coupon_code, shipping_rate_id } = req.body;
 
       // Verify address belongs to user
       const address = await Address.findOne({
@@ -484,7 +510,12 @@ const createOrder = [
             {
               model: Product,
               as: 'product',
-              attributes: ['id', 'name', 'price', 'sku', 'stock_quantity', 'is_active']
+              attributes: ['id', 'name', 'price', 'sku', 'stock_quantity', 'is_active', 'category_id', 'weight_grams']
+            },
+            {
+              model: ProductVariant,
+              as: 'variant',
+              attributes: ['id', 'name', 'options', 'sku', 'price', 'stock_quantity', 'weight_grams', 'is_active']
             }
           ],
           transaction
@@ -497,7 +528,12 @@ const createOrder = [
             {
               model: Product,
               as: 'product',
-              attributes: ['id', 'name', 'price', 'sku', 'stock_quantity', 'is_active']
+              attributes: ['id', 'name', 'price', 'sku', 'stock_quantity', 'is_active', 'category_id', 'weight_grams']
+            },
+            {
+              model: ProductVariant,
+              as: 'variant',
+              attributes: ['id', 'name', 'options', 'sku', 'price', 'stock_quantity', 'weight_grams', 'is_active']
             }
           ],
           transaction
@@ -519,7 +555,7 @@ const createOrder = [
       for (const cartItem of cartItems) {
         const product = cartItem.product;
 
-        if (!product || !product.is_active) {
+        if (!isLineAvailable(cartItem)) {
           await transaction.rollback();
           return res.status(400).json({
             success: false,
@@ -527,23 +563,95 @@ const createOrder = [
           });
         }
 
-        if (product.stock_quantity < cartItem.quantity) {
+        // Lines added before the product got variants would sell the product's own (derived) stock
+        if (!cartItem.variant_id && await countActiveVariants(product.id, { transaction }) > 0) {
+          await transaction.rollback();
+          return res.status(400).json({
+            success: false,
+            message: `Please select a variant of "${product.name}"`
+          });
+        }
+
+        const line = getLineDetails(cartItem);
+
+        if (line.stock_quantity < cartItem.quantity) {
           await transaction.rollback();
           return res.status(400).json({
             success: false,
-            message: `Insufficient stock for "${product.name}". Available: ${product.stock_quantity}`
+            message: `Insufficient stock for "${product.name}${cartItem.variant ? ` (${cartItem.variant.name})` : ''}". Available: ${line.stock_quantity}`
           });
         }
 
-        subtotal += product.price * cartItem.quantity;
+        subtotal += line.price * cartItem.quantity;
         validCartItems.push(cartItem);
       }
 
-      // Calculate totals (simplified - no tax/discount logic for now)
-      const shipping_cost = 0; // Could be calculated based on shipping method
-      const tax_amount = 0; // Could be calculated based on location
-      const discount_amount = 0; // Could be applied from coupons
-      const total_amount = subtotal + shipping_cost + tax_amount - discount_amount;
+      // Apply coupon discount
+      let coupon = null;
+      let discount_amount = 0;
+
+      if (coupon_code) {
+        coupon = await findCouponByCode(coupon_code, { transaction, lock: true });
+
+        if (!coupon) {
+          await transaction.rollback();
+          return res.status(404).json({
+            success: false,
+            message: 'Coupon not found'
+          });
+        }
+
+        const couponResult = await evaluateCoupon(coupon, {
+          userId: req.user.id,
+          items: toLineItems(validCartItems),
+          transaction
+        });
+
+        if (!couponResult.valid) {
+          await transaction.rollback();
+          return res.status(400).json({
+            success: false,
+            message: couponResult.message
+          });
+        }
+
+        discount_amount = couponResult.discount_amount;
+      }
+
+      // Shipping cost from the selected rate. Stores without configured rates ship for free.
+      let shipping_cost = 0;
+      let orderShippingMethod = shipping_method;
+
+      const shippingQuotes = await getShippingQuotes(address, calculateCartWeight(validCartItems), { transaction });
+
+      if (shipping_rate_id) {
+        const quote = shippingQuotes.find(q => q.shipping_rate_id === parseInt(shipping_rate_id));
+
+        if (!quote) {
+          await transaction.rollback();
+          return res.status(400).json({
+            success: false,
+            message: 'Selected shipping rate is not available for this address'
+          });
+        }
+
+        shipping_cost = quote.cost;
+        orderShippingMethod = quote.shipping_method;
+      } else if (shippingQuotes.length > 0) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: 'Please select a shipping rate'
+        });
+      }
+
+      // Tax (PPN) on the discounted item prices; inclusive tax is already part of the subtotal
+      const tax = calculateTax(await getTaxSetting({ transaction }), toLineItems(validCartItems), {
+        discountAmount: discount_amount
+      });
+      const tax_amount = tax.tax_amount;
+
+      const total_amount = subtotal + shipping_cost + tax.added_amount - discount_amount;
 
       // Generate order number
       let orderNumber;
@@ -576,9 +684,11 @@ const createOrder = [
         subtotal,
         shipping_cost,
         tax_amount,
+        tax_rate: tax.rate,
+        tax_inclusive: tax.is_inclusive,
         discount_amount,
         total_amount,
-        shipping_method,
+        shipping_method: orderShippingMethod,
         notes,
         ordered_at: new Date()
       }, { transaction });
@@ -586,26 +696,53 @@ const createOrder = [
       // Create order items and update stock
       const orderItems = [];
       for (const cartItem of validCartItems) {
-        const product = cartItem.product;
+        const { product, variant } = cartItem;
+        const line = getLineDetails(cartItem);
 
         const orderItem = await OrderItem.create({
           order_id: order.id,
           product_id: product.id,
+          variant_id: variant ? variant.id : null,
           quantity: cartItem.quantity,
-          unit_price: product.price,
-          total_price: product.price * cartItem.quantity,
+          unit_price: line.price,
+          total_price: line.price * cartItem.quantity,
           product_name: product.name,
-          product_sku: product.sku
+          product_sku: line.sku,
+          variant_name: variant ? variant.name : null,
+          variant_options: variant ? variant.options : null
         }, { transaction });
 
-        // Reduce stock
-        await product.update({
-          stock_quantity: product.stock_quantity - cartItem.quantity
+        // Reduce stock; the ledger locks the row, so concurrent orders cannot oversell
+        const stockResult = await recordStockMovement({
+          productId: product.id,
+          variantId: variant ? variant.id : null,
+          change: -cartItem.quantity,
+          type: 'sale',
+          reason: 'Order placed',
+          orderId: order.id,
+          actorId: req.user.id
         }, { transaction });
 
+        if (!stockResult || !stockResult.success) {
+          await transaction.rollback();
+          return res.status(400).json({
+            success: false,
+            message: `Insufficient stock for "${product.name}${variant ? ` (${variant.name})` : ''}"`
+          });
+        }
+
         orderItems.push(orderItem);
       }
 
+      if (coupon) {
+        await redeemCoupon(coupon, {
+          userId: req.user.id,
+          orderId: order.id,
+          discountAmount: discount_amount,
+          transaction
+        });
+      }
+
       // Remove cart items
       await Cart.destroy({
         where: {
@@ -629,7 +766,7 @@ const createOrder = [
           {
             model: OrderItem,
             as: 'items',
-            attributes: ['id', 'product_name', 'quantity', 'unit_price', 'total_price']
+            attributes: ['id', 'product_name', 'variant_name', 'quantity', 'unit_price', 'total_price']
           }
         ]
       });
@@ -673,14 +810,7 @@ const cancelOrder = [
         where: {
           id,
           user_id: req.user.id
-        },
-        include: [
-          {
-            model: OrderItem,
-            as: 'items',
-            attributes: ['id', 'product_id', 'quantity']
-          }
-        ]
+        }
       });
 
       if (!order) {
@@ -691,48 +821,30 @@ const cancelOrder = [
       }
 
       // Check if order can be cancelled
-      if (!['pending', 'confirmed'].includes(order.status)) {
+      if (!CANCELLABLE_STATUSES.includes(order.status)) {
         return res.status(400).json({
           success: false,
           message: 'Order cannot be cancelled at this stage'
         });
       }
 
-      const transaction = await Order.sequelize.transaction();
-      let transactionCommitted = false;
-
-      try {
-        // Update order status
-        await order.update({ status: 'cancelled' }, { transaction });
-
-        // Restore product stock
-        for (const orderItem of order.items) {
-          const product = await Product.findByPk(orderItem.product_id, { transaction });
-          if (product) {
-            await product.update({
-              stock_quantity: product.stock_quantity + orderItem.quantity
-            }, { transaction });
-          }
-        }
-
-        // Cancel payment if exists
-        if (order.payment_status === 'pending') {
-          await order.update({ payment_status: 'failed' }, { transaction });
-        }
-
-        await transaction.commit();
-        transactionCommitted = true;
+      // Restocks the items and fails a pending payment; a paid order is flagged for refund
+      const result = await cancelOrderWithRestock(order.id, {
+        actorId: req.user.id,
+        allowedStatuses: CANCELLABLE_STATUSES
+      });
 
-        res.json({
-          success: true,
-          message: 'Order cancelled successfully'
+      if (!result.success) {
+        return res.status(result.status).json({
+          success: false,
+          message: result.message
         });
-      } catch (error) {
-        if (!transactionCommitted) {
-          await transaction.rollback();
-        }
-        throw error;
       }
+
+      res.json({
+        success: true,
+        message: 'Order cancelled successfully'
+      });
     } catch (error) {
       console.error('Cancel order error:', error);
       res.status(500).json({
@@ -1,6 +1,7 @@
 const { OrderItem, Order, Product, ProductImage } = require('../../models');
 const { Op } = require('sequelize');
-const { param, query, validationResult } = require('express-validator');
+const { param, validationResult } = require('express-validator');
+const { paginationValidators, paginate } = require('../../utils/pagination');
 
 /**
  * @swagger
@@ -27,6 +28,11 @@ const { param, query, validationResult } = require('express-validator');
  *           maximum: 100
  *         description: Items per page
  *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Cursor from the next_cursor or prev_cursor of a previous response. Used instead of page; totals are then null
+ *       - in: query
  *         name: sort_by
  *         schema:
  *           type: string
@@ -71,6 +77,15 @@ const { param, query, validationResult } = require('express-validator');
  *                             type: string
  *                           product_sku:
  *                             type: string
+ *                           variant_id:
+ *                             type: integer
+ *                             nullable: true
+ *                           variant_name:
+ *                             type: string
+ *                             nullable: true
+ *                           variant_options:
+ *                             type: object
+ *                             nullable: true
  *                           product_image:
  *                             type: string
  *                             format: uri
@@ -101,6 +116,12 @@ const { param, query, validationResult } = require('express-validator');
  *                           type: boolean
  *                         has_prev:
  *                           type: boolean
+ *                         next_cursor:
+ *                           type: string
+ *                           nullable: true
+ *                         prev_cursor:
+ *                           type: string
+ *                           nullable: true
  *       401:
  *         description: Unauthorized
  *         content:
@@ -164,6 +185,15 @@ const { param, query, validationResult } = require('express-validator');
  *                             type: string
  *                           product_sku:
  *                             type: string
+ *                           variant_id:
+ *                             type: integer
+ *                             nullable: true
+ *                           variant_name:
+ *                             type: string
+ *                             nullable: true
+ *                           variant_options:
+ *                             type: object
+ *                             nullable: true
  *                           product_image:
  *                             type: string
  *                             format: uri
@@ -202,8 +232,7 @@ const { param, query, validationResult } = require('express-validator');
  */
 
 const getOrderItems = [
-  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
-  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  ...paginationValidators,
 
   async (req, res) => {
     try {
@@ -219,18 +248,17 @@ const getOrderItems = [
       const {
         page = 1,
         limit = 10,
+        cursor,
         sort_by = 'created_at',
         sort_order = 'DESC'
       } = req.query;
 
-      const offset = (page - 1) * limit;
-
       const validSortFields = ['id', 'product_name', 'quantity', 'unit_price', 'total_price', 'created_at'];
       const sortField = validSortFields.includes(sort_by) ? sort_by : 'created_at';
       const sortDirection = sort_order.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
 
       // Get order items through orders to ensure user access control
-      const { count, rows: orderItems } = await OrderItem.findAndCountAll({
+      const result = await paginate(OrderItem, {
         include: [
           {
             model: Order,
@@ -255,13 +283,21 @@ const getOrderItems = [
             required: false
           }
         ],
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        order: [[sortField, sortDirection]],
-        distinct: true
+        sortField,
+        sortDirection,
+        page,
+        limit,
+        cursor
       });
 
-      const totalPages = Math.ceil(count / limit);
+      if (!result) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cursor does not match the requested sort order'
+        });
+      }
+
+      const { rows: orderItems, pagination } = result;
 
       // Format the response
       const formattedOrderItems = orderItems.map(item => ({
@@ -272,6 +308,9 @@ const getOrderItems = [
         product_id: item.product_id,
         product_name: item.product_name,
         product_sku: item.product_sku,
+        variant_id: item.variant_id,
+        variant_name: item.variant_name,
+        variant_options: item.variant_options,
         product_image: item.product?.images && item.product.images.length > 0 ? item.product.images[0].image_url : null,
         quantity: item.quantity,
         unit_price: item.unit_price,
@@ -283,14 +322,7 @@ const getOrderItems = [
         success: true,
         data: {
           order_items: formattedOrderItems,
-          pagination: {
-            current_page: parseInt(page),
-            total_pages: totalPages,
-            total_items: count,
-            items_per_page: parseInt(limit),
-            has_next: page < totalPages,
-            has_prev: page > 1
-          }
+          pagination
         }
       });
     } catch (error) {
@@ -366,6 +398,9 @@ const getOrderItemsByOrder = [
         product_id: item.product_id,
         product_name: item.product_name,
         product_sku: item.product_sku,
+        variant_id: item.variant_id,
+        variant_name: item.variant_name,
+        variant_options: item.variant_options,
         product_image: item.product?.images && item.product.images.length > 0 ? item.product.images[0].image_url : null,
         quantity: item.quantity,
         unit_price: item.unit_price,
@@ -1,5 +1,5 @@
-const { Payment, Order, User } = require('../../models');
-const { createTransaction } = require('../../utils/midtrans');
+const { Payment, Order, OrderItem, User, Address } = require('../../models');
+const { createTransaction, buildItemDetails, buildShippingAddress } = require('../../utils/midtrans');
 const { body, param, validationResult } = require('express-validator');
 
 /**
@@ -193,7 +193,17 @@ const createPayment = [
           {
             model: User,
             as: 'user',
-            attributes: ['id', 'name', 'email']
+            attributes: ['id', 'name', 'email', 'phone']
+          },
+          {
+            model: OrderItem,
+            as: 'items',
+            attributes: ['id', 'product_id', 'product_name', 'product_sku', 'variant_name', 'quantity', 'unit_price']
+          },
+          {
+            model: Address,
+            as: 'address',
+            paranoid: false // the order keeps its address even if the customer deleted it later
           }
         ]
       });
@@ -222,26 +232,22 @@ const createPayment = [
         });
       }
 
+      const { grossAmount, itemDetails } = buildItemDetails(order);
+
       // Prepare Midtrans transaction details
       const transactionDetails = {
         transaction_details: {
           order_id: order.order_number,
-          gross_amount: parseInt(order.total_amount)
+          gross_amount: grossAmount
         },
         customer_details: {
           first_name: order.user.name.split(' ')[0],
           last_name: order.user.name.split(' ').slice(1).join(' ') || '',
           email: order.user.email,
-          phone: order.user.phone || ''
+          phone: order.user.phone || '',
+          shipping_address: buildShippingAddress(order.address)
         },
-        item_details: [
-          {
-            id: order.order_number,
-            price: parseInt(order.total_amount),
-            quantity: 1,
-            name: `Order ${order.order_number}`
-          }
-        ]
+        item_details: itemDetails
       };
 
       // Create Midtrans transaction
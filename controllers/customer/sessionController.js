@@ -0,0 +1,193 @@
+const { UserSession } = require('../../models');
+const { Op } = require('sequelize');
+const { param, validationResult } = require('express-validator');
+const { revokeSession: revokeUserSession } = require('../../utils/session');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     UserSession:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         user_agent:
+ *           type: string
+ *           nullable: true
+ *           example: "Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X)"
+ *         ip_address:
+ *           type: string
+ *           nullable: true
+ *           example: "203.0.113.10"
+ *         issued_at:
+ *           type: string
+ *           format: date-time
+ *         last_used_at:
+ *           type: string
+ *           format: date-time
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *         is_current:
+ *           type: boolean
+ *           description: Whether this is the session making the request
+ */
+
+/**
+ * @swagger
+ * /customer/sessions:
+ *   get:
+ *     tags:
+ *       - Customer Sessions
+ *     summary: Get active sessions
+ *     description: List the devices currently logged in to the customer's account
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     sessions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/UserSession'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await UserSession.findAll({
+      where: {
+        user_id: req.user.id,
+        revoked_at: null,
+        expires_at: { [Op.gt]: new Date() }
+      },
+      order: [['last_used_at', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          id: session.id,
+          user_agent: session.user_agent,
+          ip_address: session.ip_address,
+          issued_at: session.createdAt,
+          last_used_at: session.last_used_at,
+          expires_at: session.expires_at,
+          is_current: session.id === req.user.session_id
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /customer/sessions/{id}:
+ *   delete:
+ *     tags:
+ *       - Customer Sessions
+ *     summary: Revoke a session
+ *     description: Log out a single device
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Session revoked successfully"
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Session not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+const revokeSession = [
+  param('id').isInt().withMessage('Session ID must be an integer'),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const revoked = await revokeUserSession(req.params.id, req.user.id, 'logout');
+      if (!revoked) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Session revoked successfully'
+      });
+    } catch (error) {
+      console.error('Revoke session error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to revoke session',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+module.exports = {
+  getSessions,
+  revokeSession
+};
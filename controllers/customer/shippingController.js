@@ -0,0 +1,199 @@
+const { Address, Cart, Product, ProductVariant } = require('../../models');
+const { Op } = require('sequelize');
+const { body, validationResult } = require('express-validator');
+const { calculateCartWeight, getShippingQuotes } = require('../../utils/shipping');
+const { isLineAvailable } = require('../../utils/productVariant');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ShippingQuote:
+ *       type: object
+ *       properties:
+ *         shipping_rate_id:
+ *           type: integer
+ *           example: 3
+ *         carrier:
+ *           type: string
+ *           example: "JNE"
+ *         service_type:
+ *           type: string
+ *           example: "REG"
+ *         service_name:
+ *           type: string
+ *           example: "Layanan Reguler"
+ *         shipping_method:
+ *           type: string
+ *           example: "JNE REG"
+ *         weight_grams:
+ *           type: integer
+ *           example: 1800
+ *         billable_weight_kg:
+ *           type: integer
+ *           example: 2
+ *         cost:
+ *           type: number
+ *           example: 18000
+ *         estimated_days_min:
+ *           type: integer
+ *           example: 2
+ *         estimated_days_max:
+ *           type: integer
+ *           example: 3
+ */
+
+/**
+ * @swagger
+ * /customer/shipping/quote:
+ *   post:
+ *     tags:
+ *       - Customer Shipping
+ *     summary: Get shipping quotes
+ *     description: Quote every available courier service for the current cart and a delivery address. Pass the chosen shipping_rate_id when creating the order.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - address_id
+ *             properties:
+ *               address_id:
+ *                 type: integer
+ *                 example: 1
+ *               cart_item_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Cart items to ship (optional, uses the whole cart if not provided)
+ *     responses:
+ *       200:
+ *         description: Shipping quotes calculated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     weight_grams:
+ *                       type: integer
+ *                     quotes:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ShippingQuote'
+ *       400:
+ *         description: Validation error or empty cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Address not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+const getShippingQuote = [
+  body('address_id').isInt().withMessage('Address ID must be an integer'),
+  body('cart_item_ids').optional().isArray().withMessage('Cart item IDs must be an array'),
+  body('cart_item_ids.*').optional().isInt().withMessage('Cart item ID must be an integer'),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { address_id, cart_item_ids } = req.body;
+
+      const address = await Address.findOne({
+        where: {
+          id: address_id,
+          user_id: req.user.id,
+          is_active: true
+        }
+      });
+
+      if (!address) {
+        return res.status(404).json({
+          success: false,
+          message: 'Address not found or inactive'
+        });
+      }
+
+      const whereClause = { user_id: req.user.id };
+      if (cart_item_ids && cart_item_ids.length > 0) {
+        whereClause.id = { [Op.in]: cart_item_ids };
+      }
+
+      const cartItems = await Cart.findAll({
+        where: whereClause,
+        include: [
+          {
+            model: Product,
+            as: 'product',
+            attributes: ['id', 'weight_grams', 'is_active']
+          },
+          {
+            model: ProductVariant,
+            as: 'variant',
+            attributes: ['id', 'weight_grams', 'is_active']
+          }
+        ]
+      });
+
+      const availableItems = cartItems.filter(isLineAvailable);
+
+      if (availableItems.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No items in cart'
+        });
+      }
+
+      const weightGrams = calculateCartWeight(availableItems);
+      const quotes = await getShippingQuotes(address, weightGrams);
+
+      res.json({
+        success: true,
+        data: {
+          weight_grams: weightGrams,
+          quotes
+        }
+      });
+    } catch (error) {
+      console.error('Get shipping quote error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to calculate shipping quotes',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+module.exports = {
+  getShippingQuote
+};
@@ -0,0 +1,442 @@
+const { Category, Product, sequelize } = require('../../models');
+const { param, validationResult } = require('express-validator');
+const { productFilterValidators, findGuestProducts } = require('./productController');
+const { buildCategoryTree, getDescendantIdMap } = require('../../utils/categoryTree');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     GuestCategory:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         parent_id:
+ *           type: integer
+ *           nullable: true
+ *         name:
+ *           type: string
+ *           example: "Dog Food"
+ *         description:
+ *           type: string
+ *         image_url:
+ *           type: string
+ *         sort_order:
+ *           type: integer
+ *         product_count:
+ *           type: integer
+ *           description: Number of active products in the category and its active subcategories
+ *           example: 24
+ */
+
+/**
+ * @swagger
+ * /api/v1/categories:
+ *   get:
+ *     tags:
+ *       - Guest Categories
+ *     summary: Get all categories (Public)
+ *     description: Retrieve active categories ordered by sort_order, with their number of active products. This endpoint is accessible without authentication.
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Categories retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     categories:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/GuestCategory'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /api/v1/categories/tree:
+ *   get:
+ *     tags:
+ *       - Guest Categories
+ *     summary: Get category tree (Public)
+ *     description: Retrieve active categories nested under their parents. Subcategories of an inactive category are left out. This endpoint is accessible without authentication.
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Category tree retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     categories:
+ *                       type: array
+ *                       description: Top-level categories, each with a nested `children` array
+ *                       items:
+ *                         $ref: '#/components/schemas/GuestCategory'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /api/v1/categories/{id}:
+ *   get:
+ *     tags:
+ *       - Guest Categories
+ *     summary: Get category by ID (Public)
+ *     description: Retrieve an active category with its number of active products. This endpoint is accessible without authentication.
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Category ID
+ *     responses:
+ *       200:
+ *         description: Category retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     category:
+ *                       $ref: '#/components/schemas/GuestCategory'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Category not found or inactive
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /api/v1/categories/{id}/products:
+ *   get:
+ *     tags:
+ *       - Guest Categories
+ *     summary: Get products in a category (Public)
+ *     description: Retrieve a paginated list of active products in an active category and its active subcategories. Accepts the same filters as GET /api/v1/products except category_id.
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Category ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Cursor from the next_cursor or prev_cursor of a previous response. Used instead of page; totals are then null
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: featured
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: min_price
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: max_price
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tags_match
+ *         schema:
+ *           type: string
+ *           enum: [any, all]
+ *       - in: query
+ *         name: in_stock_only
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: sort_by
+ *         schema:
+ *           type: string
+ *           enum: [relevance, popularity, newest, id, name, price, stock_quantity, created_at, updated_at]
+ *       - in: query
+ *         name: sort_order
+ *         schema:
+ *           type: string
+ *           enum: [ASC, DESC]
+ *           default: DESC
+ *     responses:
+ *       200:
+ *         description: Products retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     category:
+ *                       $ref: '#/components/schemas/GuestCategory'
+ *                     products:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Product'
+ *                     pagination:
+ *                       type: object
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Category not found or inactive
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+const categoryAttributes = ['id', 'parent_id', 'name', 'description', 'image_url', 'sort_order'];
+
+/**
+ * Set product_count on each category to its active products, including those
+ * of active subcategories: the same products its product listing returns.
+ */
+const addProductCounts = async (categories) => {
+  const [descendantIds, productCounts] = await Promise.all([
+    getDescendantIdMap({ activeOnly: true }),
+    Product.findAll({
+      where: { is_active: true },
+      attributes: ['category_id', [sequelize.fn('COUNT', sequelize.col('id')), 'product_count']],
+      group: ['category_id'],
+      raw: true
+    })
+  ]);
+  const countByCategory = new Map(productCounts.map(row => [row.category_id, parseInt(row.product_count)]));
+
+  for (const category of categories) {
+    const ids = descendantIds.get(category.id) || [category.id];
+    category.setDataValue('product_count', ids.reduce((sum, id) => sum + (countByCategory.get(id) || 0), 0));
+  }
+
+  return categories;
+};
+
+const findActiveCategory = async (id) => {
+  const category = await Category.findOne({
+    where: { id, is_active: true },
+    attributes: categoryAttributes
+  });
+
+  if (category) {
+    await addProductCounts([category]);
+  }
+  return category;
+};
+
+const getCategories = async (req, res) => {
+  try {
+    const categories = await Category.findAll({
+      where: { is_active: true },
+      attributes: categoryAttributes,
+      order: [['sort_order', 'ASC'], ['name', 'ASC']]
+    });
+    await addProductCounts(categories);
+
+    res.json({
+      success: true,
+      data: { categories }
+    });
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch categories',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+};
+
+const getCategoryTree = async (req, res) => {
+  try {
+    const categories = await Category.findAll({
+      where: { is_active: true },
+      attributes: categoryAttributes,
+      order: [['sort_order', 'ASC'], ['name', 'ASC']]
+    });
+    await addProductCounts(categories);
+
+    res.json({
+      success: true,
+      data: { categories: buildCategoryTree(categories) }
+    });
+  } catch (error) {
+    console.error('Get category tree error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch category tree',
+      error: process.env.NODE_ENV === 'development' ? error.message : {}
+    });
+  }
+};
+
+const getCategory = [
+  param('id').isInt().withMessage('Category ID must be an integer'),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const category = await findActiveCategory(req.params.id);
+
+      if (!category) {
+        return res.status(404).json({
+          success: false,
+          message: 'Category not found or inactive'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { category }
+      });
+    } catch (error) {
+      console.error('Get category error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch category',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+const getCategoryProducts = [
+  param('id').isInt().withMessage('Category ID must be an integer'),
+  ...productFilterValidators,
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const category = await findActiveCategory(req.params.id);
+
+      if (!category) {
+        return res.status(404).json({
+          success: false,
+          message: 'Category not found or inactive'
+        });
+      }
+
+      const result = await findGuestProducts(req.query, { categoryId: category.id });
+
+      if (!result) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cursor pagination is not available for this search or sort order'
+        });
+      }
+
+      const { products, pagination, facets } = result;
+
+      res.json({
+        success: true,
+        data: {
+          category,
+          products,
+          pagination,
+          facets
+        }
+      });
+    } catch (error) {
+      console.error('Get category products error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch category products',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  }
+];
+
+module.exports = {
+  getCategories,
+  getCategoryTree,
+  getCategory,
+  getCategoryProducts
+};
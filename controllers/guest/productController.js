@@ -1,6 +1,9 @@
-const { Product, Category, ProductImage } = require('../../models');
+const { Product, Category, ProductImage, ProductVariant, sequelize } = require('../../models');
 const { Op } = require('sequelize');
 const { param, query, validationResult } = require('express-validator');
+const { getDescendantIds, getCategoryPath } = require('../../utils/categoryTree');
+const { searchProducts } = require('../../utils/productSearch');
+const { paginationValidators, buildPagination, paginate } = require('../../utils/pagination');
 
 /**
  * @swagger
@@ -28,27 +31,62 @@ const { param, query, validationResult } = require('express-validator');
  *           default: 10
  *         description: Items per page
  *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Cursor from the next_cursor or prev_cursor of a previous response. Used instead of page; totals are then null
+ *       - in: query
  *         name: search
  *         schema:
  *           type: string
- *         description: Search term for product name, description, or SKU
+ *         description: Search term matched against product name, SKU, tags and description, allowing prefixes and small typos. Results are ranked by relevance and come with facet counts.
  *       - in: query
  *         name: category_id
  *         schema:
- *           type: integer
- *         description: Filter by category ID
+ *           type: string
+ *           example: "3,7"
+ *         description: Filter by one or more comma-separated category IDs, including their active subcategories
  *       - in: query
  *         name: featured
  *         schema:
  *           type: boolean
  *         description: Filter by featured status
  *       - in: query
+ *         name: min_price
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *         description: Minimum price (inclusive)
+ *       - in: query
+ *         name: max_price
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *         description: Maximum price (inclusive)
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *           example: "grain-free,puppy"
+ *         description: Comma-separated tags to filter by
+ *       - in: query
+ *         name: tags_match
+ *         schema:
+ *           type: string
+ *           enum: [any, all]
+ *           default: any
+ *         description: Whether products need any or all of the given tags
+ *       - in: query
+ *         name: in_stock_only
+ *         schema:
+ *           type: boolean
+ *         description: Only return products with stock available
+ *       - in: query
  *         name: sort_by
  *         schema:
  *           type: string
- *           enum: [id, name, price, stock_quantity, created_at, updated_at]
- *           default: created_at
- *         description: Sort field
+ *           enum: [relevance, popularity, newest, id, name, price, stock_quantity, created_at, updated_at]
+ *         description: Sort field (defaults to relevance when searching, otherwise created_at). popularity orders by units sold in confirmed orders; newest is created_at DESC
  *       - in: query
  *         name: sort_order
  *         schema:
@@ -95,6 +133,14 @@ const { param, query, validationResult } = require('express-validator');
  *                         has_prev:
  *                           type: boolean
  *                           example: false
+ *                         next_cursor:
+ *                           type: string
+ *                           nullable: true
+ *                         prev_cursor:
+ *                           type: string
+ *                           nullable: true
+ *                     facets:
+ *                       $ref: '#/components/schemas/SearchFacets'
  *       400:
  *         description: Validation error
  *         content:
@@ -116,7 +162,7 @@ const { param, query, validationResult } = require('express-validator');
  *     tags:
  *       - Guest Products
  *     summary: Get product by ID (Public)
- *     description: Retrieve a specific active product by its ID. This endpoint is accessible without authentication.
+ *     description: Retrieve a specific active product by its ID, with its active variants. Products with variants are bought by variant, each with its own SKU, price and stock. This endpoint is accessible without authentication.
  *     security: []
  *     parameters:
  *       - in: path
@@ -141,6 +187,24 @@ const { param, query, validationResult } = require('express-validator');
  *                   properties:
  *                     product:
  *                       $ref: '#/components/schemas/Product'
+ *                     breadcrumbs:
+ *                       type: array
+ *                       description: Active categories from the top level down to the product's category
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: integer
+ *                           name:
+ *                             type: string
+ *                     variant_options:
+ *                       type: object
+ *                       description: Values offered for each option across the active variants, for building option pickers
+ *                       additionalProperties:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       example: { "size": ["1 kg", "2 kg"], "flavour": ["Chicken", "Lamb"] }
  *       400:
  *         description: Validation error
  *         content:
@@ -161,13 +225,177 @@ const { param, query, validationResult } = require('express-validator');
  *               $ref: '#/components/schemas/Error'
  */
 
-const getProducts = [
-  // Validation
-  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
-  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+const SORT_FIELDS = ['relevance', 'popularity', 'newest', 'id', 'name', 'price', 'stock_quantity', 'created_at', 'updated_at'];
+
+// Units of the product in orders that went ahead (confirmed or later), for sort_by=popularity
+const unitsSoldAttribute = [
+  sequelize.literal("(SELECT COALESCE(SUM(order_items.quantity), 0) FROM order_items INNER JOIN orders ON orders.id = order_items.order_id WHERE order_items.product_id = `Product`.`id` AND order_items.deleted_at IS NULL AND orders.deleted_at IS NULL AND orders.status IN ('confirmed', 'processing', 'shipped', 'delivered'))"),
+  'units_sold'
+];
+
+const parseList = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+// Filters shared by the product listing and category product listing
+const productFilterValidators = [
+  ...paginationValidators,
   query('search').optional().trim().isLength({ min: 1 }).withMessage('Search term cannot be empty'),
-  query('category_id').optional().isInt().withMessage('Category ID must be an integer'),
+  query('category_id').optional().matches(/^\d+(,\d+)*$/).withMessage('Category ID must be an integer or a comma-separated list of integers'),
   query('featured').optional().isIn(['true', 'false']).withMessage('featured must be true or false'),
+  query('min_price').optional().isFloat({ min: 0 }).withMessage('min_price must be a non-negative number'),
+  query('max_price').optional().isFloat({ min: 0 }).withMessage('max_price must be a non-negative number')
+    .custom((value, { req }) => req.query.min_price === undefined || parseFloat(value) >= parseFloat(req.query.min_price))
+    .withMessage('max_price must not be less than min_price'),
+  query('tags').optional().trim().isLength({ min: 1 }).withMessage('tags cannot be empty'),
+  query('tags_match').optional().isIn(['any', 'all']).withMessage('tags_match must be any or all'),
+  query('in_stock_only').optional().isIn(['true', 'false']).withMessage('in_stock_only must be true or false'),
+  query('sort_by').optional().isIn(SORT_FIELDS).withMessage(`sort_by must be one of: ${SORT_FIELDS.join(', ')}`),
+  query('sort_order').optional().isIn(['ASC', 'DESC', 'asc', 'desc']).withMessage('sort_order must be ASC or DESC')
+];
+
+/**
+ * Active products matching the guest filters in `filters` (req.query), with
+ * pagination. `scope.categoryId` pins the category regardless of the query.
+ * A category matches products in its active subcategories as well. A search
+ * goes through the search index and also returns facet counts.
+ *
+ * Returns null when `cursor` cannot be used for the requested sort order.
+ */
+const findGuestProducts = async (filters, scope = {}) => {
+  const {
+    page = 1,
+    limit = 10,
+    cursor,
+    search,
+    category_id,
+    featured,
+    min_price,
+    max_price,
+    tags,
+    tags_match = 'any',
+    in_stock_only,
+    sort_by = search ? 'relevance' : 'created_at',
+    sort_order = 'DESC'
+  } = filters;
+
+  const whereClause = {
+    is_active: true // Only show active products for guests
+  };
+
+  // Category filter (one or more categories, each with its subcategories)
+  const categoryIds = scope.categoryId ? [scope.categoryId] : (category_id ? parseList(category_id) : []);
+  if (categoryIds.length > 0) {
+    const descendantIds = await Promise.all(categoryIds.map(id => getDescendantIds(id, { activeOnly: true })));
+    whereClause.category_id = { [Op.in]: [...new Set(descendantIds.flat())] };
+  }
+
+  // Featured filter
+  if (featured !== undefined) {
+    whereClause.featured = featured === 'true';
+  }
+
+  // Price range filter
+  if (min_price !== undefined || max_price !== undefined) {
+    whereClause.price = {};
+    if (min_price !== undefined) {
+      whereClause.price[Op.gte] = parseFloat(min_price);
+    }
+    if (max_price !== undefined) {
+      whereClause.price[Op.lte] = parseFloat(max_price);
+    }
+  }
+
+  // Stock filter
+  if (in_stock_only === 'true') {
+    whereClause.stock_quantity = { [Op.gt]: 0 };
+  }
+
+  // Tag filter: products with any (default) or all of the given tags
+  if (tags) {
+    const tagConditions = parseList(tags).map(tag => sequelize.where(
+      sequelize.fn('JSON_CONTAINS', sequelize.col('Product.tags'), JSON.stringify(tag)),
+      1
+    ));
+    whereClause[Op.and] = tags_match === 'all' ? tagConditions : [{ [Op.or]: tagConditions }];
+  }
+
+  // Sorting: newest is created_at DESC; popularity is units sold
+  const sortDirection = sort_by === 'newest' || sort_order.toUpperCase() !== 'ASC' ? 'DESC' : 'ASC';
+  let sortField = sort_by === 'newest' ? 'created_at' : sort_by;
+  if (!SORT_FIELDS.includes(sortField) || (sortField === 'relevance' && !search)) {
+    sortField = 'created_at';
+  }
+
+  // Relevance and popularity are computed per request, so they only support page
+  if (cursor && (search || sortField === 'popularity')) {
+    return null;
+  }
+
+  if (search) {
+    return searchProducts(search, {
+      where: whereClause,
+      categoryScope: { where: { is_active: true }, required: true },
+      page,
+      limit,
+      sortField: sortField === 'popularity' ? 'units_sold' : sortField,
+      sortAttribute: sortField === 'popularity' ? unitsSoldAttribute : null,
+      sortDirection
+    });
+  }
+
+  const include = [
+    {
+      model: Category,
+      as: 'category',
+      attributes: ['id', 'name'],
+      where: { is_active: true },
+      required: true
+    },
+    {
+      model: ProductImage,
+      as: 'images',
+      attributes: ['id', 'image_url', 'alt_text', 'is_primary', 'sort_order'],
+      where: { is_primary: true },
+      required: false,
+      limit: 1
+    }
+  ];
+
+  if (sortField === 'popularity') {
+    const { count, rows: products } = await Product.findAndCountAll({
+      where: whereClause,
+      attributes: { include: [unitsSoldAttribute] },
+      include,
+      limit: parseInt(limit),
+      offset: (page - 1) * limit,
+      order: [[unitsSoldAttribute[0], sortDirection], ['id', 'DESC']],
+      distinct: true
+    });
+
+    return {
+      products,
+      pagination: buildPagination(page, limit, count)
+    };
+  }
+
+  const result = await paginate(Product, {
+    where: whereClause,
+    include,
+    sortField,
+    sortDirection,
+    page,
+    limit,
+    cursor
+  });
+
+  return result && {
+    products: result.rows,
+    pagination: result.pagination
+  };
+};
+
+const getProducts = [
+  // Validation
+  ...productFilterValidators,
 
   async (req, res) => {
     try {
@@ -181,85 +409,18 @@ const getProducts = [
         });
       }
 
-      const {
-        page = 1,
-        limit = 10,
-        search,
-        category_id,
-        featured,
-        sort_by = 'created_at',
-        sort_order = 'DESC'
-      } = req.query;
-
-      const offset = (page - 1) * limit;
-      const whereClause = {
-        is_active: true // Only show active products for guests
-      };
-
-      // Search filter
-      if (search) {
-        whereClause[Op.or] = [
-          { name: { [Op.like]: `%${search}%` } },
-          { description: { [Op.like]: `%${search}%` } },
-          { sku: { [Op.like]: `%${search}%` } }
-        ];
-      }
+      const result = await findGuestProducts(req.query);
 
-      // Category filter
-      if (category_id) {
-        whereClause.category_id = category_id;
-      }
-
-      // Featured filter
-      if (featured !== undefined) {
-        whereClause.featured = featured === 'true';
+      if (!result) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cursor pagination is not available for this search or sort order'
+        });
       }
 
-      // Sorting
-      const validSortFields = ['id', 'name', 'price', 'stock_quantity', 'created_at', 'updated_at'];
-      const sortField = validSortFields.includes(sort_by) ? sort_by : 'created_at';
-      const sortDirection = sort_order.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
-
-      const { count, rows: products } = await Product.findAndCountAll({
-        where: whereClause,
-        include: [
-          {
-            model: Category,
-            as: 'category',
-            attributes: ['id', 'name'],
-            where: { is_active: true },
-            required: true
-          },
-          {
-            model: ProductImage,
-            as: 'images',
-            attributes: ['id', 'image_url', 'alt_text', 'is_primary', 'sort_order'],
-            where: { is_primary: true },
-            required: false,
-            limit: 1
-          }
-        ],
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        order: [[sortField, sortDirection]],
-        distinct: true
-      });
-
-      const totalPages = Math.ceil(count / limit);
-
       res.json({
         success: true,
-        data: {
-          products,
-          pagination: {
-            current_page: parseInt(page),
-            total_pages: totalPages,
-            total_items: count,
-            items_per_page: parseInt(limit),
-            has_next: page < totalPages,
-            has_prev: page > 1
-          }
-        }
+        data: result
       });
     } catch (error) {
       console.error('Get products error:', error);
@@ -306,8 +467,16 @@ const getProduct = [
             as: 'images',
             attributes: ['id', 'image_url', 'alt_text', 'is_primary', 'sort_order'],
             order: [['is_primary', 'DESC'], ['sort_order', 'ASC']]
+          },
+          {
+            model: ProductVariant,
+            as: 'variants',
+            attributes: ['id', 'name', 'options', 'sku', 'price', 'stock_quantity', 'weight_grams', 'sort_order'],
+            where: { is_active: true },
+            required: false
           }
-        ]
+        ],
+        order: [[{ model: ProductVariant, as: 'variants' }, 'sort_order', 'ASC'], [{ model: ProductVariant, as: 'variants' }, 'id', 'ASC']]
       });
 
       if (!product) {
@@ -317,9 +486,28 @@ const getProduct = [
         });
       }
 
+      const breadcrumbs = (await getCategoryPath(product.category_id))
+        .filter(category => category.is_active)
+        .map(({ id: categoryId, name }) => ({ id: categoryId, name }));
+
+      // Every value offered per option, in variant order
+      const variantOptions = {};
+      for (const variant of product.variants) {
+        Object.entries(variant.options || {}).forEach(([option, value]) => {
+          variantOptions[option] = variantOptions[option] || [];
+          if (!variantOptions[option].includes(String(value))) {
+            variantOptions[option].push(String(value));
+          }
+        });
+      }
+
       res.json({
         success: true,
-        data: { product }
+        data: {
+          product,
+          breadcrumbs,
+          variant_options: variantOptions
+        }
       });
     } catch (error) {
       console.error('Get product error:', error);
@@ -334,6 +522,8 @@ const getProduct = [
 
 module.exports = {
   getProducts,
-  getProduct
+  getProduct,
+  productFilterValidators,
+  findGuestProducts
 };
 
@@ -1,5 +1,5 @@
-const crypto = require('crypto');
-const { Payment, Order } = require('../models');
+const { verifySignature, getTransactionStatus } = require('../utils/midtrans');
+const { recordEvent, isAlreadyHandled, processEvent } = require('../utils/midtransWebhook');
 
 /**
  * @swagger
@@ -9,6 +9,9 @@ const { Payment, Order } = require('../models');
  *       type: object
  *       required:
  *         - order_id
+ *         - status_code
+ *         - gross_amount
+ *         - signature_key
  *         - transaction_status
  *       properties:
  *         order_id:
@@ -33,9 +36,13 @@ const { Payment, Order } = require('../models');
  *           type: string
  *           description: Payment method used
  *           example: "credit_card"
+ *         status_code:
+ *           type: string
+ *           description: HTTP-like status code of the transaction
+ *           example: "200"
  *         signature_key:
  *           type: string
- *           description: Signature key for verification
+ *           description: SHA512 of order_id + status_code + gross_amount + server key
  *           example: "signature-key-here"
  *         gross_amount:
  *           type: string
@@ -52,7 +59,7 @@ const { Payment, Order } = require('../models');
  *     tags:
  *       - Webhooks
  *     summary: Handle Midtrans payment notification
- *     description: Receives and processes payment status notifications from Midtrans payment gateway. Updates payment and order status accordingly.
+ *     description: Receives and processes payment status notifications from Midtrans payment gateway. The signature_key is verified against the server key before anything is changed; when MIDTRANS_VERIFY_STATUS is enabled the status is re-confirmed with the Midtrans status API. Every notification is stored in webhook_events, duplicates are acknowledged without being reapplied, and status changes that are not legal payment transitions (e.g. settlement back to pending) are ignored. Updates payment and order status accordingly.
  *     security: []  # No authentication required for webhooks
  *     requestBody:
  *       required: true
@@ -66,19 +73,24 @@ const { Payment, Order } = require('../models');
  *               value:
  *                 order_id: "ORD-12345-123"
  *                 transaction_id: "12345678-1234-1234-abcd-123456789012"
+ *                 status_code: "200"
  *                 transaction_status: "settlement"
  *                 fraud_status: "accept"
  *                 payment_type: "credit_card"
  *                 gross_amount: "100000.00"
  *                 currency: "IDR"
+ *                 signature_key: "signature-key-here"
  *             failed:
  *               summary: Failed payment
  *               value:
  *                 order_id: "ORD-12345-123"
  *                 transaction_id: "12345678-1234-1234-abcd-123456789012"
+ *                 status_code: "202"
  *                 transaction_status: "failure"
  *                 fraud_status: "accept"
  *                 payment_type: "bank_transfer"
+ *                 gross_amount: "100000.00"
+ *                 signature_key: "signature-key-here"
  *     responses:
  *       200:
  *         description: Webhook processed successfully
@@ -93,6 +105,7 @@ const { Payment, Order } = require('../models');
  *                 message:
  *                   type: string
  *                   example: "Webhook processed successfully"
+ *                   description: 'Also returned as "Duplicate notification ignored" or "Notification ignored: ..." when nothing was changed'
  *       404:
  *         description: Payment not found
  *         content:
@@ -113,6 +126,12 @@ const { Payment, Order } = require('../models');
  *                 message:
  *                   type: string
  *                   example: "Invalid signature"
+ *       502:
+ *         description: Transaction status could not be confirmed with Midtrans
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Internal server error during webhook processing
  *         content:
@@ -138,112 +157,79 @@ const midtransNotification = async (req, res) => {
     // Log webhook for debugging
     console.log('Midtrans webhook received:', JSON.stringify(notification, null, 2));
 
-    // Verify signature (recommended for production)
-    // if (process.env.WEBHOOK_SECRET_KEY) {
-    //   const signature = req.headers['x-signature'] || req.headers['signature'];
-    //   if (signature) {
-    //     const expectedSignature = crypto
-    //       .createHash('sha512')
-    //       .update(JSON.stringify(notification) + process.env.WEBHOOK_SECRET_KEY)
-    //       .digest('hex');
-
-    //     if (signature !== expectedSignature) {
-    //       console.log('Invalid signature');
-    //       return res.status(400).json({ message: 'Invalid signature' });
-    //     }
-    //   }
-    // }
+    // Verify the notification really comes from Midtrans
+    if (!verifySignature(notification)) {
+      console.log('Invalid signature for order_id:', notification.order_id);
+      return res.status(400).json({ message: 'Invalid signature' });
+    }
 
-    const {
-      order_id,
+    const { order_id } = notification;
+    let {
       transaction_id,
       transaction_status,
       fraud_status,
-      payment_type,
-      signature_key
+      payment_type
     } = notification;
 
-    // Find payment by order_id or transaction_id
-    let payment = await Payment.findOne({
-      where: {
-        [require('sequelize').Op.or]: [
-          { order_id: order_id },
-          { midtrans_order_id: order_id },
-          { midtrans_transaction_id: transaction_id }
-        ]
+    // Optionally re-confirm the status with Midtrans instead of trusting the payload
+    if (process.env.MIDTRANS_VERIFY_STATUS === 'true') {
+      const statusResult = await getTransactionStatus(order_id);
+      if (!statusResult.success) {
+        console.error('Failed to confirm transaction status for order_id:', order_id);
+        return res.status(502).json({
+          success: false,
+          message: 'Failed to confirm transaction status with Midtrans'
+        });
       }
-    });
-
-    if (!payment) {
-      console.log('Payment not found for order_id:', order_id);
-      return res.status(404).json({ message: 'Payment not found' });
-    }
 
-    // Update payment status
-    const updateData = {
-      status: transaction_status,
-      fraud_status: fraud_status || payment.fraud_status,
-      payment_method: payment_type || payment.payment_method,
-      midtrans_transaction_id: transaction_id || payment.midtrans_transaction_id,
-      signature_key: signature_key || payment.signature_key,
-      raw_response: { ...payment.raw_response, ...notification },
-      webhook_logs: [...(payment.webhook_logs || []), {
-        received_at: new Date(),
-        notification: notification
-      }]
-    };
+      const confirmed = statusResult.data;
+      if (confirmed.order_id && confirmed.order_id !== order_id) {
+        return res.status(400).json({ message: 'Transaction status does not match notification' });
+      }
 
-    // Set payment date for successful transactions
-    if (['capture', 'settlement'].includes(transaction_status)) {
-      updateData.payment_date = new Date();
+      transaction_id = confirmed.transaction_id || transaction_id;
+      transaction_status = confirmed.transaction_status;
+      fraud_status = confirmed.fraud_status || fraud_status;
+      payment_type = confirmed.payment_type || payment_type;
     }
 
-    // Set expiry time for expired transactions
-    if (transaction_status === 'expire') {
-      updateData.expiry_time = new Date();
+    if (!transaction_status) {
+      return res.status(400).json({ message: 'transaction_status is required' });
     }
 
-    await payment.update(updateData);
+    const { event, created } = await recordEvent(notification, {
+      order_id,
+      transaction_id,
+      transaction_status,
+      fraud_status,
+      payment_type
+    });
 
-    // Update order status based on payment status
-    const order = await Order.findByPk(payment.order_id);
-    if (order) {
-      let newOrderStatus = order.status;
-      let newPaymentStatus = order.payment_status;
+    // Midtrans retries until it gets a 2xx, so duplicates are acknowledged without reapplying them
+    if (!created && isAlreadyHandled(event)) {
+      console.log(`Duplicate webhook event ${event.id} (${event.event_key}) ignored`);
+      return res.status(200).json({
+        success: true,
+        message: 'Duplicate notification ignored'
+      });
+    }
 
-      switch (transaction_status) {
-        case 'settlement':
-        case 'capture':
-          newPaymentStatus = 'paid';
-          if (order.status === 'pending') {
-            newOrderStatus = 'confirmed';
-          }
-          break;
-        case 'pending':
-          newPaymentStatus = 'pending';
-          break;
-        case 'cancel':
-        case 'deny':
-        case 'failure':
-        case 'expire':
-          newPaymentStatus = 'failed';
-          if (order.status === 'pending') {
-            newOrderStatus = 'cancelled';
-          }
-          break;
-        case 'refund':
-        case 'partial_refund':
-          newPaymentStatus = 'refunded';
-          break;
-      }
+    const result = await processEvent(event);
+
+    if (result.outcome === 'not_found') {
+      console.log('Payment not found for order_id:', order_id);
+      return res.status(404).json({ message: 'Payment not found' });
+    }
 
-      await order.update({
-        status: newOrderStatus,
-        payment_status: newPaymentStatus
+    if (result.outcome === 'ignored') {
+      console.log(`Webhook event ${event.id} ignored: ${result.message}`);
+      return res.status(200).json({
+        success: true,
+        message: `Notification ignored: ${result.message}`
       });
     }
 
-    console.log(`Payment ${payment.id} updated to status: ${transaction_status}`);
+    console.log(`Payment ${result.payment.id} updated to status: ${transaction_status}`);
 
     res.status(200).json({
       success: true,
@@ -0,0 +1,33 @@
+const { runWithAuditContext, getAuditContext } = require('../utils/audit');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Run mutating admin requests inside an audit context so model writes are
+ * recorded in audit_logs. Must come after authenticate.
+ *
+ * Safe to use more than once per request: middleware such as multer continues
+ * in a different async context, so upload routes re-enter it afterwards.
+ */
+const auditContext = (req, res, next) => {
+  if (READ_METHODS.includes(req.method) || getAuditContext()) {
+    return next();
+  }
+
+  if (!req.auditContext) {
+    req.auditContext = {
+      actorId: req.user ? req.user.id : null,
+      actorEmail: req.user ? req.user.email : null,
+      requestId: req.id || null,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      ip: req.ip || null
+    };
+  }
+
+  runWithAuditContext(req.auditContext, next);
+};
+
+module.exports = {
+  auditContext
+};
@@ -1,5 +1,6 @@
 const { verifyToken } = require('../utils/jwt');
-const { User } = require('../models');
+const { User, UserSession } = require('../models');
+const { getUserPermissions, hasPermission } = require('../utils/permissions');
 
 const authenticate = async (req, res, next) => {
   try {
@@ -27,11 +28,25 @@ const authenticate = async (req, res, next) => {
       });
     }
 
+    // Tokens bound to a session stop working once it is revoked (logout)
+    if (decoded.sid) {
+      const session = await UserSession.findByPk(decoded.sid, { attributes: ['id', 'revoked_at'] });
+      if (!session || session.revoked_at) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked'
+        });
+      }
+    }
+
     req.user = {
       id: user.id,
       email: user.email,
       name: user.name,
-      role: user.role
+      role: user.role,
+      email_verified_at: user.email_verified_at,
+      two_factor_enabled: !!user.two_factor_enabled_at,
+      session_id: decoded.sid || null
     };
 
     next();
@@ -65,6 +80,74 @@ const authorize = (...roles) => {
   };
 };
 
+// Admin-only; passes when any of the admin's roles grants one of `permissions`
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication required'
+        });
+      }
+
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          message: 'Insufficient permissions'
+        });
+      }
+
+      if (!req.user.permissions) {
+        req.user.permissions = await getUserPermissions(req.user.id);
+      }
+
+      if (!permissions.some(permission => hasPermission(req.user.permissions, permission))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Insufficient permissions',
+          required_permissions: permissions
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Permission check error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to check permissions',
+        error: process.env.NODE_ENV === 'development' ? error.message : {}
+      });
+    }
+  };
+};
+
+// Blocks admins without two-factor authentication when REQUIRE_ADMIN_2FA is enabled;
+// enrolment itself lives under /auth/2fa so it stays reachable
+const requireTwoFactor = (req, res, next) => {
+  if (process.env.REQUIRE_ADMIN_2FA === 'true' && req.user.role === 'admin' && !req.user.two_factor_enabled) {
+    return res.status(403).json({
+      success: false,
+      message: 'Two-factor authentication must be enabled to use the admin API',
+      two_factor_setup_required: true
+    });
+  }
+
+  next();
+};
+
+// Blocks unverified accounts when REQUIRE_EMAIL_VERIFICATION is enabled
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true' && !req.user.email_verified_at) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address first'
+    });
+  }
+
+  next();
+};
+
 // Specific role middlewares
 const requireAdmin = authorize('admin');
 const requireCustomer = authorize('customer');
@@ -75,5 +158,8 @@ module.exports = {
   authorize,
   requireAdmin,
   requireCustomer,
-  requireAdminOrCustomer
+  requireAdminOrCustomer,
+  requirePermission,
+  requireTwoFactor,
+  requireVerifiedEmail
 };
@@ -0,0 +1,46 @@
+const rateLimit = require('express-rate-limit');
+
+// Keyed by the requested email rather than the IP, so one address cannot be
+// flooded with reset emails from many machines
+const passwordResetLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: () => parseInt(process.env.PASSWORD_RESET_MAX_REQUESTS) || 3,
+  keyGenerator: (req) => String(req.body.email || '').trim().toLowerCase() || req.ip,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'Too many password reset requests for this email, please try again later'
+  }
+});
+
+// Stricter per-IP limits for credential endpoints, on top of the global API limiter.
+// Successful logins are not counted, so only guessing is throttled.
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: () => parseInt(process.env.LOGIN_RATE_LIMIT_MAX) || 10,
+  skipSuccessfulRequests: true,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'Too many login attempts from this IP, please try again later'
+  }
+});
+
+const registerLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: () => parseInt(process.env.REGISTER_RATE_LIMIT_MAX) || 5,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'Too many accounts created from this IP, please try again later'
+  }
+});
+
+module.exports = {
+  passwordResetLimiter,
+  loginLimiter,
+  registerLimiter
+};
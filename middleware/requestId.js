@@ -0,0 +1,13 @@
+const crypto = require('crypto');
+
+// Reuse a sane incoming X-Request-Id (e.g. from a load balancer), otherwise generate one
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && /^[\w-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = {
+  requestId
+};
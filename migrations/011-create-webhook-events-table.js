@@ -0,0 +1,99 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('webhook_events', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      provider: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        defaultValue: 'midtrans'
+      },
+      event_key: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+        unique: true
+      },
+      payment_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'payments',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      midtrans_order_id: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      midtrans_transaction_id: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      transaction_status: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      fraud_status: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      payment_type: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      payload: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      processing_status: {
+        type: Sequelize.ENUM('received', 'processed', 'ignored', 'failed'),
+        allowNull: false,
+        defaultValue: 'received'
+      },
+      processing_note: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      received_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      processed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('webhook_events', ['event_key'], { unique: true });
+    await queryInterface.addIndex('webhook_events', ['payment_id']);
+    await queryInterface.addIndex('webhook_events', ['midtrans_order_id']);
+    await queryInterface.addIndex('webhook_events', ['processing_status']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('webhook_events');
+  }
+};
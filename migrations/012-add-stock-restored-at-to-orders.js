@@ -0,0 +1,15 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('orders', 'stock_restored_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      after: 'delivered_at'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('orders', 'stock_restored_at');
+  }
+};
@@ -0,0 +1,95 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('coupons', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      code: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        unique: true
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      discount_type: {
+        type: Sequelize.ENUM('percentage', 'fixed'),
+        allowNull: false
+      },
+      discount_value: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      min_spend: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      max_discount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true
+      },
+      usage_limit: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      usage_limit_per_user: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      used_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      starts_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      category_ids: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      product_ids: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      deleted_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      }
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('coupons', ['code'], { unique: true });
+    await queryInterface.addIndex('coupons', ['is_active']);
+    await queryInterface.addIndex('coupons', ['expires_at']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('coupons');
+  }
+};
@@ -0,0 +1,91 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('shipping_rates', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      carrier: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      service_type: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      service_name: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      province: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      city: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      postal_code_prefix: {
+        type: Sequelize.STRING(10),
+        allowNull: true
+      },
+      base_cost: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      cost_per_kg: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      min_weight_grams: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      max_weight_grams: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      estimated_days_min: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      estimated_days_max: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      deleted_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      }
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('shipping_rates', ['carrier', 'service_type']);
+    await queryInterface.addIndex('shipping_rates', ['province', 'city']);
+    await queryInterface.addIndex('shipping_rates', ['is_active']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('shipping_rates');
+  }
+};
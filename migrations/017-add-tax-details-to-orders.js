@@ -0,0 +1,24 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('orders', 'tax_rate', {
+      type: Sequelize.DECIMAL(5, 2),
+      allowNull: false,
+      defaultValue: 0,
+      after: 'tax_amount'
+    });
+
+    await queryInterface.addColumn('orders', 'tax_inclusive', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      after: 'tax_rate'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('orders', 'tax_inclusive');
+    await queryInterface.removeColumn('orders', 'tax_rate');
+  }
+};
@@ -0,0 +1,15 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('users', 'email_verification_sent_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      after: 'email_verified_at'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('users', 'email_verification_sent_at');
+  }
+};
@@ -0,0 +1,129 @@
+'use strict';
+
+// Starting roles; admins can add their own through /admin/roles
+const SYSTEM_ROLES = [
+  {
+    name: 'super_admin',
+    description: 'Full access to every admin feature',
+    permissions: ['*']
+  },
+  {
+    name: 'catalog_manager',
+    description: 'Maintains products, categories, coupons and prices',
+    permissions: ['catalog:read', 'catalog:write', 'coupons:manage']
+  },
+  {
+    name: 'warehouse',
+    description: 'Packs orders and manages shipments',
+    permissions: ['catalog:read', 'orders:read', 'shipments:read', 'shipments:write']
+  },
+  {
+    name: 'finance',
+    description: 'Handles payments, tax and order reconciliation',
+    permissions: ['orders:read', 'orders:write', 'payments:read', 'payments:write', 'tax:manage']
+  }
+];
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('roles', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      name: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        unique: true
+      },
+      description: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      permissions: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      is_system: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.createTable('user_roles', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      role_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'roles',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      assigned_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('user_roles', ['user_id', 'role_id'], { unique: true });
+    await queryInterface.addIndex('user_roles', ['role_id']);
+
+    const now = new Date();
+    await queryInterface.bulkInsert('roles', SYSTEM_ROLES.map(role => ({
+      ...role,
+      permissions: JSON.stringify(role.permissions),
+      is_system: true,
+      created_at: now,
+      updated_at: now
+    })));
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('user_roles');
+    await queryInterface.dropTable('roles');
+  }
+};
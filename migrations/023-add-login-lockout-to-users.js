@@ -0,0 +1,43 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('users', 'failed_login_attempts', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      after: 'last_login_at'
+    });
+
+    await queryInterface.addColumn('users', 'last_failed_login_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      after: 'failed_login_attempts'
+    });
+
+    await queryInterface.addColumn('users', 'locked_until', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      after: 'last_failed_login_at'
+    });
+
+    await queryInterface.addColumn('users', 'unlock_token_hash', {
+      type: Sequelize.STRING(64),
+      allowNull: true,
+      after: 'locked_until'
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('users', ['locked_until']);
+    await queryInterface.addIndex('users', ['unlock_token_hash']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('users', ['unlock_token_hash']);
+    await queryInterface.removeIndex('users', ['locked_until']);
+    await queryInterface.removeColumn('users', 'unlock_token_hash');
+    await queryInterface.removeColumn('users', 'locked_until');
+    await queryInterface.removeColumn('users', 'last_failed_login_at');
+    await queryInterface.removeColumn('users', 'failed_login_attempts');
+  }
+};
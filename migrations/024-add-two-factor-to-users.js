@@ -0,0 +1,36 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('users', 'two_factor_secret', {
+      type: Sequelize.STRING(255),
+      allowNull: true,
+      after: 'unlock_token_hash'
+    });
+
+    await queryInterface.addColumn('users', 'two_factor_enabled_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      after: 'two_factor_secret'
+    });
+
+    await queryInterface.addColumn('users', 'two_factor_last_step', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      after: 'two_factor_enabled_at'
+    });
+
+    await queryInterface.addColumn('users', 'two_factor_recovery_codes', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      after: 'two_factor_last_step'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('users', 'two_factor_recovery_codes');
+    await queryInterface.removeColumn('users', 'two_factor_last_step');
+    await queryInterface.removeColumn('users', 'two_factor_enabled_at');
+    await queryInterface.removeColumn('users', 'two_factor_secret');
+  }
+};
@@ -0,0 +1,83 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('audit_logs', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      actor_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      actor_email: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      action: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      entity_type: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      entity_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      before: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      after: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      metadata: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      request_id: {
+        type: Sequelize.STRING(64),
+        allowNull: true
+      },
+      method: {
+        type: Sequelize.STRING(10),
+        allowNull: true
+      },
+      path: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      ip_address: {
+        type: Sequelize.STRING(45),
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('audit_logs', ['entity_type', 'entity_id']);
+    await queryInterface.addIndex('audit_logs', ['actor_id']);
+    await queryInterface.addIndex('audit_logs', ['action']);
+    await queryInterface.addIndex('audit_logs', ['request_id']);
+    await queryInterface.addIndex('audit_logs', ['created_at']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('audit_logs');
+  }
+};
@@ -0,0 +1,25 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('categories', 'parent_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'categories',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      after: 'id'
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('categories', ['parent_id']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('categories', ['parent_id']);
+    await queryInterface.removeColumn('categories', 'parent_id');
+  }
+};
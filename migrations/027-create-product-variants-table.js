@@ -0,0 +1,131 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('product_variants', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      product_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'products',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      name: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      options: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      sku: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        unique: true
+      },
+      price: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      stock_quantity: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0,
+        allowNull: false
+      },
+      weight_grams: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: true,
+        allowNull: false
+      },
+      sort_order: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0,
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      deleted_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      }
+    });
+
+    // A cart line is a product, or one variant of it
+    await queryInterface.addColumn('cart', 'variant_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'product_variants',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+      after: 'product_id'
+    });
+
+    // Order items keep a snapshot of the variant as it was ordered
+    await queryInterface.addColumn('order_items', 'variant_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'product_variants',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      after: 'product_id'
+    });
+
+    await queryInterface.addColumn('order_items', 'variant_name', {
+      type: Sequelize.STRING(255),
+      allowNull: true,
+      after: 'product_sku'
+    });
+
+    await queryInterface.addColumn('order_items', 'variant_options', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      after: 'variant_name'
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('product_variants', ['product_id']);
+    await queryInterface.addIndex('product_variants', ['is_active']);
+    await queryInterface.addIndex('cart', ['variant_id']);
+    // The new unique index is added first so the user_id foreign key always has an index
+    await queryInterface.addIndex('cart', ['user_id', 'product_id', 'variant_id'], { unique: true });
+    await queryInterface.removeIndex('cart', ['user_id', 'product_id']);
+    await queryInterface.addIndex('order_items', ['variant_id']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('order_items', ['variant_id']);
+    await queryInterface.addIndex('cart', ['user_id', 'product_id'], { unique: true });
+    await queryInterface.removeIndex('cart', ['user_id', 'product_id', 'variant_id']);
+    await queryInterface.removeIndex('cart', ['variant_id']);
+    await queryInterface.removeColumn('order_items', 'variant_options');
+    await queryInterface.removeColumn('order_items', 'variant_name');
+    await queryInterface.removeColumn('order_items', 'variant_id');
+    await queryInterface.removeColumn('cart', 'variant_id');
+    await queryInterface.dropTable('product_variants');
+  }
+};
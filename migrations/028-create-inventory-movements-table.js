@@ -0,0 +1,105 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('inventory_movements', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      product_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'products',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      variant_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'product_variants',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      type: {
+        type: Sequelize.ENUM('initial', 'sale', 'cancellation_restock', 'adjustment', 'return'),
+        allowNull: false
+      },
+      quantity_change: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      quantity_before: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      quantity_after: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      reason: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      order_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'orders',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      actor_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('inventory_movements', ['product_id', 'created_at']);
+    await queryInterface.addIndex('inventory_movements', ['variant_id']);
+    await queryInterface.addIndex('inventory_movements', ['order_id']);
+    await queryInterface.addIndex('inventory_movements', ['type']);
+
+    // Opening balances, so the ledger of every product and variant adds up to its current stock
+    await queryInterface.sequelize.query(`
+      INSERT INTO inventory_movements (product_id, variant_id, type, quantity_change, quantity_before, quantity_after, reason, created_at)
+      SELECT p.id, NULL, 'initial', p.stock_quantity, 0, p.stock_quantity, 'Opening balance', NOW()
+      FROM products p
+      WHERE p.deleted_at IS NULL
+        AND p.stock_quantity <> 0
+        AND NOT EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id AND v.deleted_at IS NULL)
+    `);
+    await queryInterface.sequelize.query(`
+      INSERT INTO inventory_movements (product_id, variant_id, type, quantity_change, quantity_before, quantity_after, reason, created_at)
+      SELECT v.product_id, v.id, 'initial', v.stock_quantity, 0, v.stock_quantity, 'Opening balance', NOW()
+      FROM product_variants v
+      WHERE v.deleted_at IS NULL
+        AND v.stock_quantity <> 0
+    `);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('inventory_movements');
+  }
+};
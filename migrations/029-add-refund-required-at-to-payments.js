@@ -0,0 +1,19 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('payments', 'refund_required_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      after: 'expiry_time'
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('payments', ['refund_required_at']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('payments', ['refund_required_at']);
+    await queryInterface.removeColumn('payments', 'refund_required_at');
+  }
+};
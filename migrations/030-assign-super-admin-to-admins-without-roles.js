@@ -0,0 +1,20 @@
+'use strict';
+
+// Admins without a role used to have every permission; they now have none,
+// so give the ones that exist today the super_admin role explicitly.
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query(`
+      INSERT INTO user_roles (user_id, role_id, assigned_by, created_at, updated_at)
+      SELECT u.id, r.id, NULL, NOW(), NOW()
+      FROM users u
+      JOIN roles r ON r.name = 'super_admin'
+      WHERE u.role = 'admin'
+        AND NOT EXISTS (SELECT 1 FROM user_roles ur WHERE ur.user_id = u.id)
+    `);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    // These assignments cannot be told apart from ones made later, so they are kept
+  }
+};
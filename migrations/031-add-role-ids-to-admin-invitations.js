@@ -0,0 +1,22 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('admin_invitations', 'role_ids', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      after: 'token_hash'
+    });
+
+    // Pending invitations were sent without roles and can no longer be accepted
+    await queryInterface.sequelize.query(`
+      UPDATE admin_invitations
+      SET revoked_at = NOW()
+      WHERE accepted_at IS NULL AND revoked_at IS NULL
+    `);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('admin_invitations', 'role_ids');
+  }
+};
@@ -0,0 +1,31 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // MySQL unique indexes skip rows with a NULL column, so (user_id, product_id, variant_id)
+    // lets a product without variants appear twice in a cart. variant_key is 0 for those rows.
+    await queryInterface.sequelize.query(
+      'ALTER TABLE `cart` ADD COLUMN `variant_key` INT AS (COALESCE(`variant_id`, 0)) STORED AFTER `variant_id`'
+    );
+
+    // Keep the oldest of any duplicate lines that got in
+    await queryInterface.sequelize.query(`
+      DELETE newer FROM cart newer
+      INNER JOIN cart older
+        ON older.user_id = newer.user_id
+        AND older.product_id = newer.product_id
+        AND older.variant_key = newer.variant_key
+        AND older.id < newer.id
+    `);
+
+    // Add indexes
+    await queryInterface.addIndex('cart', ['user_id', 'product_id', 'variant_key'], { unique: true });
+    await queryInterface.removeIndex('cart', ['user_id', 'product_id', 'variant_id']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.addIndex('cart', ['user_id', 'product_id', 'variant_id'], { unique: true });
+    await queryInterface.removeIndex('cart', ['user_id', 'product_id', 'variant_key']);
+    await queryInterface.removeColumn('cart', 'variant_key');
+  }
+};
@@ -0,0 +1,61 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Invitation for a new admin; only a SHA-256 hash of the emailed token is stored
+const AdminInvitation = sequelize.define('AdminInvitation', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  email: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    validate: {
+      isEmail: true
+    }
+  },
+  token_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  role_ids: {
+    type: DataTypes.JSON,
+    allowNull: true // roles the admin gets on accepting; invitations without any cannot be accepted
+  },
+  invited_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  accepted_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  accepted_user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  revoked_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'admin_invitations',
+  timestamps: true,
+  paranoid: false
+});
+
+module.exports = AdminInvitation;
@@ -0,0 +1,86 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const AuditLog = sequelize.define('AuditLog', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  actor_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  actor_email: {
+    type: DataTypes.STRING(255),
+    allowNull: true // kept so the entry stays readable after the actor is deleted
+  },
+  action: {
+    type: DataTypes.STRING(100),
+    allowNull: false // <entity_type>.<create|update|delete|restore|bulk_update|bulk_delete|...>
+  },
+  entity_type: {
+    type: DataTypes.STRING(50),
+    allowNull: false // table name, e.g. products
+  },
+  entity_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true // null for bulk changes
+  },
+  before: {
+    type: DataTypes.JSON,
+    allowNull: true // changed fields only for updates; full row for deletes
+  },
+  after: {
+    type: DataTypes.JSON,
+    allowNull: true // changed fields only for updates; full row for creates
+  },
+  metadata: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  request_id: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  method: {
+    type: DataTypes.STRING(10),
+    allowNull: true
+  },
+  path: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  ip_address: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  }
+}, {
+  tableName: 'audit_logs',
+  timestamps: true,
+  updatedAt: false,
+  paranoid: false,
+  indexes: [
+    {
+      fields: ['entity_type', 'entity_id']
+    },
+    {
+      fields: ['actor_id']
+    },
+    {
+      fields: ['action']
+    },
+    {
+      fields: ['request_id']
+    },
+    {
+      fields: ['created_at']
+    }
+  ]
+});
+
+module.exports = AuditLog;
@@ -23,6 +23,18 @@ const Cart = sequelize.define('Cart', {
       key: 'id'
     }
   },
+  variant_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true, // required when the product has active variants
+    references: {
+      model: 'product_variants',
+      key: 'id'
+    }
+  },
+  // variant_id with 0 for "no variant": MySQL unique indexes skip rows with a NULL column
+  variant_key: {
+    type: 'INTEGER AS (COALESCE(`variant_id`, 0)) STORED'
+  },
   quantity: {
     type: DataTypes.INTEGER,
     allowNull: false,
@@ -39,10 +51,13 @@ const Cart = sequelize.define('Cart', {
   tableName: 'cart',
   timestamps: true,
   paranoid: true,
+  defaultScope: {
+    attributes: { exclude: ['variant_key'] }
+  },
   indexes: [
     {
       unique: true,
-      fields: ['user_id', 'product_id']
+      fields: ['user_id', 'product_id', 'variant_key']
     }
   ]
 });
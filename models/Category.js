@@ -7,6 +7,10 @@ const Category = sequelize.define('Category', {
     primaryKey: true,
     autoIncrement: true
   },
+  parent_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true // null for top-level categories
+  },
   name: {
     type: DataTypes.STRING(255),
     allowNull: false,
@@ -0,0 +1,93 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Coupon = sequelize.define('Coupon', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  code: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true,
+    set(value) {
+      this.setDataValue('code', value ? value.trim().toUpperCase() : value);
+    }
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  discount_type: {
+    type: DataTypes.ENUM('percentage', 'fixed'),
+    allowNull: false
+  },
+  discount_value: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: 0
+    }
+  },
+  min_spend: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    }
+  },
+  max_discount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true, // no cap when null
+    validate: {
+      min: 0
+    }
+  },
+  usage_limit: {
+    type: DataTypes.INTEGER,
+    allowNull: true, // unlimited when null
+    validate: {
+      min: 1
+    }
+  },
+  usage_limit_per_user: {
+    type: DataTypes.INTEGER,
+    allowNull: true, // unlimited when null
+    validate: {
+      min: 1
+    }
+  },
+  used_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  starts_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  category_ids: {
+    type: DataTypes.JSON,
+    allowNull: true // restrict the discount to products in these categories
+  },
+  product_ids: {
+    type: DataTypes.JSON,
+    allowNull: true // restrict the discount to these products
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'coupons',
+  timestamps: true,
+  paranoid: true
+});
+
+module.exports = Coupon;
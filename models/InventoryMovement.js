@@ -0,0 +1,84 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Append-only ledger of stock changes; rows are never updated or deleted
+const InventoryMovement = sequelize.define('InventoryMovement', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  product_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    }
+  },
+  variant_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true, // set when the stock of a variant changed
+    references: {
+      model: 'product_variants',
+      key: 'id'
+    }
+  },
+  type: {
+    type: DataTypes.ENUM('initial', 'sale', 'cancellation_restock', 'adjustment', 'return'),
+    allowNull: false
+  },
+  quantity_change: {
+    type: DataTypes.INTEGER,
+    allowNull: false // negative when stock went down
+  },
+  quantity_before: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  quantity_after: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  reason: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  order_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'orders',
+      key: 'id'
+    }
+  },
+  actor_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true, // null for system changes such as payment webhooks
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'inventory_movements',
+  timestamps: true,
+  updatedAt: false,
+  paranoid: false,
+  indexes: [
+    {
+      fields: ['product_id', 'created_at']
+    },
+    {
+      fields: ['variant_id']
+    },
+    {
+      fields: ['order_id']
+    },
+    {
+      fields: ['type']
+    }
+  ]
+});
+
+module.exports = InventoryMovement;
@@ -55,6 +55,16 @@ const Order = sequelize.define('Order', {
       min: 0
     }
   },
+  tax_rate: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: false,
+    defaultValue: 0 // tax rate applied when the order was placed
+  },
+  tax_inclusive: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false // true when tax_amount is already part of the item prices
+  },
   discount_amount: {
     type: DataTypes.DECIMAL(10, 2),
     allowNull: false,
@@ -97,6 +107,10 @@ const Order = sequelize.define('Order', {
   delivered_at: {
     type: DataTypes.DATE,
     allowNull: true
+  },
+  stock_restored_at: {
+    type: DataTypes.DATE,
+    allowNull: true // set once the items of a cancelled order are back in stock
   }
 }, {
   tableName: 'orders',
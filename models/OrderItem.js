@@ -23,6 +23,14 @@ const OrderItem = sequelize.define('OrderItem', {
       key: 'id'
     }
   },
+  variant_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'product_variants',
+      key: 'id'
+    }
+  },
   quantity: {
     type: DataTypes.INTEGER,
     allowNull: false,
@@ -50,6 +58,14 @@ const OrderItem = sequelize.define('OrderItem', {
   },
   product_sku: {
     type: DataTypes.STRING(100),
+    allowNull: true // the variant SKU when a variant was ordered
+  },
+  variant_name: {
+    type: DataTypes.STRING(255),
+    allowNull: true // Snapshot of the variant at time of order
+  },
+  variant_options: {
+    type: DataTypes.JSON,
     allowNull: true
   }
 }, {
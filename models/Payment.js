@@ -67,6 +67,10 @@ const Payment = sequelize.define('Payment', {
     type: DataTypes.DATE,
     allowNull: true
   },
+  refund_required_at: {
+    type: DataTypes.DATE,
+    allowNull: true // set when money arrives for an order that was already cancelled
+  },
   payment_url: {
     type: DataTypes.STRING(500),
     allowNull: true
@@ -117,6 +121,9 @@ const Payment = sequelize.define('Payment', {
     },
     {
       fields: ['status']
+    },
+    {
+      fields: ['refund_required_at']
     }
   ]
 });
@@ -0,0 +1,68 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const ProductVariant = sequelize.define('ProductVariant', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  product_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    }
+  },
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: false // e.g. "2 kg / Chicken"; built from the option values when not given
+  },
+  options: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: {} // e.g. { "size": "2 kg", "flavour": "Chicken" }
+  },
+  sku: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true
+  },
+  price: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: 0
+    }
+  },
+  stock_quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    }
+  },
+  weight_grams: {
+    type: DataTypes.INTEGER,
+    allowNull: true, // falls back to the product weight
+    validate: {
+      min: 0
+    }
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  sort_order: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  }
+}, {
+  tableName: 'product_variants',
+  timestamps: true,
+  paranoid: true
+});
+
+module.exports = ProductVariant;
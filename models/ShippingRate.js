@@ -0,0 +1,92 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const ShippingRate = sequelize.define('ShippingRate', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  carrier: {
+    type: DataTypes.STRING(100),
+    allowNull: false // e.g., 'JNE', 'TIKI', 'POS Indonesia'
+  },
+  service_type: {
+    type: DataTypes.STRING(50),
+    allowNull: false // e.g., 'REG', 'YES', 'ONS'
+  },
+  service_name: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  // Zone: null fields match any address, so a rate without a province is the carrier's fallback
+  province: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  city: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  postal_code_prefix: {
+    type: DataTypes.STRING(10),
+    allowNull: true
+  },
+  base_cost: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    }
+  },
+  cost_per_kg: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    }
+  },
+  min_weight_grams: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    }
+  },
+  max_weight_grams: {
+    type: DataTypes.INTEGER,
+    allowNull: true, // no upper bound when null
+    validate: {
+      min: 0
+    }
+  },
+  estimated_days_min: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  estimated_days_max: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'shipping_rates',
+  timestamps: true,
+  paranoid: true,
+  indexes: [
+    {
+      fields: ['carrier', 'service_type']
+    },
+    {
+      fields: ['province', 'city']
+    }
+  ]
+});
+
+module.exports = ShippingRate;
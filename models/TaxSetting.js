@@ -0,0 +1,44 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Store-wide tax configuration. A single row is used; see utils/tax.js.
+const TaxSetting = sequelize.define('TaxSetting', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    defaultValue: 'PPN'
+  },
+  rate: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0,
+      max: 100
+    }
+  },
+  is_inclusive: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false // true when product prices already include the tax
+  },
+  exempt_category_ids: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'tax_settings',
+  timestamps: true,
+  paranoid: false
+});
+
+module.exports = TaxSetting;
@@ -40,9 +40,46 @@ const User = sequelize.define('User', {
     type: DataTypes.DATE,
     allowNull: true
   },
+  email_verification_sent_at: {
+    type: DataTypes.DATE,
+    allowNull: true // used to throttle resending the verification email
+  },
   last_login_at: {
     type: DataTypes.DATE,
     allowNull: true
+  },
+  failed_login_attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0 // consecutive failures since the last successful login
+  },
+  last_failed_login_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  locked_until: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  unlock_token_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: true // sha256 of the token in the unlock email
+  },
+  two_factor_secret: {
+    type: DataTypes.STRING(255),
+    allowNull: true // AES-GCM encrypted TOTP secret; set during setup, before it is enabled
+  },
+  two_factor_enabled_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  two_factor_last_step: {
+    type: DataTypes.INTEGER,
+    allowNull: true // last accepted TOTP time step, so a code cannot be used twice
+  },
+  two_factor_recovery_codes: {
+    type: DataTypes.JSON,
+    allowNull: true // sha256 hashes of the unused recovery codes
   }
 }, {
   tableName: 'users',
@@ -50,4 +87,13 @@ const User = sequelize.define('User', {
   paranoid: true
 });
 
+// Credentials and security state that must never appear in API responses
+User.PRIVATE_ATTRIBUTES = [
+  'password',
+  'unlock_token_hash',
+  'two_factor_secret',
+  'two_factor_last_step',
+  'two_factor_recovery_codes'
+];
+
 module.exports = User;
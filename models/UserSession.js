@@ -0,0 +1,55 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// One row per login. The refresh token is rotated on every use; only the
+// latest token id is valid, so presenting an older one revokes the session.
+const UserSession = sequelize.define('UserSession', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  refresh_token_id: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true // jti of the current refresh token
+  },
+  user_agent: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  ip_address: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  last_used_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  revoked_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revoked_reason: {
+    type: DataTypes.STRING(50),
+    allowNull: true // logout, logout_all, reuse_detected, ...
+  }
+}, {
+  tableName: 'user_sessions',
+  timestamps: true,
+  paranoid: false
+});
+
+module.exports = UserSession;
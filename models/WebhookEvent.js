@@ -0,0 +1,91 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const WebhookEvent = sequelize.define('WebhookEvent', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  provider: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    defaultValue: 'midtrans'
+  },
+  event_key: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    unique: true // transaction id (or order id) + transaction status
+  },
+  payment_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'payments',
+      key: 'id'
+    }
+  },
+  midtrans_order_id: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  midtrans_transaction_id: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  transaction_status: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  fraud_status: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  payment_type: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  payload: {
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+  processing_status: {
+    type: DataTypes.ENUM('received', 'processed', 'ignored', 'failed'),
+    allowNull: false,
+    defaultValue: 'received'
+  },
+  processing_note: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  received_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  processed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'webhook_events',
+  timestamps: true,
+  paranoid: false,
+  indexes: [
+    {
+      fields: ['payment_id']
+    },
+    {
+      fields: ['midtrans_order_id']
+    },
+    {
+      fields: ['processing_status']
+    }
+  ]
+});
+
+module.exports = WebhookEvent;
@@ -5,12 +5,26 @@ const User = require('./User');
 const Category = require('./Category');
 const Product = require('./Product');
 const ProductImage = require('./ProductImage');
+const ProductVariant = require('./ProductVariant');
 const Address = require('./Address');
 const Cart = require('./Cart');
 const Order = require('./Order');
 const OrderItem = require('./OrderItem');
 const Payment = require('./Payment');
 const Shipment = require('./Shipment');
+const WebhookEvent = require('./WebhookEvent');
+const Coupon = require('./Coupon');
+const CouponUsage = require('./CouponUsage');
+const ShippingRate = require('./ShippingRate');
+const TaxSetting = require('./TaxSetting');
+const UserSession = require('./UserSession');
+const PasswordReset = require('./PasswordReset');
+const AdminInvitation = require('./AdminInvitation');
+const Role = require('./Role');
+const UserRole = require('./UserRole');
+const AuditLog = require('./AuditLog');
+const InventoryMovement = require('./InventoryMovement');
+const { registerAuditHooks } = require('../utils/audit');
 
 // Define associations
 
@@ -19,19 +33,29 @@ User.hasMany(Address, { foreignKey: 'user_id', as: 'addresses' });
 User.hasMany(Cart, { foreignKey: 'user_id', as: 'cartItems' });
 User.hasMany(Order, { foreignKey: 'user_id', as: 'orders' });
 User.hasMany(Payment, { foreignKey: 'user_id', as: 'payments' });
+User.hasMany(UserSession, { foreignKey: 'user_id', as: 'sessions' });
+User.hasMany(PasswordReset, { foreignKey: 'user_id', as: 'passwordResets' });
+User.belongsToMany(Role, { through: UserRole, foreignKey: 'user_id', otherKey: 'role_id', as: 'roles' });
 
 // Category associations
 Category.hasMany(Product, { foreignKey: 'category_id', as: 'products' });
+Category.hasMany(Category, { foreignKey: 'parent_id', as: 'children' });
+Category.belongsTo(Category, { foreignKey: 'parent_id', as: 'parent' });
 
 // Product associations
 Product.belongsTo(Category, { foreignKey: 'category_id', as: 'category' });
 Product.hasMany(ProductImage, { foreignKey: 'product_id', as: 'images' });
+Product.hasMany(ProductVariant, { foreignKey: 'product_id', as: 'variants' });
 Product.hasMany(Cart, { foreignKey: 'product_id', as: 'cartItems' });
 Product.hasMany(OrderItem, { foreignKey: 'product_id', as: 'orderItems' });
+Product.hasMany(InventoryMovement, { foreignKey: 'product_id', as: 'inventoryMovements' });
 
 // ProductImage associations
 ProductImage.belongsTo(Product, { foreignKey: 'product_id', as: 'product' });
 
+// ProductVariant associations
+ProductVariant.belongsTo(Product, { foreignKey: 'product_id', as: 'product' });
+
 // Address associations
 Address.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
 Address.hasMany(Order, { foreignKey: 'address_id', as: 'orders' });
@@ -39,6 +63,7 @@ Address.hasMany(Order, { foreignKey: 'address_id', as: 'orders' });
 // Cart associations
 Cart.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
 Cart.belongsTo(Product, { foreignKey: 'product_id', as: 'product' });
+Cart.belongsTo(ProductVariant, { foreignKey: 'variant_id', as: 'variant' });
 
 // Order associations
 Order.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
@@ -46,18 +71,56 @@ Order.belongsTo(Address, { foreignKey: 'address_id', as: 'address' });
 Order.hasMany(OrderItem, { foreignKey: 'order_id', as: 'items' });
 Order.hasOne(Payment, { foreignKey: 'order_id', as: 'payment' });
 Order.hasOne(Shipment, { foreignKey: 'order_id', as: 'shipment' });
+Order.hasOne(CouponUsage, { foreignKey: 'order_id', as: 'couponUsage' });
 
 // OrderItem associations
 OrderItem.belongsTo(Order, { foreignKey: 'order_id', as: 'order' });
 OrderItem.belongsTo(Product, { foreignKey: 'product_id', as: 'product' });
+OrderItem.belongsTo(ProductVariant, { foreignKey: 'variant_id', as: 'variant' });
 
 // Payment associations
 Payment.belongsTo(Order, { foreignKey: 'order_id', as: 'order' });
 Payment.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+Payment.hasMany(WebhookEvent, { foreignKey: 'payment_id', as: 'webhookEvents' });
 
 // Shipment associations
 Shipment.belongsTo(Order, { foreignKey: 'order_id', as: 'order' });
 
+// WebhookEvent associations
+WebhookEvent.belongsTo(Payment, { foreignKey: 'payment_id', as: 'payment' });
+
+// Coupon associations
+Coupon.hasMany(CouponUsage, { foreignKey: 'coupon_id', as: 'usages' });
+CouponUsage.belongsTo(Coupon, { foreignKey: 'coupon_id', as: 'coupon' });
+CouponUsage.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+CouponUsage.belongsTo(Order, { foreignKey: 'order_id', as: 'order' });
+
+// UserSession associations
+UserSession.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+// PasswordReset associations
+PasswordReset.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+// AdminInvitation associations
+AdminInvitation.belongsTo(User, { foreignKey: 'invited_by', as: 'inviter' });
+AdminInvitation.belongsTo(User, { foreignKey: 'accepted_user_id', as: 'acceptedUser' });
+
+// Role associations
+Role.belongsToMany(User, { through: UserRole, foreignKey: 'role_id', otherKey: 'user_id', as: 'users' });
+UserRole.belongsTo(User, { foreignKey: 'assigned_by', as: 'assigner' });
+
+// AuditLog associations
+AuditLog.belongsTo(User, { foreignKey: 'actor_id', as: 'actor' });
+
+// InventoryMovement associations
+InventoryMovement.belongsTo(Product, { foreignKey: 'product_id', as: 'product' });
+InventoryMovement.belongsTo(ProductVariant, { foreignKey: 'variant_id', as: 'variant' });
+InventoryMovement.belongsTo(Order, { foreignKey: 'order_id', as: 'order' });
+InventoryMovement.belongsTo(User, { foreignKey: 'actor_id', as: 'actor' });
+
+// Record admin writes in audit_logs
+registerAuditHooks(sequelize);
+
 // Sync database (only in development, commented out for production)
 // if (process.env.NODE_ENV === 'development') {
 //   sequelize.sync({ alter: true });
@@ -69,10 +132,23 @@ module.exports = {
   Category,
   Product,
   ProductImage,
+  ProductVariant,
   Address,
   Cart,
   Order,
   OrderItem,
   Payment,
-  Shipment
+  Shipment,
+  WebhookEvent,
+  Coupon,
+  CouponUsage,
+  ShippingRate,
+  TaxSetting,
+  UserSession,
+  PasswordReset,
+  AdminInvitation,
+  Role,
+  UserRole,
+  AuditLog,
+  InventoryMovement
 };
@@ -5,43 +5,126 @@ const router = express.Router();
 const productController = require('../controllers/admin/productController');
 const categoryController = require('../controllers/admin/categoryController');
 const productImageController = require('../controllers/admin/productImageController');
+const inventoryController = require('../controllers/admin/inventoryController');
 const paymentController = require('../controllers/admin/paymentController');
 const shipmentController = require('../controllers/admin/shipmentController');
+const orderController = require('../controllers/admin/orderController');
+const userController = require('../controllers/admin/userController');
+const webhookEventController = require('../controllers/admin/webhookEventController');
+const couponController = require('../controllers/admin/couponController');
+const shippingRateController = require('../controllers/admin/shippingRateController');
+const taxController = require('../controllers/admin/taxController');
+const invitationController = require('../controllers/admin/invitationController');
+const roleController = require('../controllers/admin/roleController');
+const auditLogController = require('../controllers/admin/auditLogController');
 
 // Import middleware
-const { requireAdmin, authenticate } = require('../middleware/auth');
+const { requireAdmin, requirePermission, requireTwoFactor, authenticate } = require('../middleware/auth');
+const { auditContext } = require('../middleware/audit');
 router.use(requireAdmin);
+router.use(requireTwoFactor);
+router.use(auditContext);
 
 // Product routes
-router.get('/products', productController.getProducts);
-router.get('/products/:id', productController.getProduct);
-router.post('/products', productController.createProduct);
-router.put('/products/:id', productController.updateProduct);
-router.delete('/products/:id', productController.deleteProduct);
+router.get('/products', requirePermission('catalog:read'), productController.getProducts);
+router.get('/products/:id', requirePermission('catalog:read'), productController.getProduct);
+router.post('/products', requirePermission('catalog:write'), productController.createProduct);
+router.put('/products/:id', requirePermission('catalog:write'), productController.updateProduct);
+router.delete('/products/:id', requirePermission('catalog:write'), productController.deleteProduct);
+router.get('/products/:id/variants', requirePermission('catalog:read'), productController.getProductVariants);
+router.post('/products/:id/variants', requirePermission('catalog:write'), productController.createProductVariant);
+router.put('/products/:id/variants/:variantId', requirePermission('catalog:write'), productController.updateProductVariant);
+router.delete('/products/:id/variants/:variantId', requirePermission('catalog:write'), productController.deleteProductVariant);
+
+// Inventory ledger routes
+router.get('/products/:id/inventory/movements', requirePermission('catalog:read'), inventoryController.getInventoryMovements);
+router.post('/products/:id/inventory/adjustments', requirePermission('catalog:write'), inventoryController.createStockAdjustment);
 
 // Category routes
-router.get('/categories', categoryController.getCategories);
-router.get('/categories/:id', categoryController.getCategory);
-router.post('/categories', categoryController.createCategory);
-router.put('/categories/:id', categoryController.updateCategory);
-router.delete('/categories/:id', categoryController.deleteCategory);
+router.get('/categories', requirePermission('catalog:read'), categoryController.getCategories);
+router.get('/categories/tree', requirePermission('catalog:read'), categoryController.getCategoryTree);
+router.get('/categories/:id', requirePermission('catalog:read'), categoryController.getCategory);
+router.post('/categories', requirePermission('catalog:write'), categoryController.createCategory);
+router.put('/categories/:id', requirePermission('catalog:write'), categoryController.updateCategory);
+router.delete('/categories/:id', requirePermission('catalog:write'), categoryController.deleteCategory);
 
 // Product Image routes
-router.get('/product-images', productImageController.getProductImages);
-router.post('/product-images', productImageController.uploadProductImage);
-router.put('/product-images/:id', productImageController.updateProductImage);
-router.delete('/product-images/:id', productImageController.deleteProductImage);
+router.get('/product-images', requirePermission('catalog:read'), productImageController.getProductImages);
+router.post('/product-images', requirePermission('catalog:write'), productImageController.uploadProductImage);
+router.put('/product-images/:id', requirePermission('catalog:write'), productImageController.updateProductImage);
+router.delete('/product-images/:id', requirePermission('catalog:write'), productImageController.deleteProductImage);
+
+// Order routes
+router.get('/orders', requirePermission('orders:read'), orderController.getOrders);
+router.get('/orders/:id', requirePermission('orders:read'), orderController.getOrder);
+router.put('/orders/:id/confirm', requirePermission('orders:write'), orderController.confirmOrder);
+router.put('/orders/:id/process', requirePermission('orders:write'), orderController.processOrder);
+router.put('/orders/:id/cancel', requirePermission('orders:write'), orderController.cancelOrder);
 
 // Payment routes
-router.get('/payments', paymentController.getPayments);
-router.get('/payments/:id', paymentController.getPayment);
-router.post('/payments/sync/:orderId', paymentController.syncPaymentStatus);
+router.get('/payments', requirePermission('payments:read'), paymentController.getPayments);
+router.get('/payments/:id', requirePermission('payments:read'), paymentController.getPayment);
+router.post('/payments/sync/:orderId', requirePermission('payments:write'), paymentController.syncPaymentStatus);
+
+// Webhook event routes
+router.get('/webhook-events', requirePermission('payments:read'), webhookEventController.getWebhookEvents);
+router.get('/webhook-events/:id', requirePermission('payments:read'), webhookEventController.getWebhookEvent);
+router.post('/webhook-events/:id/replay', requirePermission('payments:write'), webhookEventController.replayWebhookEvent);
+
+// Coupon routes
+router.get('/coupons', requirePermission('coupons:manage'), couponController.getCoupons);
+router.get('/coupons/:id', requirePermission('coupons:manage'), couponController.getCoupon);
+router.post('/coupons', requirePermission('coupons:manage'), couponController.createCoupon);
+router.put('/coupons/:id', requirePermission('coupons:manage'), couponController.updateCoupon);
+router.delete('/coupons/:id', requirePermission('coupons:manage'), couponController.deleteCoupon);
+
+// Shipping rate routes
+router.get('/shipping-rates', requirePermission('shipping:manage'), shippingRateController.getShippingRates);
+router.get('/shipping-rates/:id', requirePermission('shipping:manage'), shippingRateController.getShippingRate);
+router.post('/shipping-rates', requirePermission('shipping:manage'), shippingRateController.createShippingRate);
+router.put('/shipping-rates/:id', requirePermission('shipping:manage'), shippingRateController.updateShippingRate);
+router.delete('/shipping-rates/:id', requirePermission('shipping:manage'), shippingRateController.deleteShippingRate);
+
+// Tax setting routes
+router.get('/tax-settings', requirePermission('tax:manage'), taxController.getTaxSettings);
+router.put('/tax-settings', requirePermission('tax:manage'), taxController.updateTaxSettings);
 
 // Shipment routes
-router.get('/shipments', shipmentController.getShipments);
-router.get('/shipments/:id', shipmentController.getShipment);
-router.post('/shipments', shipmentController.createShipment);
-router.put('/shipments/:id', shipmentController.updateShipment);
-router.delete('/shipments/:id', shipmentController.deleteShipment);
+router.get('/shipments', requirePermission('shipments:read'), shipmentController.getShipments);
+router.get('/shipments/:id', requirePermission('shipments:read'), shipmentController.getShipment);
+router.post('/shipments', requirePermission('shipments:write'), shipmentController.createShipment);
+router.put('/shipments/:id', requirePermission('shipments:write'), shipmentController.updateShipment);
+router.delete('/shipments/:id', requirePermission('shipments:write'), shipmentController.deleteShipment);
+
+// User routes
+router.get('/users', requirePermission('users:read'), userController.getUsers);
+router.post('/users', requirePermission('users:manage'), userController.createUser);
+router.get('/users/locked', requirePermission('users:read'), userController.getLockedUsers);
+router.get('/users/:id', requirePermission('users:read'), userController.getUser);
+router.put('/users/:id/activate', requirePermission('users:manage'), userController.activateUser);
+router.put('/users/:id/deactivate', requirePermission('users:manage'), userController.deactivateUser);
+router.put('/users/:id/unlock', requirePermission('users:manage'), userController.unlockUser);
+router.put('/users/:id/role', requirePermission('users:manage'), userController.updateUserRole);
+router.put('/users/:id/reset-password', requirePermission('users:manage'), userController.resetUserPassword);
+router.put('/users/:id/restore', requirePermission('users:manage'), userController.restoreUser);
+router.delete('/users/:id', requirePermission('users:manage'), userController.deleteUser);
+
+// Role routes
+router.get('/permissions', requirePermission('roles:manage'), roleController.getPermissions);
+router.get('/roles', requirePermission('roles:manage'), roleController.getRoles);
+router.post('/roles', requirePermission('roles:manage'), roleController.createRole);
+router.put('/roles/:id', requirePermission('roles:manage'), roleController.updateRole);
+router.delete('/roles/:id', requirePermission('roles:manage'), roleController.deleteRole);
+router.get('/users/:id/roles', requirePermission('roles:manage'), roleController.getUserRoles);
+router.put('/users/:id/roles', requirePermission('roles:manage'), roleController.setUserRoles);
+
+// Audit log routes
+router.get('/audit-logs', requirePermission('audit:read'), auditLogController.getAuditLogs);
+router.get('/audit-logs/:entityType/:entityId', requirePermission('audit:read'), auditLogController.getEntityHistory);
+
+// Admin invitation routes
+router.get('/invitations', requirePermission('users:manage'), invitationController.getInvitations);
+router.post('/invitations', requirePermission('users:manage'), invitationController.createInvitation);
+router.delete('/invitations/:id', requirePermission('users:manage'), invitationController.revokeInvitation);
 
 module.exports = router;
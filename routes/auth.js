@@ -4,18 +4,45 @@ const {
   register,
   login,
   refreshToken,
+  logout,
+  logoutAll,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  unlockAccount,
+  verifyTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  acceptInvitation,
   getProfile,
   updateProfile,
   changePassword
 } = require('../controllers/authController');
 const { authenticate } = require('../middleware/auth');
+const { passwordResetLimiter, loginLimiter, registerLimiter } = require('../middleware/rateLimit');
 
 // Public routes
-router.post('/register', register);
-router.post('/login', login);
+router.post('/register', registerLimiter, register);
+router.post('/login', loginLimiter, login);
 router.post('/refresh', refreshToken);
+router.post('/verify-email', verifyEmail);
+router.post('/forgot-password', passwordResetLimiter, forgotPassword);
+router.post('/reset-password', resetPassword);
+router.post('/unlock-account', unlockAccount);
+router.post('/2fa/verify', loginLimiter, verifyTwoFactor);
+router.post('/accept-invitation', acceptInvitation);
 
 // Protected routes
+router.post('/logout', authenticate, logout);
+router.post('/logout-all', authenticate, logoutAll);
+router.post('/resend-verification', authenticate, resendVerification);
+router.post('/2fa/setup', authenticate, setupTwoFactor);
+router.post('/2fa/enable', authenticate, enableTwoFactor);
+router.post('/2fa/disable', authenticate, disableTwoFactor);
+router.post('/2fa/recovery-codes', authenticate, regenerateRecoveryCodes);
 router.get('/profile', authenticate, getProfile);
 router.put('/profile', authenticate, updateProfile);
 router.put('/change-password', authenticate, changePassword);
@@ -7,9 +7,12 @@ const cartController = require('../controllers/customer/cartController');
 const orderController = require('../controllers/customer/orderController');
 const orderItemController = require('../controllers/customer/orderItemController');
 const paymentController = require('../controllers/customer/paymentController');
+const couponController = require('../controllers/customer/couponController');
+const shippingController = require('../controllers/customer/shippingController');
+const sessionController = require('../controllers/customer/sessionController');
 
 // Import middleware
-const { requireCustomer } = require('../middleware/auth');
+const { requireCustomer, requireVerifiedEmail } = require('../middleware/auth');
 
 // All customer routes require customer authentication
 router.use(requireCustomer);
@@ -32,7 +35,7 @@ router.delete('/cart', cartController.clearCart);
 // Order routes
 router.get('/orders', orderController.getOrders);
 router.get('/orders/:id', orderController.getOrder);
-router.post('/orders', orderController.createOrder);
+router.post('/orders', requireVerifiedEmail, orderController.createOrder);
 router.put('/orders/:id/cancel', orderController.cancelOrder);
 
 // Order Item routes (read-only for customers)
@@ -40,8 +43,18 @@ router.get('/order-items', orderItemController.getOrderItems);
 router.get('/orders/:orderId/items', orderItemController.getOrderItemsByOrder);
 
 // Payment routes
-router.post('/payments', paymentController.createPayment);
+router.post('/payments', requireVerifiedEmail, paymentController.createPayment);
 router.get('/payments/:id', paymentController.getPayment);
 router.get('/orders/:orderId/payment', paymentController.getPaymentByOrder);
 
+// Coupon routes
+router.post('/coupons/validate', couponController.validateCoupon);
+
+// Shipping routes
+router.post('/shipping/quote', shippingController.getShippingQuote);
+
+// Session routes
+router.get('/sessions', sessionController.getSessions);
+router.delete('/sessions/:id', sessionController.revokeSession);
+
 module.exports = router;
@@ -3,10 +3,15 @@ const router = express.Router();
 
 // Import controllers
 const productController = require('../controllers/guest/productController');
+const categoryController = require('../controllers/guest/categoryController');
 
 // Guest routes - no authentication required
 router.get('/products', productController.getProducts);
 router.get('/products/:id', productController.getProduct);
+router.get('/categories', categoryController.getCategories);
+router.get('/categories/tree', categoryController.getCategoryTree);
+router.get('/categories/:id', categoryController.getCategory);
+router.get('/categories/:id/products', categoryController.getCategoryProducts);
 
 module.exports = router;
 
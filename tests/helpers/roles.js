@@ -0,0 +1,20 @@
+const { Role, UserRole } = require('../../models');
+
+// Admins only have the permissions of their roles; give a test admin all of them
+const grantSuperAdmin = async (user) => {
+  const [role] = await Role.findOrCreate({
+    where: { name: 'super_admin' },
+    defaults: {
+      description: 'Full access to every admin feature',
+      permissions: ['*'],
+      is_system: true
+    }
+  });
+
+  await UserRole.create({ user_id: user.id, role_id: role.id });
+  return role;
+};
+
+module.exports = {
+  grantSuperAdmin
+};
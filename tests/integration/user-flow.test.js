@@ -1,6 +1,8 @@
 const request = require('supertest');
 const app = require('../../app');
 const { User, Category, Product, Address, Order, OrderItem, Payment } = require('../../models');
+const { generateSignature } = require('../../utils/midtrans');
+const { grantSuperAdmin } = require('../helpers/roles');
 
 describe('Complete User Flow Integration Test', () => {
   let customerToken;
@@ -29,17 +31,25 @@ describe('Complete User Flow Integration Test', () => {
       customerToken = response.body.data.token;
     });
 
-    it('should register an admin user', async () => {
+    it('should login an admin user', async () => {
+      // Admins cannot self-register, so the account is created directly
+      const admin = await User.create({
+        name: 'Integration Test Admin',
+        email: 'integration-admin@test.com',
+        password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LeD4YOFJf7QXqYzKm', // password123
+        role: 'admin',
+        is_active: true
+      });
+      await grantSuperAdmin(admin);
+
       const response = await request(app)
-        .post('/api/v1/auth/register')
+        .post('/api/v1/auth/login')
         .send({
-          name: 'Integration Test Admin',
           email: 'integration-admin@test.com',
-          password: 'password123',
-          role: 'admin'
+          password: 'password123'
         });
 
-      expect(response.status).toBe(201);
+      expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
       expect(response.body.data.user.role).toBe('admin');
       adminToken = response.body.data.token;
@@ -269,7 +279,8 @@ describe('Complete User Flow Integration Test', () => {
         fraud_status: 'accept',
         payment_type: 'credit_card',
         gross_amount: '300000',
-        signature_key: 'integration-signature-key'
+        status_code: '200',
+        signature_key: generateSignature(testOrder.order_number, '200', '300000')
       };
 
       const response = await request(app)
@@ -0,0 +1,173 @@
+const request = require('supertest');
+const app = require('../../../app');
+const { User, Category, Product, AuditLog } = require('../../../models');
+const { grantSuperAdmin } = require('../../helpers/roles');
+
+describe('Admin Audit Logs', () => {
+  let admin;
+  let adminToken;
+  let customerToken;
+  let testProduct;
+
+  beforeEach(async () => {
+    admin = await User.create({
+      name: 'Test Admin',
+      email: 'admin@test.com',
+      password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LeD4YOFJf7QXqYzKm', // password123
+      role: 'admin',
+      is_active: true
+    });
+    await grantSuperAdmin(admin);
+
+    await User.create({
+      name: 'Test Customer',
+      email: 'customer@test.com',
+      password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LeD4YOFJf7QXqYzKm', // password123
+      role: 'customer',
+      is_active: true
+    });
+
+    const category = await Category.create({
+      name: 'Dog Food',
+      description: 'Food for dogs',
+      is_active: true
+    });
+
+    testProduct = await Product.create({
+      name: 'Premium Dog Food',
+      description: 'High quality dog food',
+      price: 150000,
+      stock_quantity: 20,
+      category_id: category.id,
+      sku: 'DOG-001',
+      is_active: true
+    });
+
+    const adminLogin = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'admin@test.com', password: 'password123' });
+    adminToken = adminLogin.body.data.token;
+
+    const customerLogin = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'customer@test.com', password: 'password123' });
+    customerToken = customerLogin.body.data.token;
+  });
+
+  const updatePrice = (price) => request(app)
+    .put(`/api/v1/admin/products/${testProduct.id}`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({ price });
+
+  describe('Recording', () => {
+    it('should record admin updates with actor, diff and request ID', async () => {
+      const response = await request(app)
+        .put(`/api/v1/admin/products/${testProduct.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('X-Request-Id', 'req-price-change')
+        .send({ price: 135000 });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['x-request-id']).toBe('req-price-change');
+
+      const log = await AuditLog.findOne({ where: { action: 'products.update' } });
+      expect(log.actor_id).toBe(admin.id);
+      expect(log.entity_id).toBe(testProduct.id);
+      expect(log.request_id).toBe('req-price-change');
+      expect(parseFloat(log.before.price)).toBe(150000);
+      expect(parseFloat(log.after.price)).toBe(135000);
+      expect(log.after).not.toHaveProperty('name');
+    });
+
+    it('should record deletes with the previous row', async () => {
+      await request(app)
+        .delete(`/api/v1/admin/products/${testProduct.id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      const log = await AuditLog.findOne({ where: { action: 'products.delete' } });
+      expect(log).not.toBeNull();
+      expect(log.before.sku).toBe('DOG-001');
+    });
+
+    it('should mask sensitive fields', async () => {
+      const customer = await User.findOne({ where: { email: 'customer@test.com' } });
+
+      await request(app)
+        .put(`/api/v1/admin/users/${customer.id}/reset-password`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ new_password: 'newpassword123' });
+
+      const log = await AuditLog.findOne({ where: { action: 'users.update', entity_id: customer.id } });
+      expect(log.after.password).toBe('[REDACTED]');
+    });
+
+    it('should not record reads or customer activity', async () => {
+      await request(app)
+        .get('/api/v1/admin/products')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      await request(app)
+        .post('/api/v1/customer/addresses')
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({
+          recipient_name: 'Test Customer',
+          phone: '081234567890',
+          province: 'DKI Jakarta',
+          city: 'Jakarta Selatan',
+          district: 'Kebayoran Baru',
+          postal_code: '12110',
+          full_address: 'Jl. Test No. 1'
+        });
+
+      expect(await AuditLog.count()).toBe(0);
+    });
+  });
+
+  describe('GET /api/v1/admin/audit-logs', () => {
+    it('should filter audit logs by entity', async () => {
+      await updatePrice(140000);
+
+      const response = await request(app)
+        .get('/api/v1/admin/audit-logs')
+        .query({ entity_type: 'products', entity_id: testProduct.id })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.audit_logs).toHaveLength(1);
+      expect(response.body.data.audit_logs[0].actor.email).toBe('admin@test.com');
+      expect(response.body.data.pagination.total_items).toBe(1);
+    });
+
+    it('should not be available to customers', async () => {
+      const response = await request(app)
+        .get('/api/v1/admin/audit-logs')
+        .set('Authorization', `Bearer ${customerToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('GET /api/v1/admin/audit-logs/:entityType/:entityId', () => {
+    it('should return the price history of a product', async () => {
+      await updatePrice(140000);
+      await request(app)
+        .put(`/api/v1/admin/products/${testProduct.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Premium Dog Food 2kg' });
+      await updatePrice(130000);
+
+      const response = await request(app)
+        .get(`/api/v1/admin/audit-logs/products/${testProduct.id}`)
+        .query({ field: 'price' })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+
+      const { history } = response.body.data;
+      expect(history).toHaveLength(2);
+      expect(parseFloat(history[0].changes.price.from)).toBe(150000);
+      expect(parseFloat(history[0].changes.price.to)).toBe(140000);
+      expect(parseFloat(history[1].changes.price.to)).toBe(130000);
+    });
+  });
+});
@@ -0,0 +1,143 @@
+const request = require('supertest');
+const app = require('../../../app');
+const { User, Category, Product } = require('../../../models');
+const { grantSuperAdmin } = require('../../helpers/roles');
+
+describe('Admin Category Hierarchy', () => {
+  let adminToken;
+  let dog;
+  let dogFood;
+  let dryFood;
+  let cat;
+
+  beforeEach(async () => {
+    const admin = await User.create({
+      name: 'Test Admin',
+      email: 'admin@test.com',
+      password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LeD4YOFJf7QXqYzKm', // password123
+      role: 'admin',
+      is_active: true
+    });
+    await grantSuperAdmin(admin);
+
+    dog = await Category.create({ name: 'Dog', sort_order: 1 });
+    cat = await Category.create({ name: 'Cat', sort_order: 2 });
+    dogFood = await Category.create({ name: 'Dog Food', parent_id: dog.id });
+    dryFood = await Category.create({ name: 'Dry Dog Food', parent_id: dogFood.id });
+
+    const adminLogin = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'admin@test.com', password: 'password123' });
+    adminToken = adminLogin.body.data.token;
+  });
+
+  describe('GET /api/v1/admin/categories/tree', () => {
+    it('should nest categories under their parents', async () => {
+      const response = await request(app)
+        .get('/api/v1/admin/categories/tree')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+
+      const { categories } = response.body.data;
+      expect(categories.map(category => category.name)).toEqual(['Dog', 'Cat']);
+      expect(categories[0].children[0].name).toBe('Dog Food');
+      expect(categories[0].children[0].children[0].name).toBe('Dry Dog Food');
+      expect(categories[1].children).toEqual([]);
+    });
+  });
+
+  describe('POST /api/v1/admin/categories', () => {
+    it('should create a subcategory', async () => {
+      const response = await request(app)
+        .post('/api/v1/admin/categories')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Wet Dog Food', parent_id: dogFood.id });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.category.parent_id).toBe(dogFood.id);
+    });
+
+    it('should reject an unknown parent', async () => {
+      const response = await request(app)
+        .post('/api/v1/admin/categories')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Orphan', parent_id: 99999 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Parent category not found');
+    });
+  });
+
+  describe('PUT /api/v1/admin/categories/:id', () => {
+    it('should move a category under another parent', async () => {
+      const response = await request(app)
+        .put(`/api/v1/admin/categories/${dogFood.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ parent_id: cat.id });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.category.parent_id).toBe(cat.id);
+    });
+
+    it('should move a category to the top level', async () => {
+      const response = await request(app)
+        .put(`/api/v1/admin/categories/${dryFood.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ parent_id: null });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.category.parent_id).toBeNull();
+    });
+
+    it('should reject making a category its own parent', async () => {
+      const response = await request(app)
+        .put(`/api/v1/admin/categories/${dog.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ parent_id: dog.id });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should reject moving a category under one of its descendants', async () => {
+      const response = await request(app)
+        .put(`/api/v1/admin/categories/${dog.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ parent_id: dryFood.id });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('A category cannot be moved under itself or one of its subcategories');
+
+      await dog.reload();
+      expect(dog.parent_id).toBeNull();
+    });
+  });
+
+  describe('DELETE /api/v1/admin/categories/:id', () => {
+    it('should not delete a category with subcategories', async () => {
+      const response = await request(app)
+        .delete(`/api/v1/admin/categories/${dogFood.id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe('GET /api/v1/admin/products', () => {
+    it('should include products of subcategories in the category filter', async () => {
+      await Product.bulkCreate([
+        { name: 'Dry Kibble', price: 100000, stock_quantity: 5, category_id: dryFood.id, sku: 'DOG-DRY-001' },
+        { name: 'Dog Leash', price: 50000, stock_quantity: 5, category_id: dog.id, sku: 'DOG-ACC-001' },
+        { name: 'Cat Litter', price: 40000, stock_quantity: 5, category_id: cat.id, sku: 'CAT-ACC-001' }
+      ]);
+
+      const response = await request(app)
+        .get('/api/v1/admin/products')
+        .query({ category_id: dog.id })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.products.map(product => product.sku).sort()).toEqual(['DOG-ACC-001', 'DOG-DRY-001']);
+    });
+  });
+});
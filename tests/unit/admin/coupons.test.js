@@ -0,0 +1,145 @@
+const request = require('supertest');
+const app = require('../../../app');
+const { User, Coupon } = require('../../../models');
+const { grantSuperAdmin } = require('../../helpers/roles');
+
+describe('Admin Coupon Endpoints', () => {
+  let adminToken;
+  let customerToken;
+
+  beforeEach(async () => {
+    const admin = await User.create({
+      name: 'Test Admin',
+      email: 'admin@test.com',
+      password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LeD4YOFJf7QXqYzKm', // password123
+      role: 'admin',
+      is_active: true
+    });
+    await grantSuperAdmin(admin);
+
+    await User.create({
+      name: 'Test Customer',
+      email: 'customer@test.com',
+      password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LeD4YOFJf7QXqYzKm', // password123
+      role: 'customer',
+      is_active: true
+    });
+
+    const adminLogin = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'admin@test.com', password: 'password123' });
+    adminToken = adminLogin.body.data.token;
+
+    const customerLogin = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'customer@test.com', password: 'password123' });
+    customerToken = customerLogin.body.data.token;
+  });
+
+  describe('POST /api/v1/admin/coupons', () => {
+    it('should create a coupon with an upper case code', async () => {
+      const response = await request(app)
+        .post('/api/v1/admin/coupons')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          code: 'welcome10',
+          discount_type: 'percentage',
+          discount_value: 10,
+          usage_limit: 100,
+          expires_at: '2099-12-31T23:59:59Z'
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.coupon.code).toBe('WELCOME10');
+      expect(response.body.data.coupon.used_count).toBe(0);
+    });
+
+    it('should reject a duplicate code regardless of case', async () => {
+      await Coupon.create({ code: 'WELCOME10', discount_type: 'fixed', discount_value: 5000 });
+
+      const response = await request(app)
+        .post('/api/v1/admin/coupons')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ code: 'Welcome10', discount_type: 'fixed', discount_value: 5000 });
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should reject a percentage above 100', async () => {
+      const response = await request(app)
+        .post('/api/v1/admin/coupons')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ code: 'TOOMUCH', discount_type: 'percentage', discount_value: 150 });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should reject an expiry before the start date', async () => {
+      const response = await request(app)
+        .post('/api/v1/admin/coupons')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          code: 'BACKWARDS',
+          discount_type: 'fixed',
+          discount_value: 5000,
+          starts_at: '2030-01-02T00:00:00Z',
+          expires_at: '2030-01-01T00:00:00Z'
+        });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should deny access to customers', async () => {
+      const response = await request(app)
+        .post('/api/v1/admin/coupons')
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({ code: 'HACKER', discount_type: 'fixed', discount_value: 5000 });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('Coupon management', () => {
+    let coupon;
+
+    beforeEach(async () => {
+      coupon = await Coupon.create({
+        code: 'SUMMER',
+        description: 'Summer sale',
+        discount_type: 'fixed',
+        discount_value: 20000,
+        is_active: true
+      });
+    });
+
+    it('should list and search coupons', async () => {
+      const response = await request(app)
+        .get('/api/v1/admin/coupons?search=summer')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.coupons.length).toBe(1);
+      expect(response.body.data.pagination.total_items).toBe(1);
+    });
+
+    it('should update a coupon', async () => {
+      const response = await request(app)
+        .put(`/api/v1/admin/coupons/${coupon.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ is_active: false, usage_limit_per_user: 1 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.coupon.is_active).toBe(false);
+      expect(response.body.data.coupon.usage_limit_per_user).toBe(1);
+    });
+
+    it('should soft delete a coupon', async () => {
+      const response = await request(app)
+        .delete(`/api/v1/admin/coupons/${coupon.id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(await Coupon.findByPk(coupon.id)).toBeNull();
+    });
+  });
+});
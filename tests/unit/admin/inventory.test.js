@@ -0,0 +1,327 @@
+const request = require('supertest');
+const app = require('../../../app');
+const { User, Address, Category, Product, ProductVariant, Cart, Order, InventoryMovement } = require('../../../models');
+const { recordStockMovement } = require('../../../utils/inventory');
+const { cancelOrder } = require('../../../utils/orderCancellation');
+const { grantSuperAdmin } = require('../../helpers/roles');
+
+describe('Admin Inventory Ledger', () => {
+  let adminToken;
+  let customerToken;
+  let admin;
+  let customer;
+  let testAddress;
+  let product;
+
+  beforeEach(async () => {
+    admin = await User.create({
+      name: 'Test Admin',
+      email: 'admin@test.com',
+      password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LeD4YOFJf7QXqYzKm', // password123
+      role: 'admin',
+      is_active: true
+    });
+    await grantSuperAdmin(admin);
+
+    customer = await User.create({
+      name: 'Test Customer',
+      email: 'customer@test.com',
+      password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LeD4YOFJf7QXqYzKm', // password123
+      role: 'customer',
+      is_active: true
+    });
+
+    testAddress = await Address.create({
+      user_id: customer.id,
+      label: 'Home',
+      recipient_name: 'Test Customer',
+      phone: '08123456789',
+      province: 'DKI Jakarta',
+      city: 'Jakarta Selatan',
+      district: 'Kebayoran Baru',
+      postal_code: '12160',
+      full_address: 'Jl. Inventory Test No. 1',
+      is_default: true,
+      is_active: true
+    });
+
+    const category = await Category.create({ name: 'Dog Toys', is_active: true });
+
+    const adminLogin = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'admin@test.com', password: 'password123' });
+    adminToken = adminLogin.body.data.token;
+
+    const customerLogin = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'customer@test.com', password: 'password123' });
+    customerToken = customerLogin.body.data.token;
+
+    const createResponse = await request(app)
+      .post('/api/v1/admin/products')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Rope Toy', price: 35000, stock_quantity: 20, category_id: category.id, sku: 'TOY-ROPE' });
+    product = await Product.findByPk(createResponse.body.data.product.id);
+  });
+
+  const movementTypes = async () => {
+    const movements = await InventoryMovement.findAll({
+      where: { product_id: product.id },
+      order: [['id', 'ASC']]
+    });
+    return movements.map(movement => [movement.type, movement.quantity_change]);
+  };
+
+  it('should record the opening stock of a new product', async () => {
+    const movement = await InventoryMovement.findOne({ where: { product_id: product.id } });
+
+    expect(movement.type).toBe('initial');
+    expect(movement.quantity_change).toBe(20);
+    expect(movement.actor_id).toBe(admin.id);
+  });
+
+  it('should record stock changes made through a product update with their reason', async () => {
+    const response = await request(app)
+      .put(`/api/v1/admin/products/${product.id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ stock_quantity: 17, stock_reason: 'Stock count' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.product.stock_quantity).toBe(17);
+
+    const movement = await InventoryMovement.findOne({ where: { product_id: product.id, type: 'adjustment' } });
+    expect(movement.quantity_change).toBe(-3);
+    expect(movement.quantity_before).toBe(20);
+    expect(movement.quantity_after).toBe(17);
+    expect(movement.reason).toBe('Stock count');
+  });
+
+  it('should work out a stock level from the current stock, not from an earlier read', async () => {
+    // A sale of 5 lands after the admin loaded the product at 20
+    await Product.update({ stock_quantity: 15 }, { where: { id: product.id } });
+
+    const result = await recordStockMovement({ productId: product.id, quantity: 17, type: 'adjustment', actorId: admin.id });
+
+    expect(result.stockQuantity).toBe(17);
+    expect(result.movement.quantity_change).toBe(2);
+    expect(result.movement.quantity_before).toBe(15);
+
+    const unchanged = await recordStockMovement({ productId: product.id, quantity: 17, type: 'adjustment', actorId: admin.id });
+    expect(unchanged.movement).toBeNull();
+  });
+
+  it('should record sales and cancellation restocks with the customer as actor', async () => {
+    await Cart.create({ user_id: customer.id, product_id: product.id, quantity: 4 });
+
+    const orderResponse = await request(app)
+      .post('/api/v1/customer/orders')
+      .set('Authorization', `Bearer ${customerToken}`)
+      .send({ address_id: testAddress.id });
+
+    expect(orderResponse.status).toBe(201);
+    const orderId = orderResponse.body.data.order.id;
+
+    await request(app)
+      .put(`/api/v1/customer/orders/${orderId}/cancel`)
+      .set('Authorization', `Bearer ${customerToken}`);
+
+    expect(await movementTypes()).toEqual([['initial', 20], ['sale', -4], ['cancellation_restock', 4]]);
+
+    const sale = await InventoryMovement.findOne({ where: { product_id: product.id, type: 'sale' } });
+    expect(sale.order_id).toBe(orderId);
+    expect(sale.actor_id).toBe(customer.id);
+
+    await product.reload();
+    expect(product.stock_quantity).toBe(20);
+  });
+
+  describe('POST /api/v1/admin/products/:id/inventory/adjustments', () => {
+    it('should post a manual adjustment', async () => {
+      const response = await request(app)
+        .post(`/api/v1/admin/products/${product.id}/inventory/adjustments`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ quantity_change: -2, reason: 'Chewed by the shop dog' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.stock_quantity).toBe(18);
+      expect(response.body.data.movement.type).toBe('adjustment');
+      expect(response.body.data.movement.actor_id).toBe(admin.id);
+    });
+
+    it('should not let stock go below zero', async () => {
+      const response = await request(app)
+        .post(`/api/v1/admin/products/${product.id}/inventory/adjustments`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ quantity_change: -21, reason: 'Write-off' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Stock cannot go below zero. Available: 20');
+    });
+
+    it('should require a reason and a non-zero change', async () => {
+      const response = await request(app)
+        .post(`/api/v1/admin/products/${product.id}/inventory/adjustments`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ quantity_change: 0 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors.map(error => error.path).sort()).toEqual(['quantity_change', 'reason']);
+    });
+
+    const placeOrder = async (quantity) => {
+      await Cart.create({ user_id: customer.id, product_id: product.id, quantity });
+      const orderResponse = await request(app)
+        .post('/api/v1/customer/orders')
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({ address_id: testAddress.id });
+      return orderResponse.body.data.order.id;
+    };
+
+    const postReturn = (orderId, quantity) => request(app)
+      .post(`/api/v1/admin/products/${product.id}/inventory/adjustments`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ type: 'return', quantity_change: quantity, reason: 'Customer return', order_id: orderId });
+
+    it('should accept returns only up to the quantity ordered', async () => {
+      const orderId = await placeOrder(2);
+      await Order.update({ status: 'delivered' }, { where: { id: orderId } });
+
+      const noOrder = await request(app)
+        .post(`/api/v1/admin/products/${product.id}/inventory/adjustments`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ type: 'return', quantity_change: 1, reason: 'Customer return' });
+
+      expect(noOrder.status).toBe(400);
+
+      const firstReturn = await postReturn(orderId, 1);
+
+      expect(firstReturn.status).toBe(201);
+      expect(firstReturn.body.data.movement.order_id).toBe(orderId);
+
+      const tooMany = await postReturn(orderId, 2);
+
+      expect(tooMany.status).toBe(400);
+      expect(tooMany.body.message).toBe('Only 1 unit(s) of this item can be returned for this order');
+    });
+
+    it('should only accept returns for shipped or delivered orders', async () => {
+      const orderId = await placeOrder(2);
+
+      const pending = await postReturn(orderId, 1);
+
+      expect(pending.status).toBe(409);
+      expect(await InventoryMovement.count({ where: { order_id: orderId, type: 'return' } })).toBe(0);
+
+      await Order.update({ status: 'shipped' }, { where: { id: orderId } });
+
+      const shipped = await postReturn(orderId, 1);
+      expect(shipped.status).toBe(201);
+    });
+
+    it('should not let parallel returns exceed the quantity ordered', async () => {
+      const orderId = await placeOrder(2);
+      await Order.update({ status: 'delivered' }, { where: { id: orderId } });
+
+      const responses = await Promise.all([postReturn(orderId, 2), postReturn(orderId, 2)]);
+
+      expect(responses.map(response => response.status).sort()).toEqual([201, 400]);
+
+      await product.reload();
+      expect(product.stock_quantity).toBe(20);
+    });
+
+    it('should not restock returned units again when the order is cancelled', async () => {
+      const orderId = await placeOrder(3);
+      await Order.update({ status: 'shipped' }, { where: { id: orderId } });
+
+      expect((await postReturn(orderId, 1)).status).toBe(201);
+
+      const result = await cancelOrder(orderId);
+
+      expect(result.success).toBe(true);
+      expect(await movementTypes()).toEqual([['initial', 20], ['sale', -3], ['return', 1], ['cancellation_restock', 2]]);
+
+      await product.reload();
+      expect(product.stock_quantity).toBe(20);
+    });
+
+    it('should require a variant for products with variants', async () => {
+      const variant = await ProductVariant.create({
+        product_id: product.id,
+        name: 'Large',
+        options: { size: 'Large' },
+        sku: 'TOY-ROPE-L',
+        price: 45000,
+        stock_quantity: 5
+      });
+
+      const withoutVariant = await request(app)
+        .post(`/api/v1/admin/products/${product.id}/inventory/adjustments`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ quantity_change: 3, reason: 'Delivery from supplier' });
+
+      expect(withoutVariant.status).toBe(400);
+
+      const response = await request(app)
+        .post(`/api/v1/admin/products/${product.id}/inventory/adjustments`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ quantity_change: 3, reason: 'Delivery from supplier', variant_id: variant.id });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.stock_quantity).toBe(8);
+      expect(response.body.data.movement.variant_id).toBe(variant.id);
+
+      // The product total follows its variants
+      await product.reload();
+      expect(product.stock_quantity).toBe(8);
+    });
+  });
+
+  describe('GET /api/v1/admin/products/:id/inventory/movements', () => {
+    it('should list movements newest first with a reconciliation summary', async () => {
+      await request(app)
+        .post(`/api/v1/admin/products/${product.id}/inventory/adjustments`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ quantity_change: 5, reason: 'Delivery from supplier' });
+
+      // A change that bypassed the ledger shows up as a discrepancy
+      await Product.update({ stock_quantity: 24 }, { where: { id: product.id } });
+
+      const response = await request(app)
+        .get(`/api/v1/admin/products/${product.id}/inventory/movements`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.movements.map(movement => movement.type)).toEqual(['adjustment', 'initial']);
+      expect(response.body.data.movements[0].actor.email).toBe('admin@test.com');
+      expect(response.body.data.stock).toEqual([
+        expect.objectContaining({ variant_id: null, stock_quantity: 24, ledger_quantity: 25, discrepancy: -1 })
+      ]);
+    });
+
+    it('should filter movements by type and order', async () => {
+      await Cart.create({ user_id: customer.id, product_id: product.id, quantity: 1 });
+      await request(app)
+        .post('/api/v1/customer/orders')
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({ address_id: testAddress.id });
+      const order = await Order.findOne({ where: { user_id: customer.id } });
+
+      const response = await request(app)
+        .get(`/api/v1/admin/products/${product.id}/inventory/movements?type=sale&order_id=${order.id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.movements.length).toBe(1);
+      expect(response.body.data.movements[0].order.order_number).toBe(order.order_number);
+    });
+
+    it('should return 404 for an unknown product', async () => {
+      const response = await request(app)
+        .get('/api/v1/admin/products/99999/inventory/movements')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,148 @@
+const request = require('supertest');
+const app = require('../../../app');
+const { User, UserRole, AdminInvitation } = require('../../../models');
+const { getOutbox, clearOutbox } = require('../../../utils/mailer');
+const { grantSuperAdmin } = require('../../helpers/roles');
+
+const tokenFromMail = (mail) => mail.text.match(/token=([a-f0-9]+)/)[1];
+
+describe('Admin Account Creation', () => {
+  let adminToken;
+  let customerToken;
+  let superAdminRole;
+
+  beforeEach(async () => {
+    clearOutbox();
+
+    const admin = await User.create({
+      name: 'Test Admin',
+      email: 'admin@test.com',
+      password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LeD4YOFJf7QXqYzKm', // password123
+      role: 'admin',
+      is_active: true
+    });
+    superAdminRole = await grantSuperAdmin(admin);
+
+    await User.create({
+      name: 'Test Customer',
+      email: 'customer@test.com',
+      password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LeD4YOFJf7QXqYzKm', // password123
+      role: 'customer',
+      is_active: true
+    });
+
+    const adminLogin = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'admin@test.com', password: 'password123' });
+    adminToken = adminLogin.body.data.token;
+
+    const customerLogin = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'customer@test.com', password: 'password123' });
+    customerToken = customerLogin.body.data.token;
+  });
+
+  describe('POST /api/v1/admin/users', () => {
+    it('should let an admin create another admin', async () => {
+      const response = await request(app)
+        .post('/api/v1/admin/users')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Second Admin', email: 'second@test.com', password: 'password123', role_ids: [superAdminRole.id] });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.user.role).toBe('admin');
+      expect(response.body.data.user).not.toHaveProperty('password');
+    });
+
+    it('should require at least one role for a new admin', async () => {
+      const response = await request(app)
+        .post('/api/v1/admin/users')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Roleless Admin', email: 'roleless@test.com', password: 'password123' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should not let a customer create accounts', async () => {
+      const response = await request(app)
+        .post('/api/v1/admin/users')
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({ name: 'Sneaky Admin', email: 'sneaky@test.com', password: 'password123' });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('Admin invitations', () => {
+    it('should create an admin account from a one-time invitation', async () => {
+      const inviteResponse = await request(app)
+        .post('/api/v1/admin/invitations')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ email: 'invited@test.com', role_ids: [superAdminRole.id] });
+
+      expect(inviteResponse.status).toBe(201);
+      expect(inviteResponse.body.data.invitation.status).toBe('pending');
+      expect(inviteResponse.body.data.invitation).not.toHaveProperty('token_hash');
+      expect(getOutbox()[0].to).toBe('invited@test.com');
+
+      const token = tokenFromMail(getOutbox()[0]);
+
+      const acceptResponse = await request(app)
+        .post('/api/v1/auth/accept-invitation')
+        .send({ token, name: 'Invited Admin', password: 'password123' });
+
+      expect(acceptResponse.status).toBe(201);
+      expect(acceptResponse.body.data.user.role).toBe('admin');
+      expect(acceptResponse.body.data.user.email).toBe('invited@test.com');
+
+      const invitedAdmin = await User.findOne({ where: { email: 'invited@test.com' } });
+      expect(await UserRole.count({ where: { user_id: invitedAdmin.id, role_id: superAdminRole.id } })).toBe(1);
+
+      const secondAccept = await request(app)
+        .post('/api/v1/auth/accept-invitation')
+        .send({ token, name: 'Invited Again', password: 'password123' });
+
+      expect(secondAccept.status).toBe(400);
+    });
+
+    it('should not accept a revoked invitation', async () => {
+      await request(app)
+        .post('/api/v1/admin/invitations')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ email: 'invited@test.com', role_ids: [superAdminRole.id] });
+
+      const token = tokenFromMail(getOutbox()[0]);
+      const invitation = await AdminInvitation.findOne();
+
+      const revokeResponse = await request(app)
+        .delete(`/api/v1/admin/invitations/${invitation.id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(revokeResponse.status).toBe(200);
+
+      const acceptResponse = await request(app)
+        .post('/api/v1/auth/accept-invitation')
+        .send({ token, name: 'Invited Admin', password: 'password123' });
+
+      expect(acceptResponse.status).toBe(400);
+    });
+
+    it('should refuse to invite an email that is already registered', async () => {
+      const response = await request(app)
+        .post('/api/v1/admin/invitations')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ email: 'customer@test.com', role_ids: [superAdminRole.id] });
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should require at least one role for an invitation', async () => {
+      const response = await request(app)
+        .post('/api/v1/admin/invitations')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ email: 'invited@test.com' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
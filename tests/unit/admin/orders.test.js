@@ -0,0 +1,305 @@
+const request = require('supertest');
+const app = require('../../../app');
+const { User, Address, Category, Product, Order, OrderItem, Payment } = require('../../../models');
+const { generateSignature } = require('../../../utils/midtrans');
+const { cancelOrder } = require('../../../utils/orderCancellation');
+const { grantSuperAdmin } = require('../../helpers/roles');
+
+describe('Admin Order Endpoints', () => {
+  let adminToken;
+  let customerToken;
+  let testCustomer;
+  let testProduct;
+  let pendingOrder;
+  let shippedOrder;
+
+  beforeEach(async () => {
+    const admin = await User.create({
+      name: 'Test Admin',
+      email: 'admin@test.com',
+      password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LeD4YOFJf7QXqYzKm', // password123
+      role: 'admin',
+      is_active: true
+    });
+    await grantSuperAdmin(admin);
+
+    testCustomer = await User.create({
+      name: 'Order Customer',
+      email: 'customer@test.com',
+      password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LeD4YOFJf7QXqYzKm', // password123
+      role: 'customer',
+      is_active: true
+    });
+
+    const address = await Address.create({
+      user_id: testCustomer.id,
+      label: 'Home',
+      recipient_name: 'Order Customer',
+      phone: '08123456789',
+      province: 'DKI Jakarta',
+      city: 'Jakarta Selatan',
+      district: 'Kebayoran Baru',
+      postal_code: '12160',
+      full_address: 'Jl. Order Test No. 1',
+      is_default: true,
+      is_active: true
+    });
+
+    const category = await Category.create({ name: 'Order Test Category', is_active: true });
+
+    testProduct = await Product.create({
+      name: 'Dog Food',
+      price: 50000,
+      stock_quantity: 8,
+      category_id: category.id,
+      sku: 'ORD-DOG-001',
+      is_active: true
+    });
+
+    pendingOrder = await Order.create({
+      order_number: 'ORD-ADMIN-001',
+      user_id: testCustomer.id,
+      address_id: address.id,
+      status: 'pending',
+      subtotal: 100000,
+      total_amount: 100000,
+      payment_status: 'pending',
+      ordered_at: new Date('2024-01-10T10:00:00Z')
+    });
+
+    await OrderItem.create({
+      order_id: pendingOrder.id,
+      product_id: testProduct.id,
+      quantity: 2,
+      unit_price: 50000,
+      total_price: 100000,
+      product_name: testProduct.name,
+      product_sku: testProduct.sku
+    });
+
+    shippedOrder = await Order.create({
+      order_number: 'ORD-ADMIN-002',
+      user_id: testCustomer.id,
+      address_id: address.id,
+      status: 'shipped',
+      subtotal: 50000,
+      total_amount: 50000,
+      payment_status: 'paid',
+      ordered_at: new Date('2024-02-10T10:00:00Z')
+    });
+
+    const adminLogin = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'admin@test.com', password: 'password123' });
+    adminToken = adminLogin.body.data.token;
+
+    const customerLogin = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'customer@test.com', password: 'password123' });
+    customerToken = customerLogin.body.data.token;
+  });
+
+  describe('GET /api/v1/admin/orders', () => {
+    it('should list all orders', async () => {
+      const response = await request(app)
+        .get('/api/v1/admin/orders')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.orders.length).toBe(2);
+      expect(response.body.data.pagination.total_items).toBe(2);
+    });
+
+    it('should filter orders by status and payment status', async () => {
+      const response = await request(app)
+        .get('/api/v1/admin/orders?status=shipped&payment_status=paid')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.orders.length).toBe(1);
+      expect(response.body.data.orders[0].order_number).toBe('ORD-ADMIN-002');
+    });
+
+    it('should filter orders by date range', async () => {
+      const response = await request(app)
+        .get('/api/v1/admin/orders?date_from=2024-01-01&date_to=2024-01-31')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.orders.length).toBe(1);
+      expect(response.body.data.orders[0].id).toBe(pendingOrder.id);
+    });
+
+    it('should reject invalid filters', async () => {
+      const response = await request(app)
+        .get('/api/v1/admin/orders?status=lost')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should deny access to customers', async () => {
+      const response = await request(app)
+        .get('/api/v1/admin/orders')
+        .set('Authorization', `Bearer ${customerToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('GET /api/v1/admin/orders/:id', () => {
+    it('should return order details with items and address', async () => {
+      const response = await request(app)
+        .get(`/api/v1/admin/orders/${pendingOrder.id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.order.items.length).toBe(1);
+      expect(response.body.data.order.address).toBeDefined();
+      expect(response.body.data.order.user.email).toBe('customer@test.com');
+    });
+
+    it('should return 404 for unknown order', async () => {
+      const response = await request(app)
+        .get('/api/v1/admin/orders/99999')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('Order status transitions', () => {
+    it('should confirm then process a pending order', async () => {
+      const confirmResponse = await request(app)
+        .put(`/api/v1/admin/orders/${pendingOrder.id}/confirm`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ notes: 'Bank transfer received' });
+
+      expect(confirmResponse.status).toBe(200);
+      expect(confirmResponse.body.data.order.status).toBe('confirmed');
+      expect(confirmResponse.body.data.order.notes).toContain('Bank transfer received');
+
+      const processResponse = await request(app)
+        .put(`/api/v1/admin/orders/${pendingOrder.id}/process`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(processResponse.status).toBe(200);
+      expect(processResponse.body.data.order.status).toBe('processing');
+    });
+
+    it('should not process a pending order', async () => {
+      const response = await request(app)
+        .put(`/api/v1/admin/orders/${pendingOrder.id}/process`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(409);
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should cancel an order and restore stock', async () => {
+      const response = await request(app)
+        .put(`/api/v1/admin/orders/${pendingOrder.id}/cancel`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.order.status).toBe('cancelled');
+      expect(response.body.data.order.payment_status).toBe('failed');
+
+      const product = await Product.findByPk(testProduct.id);
+      expect(product.stock_quantity).toBe(10);
+    });
+
+    it('should not cancel a shipped order', async () => {
+      const response = await request(app)
+        .put(`/api/v1/admin/orders/${shippedOrder.id}/cancel`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(409);
+
+      const order = await Order.findByPk(shippedOrder.id);
+      expect(order.status).toBe('shipped');
+    });
+  });
+
+  describe('Stock restoration on failed payments', () => {
+    beforeEach(async () => {
+      await Payment.create({
+        order_id: pendingOrder.id,
+        user_id: testCustomer.id,
+        payment_method: 'midtrans',
+        amount: 100000,
+        status: 'pending',
+        midtrans_order_id: 'ORD-ADMIN-001'
+      });
+    });
+
+    it('should cancel and restock the order when its payment expires', async () => {
+      const notification = {
+        order_id: 'ORD-ADMIN-001',
+        transaction_id: 'restock-transaction',
+        transaction_status: 'expire',
+        payment_type: 'bank_transfer',
+        gross_amount: '100000',
+        status_code: '407'
+      };
+      notification.signature_key = generateSignature('ORD-ADMIN-001', '407', '100000');
+
+      const response = await request(app)
+        .post('/api/v1/webhook/midtrans/notification')
+        .send(notification);
+
+      expect(response.status).toBe(200);
+
+      const order = await Order.findByPk(pendingOrder.id);
+      expect(order.status).toBe('cancelled');
+      expect(order.payment_status).toBe('failed');
+      expect(order.stock_restored_at).not.toBeNull();
+
+      const product = await Product.findByPk(testProduct.id);
+      expect(product.stock_quantity).toBe(10);
+    });
+
+    it('should restock only once when an order is cancelled twice', async () => {
+      const [first, second] = await Promise.all([
+        cancelOrder(pendingOrder.id),
+        cancelOrder(pendingOrder.id)
+      ]);
+
+      expect([first.restocked, second.restocked].filter(Boolean).length).toBe(1);
+
+      const product = await Product.findByPk(testProduct.id);
+      expect(product.stock_quantity).toBe(10);
+    });
+
+    it('should check the order status again once the order is locked', async () => {
+      // A settlement confirmed the order after the caller checked it
+      await Order.update({ status: 'confirmed', payment_status: 'paid' }, { where: { id: pendingOrder.id } });
+
+      const result = await cancelOrder(pendingOrder.id, { allowedStatuses: ['pending'] });
+
+      expect(result.success).toBe(false);
+      expect(result.status).toBe(409);
+
+      const order = await Order.findByPk(pendingOrder.id);
+      expect(order.status).toBe('confirmed');
+      expect(order.stock_restored_at).toBeNull();
+    });
+
+    it('should flag the payment for refund when a paid order is cancelled', async () => {
+      await Payment.update({ status: 'settlement' }, { where: { order_id: pendingOrder.id } });
+      await Order.update({ status: 'confirmed', payment_status: 'paid' }, { where: { id: pendingOrder.id } });
+
+      const response = await request(app)
+        .put(`/api/v1/admin/orders/${pendingOrder.id}/cancel`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.order.payment_status).toBe('paid');
+
+      const payment = await Payment.findOne({ where: { order_id: pendingOrder.id } });
+      expect(payment.refund_required_at).not.toBeNull();
+    });
+  });
+});
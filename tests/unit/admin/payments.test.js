@@ -0,0 +1,125 @@
+const request = require('supertest');
+
+const mockTransactionStatus = jest.fn();
+jest.mock('midtrans-client', () => ({
+  ...jest.requireActual('midtrans-client'),
+  CoreApi: jest.fn().mockImplementation(() => ({
+    transaction: { status: mockTransactionStatus }
+  }))
+}));
+
+const app = require('../../../app');
+const { User, Address, Order, Payment } = require('../../../models');
+const { grantSuperAdmin } = require('../../helpers/roles');
+
+describe('Admin Payment Sync', () => {
+  let adminToken;
+  let order;
+  let payment;
+
+  beforeEach(async () => {
+    const admin = await User.create({
+      name: 'Test Admin',
+      email: 'admin@test.com',
+      password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LeD4YOFJf7QXqYzKm', // password123
+      role: 'admin',
+      is_active: true
+    });
+    await grantSuperAdmin(admin);
+
+    const customer = await User.create({
+      name: 'Paying Customer',
+      email: 'customer@test.com',
+      password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LeD4YOFJf7QXqYzKm', // password123
+      role: 'customer',
+      is_active: true
+    });
+
+    const address = await Address.create({
+      user_id: customer.id,
+      label: 'Home',
+      recipient_name: 'Paying Customer',
+      phone: '08123456789',
+      province: 'DKI Jakarta',
+      city: 'Jakarta Pusat',
+      district: 'Menteng',
+      postal_code: '10350',
+      full_address: 'Jl. Payment Test No. 1',
+      is_default: true,
+      is_active: true
+    });
+
+    order = await Order.create({
+      order_number: 'ORD-SYNC-001',
+      user_id: customer.id,
+      address_id: address.id,
+      status: 'pending',
+      subtotal: 80000,
+      total_amount: 80000,
+      payment_status: 'pending'
+    });
+
+    payment = await Payment.create({
+      order_id: order.id,
+      user_id: customer.id,
+      payment_method: 'midtrans',
+      amount: 80000,
+      status: 'pending',
+      midtrans_order_id: 'ORD-SYNC-001',
+      midtrans_transaction_id: 'sync-transaction-001'
+    });
+
+    const adminLogin = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'admin@test.com', password: 'password123' });
+    adminToken = adminLogin.body.data.token;
+
+    mockTransactionStatus.mockReset();
+  });
+
+  const syncStatus = (transactionStatus) => {
+    mockTransactionStatus.mockResolvedValue({
+      transaction_id: 'sync-transaction-001',
+      transaction_status: transactionStatus,
+      fraud_status: 'accept',
+      payment_type: 'bank_transfer',
+      settlement_time: '2026-10-19 10:00:00'
+    });
+
+    return request(app)
+      .post(`/api/v1/admin/payments/sync/${order.id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+  };
+
+  it('should confirm a pending order when the payment has settled', async () => {
+    const response = await syncStatus('settlement');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.payment.status).toBe('settlement');
+
+    await order.reload();
+    expect(order.status).toBe('confirmed');
+    expect(order.payment_status).toBe('paid');
+  });
+
+  it('should flag a payment that settled after its order was cancelled for refund', async () => {
+    await order.update({ status: 'cancelled', payment_status: 'failed', stock_restored_at: new Date() });
+
+    const response = await syncStatus('settlement');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.payment.refund_required_at).not.toBeNull();
+
+    await order.reload();
+    expect(order.status).toBe('cancelled');
+  });
+
+  it('should refuse illegal transitions', async () => {
+    await payment.update({ status: 'settlement' });
+
+    const response = await syncStatus('pending');
+
+    expect(response.status).toBe(409);
+    expect(response.body.message).toBe('Illegal payment status transition settlement -> pending');
+  });
+});
@@ -0,0 +1,215 @@
+const request = require('supertest');
+const app = require('../../../app');
+const { User, Category, Product, ProductVariant } = require('../../../models');
+const { grantSuperAdmin } = require('../../helpers/roles');
+
+describe('Admin Product Variant Endpoints', () => {
+  let adminToken;
+  let product;
+
+  beforeEach(async () => {
+    const admin = await User.create({
+      name: 'Test Admin',
+      email: 'admin@test.com',
+      password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LeD4YOFJf7QXqYzKm', // password123
+      role: 'admin',
+      is_active: true
+    });
+    await grantSuperAdmin(admin);
+
+    const category = await Category.create({ name: 'Dog Food', is_active: true });
+
+    product = await Product.create({
+      name: 'Premium Dog Food',
+      price: 150000,
+      stock_quantity: 0,
+      category_id: category.id,
+      sku: 'PDF-001',
+      weight_grams: 1000,
+      is_active: true
+    });
+
+    const adminLogin = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'admin@test.com', password: 'password123' });
+    adminToken = adminLogin.body.data.token;
+  });
+
+  describe('POST /api/v1/admin/products/:id/variants', () => {
+    it('should create a variant and roll its stock up to the product', async () => {
+      const response = await request(app)
+        .post(`/api/v1/admin/products/${product.id}/variants`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          options: { size: '2 kg', flavour: 'Chicken' },
+          sku: 'PDF-001-2KG-CHK',
+          price: 185000,
+          stock_quantity: 12,
+          weight_grams: 2000
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.variant.name).toBe('2 kg / Chicken');
+      expect(response.body.data.variant.options).toEqual({ size: '2 kg', flavour: 'Chicken' });
+
+      await ProductVariant.create({
+        product_id: product.id,
+        name: '1 kg / Chicken',
+        options: { size: '1 kg', flavour: 'Chicken' },
+        sku: 'PDF-001-1KG-CHK',
+        price: 99000,
+        stock_quantity: 5,
+        is_active: false
+      });
+
+      await request(app)
+        .post(`/api/v1/admin/products/${product.id}/variants`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ options: { size: '2 kg', flavour: 'Lamb' }, sku: 'PDF-001-2KG-LMB', price: 190000, stock_quantity: 3 });
+
+      // Inactive variants do not count towards the product stock
+      await product.reload();
+      expect(product.stock_quantity).toBe(15);
+    });
+
+    it('should reject a SKU used by a product or another variant', async () => {
+      const productSku = await request(app)
+        .post(`/api/v1/admin/products/${product.id}/variants`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ options: { size: '2 kg' }, sku: 'PDF-001', price: 185000 });
+
+      expect(productSku.status).toBe(409);
+
+      await ProductVariant.create({
+        product_id: product.id,
+        name: '1 kg',
+        options: { size: '1 kg' },
+        sku: 'PDF-001-1KG',
+        price: 99000
+      });
+
+      const variantSku = await request(app)
+        .post(`/api/v1/admin/products/${product.id}/variants`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ options: { size: '2 kg' }, sku: 'PDF-001-1KG', price: 185000 });
+
+      expect(variantSku.status).toBe(409);
+      expect(variantSku.body.message).toBe('SKU already exists');
+    });
+
+    it('should reject a duplicate option combination', async () => {
+      await ProductVariant.create({
+        product_id: product.id,
+        name: '2 kg / Chicken',
+        options: { size: '2 kg', flavour: 'Chicken' },
+        sku: 'PDF-001-2KG-CHK',
+        price: 185000
+      });
+
+      const response = await request(app)
+        .post(`/api/v1/admin/products/${product.id}/variants`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ options: { Flavour: 'chicken', size: '2 kg' }, sku: 'PDF-001-2KG-CHK-B', price: 185000 });
+
+      expect(response.status).toBe(409);
+      expect(response.body.message).toBe('A variant with these options already exists');
+    });
+
+    it('should validate options', async () => {
+      const response = await request(app)
+        .post(`/api/v1/admin/products/${product.id}/variants`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ options: ['2 kg'], sku: 'PDF-001-2KG', price: 185000 });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should return 404 for an unknown product', async () => {
+      const response = await request(app)
+        .post('/api/v1/admin/products/99999/variants')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ options: { size: '2 kg' }, sku: 'PDF-001-2KG', price: 185000 });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('PUT and DELETE /api/v1/admin/products/:id/variants/:variantId', () => {
+    let variant;
+
+    beforeEach(async () => {
+      variant = await ProductVariant.create({
+        product_id: product.id,
+        name: '2 kg',
+        options: { size: '2 kg' },
+        sku: 'PDF-001-2KG',
+        price: 185000,
+        stock_quantity: 10
+      });
+      await ProductVariant.create({
+        product_id: product.id,
+        name: '5 kg',
+        options: { size: '5 kg' },
+        sku: 'PDF-001-5KG',
+        price: 420000,
+        stock_quantity: 4
+      });
+    });
+
+    it('should update a variant and keep a generated name in step with its options', async () => {
+      const response = await request(app)
+        .put(`/api/v1/admin/products/${product.id}/variants/${variant.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ options: { size: '3 kg' }, stock_quantity: 6 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.variant.name).toBe('3 kg');
+
+      await product.reload();
+      expect(product.stock_quantity).toBe(10);
+    });
+
+    it('should not find a variant through another product', async () => {
+      const other = await Product.create({
+        name: 'Other Product',
+        price: 1000,
+        stock_quantity: 1,
+        category_id: product.category_id
+      });
+
+      const response = await request(app)
+        .put(`/api/v1/admin/products/${other.id}/variants/${variant.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ price: 1 });
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should soft delete a variant and keep its SKU reserved', async () => {
+      const response = await request(app)
+        .delete(`/api/v1/admin/products/${product.id}/variants/${variant.id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+
+      await product.reload();
+      expect(product.stock_quantity).toBe(4);
+
+      const reuse = await request(app)
+        .post(`/api/v1/admin/products/${product.id}/variants`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ options: { size: '2 kg' }, sku: 'PDF-001-2KG', price: 185000 });
+
+      expect(reuse.status).toBe(409);
+    });
+
+    it('should list variants on the product detail', async () => {
+      const response = await request(app)
+        .get(`/api/v1/admin/products/${product.id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.product.variants.map(v => v.sku)).toEqual(['PDF-001-2KG', 'PDF-001-5KG']);
+    });
+  });
+});
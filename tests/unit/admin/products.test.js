@@ -1,6 +1,7 @@
 const request = require('supertest');
 const app = require('../../../app');
 const { User, Category, Product } = require('../../../models');
+const { grantSuperAdmin } = require('../../helpers/roles');
 
 describe('Admin Product Endpoints', () => {
   let adminToken;
@@ -17,6 +18,7 @@ describe('Admin Product Endpoints', () => {
       role: 'admin',
       is_active: true
     });
+    await grantSuperAdmin(admin);
 
     // Create test customer user
     const customer = await User.create({
@@ -0,0 +1,276 @@
+const request = require('supertest');
+const app = require('../../../app');
+const { User, Role, UserRole } = require('../../../models');
+
+const PASSWORD_HASH = '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LeD4YOFJf7QXqYzKm'; // password123
+
+const login = async (email) => {
+  const response = await request(app)
+    .post('/api/v1/auth/login')
+    .send({ email, password: 'password123' });
+  return response.body.data.token;
+};
+
+describe('Admin Roles & Permissions', () => {
+  let admin;
+  let warehouseAdmin;
+  let adminToken;
+  let warehouseToken;
+  let superAdminRole;
+  let warehouseRole;
+
+  beforeEach(async () => {
+    admin = await User.create({
+      name: 'Test Admin',
+      email: 'admin@test.com',
+      password: PASSWORD_HASH,
+      role: 'admin',
+      is_active: true
+    });
+
+    warehouseAdmin = await User.create({
+      name: 'Warehouse Admin',
+      email: 'warehouse@test.com',
+      password: PASSWORD_HASH,
+      role: 'admin',
+      is_active: true
+    });
+
+    superAdminRole = await Role.create({
+      name: 'super_admin',
+      description: 'Full access',
+      permissions: ['*'],
+      is_system: true
+    });
+
+    warehouseRole = await Role.create({
+      name: 'warehouse',
+      description: 'Packs orders and manages shipments',
+      permissions: ['orders:read', 'shipments:read', 'shipments:write']
+    });
+
+    await UserRole.create({ user_id: admin.id, role_id: superAdminRole.id });
+    await UserRole.create({ user_id: warehouseAdmin.id, role_id: warehouseRole.id });
+
+    adminToken = await login('admin@test.com');
+    warehouseToken = await login('warehouse@test.com');
+  });
+
+  describe('requirePermission', () => {
+    it('should give admins without roles no permissions', async () => {
+      await User.create({
+        name: 'Roleless Admin',
+        email: 'roleless@test.com',
+        password: PASSWORD_HASH,
+        role: 'admin',
+        is_active: true
+      });
+      const rolelessToken = await login('roleless@test.com');
+
+      const response = await request(app)
+        .post('/api/v1/admin/categories')
+        .set('Authorization', `Bearer ${rolelessToken}`)
+        .send({ name: 'Dog Food', description: 'Food for dogs' });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should give super admins full access', async () => {
+      const response = await request(app)
+        .post('/api/v1/admin/categories')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Dog Food', description: 'Food for dogs' });
+
+      expect(response.status).toBe(201);
+    });
+
+    it('should allow routes covered by the admin roles', async () => {
+      const response = await request(app)
+        .get('/api/v1/admin/shipments')
+        .set('Authorization', `Bearer ${warehouseToken}`);
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should reject routes outside the admin roles', async () => {
+      const response = await request(app)
+        .post('/api/v1/admin/categories')
+        .set('Authorization', `Bearer ${warehouseToken}`)
+        .send({ name: 'Cat Food', description: 'Food for cats' });
+
+      expect(response.status).toBe(403);
+      expect(response.body.message).toBe('Insufficient permissions');
+      expect(response.body.required_permissions).toEqual(['catalog:write']);
+    });
+  });
+
+  describe('Role management', () => {
+    it('should list roles with user counts', async () => {
+      const response = await request(app)
+        .get('/api/v1/admin/roles')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      const warehouse = response.body.data.roles.find(role => role.name === 'warehouse');
+      expect(warehouse.user_count).toBe(1);
+    });
+
+    it('should create a role with known permissions', async () => {
+      const response = await request(app)
+        .post('/api/v1/admin/roles')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'support', permissions: ['orders:read', 'users:read'] });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.role.permissions).toEqual(['orders:read', 'users:read']);
+    });
+
+    it('should reject unknown permissions', async () => {
+      const response = await request(app)
+        .post('/api/v1/admin/roles')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'support', permissions: ['orders:delete'] });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should not change system roles', async () => {
+      const response = await request(app)
+        .put(`/api/v1/admin/roles/${superAdminRole.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ permissions: ['orders:read'] });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should not delete roles that are still assigned', async () => {
+      const response = await request(app)
+        .delete(`/api/v1/admin/roles/${warehouseRole.id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should not let admins without roles:manage manage roles', async () => {
+      const response = await request(app)
+        .get('/api/v1/admin/roles')
+        .set('Authorization', `Bearer ${warehouseToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('Role assignment', () => {
+    it('should replace the roles of an admin', async () => {
+      const response = await request(app)
+        .put(`/api/v1/admin/users/${warehouseAdmin.id}/roles`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role_ids: [superAdminRole.id] });
+
+      expect(response.status).toBe(200);
+
+      const assignments = await UserRole.findAll({ where: { user_id: warehouseAdmin.id } });
+      expect(assignments).toHaveLength(1);
+      expect(assignments[0].role_id).toBe(superAdminRole.id);
+      expect(assignments[0].assigned_by).toBe(admin.id);
+
+      const categoryResponse = await request(app)
+        .post('/api/v1/admin/categories')
+        .set('Authorization', `Bearer ${warehouseToken}`)
+        .send({ name: 'Bird Food', description: 'Food for birds' });
+
+      expect(categoryResponse.status).toBe(201);
+    });
+
+    it('should require at least one role', async () => {
+      const response = await request(app)
+        .put(`/api/v1/admin/users/${warehouseAdmin.id}/roles`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role_ids: [] });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should not let admins remove their own roles:manage permission', async () => {
+      const response = await request(app)
+        .put(`/api/v1/admin/users/${admin.id}/roles`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role_ids: [warehouseRole.id] });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Privilege escalation', () => {
+    let roleManager;
+    let roleManagerToken;
+
+    beforeEach(async () => {
+      const roleManagerRole = await Role.create({
+        name: 'role_manager',
+        description: 'Manages roles',
+        permissions: ['roles:manage', 'orders:read', 'shipments:read', 'shipments:write']
+      });
+
+      roleManager = await User.create({
+        name: 'Role Manager',
+        email: 'role-manager@test.com',
+        password: PASSWORD_HASH,
+        role: 'admin',
+        is_active: true
+      });
+      await UserRole.create({ user_id: roleManager.id, role_id: roleManagerRole.id });
+
+      roleManagerToken = await login('role-manager@test.com');
+    });
+
+    it('should not let an admin create a role with permissions they do not have', async () => {
+      const response = await request(app)
+        .post('/api/v1/admin/roles')
+        .set('Authorization', `Bearer ${roleManagerToken}`)
+        .send({ name: 'everything', permissions: ['*'] });
+
+      expect(response.status).toBe(403);
+      expect(await Role.count({ where: { name: 'everything' } })).toBe(0);
+    });
+
+    it('should let an admin create a role within their own permissions', async () => {
+      const response = await request(app)
+        .post('/api/v1/admin/roles')
+        .set('Authorization', `Bearer ${roleManagerToken}`)
+        .send({ name: 'packer', permissions: ['shipments:read'] });
+
+      expect(response.status).toBe(201);
+    });
+
+    it('should not let an admin add permissions they do not have to a role', async () => {
+      const response = await request(app)
+        .put(`/api/v1/admin/roles/${warehouseRole.id}`)
+        .set('Authorization', `Bearer ${roleManagerToken}`)
+        .send({ permissions: ['orders:read', 'catalog:write'] });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should not let an admin assign themselves a more powerful role', async () => {
+      const response = await request(app)
+        .put(`/api/v1/admin/users/${roleManager.id}/roles`)
+        .set('Authorization', `Bearer ${roleManagerToken}`)
+        .send({ role_ids: [superAdminRole.id] });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should not let an admin change the roles of a more powerful admin', async () => {
+      const response = await request(app)
+        .put(`/api/v1/admin/users/${admin.id}/roles`)
+        .set('Authorization', `Bearer ${roleManagerToken}`)
+        .send({ role_ids: [warehouseRole.id] });
+
+      expect(response.status).toBe(403);
+
+      const assignments = await UserRole.findAll({ where: { user_id: admin.id } });
+      expect(assignments.map(assignment => assignment.role_id)).toEqual([superAdminRole.id]);
+    });
+  });
+});
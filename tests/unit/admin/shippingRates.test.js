@@ -0,0 +1,83 @@
+const request = require('supertest');
+const app = require('../../../app');
+const { User, ShippingRate } = require('../../../models');
+const { grantSuperAdmin } = require('../../helpers/roles');
+
+describe('Admin Shipping Rate Endpoints', () => {
+  let adminToken;
+
+  beforeEach(async () => {
+    const admin = await User.create({
+      name: 'Test Admin',
+      email: 'admin@test.com',
+      password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LeD4YOFJf7QXqYzKm', // password123
+      role: 'admin',
+      is_active: true
+    });
+    await grantSuperAdmin(admin);
+
+    const adminLogin = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'admin@test.com', password: 'password123' });
+    adminToken = adminLogin.body.data.token;
+  });
+
+  it('should create and list shipping rates', async () => {
+    const createResponse = await request(app)
+      .post('/api/v1/admin/shipping-rates')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        carrier: 'JNE',
+        service_type: 'YES',
+        province: 'DKI Jakarta',
+        base_cost: 5000,
+        cost_per_kg: 18000,
+        estimated_days_min: 1,
+        estimated_days_max: 1
+      });
+
+    expect(createResponse.status).toBe(201);
+    expect(createResponse.body.data.shipping_rate.carrier).toBe('JNE');
+
+    const listResponse = await request(app)
+      .get('/api/v1/admin/shipping-rates?carrier=JNE')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(listResponse.status).toBe(200);
+    expect(listResponse.body.data.shipping_rates.length).toBe(1);
+  });
+
+  it('should reject a weight range that ends before it starts', async () => {
+    const response = await request(app)
+      .post('/api/v1/admin/shipping-rates')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        carrier: 'JNE',
+        service_type: 'REG',
+        cost_per_kg: 9000,
+        min_weight_grams: 5000,
+        max_weight_grams: 1000
+      });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should update and soft delete a shipping rate', async () => {
+    const rate = await ShippingRate.create({ carrier: 'TIKI', service_type: 'REG', cost_per_kg: 8000 });
+
+    const updateResponse = await request(app)
+      .put(`/api/v1/admin/shipping-rates/${rate.id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ is_active: false });
+
+    expect(updateResponse.status).toBe(200);
+    expect(updateResponse.body.data.shipping_rate.is_active).toBe(false);
+
+    const deleteResponse = await request(app)
+      .delete(`/api/v1/admin/shipping-rates/${rate.id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(deleteResponse.status).toBe(200);
+    expect(await ShippingRate.findByPk(rate.id)).toBeNull();
+  });
+});
@@ -0,0 +1,75 @@
+const request = require('supertest');
+const app = require('../../../app');
+const { User, Category, TaxSetting } = require('../../../models');
+const { grantSuperAdmin } = require('../../helpers/roles');
+
+describe('Admin Tax Setting Endpoints', () => {
+  let adminToken;
+
+  beforeEach(async () => {
+    const admin = await User.create({
+      name: 'Test Admin',
+      email: 'admin@test.com',
+      password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LeD4YOFJf7QXqYzKm', // password123
+      role: 'admin',
+      is_active: true
+    });
+    await grantSuperAdmin(admin);
+
+    const adminLogin = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'admin@test.com', password: 'password123' });
+    adminToken = adminLogin.body.data.token;
+  });
+
+  it('should return an inactive default before anything is saved', async () => {
+    const response = await request(app)
+      .get('/api/v1/admin/tax-settings')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.tax_setting.rate).toBe(0);
+    expect(response.body.data.tax_setting.is_active).toBe(false);
+  });
+
+  it('should save and then update a single tax setting', async () => {
+    const category = await Category.create({ name: 'Pet Medicine', is_active: true });
+
+    const createResponse = await request(app)
+      .put('/api/v1/admin/tax-settings')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ rate: 11, is_inclusive: false, exempt_category_ids: [category.id], is_active: true });
+
+    expect(createResponse.status).toBe(200);
+    expect(createResponse.body.data.tax_setting.rate).toBe(11);
+    expect(createResponse.body.data.tax_setting.exempt_category_ids).toEqual([category.id]);
+
+    const updateResponse = await request(app)
+      .put('/api/v1/admin/tax-settings')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ rate: 12, is_inclusive: true });
+
+    expect(updateResponse.status).toBe(200);
+    expect(updateResponse.body.data.tax_setting.rate).toBe(12);
+    expect(updateResponse.body.data.tax_setting.is_inclusive).toBe(true);
+    expect(await TaxSetting.count()).toBe(1);
+  });
+
+  it('should reject a rate above 100', async () => {
+    const response = await request(app)
+      .put('/api/v1/admin/tax-settings')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ rate: 150 });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should reject unknown exempt categories', async () => {
+    const response = await request(app)
+      .put('/api/v1/admin/tax-settings')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ exempt_category_ids: [99999] });
+
+    expect(response.status).toBe(400);
+  });
+});
@@ -0,0 +1,307 @@
+const request = require('supertest');
+const app = require('../../../app');
+const { User, Role, UserRole, UserSession, AuditLog, Address, Order, Payment } = require('../../../models');
+const { grantSuperAdmin } = require('../../helpers/roles');
+
+describe('Admin User Endpoints', () => {
+  let adminToken;
+  let testAdmin;
+  let testCustomer;
+  let superAdminRole;
+
+  beforeEach(async () => {
+    testAdmin = await User.create({
+      name: 'Test Admin',
+      email: 'admin@test.com',
+      password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LeD4YOFJf7QXqYzKm', // password123
+      role: 'admin',
+      is_active: true
+    });
+    superAdminRole = await grantSuperAdmin(testAdmin);
+
+    testCustomer = await User.create({
+      name: 'Managed Customer',
+      email: 'customer@test.com',
+      password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LeD4YOFJf7QXqYzKm', // password123
+      role: 'customer',
+      is_active: true
+    });
+
+    const address = await Address.create({
+      user_id: testCustomer.id,
+      label: 'Home',
+      recipient_name: 'Managed Customer',
+      phone: '08123456789',
+      province: 'DKI Jakarta',
+      city: 'Jakarta Pusat',
+      district: 'Menteng',
+      postal_code: '10350',
+      full_address: 'Jl. User Test No. 1',
+      is_default: true,
+      is_active: true
+    });
+
+    const order = await Order.create({
+      order_number: 'ORD-USER-001',
+      user_id: testCustomer.id,
+      address_id: address.id,
+      status: 'confirmed',
+      subtotal: 120000,
+      total_amount: 120000,
+      payment_status: 'paid'
+    });
+
+    await Payment.create({
+      order_id: order.id,
+      user_id: testCustomer.id,
+      payment_method: 'midtrans',
+      amount: 120000,
+      status: 'settlement',
+      midtrans_order_id: 'ORD-USER-001'
+    });
+
+    const adminLogin = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'admin@test.com', password: 'password123' });
+    adminToken = adminLogin.body.data.token;
+  });
+
+  describe('GET /api/v1/admin/users', () => {
+    it('should list users without passwords', async () => {
+      const response = await request(app)
+        .get('/api/v1/admin/users')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.users.length).toBe(2);
+      expect(response.body.data.users[0].password).toBeUndefined();
+    });
+
+    it('should search and filter users by role', async () => {
+      const response = await request(app)
+        .get('/api/v1/admin/users?role=customer&search=Managed')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.users.length).toBe(1);
+      expect(response.body.data.users[0].email).toBe('customer@test.com');
+    });
+  });
+
+  describe('GET /api/v1/admin/users/:id', () => {
+    it('should return order and payment summaries', async () => {
+      const response = await request(app)
+        .get(`/api/v1/admin/users/${testCustomer.id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.summary.orders.total_orders).toBe(1);
+      expect(response.body.data.summary.orders.total_spent).toBe(120000);
+      expect(response.body.data.summary.payments.by_status.settlement).toBe(1);
+      expect(response.body.data.summary.payments.total_paid).toBe(120000);
+    });
+  });
+
+  describe('Account status changes', () => {
+    it('should deactivate a customer and block their login', async () => {
+      const response = await request(app)
+        .put(`/api/v1/admin/users/${testCustomer.id}/deactivate`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.user.is_active).toBe(false);
+
+      const login = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: 'customer@test.com', password: 'password123' });
+      expect(login.status).toBe(401);
+    });
+
+    it('should not allow an admin to deactivate themselves', async () => {
+      const response = await request(app)
+        .put(`/api/v1/admin/users/${testAdmin.id}/deactivate`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should reset a user password', async () => {
+      const response = await request(app)
+        .put(`/api/v1/admin/users/${testCustomer.id}/reset-password`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ new_password: 'temporary123' });
+
+      expect(response.status).toBe(200);
+
+      const login = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: 'customer@test.com', password: 'temporary123' });
+      expect(login.status).toBe(200);
+    });
+
+    it('should log the user out everywhere when resetting their password', async () => {
+      const customerLogin = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: 'customer@test.com', password: 'password123' });
+
+      await request(app)
+        .put(`/api/v1/admin/users/${testCustomer.id}/reset-password`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ new_password: 'temporary123' });
+
+      const session = await UserSession.findOne({ where: { user_id: testCustomer.id } });
+      expect(session.revoked_reason).toBe('admin_password_reset');
+
+      const profile = await request(app)
+        .get('/api/v1/auth/profile')
+        .set('Authorization', `Bearer ${customerLogin.body.data.token}`);
+      expect(profile.status).toBe(401);
+    });
+
+    it('should soft delete and restore a user', async () => {
+      const deleteResponse = await request(app)
+        .delete(`/api/v1/admin/users/${testCustomer.id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(deleteResponse.status).toBe(200);
+      expect(await User.findByPk(testCustomer.id)).toBeNull();
+
+      const restoreResponse = await request(app)
+        .put(`/api/v1/admin/users/${testCustomer.id}/restore`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(restoreResponse.status).toBe(200);
+      expect(await User.findByPk(testCustomer.id)).not.toBeNull();
+    });
+
+    it('should refuse to restore a user that is not deleted', async () => {
+      const response = await request(app)
+        .put(`/api/v1/admin/users/${testCustomer.id}/restore`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe('PUT /api/v1/admin/users/:id/role', () => {
+    it('should promote a customer to admin and record who did it', async () => {
+      const response = await request(app)
+        .put(`/api/v1/admin/users/${testCustomer.id}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'admin', role_ids: [superAdminRole.id] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.user.role).toBe('admin');
+      expect(await UserRole.count({ where: { user_id: testCustomer.id } })).toBe(1);
+
+      const entry = await AuditLog.findOne({ where: { entity_type: 'users', entity_id: testCustomer.id } });
+      expect(entry.actor_id).toBe(testAdmin.id);
+      expect(entry.after).toEqual({ role: 'admin' });
+    });
+
+    it('should log a demoted admin out everywhere', async () => {
+      const otherAdmin = await User.create({
+        name: 'Other Admin',
+        email: 'other-admin@test.com',
+        password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LeD4YOFJf7QXqYzKm', // password123
+        role: 'admin',
+        is_active: true
+      });
+      await grantSuperAdmin(otherAdmin);
+      await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: 'other-admin@test.com', password: 'password123' });
+
+      const response = await request(app)
+        .put(`/api/v1/admin/users/${otherAdmin.id}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'customer' });
+
+      expect(response.status).toBe(200);
+
+      const session = await UserSession.findOne({ where: { user_id: otherAdmin.id } });
+      expect(session.revoked_reason).toBe('role_changed');
+    });
+
+    it('should not allow an admin to change their own role', async () => {
+      const response = await request(app)
+        .put(`/api/v1/admin/users/${testAdmin.id}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'customer' });
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should reject unknown roles', async () => {
+      const response = await request(app)
+        .put(`/api/v1/admin/users/${testCustomer.id}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'owner' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should require roles when promoting to admin', async () => {
+      const response = await request(app)
+        .put(`/api/v1/admin/users/${testCustomer.id}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'admin' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Privilege escalation', () => {
+    let userManagerToken;
+
+    beforeEach(async () => {
+      const userManagerRole = await Role.create({
+        name: 'user_manager',
+        description: 'Manages user accounts',
+        permissions: ['users:read', 'users:manage']
+      });
+
+      const userManager = await User.create({
+        name: 'User Manager',
+        email: 'user-manager@test.com',
+        password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LeD4YOFJf7QXqYzKm', // password123
+        role: 'admin',
+        is_active: true
+      });
+      await UserRole.create({ user_id: userManager.id, role_id: userManagerRole.id });
+
+      const userManagerLogin = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: 'user-manager@test.com', password: 'password123' });
+      userManagerToken = userManagerLogin.body.data.token;
+    });
+
+    it('should not let an admin grant roles with permissions they do not have', async () => {
+      const response = await request(app)
+        .post('/api/v1/admin/users')
+        .set('Authorization', `Bearer ${userManagerToken}`)
+        .send({ name: 'New Admin', email: 'new-admin@test.com', password: 'password123', role_ids: [superAdminRole.id] });
+
+      expect(response.status).toBe(403);
+      expect(await User.count({ where: { email: 'new-admin@test.com' } })).toBe(0);
+    });
+
+    it('should not let an admin reset the password of a more privileged admin', async () => {
+      const response = await request(app)
+        .put(`/api/v1/admin/users/${testAdmin.id}/reset-password`)
+        .set('Authorization', `Bearer ${userManagerToken}`)
+        .send({ new_password: 'takeover123' });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should still let them manage customers', async () => {
+      const response = await request(app)
+        .put(`/api/v1/admin/users/${testCustomer.id}/reset-password`)
+        .set('Authorization', `Bearer ${userManagerToken}`)
+        .send({ new_password: 'newpassword123' });
+
+      expect(response.status).toBe(200);
+    });
+  });
+});
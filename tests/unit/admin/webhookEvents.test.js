@@ -0,0 +1,162 @@
+const request = require('supertest');
+const app = require('../../../app');
+const { User, Address, Order, Payment, WebhookEvent } = require('../../../models');
+const { grantSuperAdmin } = require('../../helpers/roles');
+
+describe('Admin Webhook Event Endpoints', () => {
+  let adminToken;
+  let testOrder;
+  let testPayment;
+  let failedEvent;
+
+  beforeEach(async () => {
+    const admin = await User.create({
+      name: 'Test Admin',
+      email: 'admin@test.com',
+      password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LeD4YOFJf7QXqYzKm', // password123
+      role: 'admin',
+      is_active: true
+    });
+    await grantSuperAdmin(admin);
+
+    const customer = await User.create({
+      name: 'Webhook Customer',
+      email: 'customer@test.com',
+      password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LeD4YOFJf7QXqYzKm', // password123
+      role: 'customer',
+      is_active: true
+    });
+
+    const address = await Address.create({
+      user_id: customer.id,
+      label: 'Home',
+      recipient_name: 'Webhook Customer',
+      phone: '08123456789',
+      province: 'DKI Jakarta',
+      city: 'Jakarta Pusat',
+      district: 'Menteng',
+      postal_code: '10350',
+      full_address: 'Jl. Replay Test No. 1',
+      is_default: true,
+      is_active: true
+    });
+
+    testOrder = await Order.create({
+      order_number: 'ORD-REPLAY-001',
+      user_id: customer.id,
+      address_id: address.id,
+      status: 'pending',
+      subtotal: 100000,
+      total_amount: 100000,
+      payment_status: 'pending'
+    });
+
+    testPayment = await Payment.create({
+      order_id: testOrder.id,
+      user_id: customer.id,
+      payment_method: 'midtrans',
+      amount: 100000,
+      status: 'pending',
+      midtrans_order_id: 'ORD-REPLAY-001'
+    });
+
+    // A settlement that arrived before the payment could be matched
+    failedEvent = await WebhookEvent.create({
+      event_key: 'replay-transaction:settlement',
+      midtrans_order_id: 'ORD-REPLAY-001',
+      midtrans_transaction_id: 'replay-transaction',
+      transaction_status: 'settlement',
+      payment_type: 'bank_transfer',
+      payload: { order_id: 'ORD-REPLAY-001', transaction_status: 'settlement' },
+      processing_status: 'failed',
+      processing_note: 'Payment not found',
+      attempts: 1
+    });
+
+    await WebhookEvent.create({
+      event_key: 'other-transaction:pending',
+      midtrans_order_id: 'ORD-OTHER-001',
+      transaction_status: 'pending',
+      payload: { order_id: 'ORD-OTHER-001', transaction_status: 'pending' },
+      processing_status: 'processed',
+      attempts: 1
+    });
+
+    const adminLogin = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'admin@test.com', password: 'password123' });
+    adminToken = adminLogin.body.data.token;
+  });
+
+  describe('GET /api/v1/admin/webhook-events', () => {
+    it('should list events filtered by processing status', async () => {
+      const response = await request(app)
+        .get('/api/v1/admin/webhook-events?processing_status=failed')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.events.length).toBe(1);
+      expect(response.body.data.events[0].id).toBe(failedEvent.id);
+      expect(response.body.data.pagination.total_items).toBe(1);
+    });
+
+    it('should require admin authentication', async () => {
+      const response = await request(app)
+        .get('/api/v1/admin/webhook-events');
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('GET /api/v1/admin/webhook-events/:id', () => {
+    it('should return the event with its payload', async () => {
+      const response = await request(app)
+        .get(`/api/v1/admin/webhook-events/${failedEvent.id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.event.payload.order_id).toBe('ORD-REPLAY-001');
+    });
+
+    it('should return 404 for unknown event', async () => {
+      const response = await request(app)
+        .get('/api/v1/admin/webhook-events/99999')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/v1/admin/webhook-events/:id/replay', () => {
+    it('should apply a previously failed event', async () => {
+      const response = await request(app)
+        .post(`/api/v1/admin/webhook-events/${failedEvent.id}/replay`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.outcome).toBe('processed');
+      expect(response.body.data.event.processing_status).toBe('processed');
+      expect(response.body.data.event.attempts).toBe(2);
+
+      const updatedPayment = await Payment.findByPk(testPayment.id);
+      const updatedOrder = await Order.findByPk(testOrder.id);
+      expect(updatedPayment.status).toBe('settlement');
+      expect(updatedOrder.payment_status).toBe('paid');
+      expect(updatedOrder.status).toBe('confirmed');
+    });
+
+    it('should still refuse illegal transitions on replay', async () => {
+      await testPayment.update({ status: 'expire' });
+
+      const response = await request(app)
+        .post(`/api/v1/admin/webhook-events/${failedEvent.id}/replay`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.outcome).toBe('ignored');
+
+      const updatedPayment = await Payment.findByPk(testPayment.id);
+      expect(updatedPayment.status).toBe('expire');
+    });
+  });
+});
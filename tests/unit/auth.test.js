@@ -44,7 +44,7 @@ describe('Authentication Endpoints', () => {
       expect(response.body.data).toHaveProperty('token');
     });
 
-    it('should register a new admin when role specified', async () => {
+    it('should always register a customer even when admin role is requested', async () => {
       const response = await request(app)
         .post('/api/v1/auth/register')
         .send({
@@ -56,7 +56,7 @@ describe('Authentication Endpoints', () => {
 
       expect(response.status).toBe(201);
       expect(response.body.success).toBe(true);
-      expect(response.body.data.user.role).toBe('admin');
+      expect(response.body.data.user.role).toBe('customer');
     });
 
     it('should return validation error for invalid email', async () => {
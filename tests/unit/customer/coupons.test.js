@@ -0,0 +1,197 @@
+const request = require('supertest');
+const app = require('../../../app');
+const { User, Address, Category, Product, Cart, Coupon, CouponUsage, Order } = require('../../../models');
+
+describe('Customer Coupon Endpoints', () => {
+  let customerToken;
+  let testUser;
+  let testAddress;
+  let foodCategory;
+  let foodProduct;
+  let toyProduct;
+
+  beforeEach(async () => {
+    testUser = await User.create({
+      name: 'Coupon Customer',
+      email: 'customer@test.com',
+      password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LeD4YOFJf7QXqYzKm', // password123
+      role: 'customer',
+      is_active: true
+    });
+
+    testAddress = await Address.create({
+      user_id: testUser.id,
+      label: 'Home',
+      recipient_name: 'Coupon Customer',
+      phone: '08123456789',
+      province: 'DKI Jakarta',
+      city: 'Jakarta Selatan',
+      district: 'Kebayoran Baru',
+      postal_code: '12160',
+      full_address: 'Jl. Coupon Test No. 1',
+      is_default: true,
+      is_active: true
+    });
+
+    foodCategory = await Category.create({ name: 'Food', is_active: true });
+    const toyCategory = await Category.create({ name: 'Toys', is_active: true });
+
+    foodProduct = await Product.create({
+      name: 'Cat Food',
+      price: 100000,
+      stock_quantity: 10,
+      category_id: foodCategory.id,
+      sku: 'CPN-FOOD-001',
+      is_active: true
+    });
+
+    toyProduct = await Product.create({
+      name: 'Chew Toy',
+      price: 50000,
+      stock_quantity: 10,
+      category_id: toyCategory.id,
+      sku: 'CPN-TOY-001',
+      is_active: true
+    });
+
+    await Cart.create({ user_id: testUser.id, product_id: foodProduct.id, quantity: 1 });
+    await Cart.create({ user_id: testUser.id, product_id: toyProduct.id, quantity: 2 });
+
+    await Coupon.create({
+      code: 'FOOD20',
+      discount_type: 'percentage',
+      discount_value: 20,
+      min_spend: 150000,
+      max_discount: 15000,
+      usage_limit_per_user: 1,
+      category_ids: [foodCategory.id],
+      is_active: true
+    });
+
+    await Coupon.create({
+      code: 'FLAT10K',
+      discount_type: 'fixed',
+      discount_value: 10000,
+      usage_limit: 1,
+      used_count: 1,
+      is_active: true
+    });
+
+    const loginResponse = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'customer@test.com', password: 'password123' });
+    customerToken = loginResponse.body.data.token;
+  });
+
+  describe('POST /api/v1/customer/coupons/validate', () => {
+    it('should preview a capped discount on eligible items only', async () => {
+      const response = await request(app)
+        .post('/api/v1/customer/coupons/validate')
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({ code: 'food20' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.subtotal).toBe(200000);
+      // 20% of the 100000 food item, capped at 15000
+      expect(response.body.data.discount_amount).toBe(15000);
+      expect(response.body.data.total_after_discount).toBe(185000);
+    });
+
+    it('should reject a coupon whose usage limit is reached', async () => {
+      const response = await request(app)
+        .post('/api/v1/customer/coupons/validate')
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({ code: 'FLAT10K' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('usage limit');
+    });
+
+    it('should return 404 for unknown coupon', async () => {
+      const response = await request(app)
+        .post('/api/v1/customer/coupons/validate')
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({ code: 'NOPE' });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/v1/customer/orders with coupon_code', () => {
+    it('should apply the discount and record the usage', async () => {
+      const response = await request(app)
+        .post('/api/v1/customer/orders')
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({ address_id: testAddress.id, coupon_code: 'FOOD20' });
+
+      expect(response.status).toBe(201);
+      expect(parseFloat(response.body.data.order.discount_amount)).toBe(15000);
+      expect(parseFloat(response.body.data.order.total_amount)).toBe(185000);
+
+      const coupon = await Coupon.findOne({ where: { code: 'FOOD20' } });
+      expect(coupon.used_count).toBe(1);
+
+      const usage = await CouponUsage.findOne({ where: { order_id: response.body.data.order.id } });
+      expect(usage.user_id).toBe(testUser.id);
+      expect(parseFloat(usage.discount_amount)).toBe(15000);
+    });
+
+    it('should not create the order when the coupon is not applicable', async () => {
+      await CouponUsage.create({
+        coupon_id: (await Coupon.findOne({ where: { code: 'FOOD20' } })).id,
+        user_id: testUser.id,
+        order_id: (await Order.create({
+          order_number: 'ORD-CPN-OLD',
+          user_id: testUser.id,
+          address_id: testAddress.id,
+          subtotal: 200000,
+          total_amount: 185000
+        })).id,
+        code: 'FOOD20',
+        discount_amount: 15000
+      });
+
+      const response = await request(app)
+        .post('/api/v1/customer/orders')
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({ address_id: testAddress.id, coupon_code: 'FOOD20' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('maximum number of times');
+
+      // Stock and cart are untouched
+      const product = await Product.findByPk(foodProduct.id);
+      expect(product.stock_quantity).toBe(10);
+      expect(await Cart.count({ where: { user_id: testUser.id } })).toBe(2);
+    });
+
+    it('should not let parallel orders go over the per-user limit', async () => {
+      const placeOrder = () => request(app)
+        .post('/api/v1/customer/orders')
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({ address_id: testAddress.id, coupon_code: 'FOOD20' });
+
+      const responses = await Promise.all([placeOrder(), placeOrder()]);
+
+      expect(responses.filter(response => response.status === 201)).toHaveLength(1);
+      expect(await CouponUsage.count({ where: { user_id: testUser.id } })).toBe(1);
+    });
+
+    it('should release the coupon when the order is cancelled', async () => {
+      const orderResponse = await request(app)
+        .post('/api/v1/customer/orders')
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({ address_id: testAddress.id, coupon_code: 'FOOD20' });
+
+      const cancelResponse = await request(app)
+        .put(`/api/v1/customer/orders/${orderResponse.body.data.order.id}/cancel`)
+        .set('Authorization', `Bearer ${customerToken}`);
+
+      expect(cancelResponse.status).toBe(200);
+
+      const coupon = await Coupon.findOne({ where: { code: 'FOOD20' } });
+      expect(coupon.used_count).toBe(0);
+      expect(await CouponUsage.count()).toBe(0);
+    });
+  });
+});
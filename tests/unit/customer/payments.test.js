@@ -1,6 +1,7 @@
 const request = require('supertest');
 const app = require('../../../app');
 const { User, Address, Order, Payment } = require('../../../models');
+const { buildItemDetails, buildShippingAddress } = require('../../../utils/midtrans');
 
 describe('Customer Payment Endpoints', () => {
   let customerToken;
@@ -368,3 +369,62 @@ describe('Customer Payment Endpoints', () => {
     });
   });
 });
+
+describe('Midtrans item details', () => {
+  const sumItems = (itemDetails) => itemDetails.reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+  it('should itemize products, shipping, exclusive tax and discount', () => {
+    const { grossAmount, itemDetails } = buildItemDetails({
+      total_amount: '176000.00',
+      shipping_cost: '18000.00',
+      shipping_method: 'JNE REG',
+      tax_amount: '13000.00',
+      tax_rate: '11.00',
+      tax_inclusive: false,
+      discount_amount: '5000.00',
+      items: [
+        { product_id: 1, product_sku: 'DOG-FOOD-01', product_name: 'Dog Food 2kg', unit_price: '50000.00', quantity: 2 },
+        { product_id: 2, product_sku: null, product_name: 'Chew Toy', unit_price: '50000.00', quantity: 1 }
+      ]
+    });
+
+    expect(grossAmount).toBe(176000);
+    expect(itemDetails.map(item => item.id)).toEqual(['DOG-FOOD-01', 'PRODUCT-2', 'SHIPPING', 'TAX', 'DISCOUNT']);
+    expect(itemDetails.find(item => item.id === 'DISCOUNT').price).toBe(-5000);
+    expect(sumItems(itemDetails)).toBe(grossAmount);
+  });
+
+  it('should leave inclusive tax out and balance rounding differences', () => {
+    const { grossAmount, itemDetails } = buildItemDetails({
+      total_amount: '30001.50',
+      shipping_cost: '0.00',
+      tax_amount: '2973.10',
+      tax_rate: '11.00',
+      tax_inclusive: true,
+      discount_amount: '0.00',
+      items: [
+        { product_id: 1, product_sku: 'CAT-SNACK', product_name: 'Cat Snack', unit_price: '10000.50', quantity: 3 }
+      ]
+    });
+
+    expect(itemDetails.find(item => item.id === 'TAX')).toBeUndefined();
+    expect(itemDetails[itemDetails.length - 1].id).toBe('ROUNDING');
+    expect(sumItems(itemDetails)).toBe(grossAmount);
+  });
+
+  it('should map the order address to a Midtrans shipping address', () => {
+    const shippingAddress = buildShippingAddress({
+      recipient_name: 'Budi Santoso Putra',
+      phone: '08123456789',
+      full_address: 'Jl. Test No. 123',
+      district: 'Kebayoran Baru',
+      city: 'Jakarta Selatan',
+      postal_code: '12160'
+    });
+
+    expect(shippingAddress.first_name).toBe('Budi');
+    expect(shippingAddress.last_name).toBe('Santoso Putra');
+    expect(shippingAddress.address).toBe('Jl. Test No. 123, Kebayoran Baru');
+    expect(shippingAddress.country_code).toBe('IDN');
+  });
+});
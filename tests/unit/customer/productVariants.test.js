@@ -0,0 +1,235 @@
+const request = require('supertest');
+const app = require('../../../app');
+const { sequelize, User, Address, Category, Product, ProductVariant, Cart, OrderItem } = require('../../../models');
+const { recordStockMovement } = require('../../../utils/inventory');
+
+describe('Product Variants in Cart and Orders', () => {
+  let customerToken;
+  let testUser;
+  let testAddress;
+  let product;
+  let smallBag;
+  let largeBag;
+
+  beforeEach(async () => {
+    testUser = await User.create({
+      name: 'Variant Customer',
+      email: 'customer@test.com',
+      password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LeD4YOFJf7QXqYzKm', // password123
+      role: 'customer',
+      is_active: true
+    });
+
+    testAddress = await Address.create({
+      user_id: testUser.id,
+      label: 'Home',
+      recipient_name: 'Variant Customer',
+      phone: '08123456789',
+      province: 'DKI Jakarta',
+      city: 'Jakarta Selatan',
+      district: 'Kebayoran Baru',
+      postal_code: '12160',
+      full_address: 'Jl. Variant Test No. 1',
+      is_default: true,
+      is_active: true
+    });
+
+    const category = await Category.create({ name: 'Cat Food', is_active: true });
+
+    product = await Product.create({
+      name: 'Salmon Cat Food',
+      price: 50000,
+      stock_quantity: 13,
+      category_id: category.id,
+      sku: 'SCF-001',
+      is_active: true
+    });
+
+    smallBag = await ProductVariant.create({
+      product_id: product.id,
+      name: '1 kg',
+      options: { size: '1 kg' },
+      sku: 'SCF-001-1KG',
+      price: 60000,
+      stock_quantity: 10
+    });
+
+    largeBag = await ProductVariant.create({
+      product_id: product.id,
+      name: '3 kg',
+      options: { size: '3 kg' },
+      sku: 'SCF-001-3KG',
+      price: 165000,
+      stock_quantity: 3
+    });
+
+    const loginResponse = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'customer@test.com', password: 'password123' });
+    customerToken = loginResponse.body.data.token;
+  });
+
+  it('should expose active variants and their option values on the guest product detail', async () => {
+    await largeBag.update({ is_active: false });
+
+    const response = await request(app).get(`/api/v1/products/${product.id}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.product.variants.map(v => v.sku)).toEqual(['SCF-001-1KG']);
+    expect(response.body.data.variant_options).toEqual({ size: ['1 kg'] });
+  });
+
+  it('should require a variant for products sold in variants', async () => {
+    const response = await request(app)
+      .post('/api/v1/customer/cart')
+      .set('Authorization', `Bearer ${customerToken}`)
+      .send({ product_id: product.id, quantity: 1 });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Please select a variant');
+  });
+
+  it('should keep each variant as its own cart line with its own price and stock', async () => {
+    await request(app)
+      .post('/api/v1/customer/cart')
+      .set('Authorization', `Bearer ${customerToken}`)
+      .send({ product_id: product.id, variant_id: smallBag.id, quantity: 2 });
+
+    const tooMany = await request(app)
+      .post('/api/v1/customer/cart')
+      .set('Authorization', `Bearer ${customerToken}`)
+      .send({ product_id: product.id, variant_id: largeBag.id, quantity: 4 });
+
+    expect(tooMany.status).toBe(400);
+
+    await request(app)
+      .post('/api/v1/customer/cart')
+      .set('Authorization', `Bearer ${customerToken}`)
+      .send({ product_id: product.id, variant_id: largeBag.id, quantity: 1 });
+
+    const response = await request(app)
+      .get('/api/v1/customer/cart')
+      .set('Authorization', `Bearer ${customerToken}`);
+
+    expect(response.status).toBe(200);
+    const items = response.body.data.cart.items;
+    expect(items.length).toBe(2);
+    const small = items.find(item => item.variant_id === smallBag.id);
+    expect(small.product_sku).toBe('SCF-001-1KG');
+    expect(small.subtotal).toBe(120000);
+    expect(response.body.data.cart.summary.total_amount).toBe(285000);
+
+    const update = await request(app)
+      .put(`/api/v1/customer/cart/${product.id}?variant_id=${largeBag.id}`)
+      .set('Authorization', `Bearer ${customerToken}`)
+      .send({ quantity: 3 });
+
+    expect(update.status).toBe(200);
+  });
+
+  it('should reject a variant of another product', async () => {
+    const other = await Product.create({
+      name: 'Other Food',
+      price: 10000,
+      stock_quantity: 5,
+      category_id: product.category_id,
+      is_active: true
+    });
+
+    const response = await request(app)
+      .post('/api/v1/customer/cart')
+      .set('Authorization', `Bearer ${customerToken}`)
+      .send({ product_id: other.id, variant_id: smallBag.id });
+
+    expect(response.status).toBe(404);
+  });
+
+  it('should snapshot the variant on the order item and restock it on cancellation', async () => {
+    await Cart.create({ user_id: testUser.id, product_id: product.id, variant_id: largeBag.id, quantity: 2 });
+
+    const orderResponse = await request(app)
+      .post('/api/v1/customer/orders')
+      .set('Authorization', `Bearer ${customerToken}`)
+      .send({ address_id: testAddress.id });
+
+    expect(orderResponse.status).toBe(201);
+    expect(parseFloat(orderResponse.body.data.order.subtotal)).toBe(330000);
+
+    const orderItem = await OrderItem.findOne({ where: { order_id: orderResponse.body.data.order.id } });
+    expect(orderItem.variant_id).toBe(largeBag.id);
+    expect(orderItem.product_sku).toBe('SCF-001-3KG');
+    expect(orderItem.variant_name).toBe('3 kg');
+    expect(orderItem.variant_options).toEqual({ size: '3 kg' });
+
+    await largeBag.reload();
+    await product.reload();
+    expect(largeBag.stock_quantity).toBe(1);
+    expect(product.stock_quantity).toBe(11);
+
+    const cancelResponse = await request(app)
+      .put(`/api/v1/customer/orders/${orderResponse.body.data.order.id}/cancel`)
+      .set('Authorization', `Bearer ${customerToken}`);
+
+    expect(cancelResponse.status).toBe(200);
+
+    await largeBag.reload();
+    await product.reload();
+    expect(largeBag.stock_quantity).toBe(3);
+    expect(product.stock_quantity).toBe(13);
+  });
+
+  it('should keep the product total when different variants sell at the same time', async () => {
+    const sell = async (variant) => {
+      const transaction = await sequelize.transaction();
+      try {
+        await recordStockMovement({ productId: product.id, variantId: variant.id, change: -1, type: 'sale', actorId: null }, { transaction });
+        await transaction.commit();
+      } catch (error) {
+        await transaction.rollback();
+        throw error;
+      }
+    };
+
+    await Promise.all([sell(smallBag), sell(largeBag)]);
+
+    await product.reload();
+    expect(product.stock_quantity).toBe(11);
+  });
+
+  it('should not order a line added before the product had variants', async () => {
+    await Cart.create({ user_id: testUser.id, product_id: product.id, quantity: 1 });
+
+    const cartResponse = await request(app)
+      .get('/api/v1/customer/cart')
+      .set('Authorization', `Bearer ${customerToken}`);
+
+    expect(cartResponse.body.data.cart.items[0].is_available).toBe(false);
+
+    const orderResponse = await request(app)
+      .post('/api/v1/customer/orders')
+      .set('Authorization', `Bearer ${customerToken}`)
+      .send({ address_id: testAddress.id });
+
+    expect(orderResponse.status).toBe(400);
+    expect(orderResponse.body.message).toBe('Please select a variant of "Salmon Cat Food"');
+
+    await product.reload();
+    expect(product.stock_quantity).toBe(13);
+  });
+
+  it('should keep one cart line per product without variants', async () => {
+    const plainProduct = await Product.create({
+      name: 'Cat Litter',
+      price: 40000,
+      stock_quantity: 20,
+      category_id: product.category_id,
+      sku: 'LIT-001',
+      is_active: true
+    });
+
+    await Cart.create({ user_id: testUser.id, product_id: plainProduct.id, quantity: 1 });
+
+    await expect(Cart.create({ user_id: testUser.id, product_id: plainProduct.id, quantity: 1 }))
+      .rejects.toThrow();
+  });
+});
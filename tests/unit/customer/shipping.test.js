@@ -0,0 +1,139 @@
+const request = require('supertest');
+const app = require('../../../app');
+const { User, Address, Category, Product, Cart, ShippingRate } = require('../../../models');
+
+describe('Customer Shipping Endpoints', () => {
+  let customerToken;
+  let testAddress;
+  let fallbackRate;
+  let jakartaRate;
+
+  beforeEach(async () => {
+    const testUser = await User.create({
+      name: 'Shipping Customer',
+      email: 'customer@test.com',
+      password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LeD4YOFJf7QXqYzKm', // password123
+      role: 'customer',
+      is_active: true
+    });
+
+    testAddress = await Address.create({
+      user_id: testUser.id,
+      label: 'Home',
+      recipient_name: 'Shipping Customer',
+      phone: '08123456789',
+      province: 'DKI Jakarta',
+      city: 'Jakarta Selatan',
+      district: 'Kebayoran Baru',
+      postal_code: '12160',
+      full_address: 'Jl. Shipping Test No. 1',
+      is_default: true,
+      is_active: true
+    });
+
+    const category = await Category.create({ name: 'Shipping Test Category', is_active: true });
+
+    const heavyProduct = await Product.create({
+      name: 'Cat Litter 5kg',
+      price: 80000,
+      stock_quantity: 10,
+      weight_grams: 1200,
+      category_id: category.id,
+      sku: 'SHP-LITTER-001',
+      is_active: true
+    });
+
+    await Cart.create({ user_id: testUser.id, product_id: heavyProduct.id, quantity: 2 });
+
+    // 2400 g is billed as 3 kg
+    fallbackRate = await ShippingRate.create({
+      carrier: 'JNE',
+      service_type: 'REG',
+      base_cost: 0,
+      cost_per_kg: 15000,
+      is_active: true
+    });
+
+    jakartaRate = await ShippingRate.create({
+      carrier: 'JNE',
+      service_type: 'REG',
+      province: 'DKI Jakarta',
+      base_cost: 2000,
+      cost_per_kg: 9000,
+      is_active: true
+    });
+
+    await ShippingRate.create({
+      carrier: 'TIKI',
+      service_type: 'ONS',
+      province: 'Jawa Barat',
+      base_cost: 0,
+      cost_per_kg: 20000,
+      is_active: true
+    });
+
+    const loginResponse = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'customer@test.com', password: 'password123' });
+    customerToken = loginResponse.body.data.token;
+  });
+
+  describe('POST /api/v1/customer/shipping/quote', () => {
+    it('should quote the most specific rate per service for the address', async () => {
+      const response = await request(app)
+        .post('/api/v1/customer/shipping/quote')
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({ address_id: testAddress.id });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.weight_grams).toBe(2400);
+      expect(response.body.data.quotes.length).toBe(1);
+      expect(response.body.data.quotes[0].shipping_rate_id).toBe(jakartaRate.id);
+      expect(response.body.data.quotes[0].billable_weight_kg).toBe(3);
+      expect(response.body.data.quotes[0].cost).toBe(29000);
+    });
+
+    it('should return 404 for an address of another user', async () => {
+      const response = await request(app)
+        .post('/api/v1/customer/shipping/quote')
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({ address_id: 99999 });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/v1/customer/orders with shipping_rate_id', () => {
+    it('should add the quoted shipping cost to the order', async () => {
+      const response = await request(app)
+        .post('/api/v1/customer/orders')
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({ address_id: testAddress.id, shipping_rate_id: jakartaRate.id });
+
+      expect(response.status).toBe(201);
+      expect(parseFloat(response.body.data.order.shipping_cost)).toBe(29000);
+      expect(parseFloat(response.body.data.order.total_amount)).toBe(189000);
+      expect(response.body.data.order.shipping_method).toBe('JNE REG');
+    });
+
+    it('should reject a rate that does not apply to the address', async () => {
+      const response = await request(app)
+        .post('/api/v1/customer/orders')
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({ address_id: testAddress.id, shipping_rate_id: fallbackRate.id });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('not available');
+    });
+
+    it('should require a shipping rate when rates are configured', async () => {
+      const response = await request(app)
+        .post('/api/v1/customer/orders')
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({ address_id: testAddress.id });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('select a shipping rate');
+    });
+  });
+});
@@ -0,0 +1,110 @@
+const request = require('supertest');
+const app = require('../../../app');
+const { User, Address, Category, Product, Cart, TaxSetting } = require('../../../models');
+
+describe('Customer Tax Calculation', () => {
+  let customerToken;
+  let testAddress;
+  let exemptCategory;
+
+  beforeEach(async () => {
+    const testUser = await User.create({
+      name: 'Tax Customer',
+      email: 'customer@test.com',
+      password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LeD4YOFJf7QXqYzKm', // password123
+      role: 'customer',
+      is_active: true
+    });
+
+    testAddress = await Address.create({
+      user_id: testUser.id,
+      label: 'Home',
+      recipient_name: 'Tax Customer',
+      phone: '08123456789',
+      province: 'DKI Jakarta',
+      city: 'Jakarta Selatan',
+      district: 'Kebayoran Baru',
+      postal_code: '12160',
+      full_address: 'Jl. Tax Test No. 1',
+      is_default: true,
+      is_active: true
+    });
+
+    const taxedCategory = await Category.create({ name: 'Pet Toys', is_active: true });
+    exemptCategory = await Category.create({ name: 'Pet Medicine', is_active: true });
+
+    const toy = await Product.create({
+      name: 'Rope Toy',
+      price: 100000,
+      stock_quantity: 10,
+      category_id: taxedCategory.id,
+      sku: 'TAX-TOY-001',
+      is_active: true
+    });
+
+    const medicine = await Product.create({
+      name: 'Deworming Tablet',
+      price: 50000,
+      stock_quantity: 10,
+      category_id: exemptCategory.id,
+      sku: 'TAX-MED-001',
+      is_active: true
+    });
+
+    await Cart.create({ user_id: testUser.id, product_id: toy.id, quantity: 1 });
+    await Cart.create({ user_id: testUser.id, product_id: medicine.id, quantity: 1 });
+
+    const loginResponse = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'customer@test.com', password: 'password123' });
+    customerToken = loginResponse.body.data.token;
+  });
+
+  it('should add exclusive tax on top of taxable items only', async () => {
+    await TaxSetting.create({ rate: 11, is_inclusive: false, exempt_category_ids: [exemptCategory.id] });
+
+    const cartResponse = await request(app)
+      .get('/api/v1/customer/cart')
+      .set('Authorization', `Bearer ${customerToken}`);
+
+    expect(cartResponse.status).toBe(200);
+    expect(cartResponse.body.data.cart.summary.tax_amount).toBe(11000);
+    expect(cartResponse.body.data.cart.summary.grand_total).toBe(161000);
+
+    const orderResponse = await request(app)
+      .post('/api/v1/customer/orders')
+      .set('Authorization', `Bearer ${customerToken}`)
+      .send({ address_id: testAddress.id });
+
+    expect(orderResponse.status).toBe(201);
+    expect(parseFloat(orderResponse.body.data.order.tax_amount)).toBe(11000);
+    expect(parseFloat(orderResponse.body.data.order.total_amount)).toBe(161000);
+  });
+
+  it('should report inclusive tax without changing the total', async () => {
+    await TaxSetting.create({ rate: 11, is_inclusive: true });
+
+    const orderResponse = await request(app)
+      .post('/api/v1/customer/orders')
+      .set('Authorization', `Bearer ${customerToken}`)
+      .send({ address_id: testAddress.id });
+
+    expect(orderResponse.status).toBe(201);
+    expect(parseFloat(orderResponse.body.data.order.tax_amount)).toBeCloseTo(14864.86, 2);
+    expect(parseFloat(orderResponse.body.data.order.total_amount)).toBe(150000);
+    expect(orderResponse.body.data.order.tax_inclusive).toBe(true);
+  });
+
+  it('should not charge tax when the setting is inactive', async () => {
+    await TaxSetting.create({ rate: 11, is_active: false });
+
+    const orderResponse = await request(app)
+      .post('/api/v1/customer/orders')
+      .set('Authorization', `Bearer ${customerToken}`)
+      .send({ address_id: testAddress.id });
+
+    expect(orderResponse.status).toBe(201);
+    expect(parseFloat(orderResponse.body.data.order.tax_amount)).toBe(0);
+    expect(parseFloat(orderResponse.body.data.order.total_amount)).toBe(150000);
+  });
+});
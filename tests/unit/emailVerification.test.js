@@ -0,0 +1,108 @@
+const request = require('supertest');
+const app = require('../../app');
+const { User, Address } = require('../../models');
+const { getOutbox, clearOutbox } = require('../../utils/mailer');
+const { generateEmailVerificationToken } = require('../../utils/jwt');
+
+const tokenFromMail = (mail) => decodeURIComponent(mail.text.match(/token=([^\s]+)/)[1]);
+
+describe('Email Verification', () => {
+  beforeEach(() => {
+    clearOutbox();
+  });
+
+  afterEach(() => {
+    process.env.REQUIRE_EMAIL_VERIFICATION = 'false';
+  });
+
+  it('should send a verification email on register and verify with its token', async () => {
+    const registerResponse = await request(app)
+      .post('/api/v1/auth/register')
+      .send({ name: 'New Customer', email: 'new@test.com', password: 'password123' });
+
+    expect(registerResponse.status).toBe(201);
+    expect(getOutbox().length).toBe(1);
+    expect(getOutbox()[0].to).toBe('new@test.com');
+
+    const verifyResponse = await request(app)
+      .post('/api/v1/auth/verify-email')
+      .send({ token: tokenFromMail(getOutbox()[0]) });
+
+    expect(verifyResponse.status).toBe(200);
+
+    const user = await User.findOne({ where: { email: 'new@test.com' } });
+    expect(user.email_verified_at).not.toBeNull();
+  });
+
+  it('should reject a token issued for a previous email address', async () => {
+    const user = await User.create({
+      name: 'Changed Email',
+      email: 'old@test.com',
+      password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LeD4YOFJf7QXqYzKm', // password123
+      role: 'customer',
+      is_active: true
+    });
+    const token = generateEmailVerificationToken(user);
+    await user.update({ email: 'new@test.com' });
+
+    const response = await request(app)
+      .post('/api/v1/auth/verify-email')
+      .send({ token });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should throttle resending the verification email', async () => {
+    const registerResponse = await request(app)
+      .post('/api/v1/auth/register')
+      .send({ name: 'New Customer', email: 'new@test.com', password: 'password123' });
+    const token = registerResponse.body.data.token;
+
+    const resendResponse = await request(app)
+      .post('/api/v1/auth/resend-verification')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(resendResponse.status).toBe(429);
+    expect(resendResponse.headers['retry-after']).toBeDefined();
+
+    await User.update({ email_verification_sent_at: new Date(Date.now() - 120000) }, { where: { email: 'new@test.com' } });
+
+    const laterResponse = await request(app)
+      .post('/api/v1/auth/resend-verification')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(laterResponse.status).toBe(200);
+    expect(getOutbox().length).toBe(2);
+  });
+
+  it('should block order creation for unverified customers when required', async () => {
+    process.env.REQUIRE_EMAIL_VERIFICATION = 'true';
+
+    const registerResponse = await request(app)
+      .post('/api/v1/auth/register')
+      .send({ name: 'New Customer', email: 'new@test.com', password: 'password123' });
+    const token = registerResponse.body.data.token;
+
+    const user = await User.findOne({ where: { email: 'new@test.com' } });
+    const address = await Address.create({
+      user_id: user.id,
+      label: 'Home',
+      recipient_name: 'New Customer',
+      phone: '08123456789',
+      province: 'DKI Jakarta',
+      city: 'Jakarta Selatan',
+      district: 'Kebayoran Baru',
+      postal_code: '12160',
+      full_address: 'Jl. Verification No. 1',
+      is_default: true,
+      is_active: true
+    });
+
+    const response = await request(app)
+      .post('/api/v1/customer/orders')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ address_id: address.id });
+
+    expect(response.status).toBe(403);
+  });
+});
@@ -0,0 +1,156 @@
+const request = require('supertest');
+const app = require('../../../app');
+const { Category, Product } = require('../../../models');
+
+describe('Guest Category Endpoints', () => {
+  let dogFood;
+  let catFood;
+  let hiddenCategory;
+
+  beforeEach(async () => {
+    catFood = await Category.create({ name: 'Cat Food', sort_order: 2, is_active: true });
+    dogFood = await Category.create({ name: 'Dog Food', sort_order: 1, is_active: true });
+    hiddenCategory = await Category.create({ name: 'Discontinued', sort_order: 0, is_active: false });
+
+    await Product.bulkCreate([
+      { name: 'Puppy Kibble', price: 120000, stock_quantity: 10, category_id: dogFood.id, sku: 'DOG-001', is_active: true, featured: true },
+      { name: 'Senior Dog Kibble', price: 150000, stock_quantity: 5, category_id: dogFood.id, sku: 'DOG-002', is_active: true, featured: false },
+      { name: 'Old Dog Treats', price: 30000, stock_quantity: 0, category_id: dogFood.id, sku: 'DOG-003', is_active: false },
+      { name: 'Tuna Pate', price: 25000, stock_quantity: 40, category_id: catFood.id, sku: 'CAT-001', is_active: true }
+    ]);
+  });
+
+  describe('GET /api/v1/categories', () => {
+    it('should list active categories by sort order with active product counts', async () => {
+      const response = await request(app).get('/api/v1/categories');
+
+      expect(response.status).toBe(200);
+
+      const { categories } = response.body.data;
+      expect(categories.map(category => category.name)).toEqual(['Dog Food', 'Cat Food']);
+      expect(categories[0].product_count).toBe(2);
+      expect(categories[1].product_count).toBe(1);
+    });
+  });
+
+  describe('GET /api/v1/categories/:id', () => {
+    it('should return an active category', async () => {
+      const response = await request(app).get(`/api/v1/categories/${dogFood.id}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.category.name).toBe('Dog Food');
+      expect(response.body.data.category.product_count).toBe(2);
+    });
+
+    it('should return 404 for an inactive category', async () => {
+      const response = await request(app).get(`/api/v1/categories/${hiddenCategory.id}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/v1/categories/:id/products', () => {
+    it('should list only active products of the category', async () => {
+      const response = await request(app).get(`/api/v1/categories/${dogFood.id}/products`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.category.id).toBe(dogFood.id);
+      expect(response.body.data.products).toHaveLength(2);
+      expect(response.body.data.pagination.total_items).toBe(2);
+    });
+
+    it('should apply the guest product filters', async () => {
+      const response = await request(app)
+        .get(`/api/v1/categories/${dogFood.id}/products`)
+        .query({ featured: 'true' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.products).toHaveLength(1);
+      expect(response.body.data.products[0].sku).toBe('DOG-001');
+    });
+
+    it('should ignore a category_id query parameter', async () => {
+      const response = await request(app)
+        .get(`/api/v1/categories/${dogFood.id}/products`)
+        .query({ category_id: catFood.id });
+
+      expect(response.body.data.products.every(product => product.category.id === dogFood.id)).toBe(true);
+    });
+
+    it('should return 404 for an inactive category', async () => {
+      const response = await request(app).get(`/api/v1/categories/${hiddenCategory.id}/products`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
+
+describe('Guest Category Hierarchy', () => {
+  let dog;
+  let dogFood;
+  let dryFood;
+  let hiddenFood;
+  let kibble;
+
+  beforeEach(async () => {
+    dog = await Category.create({ name: 'Dog', is_active: true });
+    dogFood = await Category.create({ name: 'Dog Food', parent_id: dog.id, is_active: true });
+    dryFood = await Category.create({ name: 'Dry Dog Food', parent_id: dogFood.id, is_active: true });
+    hiddenFood = await Category.create({ name: 'Raw Dog Food', parent_id: dogFood.id, is_active: false });
+
+    kibble = await Product.create({ name: 'Kibble', price: 100000, stock_quantity: 5, category_id: dryFood.id, sku: 'DRY-001', is_active: true });
+    await Product.bulkCreate([
+      { name: 'Leash', price: 50000, stock_quantity: 5, category_id: dog.id, sku: 'ACC-001', is_active: true },
+      { name: 'Raw Mix', price: 90000, stock_quantity: 5, category_id: hiddenFood.id, sku: 'RAW-001', is_active: true }
+    ]);
+  });
+
+  it('should return active categories as a tree', async () => {
+    const response = await request(app).get('/api/v1/categories/tree');
+
+    expect(response.status).toBe(200);
+
+    const [root] = response.body.data.categories;
+    expect(root.name).toBe('Dog');
+    expect(root.children).toHaveLength(1);
+    expect(root.children[0].children.map(category => category.name)).toEqual(['Dry Dog Food']);
+  });
+
+  it('should include active subcategories in the category_id filter', async () => {
+    const response = await request(app)
+      .get('/api/v1/products')
+      .query({ category_id: dog.id });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.products.map(product => product.sku).sort()).toEqual(['ACC-001', 'DRY-001']);
+  });
+
+  it('should include subcategory products in the category product listing', async () => {
+    const response = await request(app).get(`/api/v1/categories/${dogFood.id}/products`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.products.map(product => product.sku)).toEqual(['DRY-001']);
+  });
+
+  it('should count products of active subcategories like the listing does', async () => {
+    const response = await request(app).get('/api/v1/categories/tree');
+
+    const [root] = response.body.data.categories;
+    expect(root.product_count).toBe(2);
+    expect(root.children[0].product_count).toBe(1);
+
+    const detailResponse = await request(app).get(`/api/v1/categories/${dogFood.id}`);
+    expect(detailResponse.body.data.category.product_count).toBe(1);
+  });
+
+  it('should return breadcrumbs with the product detail', async () => {
+    const response = await request(app).get(`/api/v1/products/${kibble.id}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.breadcrumbs).toEqual([
+      { id: dog.id, name: 'Dog' },
+      { id: dogFood.id, name: 'Dog Food' },
+      { id: dryFood.id, name: 'Dry Dog Food' }
+    ]);
+  });
+});
@@ -0,0 +1,146 @@
+const request = require('supertest');
+const app = require('../../../app');
+const { User, Address, Category, Product, Order, OrderItem, sequelize } = require('../../../models');
+
+describe('Guest Product Filters', () => {
+  let dogFood;
+  let catFood;
+  let toys;
+  let kibble;
+  let treats;
+  let pate;
+
+  const createOrder = async (orderNumber, status, items) => {
+    const customer = await User.findOne({ where: { email: 'buyer@test.com' } });
+    const address = await Address.findOne({ where: { user_id: customer.id } });
+    const order = await Order.create({
+      order_number: orderNumber,
+      user_id: customer.id,
+      address_id: address.id,
+      status,
+      subtotal: 100000,
+      total_amount: 100000,
+      payment_status: status === 'cancelled' ? 'failed' : 'paid'
+    });
+
+    for (const [product, quantity] of items) {
+      await OrderItem.create({
+        order_id: order.id,
+        product_id: product.id,
+        quantity,
+        unit_price: product.price,
+        total_price: product.price * quantity,
+        product_name: product.name,
+        product_sku: product.sku
+      });
+    }
+  };
+
+  beforeEach(async () => {
+    const customer = await User.create({
+      name: 'Buyer',
+      email: 'buyer@test.com',
+      password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LeD4YOFJf7QXqYzKm', // password123
+      role: 'customer',
+      is_active: true
+    });
+
+    await Address.create({
+      user_id: customer.id,
+      label: 'Home',
+      recipient_name: 'Buyer',
+      phone: '08123456789',
+      province: 'DKI Jakarta',
+      city: 'Jakarta Selatan',
+      district: 'Kebayoran Baru',
+      postal_code: '12160',
+      full_address: 'Jl. Filter Test No. 1',
+      is_default: true,
+      is_active: true
+    });
+
+    dogFood = await Category.create({ name: 'Dog Food', is_active: true });
+    catFood = await Category.create({ name: 'Cat Food', is_active: true });
+    toys = await Category.create({ name: 'Toys', is_active: true });
+
+    kibble = await Product.create({ name: 'Kibble', price: 150000, stock_quantity: 10, category_id: dogFood.id, sku: 'DOG-001', tags: ['grain-free', 'adult'], is_active: true });
+    treats = await Product.create({ name: 'Treats', price: 40000, stock_quantity: 0, category_id: dogFood.id, sku: 'DOG-002', tags: ['training'], is_active: true });
+    pate = await Product.create({ name: 'Pate', price: 25000, stock_quantity: 30, category_id: catFood.id, sku: 'CAT-001', tags: ['grain-free', 'wet'], is_active: true });
+    await Product.create({ name: 'Ball', price: 30000, stock_quantity: 3, category_id: toys.id, sku: 'TOY-001', tags: [], is_active: true });
+  });
+
+  const listSkus = async (query) => {
+    const response = await request(app).get('/api/v1/products').query(query);
+    expect(response.status).toBe(200);
+    return response.body.data.products.map(product => product.sku).sort();
+  };
+
+  it('should filter by price range', async () => {
+    expect(await listSkus({ min_price: 30000, max_price: 150000 })).toEqual(['DOG-001', 'DOG-002', 'TOY-001']);
+  });
+
+  it('should reject a max_price below min_price', async () => {
+    const response = await request(app)
+      .get('/api/v1/products')
+      .query({ min_price: 50000, max_price: 10000 });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should filter by any of the given tags by default', async () => {
+    expect(await listSkus({ tags: 'training,wet' })).toEqual(['CAT-001', 'DOG-002']);
+  });
+
+  it('should filter by all of the given tags', async () => {
+    expect(await listSkus({ tags: 'grain-free,adult', tags_match: 'all' })).toEqual(['DOG-001']);
+  });
+
+  it('should only return products in stock', async () => {
+    expect(await listSkus({ in_stock_only: 'true', category_id: dogFood.id })).toEqual(['DOG-001']);
+  });
+
+  it('should filter by several categories', async () => {
+    expect(await listSkus({ category_id: `${catFood.id},${toys.id}` })).toEqual(['CAT-001', 'TOY-001']);
+  });
+
+  it('should reject an invalid category list', async () => {
+    const response = await request(app)
+      .get('/api/v1/products')
+      .query({ category_id: '1,abc' });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should sort by units sold in confirmed orders', async () => {
+    await createOrder('ORD-POP-001', 'delivered', [[pate, 5], [kibble, 1]]);
+    await createOrder('ORD-POP-002', 'confirmed', [[kibble, 1]]);
+    await createOrder('ORD-POP-003', 'cancelled', [[treats, 20]]);
+
+    const response = await request(app)
+      .get('/api/v1/products')
+      .query({ sort_by: 'popularity', limit: 2 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.products.map(product => product.sku)).toEqual(['CAT-001', 'DOG-001']);
+  });
+
+  it('should sort newest first', async () => {
+    await sequelize.query('UPDATE products SET created_at = DATE_ADD(created_at, INTERVAL 1 MINUTE) WHERE id = ?', {
+      replacements: [kibble.id]
+    });
+
+    const response = await request(app)
+      .get('/api/v1/products')
+      .query({ sort_by: 'newest', sort_order: 'ASC' });
+
+    expect(response.body.data.products[0].sku).toBe('DOG-001');
+  });
+
+  it('should reject an unknown sort field', async () => {
+    const response = await request(app)
+      .get('/api/v1/products')
+      .query({ sort_by: 'rating' });
+
+    expect(response.status).toBe(400);
+  });
+});
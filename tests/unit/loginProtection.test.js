@@ -0,0 +1,167 @@
+const request = require('supertest');
+const app = require('../../app');
+const { User } = require('../../models');
+const { getOutbox, clearOutbox } = require('../../utils/mailer');
+const { grantSuperAdmin } = require('../helpers/roles');
+
+const tokenFromMail = (mail) => mail.text.match(/token=([a-f0-9]+)/)[1];
+
+const attemptLogin = (password) => request(app)
+  .post('/api/v1/auth/login')
+  .send({ email: 'customer@test.com', password });
+
+describe('Login Protection', () => {
+  let customer;
+  let adminToken;
+
+  beforeEach(async () => {
+    clearOutbox();
+    process.env.LOGIN_DELAY_BASE_SECONDS = '0';
+
+    customer = await User.create({
+      name: 'Test Customer',
+      email: 'customer@test.com',
+      password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LeD4YOFJf7QXqYzKm', // password123
+      role: 'customer',
+      is_active: true
+    });
+
+    const admin = await User.create({
+      name: 'Test Admin',
+      email: 'admin@test.com',
+      password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LeD4YOFJf7QXqYzKm', // password123
+      role: 'admin',
+      is_active: true
+    });
+    await grantSuperAdmin(admin);
+
+    const adminLogin = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'admin@test.com', password: 'password123' });
+    adminToken = adminLogin.body.data.token;
+  });
+
+  afterAll(() => {
+    process.env.LOGIN_DELAY_BASE_SECONDS = '0';
+  });
+
+  const lockAccount = async () => {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      await attemptLogin('wrongpassword');
+    }
+  };
+
+  it('should count failed attempts and reset them after a successful login', async () => {
+    await attemptLogin('wrongpassword');
+    await attemptLogin('wrongpassword');
+
+    await customer.reload();
+    expect(customer.failed_login_attempts).toBe(2);
+
+    const response = await attemptLogin('password123');
+    expect(response.status).toBe(200);
+    expect(response.body.data.user).not.toHaveProperty('unlock_token_hash');
+
+    await customer.reload();
+    expect(customer.failed_login_attempts).toBe(0);
+  });
+
+  it('should make repeated failures wait before the next attempt', async () => {
+    process.env.LOGIN_DELAY_BASE_SECONDS = '30';
+
+    await attemptLogin('wrongpassword');
+    await attemptLogin('wrongpassword');
+
+    const response = await attemptLogin('password123');
+
+    expect(response.status).toBe(429);
+    expect(parseInt(response.headers['retry-after'])).toBeGreaterThan(0);
+  });
+
+  it('should lock the account and email an unlock link after too many failures', async () => {
+    await lockAccount();
+
+    await customer.reload();
+    expect(customer.locked_until).not.toBeNull();
+
+    const response = await attemptLogin('password123');
+    expect(response.status).toBe(423);
+    expect(response.headers['retry-after']).toBeDefined();
+
+    expect(getOutbox().length).toBe(1);
+    expect(getOutbox()[0].to).toBe('customer@test.com');
+  });
+
+  it('should count every guess when they are sent in parallel', async () => {
+    await Promise.all(Array.from({ length: 5 }, () => attemptLogin('wrongpassword')));
+
+    await customer.reload();
+    expect(customer.failed_login_attempts).toBe(5);
+    expect(customer.locked_until).not.toBeNull();
+    expect(getOutbox().length).toBe(1);
+  });
+
+  it('should unlock the account with the emailed token once', async () => {
+    await lockAccount();
+    const token = tokenFromMail(getOutbox()[0]);
+
+    const unlockResponse = await request(app)
+      .post('/api/v1/auth/unlock-account')
+      .send({ token });
+
+    expect(unlockResponse.status).toBe(200);
+
+    const loginResponse = await attemptLogin('password123');
+    expect(loginResponse.status).toBe(200);
+
+    const reusedResponse = await request(app)
+      .post('/api/v1/auth/unlock-account')
+      .send({ token });
+
+    expect(reusedResponse.status).toBe(400);
+  });
+
+  it('should allow logging in again after the lock expires', async () => {
+    await lockAccount();
+    await customer.update({ locked_until: new Date(Date.now() - 1000) });
+
+    const response = await attemptLogin('password123');
+    expect(response.status).toBe(200);
+  });
+
+  describe('Admin locked accounts', () => {
+    it('should list locked accounts', async () => {
+      await lockAccount();
+
+      const response = await request(app)
+        .get('/api/v1/admin/users/locked')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.users).toHaveLength(1);
+      expect(response.body.data.users[0].email).toBe('customer@test.com');
+      expect(response.body.data.users[0].failed_login_attempts).toBe(5);
+    });
+
+    it('should let an admin unlock an account', async () => {
+      await lockAccount();
+
+      const response = await request(app)
+        .put(`/api/v1/admin/users/${customer.id}/unlock`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+
+      const loginResponse = await attemptLogin('password123');
+      expect(loginResponse.status).toBe(200);
+    });
+
+    it('should reject unlocking an account that is not locked', async () => {
+      const response = await request(app)
+        .put(`/api/v1/admin/users/${customer.id}/unlock`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(409);
+    });
+  });
+});
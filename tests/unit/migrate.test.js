@@ -0,0 +1,99 @@
+const fs = require('fs');
+const { sequelize } = require('../../config/database');
+const {
+  createMigration,
+  baselineMigrations,
+  getPendingMigrations,
+  selectPendingMigrations,
+  selectRollbackMigrations,
+  nextMigrationFileName
+} = require('../../utils/migrate');
+
+describe('Migration Runner', () => {
+  describe('nextMigrationFileName', () => {
+    it('should number the file after the highest existing migration', () => {
+      const files = ['001-create-users-table.js', '010-create-shipments-table.js', '002-create-products-table.js'];
+
+      expect(nextMigrationFileName(files, 'add-notes-to-users')).toBe('011-add-notes-to-users.js');
+      expect(nextMigrationFileName([], 'create-users-table')).toBe('001-create-users-table.js');
+    });
+
+    it('should slug the name', () => {
+      expect(nextMigrationFileName([], '  Add Notes to Users!  ')).toBe('001-add-notes-to-users.js');
+      expect(nextMigrationFileName([], 'add__notes--to users')).toBe('001-add-notes-to-users.js');
+    });
+
+    it('should ignore files without a number', () => {
+      expect(nextMigrationFileName(['README.js', '004-create-orders-table.js'], 'next')).toBe('005-next.js');
+    });
+
+    it('should refuse names without letters or digits', () => {
+      expect(nextMigrationFileName([], '')).toBeNull();
+      expect(nextMigrationFileName([], '--- !')).toBeNull();
+      expect(nextMigrationFileName([], undefined)).toBeNull();
+    });
+  });
+
+  describe('createMigration', () => {
+    it('should write a blank template under the next number', () => {
+      const writeSpy = jest.spyOn(fs, 'writeFileSync').mockImplementation(() => {});
+      const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      try {
+        const fileName = createMigration('Add notes to users');
+        const last = fs.readdirSync(`${__dirname}/../../migrations`).filter(file => file.endsWith('.js')).sort().pop();
+
+        expect(fileName).toBe(`${String(parseInt(last) + 1).padStart(3, '0')}-add-notes-to-users.js`);
+        expect(writeSpy).toHaveBeenCalledWith(expect.stringContaining(fileName), expect.stringContaining('down: async'));
+      } finally {
+        writeSpy.mockRestore();
+        logSpy.mockRestore();
+      }
+    });
+  });
+
+  describe('selectPendingMigrations', () => {
+    it('should return unapplied files in file name order', () => {
+      const files = ['001-a.js', '002-b.js', '003-c.js', '004-d.js'];
+
+      expect(selectPendingMigrations(files, ['001-a.js', '003-c.js'])).toEqual(['002-b.js', '004-d.js']);
+      expect(selectPendingMigrations(files, files)).toEqual([]);
+    });
+  });
+
+  describe('selectRollbackMigrations', () => {
+    it('should roll back the highest numbered applied migrations first', () => {
+      const applied = ['001-a.js', '003-c.js', '002-b.js'];
+
+      expect(selectRollbackMigrations(applied, 1)).toEqual(['003-c.js']);
+      expect(selectRollbackMigrations(applied, 2)).toEqual(['003-c.js', '002-b.js']);
+      expect(selectRollbackMigrations(applied, 10)).toEqual(['003-c.js', '002-b.js', '001-a.js']);
+    });
+
+    it('should not change the ledger it is given', () => {
+      const applied = ['002-b.js', '001-a.js'];
+      selectRollbackMigrations(applied, 1);
+
+      expect(applied).toEqual(['002-b.js', '001-a.js']);
+    });
+  });
+
+  describe('ledger', () => {
+    afterEach(async () => {
+      await sequelize.getQueryInterface().dropTable('SequelizeMeta');
+    });
+
+    it('should treat baselined migrations as applied', async () => {
+      const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      try {
+        const files = await getPendingMigrations();
+        await baselineMigrations(files[1]);
+
+        expect(await getPendingMigrations()).toEqual(files.slice(2));
+      } finally {
+        logSpy.mockRestore();
+      }
+    });
+  });
+});
@@ -0,0 +1,152 @@
+const request = require('supertest');
+const app = require('../../app');
+const { User, Address } = require('../../models');
+const { encodeCursor, decodeCursor } = require('../../utils/pagination');
+
+describe('Pagination', () => {
+  describe('cursor encoding', () => {
+    it('should round-trip the sort position', () => {
+      const createdAt = new Date('2024-05-01T08:30:00Z');
+      const row = { get: field => ({ id: 42, created_at: createdAt })[field] };
+
+      const cursor = encodeCursor(row, 'created_at', 'DESC', 'next');
+
+      expect(decodeCursor(cursor)).toEqual({
+        f: 'created_at',
+        o: 'DESC',
+        d: 'next',
+        id: 42,
+        v: createdAt,
+        t: 'date'
+      });
+    });
+
+    it('should reject malformed cursors', () => {
+      expect(decodeCursor('not-a-cursor')).toBeNull();
+      expect(decodeCursor(Buffer.from('{"f":"id"}').toString('base64url'))).toBeNull();
+    });
+
+    it('should reject cursors whose value is not a scalar', () => {
+      const craft = (v) => Buffer.from(JSON.stringify({ f: 'id', o: 'ASC', d: 'next', id: 1, v })).toString('base64url');
+
+      expect(decodeCursor(craft({ gt: 0 }))).toBeNull();
+      expect(decodeCursor(craft([1, 2]))).toBeNull();
+      expect(decodeCursor(craft(undefined))).toBeNull();
+      expect(decodeCursor(craft('label'))).not.toBeNull();
+      expect(decodeCursor(craft(null))).not.toBeNull();
+    });
+  });
+
+  describe('GET /api/v1/customer/addresses', () => {
+    let customerToken;
+    let addresses;
+
+    beforeEach(async () => {
+      const customer = await User.create({
+        name: 'Paging Customer',
+        email: 'paging@test.com',
+        password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LeD4YOFJf7QXqYzKm', // password123
+        role: 'customer',
+        is_active: true
+      });
+
+      addresses = [];
+      for (let i = 1; i <= 5; i++) {
+        addresses.push(await Address.create({
+          user_id: customer.id,
+          label: `Address ${i}`,
+          recipient_name: 'Paging Customer',
+          phone: '08123456789',
+          province: 'DKI Jakarta',
+          city: 'Jakarta Selatan',
+          district: 'Kebayoran Baru',
+          postal_code: '12160',
+          full_address: `Jl. Paging No. ${i}`,
+          is_default: i === 1
+        }));
+      }
+
+      const login = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: 'paging@test.com', password: 'password123' });
+      customerToken = login.body.data.token;
+    });
+
+    const list = (query) => request(app)
+      .get('/api/v1/customer/addresses')
+      .query(query)
+      .set('Authorization', `Bearer ${customerToken}`);
+
+    it('should include cursors in page-based responses', async () => {
+      const response = await list({ limit: 2 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.pagination).toMatchObject({
+        current_page: 1,
+        total_pages: 3,
+        total_items: 5,
+        items_per_page: 2,
+        has_next: true,
+        has_prev: false,
+        prev_cursor: null
+      });
+      expect(response.body.data.pagination.next_cursor).toEqual(expect.any(String));
+    });
+
+    it('should walk every row once with next cursors', async () => {
+      const seen = [];
+      let response = await list({ limit: 2, sort_by: 'id', sort_order: 'ASC' });
+      seen.push(...response.body.data.addresses.map(address => address.id));
+
+      while (response.body.data.pagination.next_cursor) {
+        response = await list({ limit: 2, sort_by: 'id', sort_order: 'ASC', cursor: response.body.data.pagination.next_cursor });
+        expect(response.status).toBe(200);
+        expect(response.body.data.pagination.total_items).toBeNull();
+        seen.push(...response.body.data.addresses.map(address => address.id));
+      }
+
+      expect(seen).toEqual(addresses.map(address => address.id));
+      expect(response.body.data.pagination.has_next).toBe(false);
+    });
+
+    it('should break ties on the sort column by id', async () => {
+      // Rows created within the same second share created_at
+      const first = await list({ limit: 3 });
+      const second = await list({ limit: 3, cursor: first.body.data.pagination.next_cursor });
+
+      const ids = [...first.body.data.addresses, ...second.body.data.addresses].map(address => address.id);
+      expect(new Set(ids).size).toBe(5);
+    });
+
+    it('should go back with the previous cursor', async () => {
+      const first = await list({ limit: 2, sort_by: 'id', sort_order: 'ASC' });
+      const second = await list({ limit: 2, sort_by: 'id', sort_order: 'ASC', cursor: first.body.data.pagination.next_cursor });
+      const back = await list({ limit: 2, sort_by: 'id', sort_order: 'ASC', cursor: second.body.data.pagination.prev_cursor });
+
+      expect(back.status).toBe(200);
+      expect(back.body.data.addresses.map(address => address.id)).toEqual(first.body.data.addresses.map(address => address.id));
+      expect(back.body.data.pagination.has_prev).toBe(false);
+    });
+
+    it('should reject an invalid cursor', async () => {
+      const response = await list({ cursor: 'garbage' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should reject a cursor with an object value', async () => {
+      const cursor = Buffer.from(JSON.stringify({ f: 'created_at', o: 'DESC', d: 'next', id: 1, v: { a: 1 } })).toString('base64url');
+      const response = await list({ cursor });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should reject a cursor issued for another sort order', async () => {
+      const first = await list({ limit: 2, sort_by: 'id', sort_order: 'ASC' });
+      const response = await list({ limit: 2, sort_by: 'label', cursor: first.body.data.pagination.next_cursor });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Cursor does not match the requested sort order');
+    });
+  });
+});
@@ -0,0 +1,131 @@
+const request = require('supertest');
+const app = require('../../app');
+const { User, UserSession, PasswordReset } = require('../../models');
+const { getOutbox, clearOutbox, setTransport } = require('../../utils/mailer');
+
+const tokenFromMail = (mail) => mail.text.match(/token=([a-f0-9]+)/)[1];
+
+describe('Password Reset', () => {
+  beforeEach(async () => {
+    clearOutbox();
+
+    await User.create({
+      name: 'Forgetful Customer',
+      email: 'forgetful@test.com',
+      password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LeD4YOFJf7QXqYzKm', // password123
+      role: 'customer',
+      is_active: true
+    });
+  });
+
+  it('should reset the password with the emailed token and log out all sessions', async () => {
+    const loginResponse = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'forgetful@test.com', password: 'password123' });
+
+    const forgotResponse = await request(app)
+      .post('/api/v1/auth/forgot-password')
+      .send({ email: 'forgetful@test.com' });
+
+    expect(forgotResponse.status).toBe(200);
+    expect(getOutbox().length).toBe(1);
+
+    const token = tokenFromMail(getOutbox()[0]);
+    const storedReset = await PasswordReset.findOne();
+    expect(storedReset.token_hash).not.toBe(token);
+
+    const resetResponse = await request(app)
+      .post('/api/v1/auth/reset-password')
+      .send({ token, new_password: 'newpassword123' });
+
+    expect(resetResponse.status).toBe(200);
+
+    const refreshResponse = await request(app)
+      .post('/api/v1/auth/refresh')
+      .send({ refresh_token: loginResponse.body.data.refresh_token });
+
+    expect(refreshResponse.status).toBe(401);
+    expect(await UserSession.count({ where: { revoked_at: null } })).toBe(0);
+
+    const newLogin = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'forgetful@test.com', password: 'newpassword123' });
+
+    expect(newLogin.status).toBe(200);
+  });
+
+  it('should not accept a reset token twice', async () => {
+    await request(app)
+      .post('/api/v1/auth/forgot-password')
+      .send({ email: 'forgetful@test.com' });
+    const token = tokenFromMail(getOutbox()[0]);
+
+    await request(app)
+      .post('/api/v1/auth/reset-password')
+      .send({ token, new_password: 'newpassword123' });
+
+    const secondResponse = await request(app)
+      .post('/api/v1/auth/reset-password')
+      .send({ token, new_password: 'anotherpassword' });
+
+    expect(secondResponse.status).toBe(400);
+  });
+
+  it('should reject an expired reset token', async () => {
+    await request(app)
+      .post('/api/v1/auth/forgot-password')
+      .send({ email: 'forgetful@test.com' });
+    const token = tokenFromMail(getOutbox()[0]);
+
+    await PasswordReset.update({ expires_at: new Date(Date.now() - 1000) }, { where: {} });
+
+    const response = await request(app)
+      .post('/api/v1/auth/reset-password')
+      .send({ token, new_password: 'newpassword123' });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should answer the same for unknown emails without sending mail', async () => {
+    const response = await request(app)
+      .post('/api/v1/auth/forgot-password')
+      .send({ email: 'nobody@test.com' });
+
+    expect(response.status).toBe(200);
+    expect(getOutbox().length).toBe(0);
+  });
+
+  it('should answer the same for registered emails when the mail cannot be sent', async () => {
+    setTransport({
+      sendMail: async () => {
+        throw new Error('SMTP server unavailable');
+      }
+    });
+
+    try {
+      const response = await request(app)
+        .post('/api/v1/auth/forgot-password')
+        .send({ email: 'forgetful@test.com' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('If the email is registered, a password reset link has been sent');
+    } finally {
+      setTransport(null);
+    }
+  });
+
+  it('should rate limit reset requests per email', async () => {
+    const email = 'limited@test.com';
+    const maxRequests = parseInt(process.env.PASSWORD_RESET_MAX_REQUESTS) || 3;
+
+    for (let i = 0; i < maxRequests; i++) {
+      await request(app).post('/api/v1/auth/forgot-password').send({ email });
+    }
+
+    const response = await request(app)
+      .post('/api/v1/auth/forgot-password')
+      .send({ email });
+
+    expect(response.status).toBe(429);
+  });
+});
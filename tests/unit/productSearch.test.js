@@ -0,0 +1,113 @@
+const request = require('supertest');
+const app = require('../../app');
+const { Category, Product } = require('../../models');
+const { tokenize, editDistance } = require('../../utils/productSearch');
+
+describe('Product Search', () => {
+  describe('tokenize', () => {
+    it('should lowercase, strip accents and split on punctuation', () => {
+      expect(tokenize('Royal-Canin Küçük DOG-001')).toEqual(['royal', 'canin', 'kucuk', 'dog', '001']);
+    });
+  });
+
+  describe('editDistance', () => {
+    it('should count substitutions, insertions and transpositions', () => {
+      expect(editDistance('kibble', 'kible', 1)).toBe(1);
+      expect(editDistance('kibble', 'kbible', 1)).toBe(1);
+      expect(editDistance('kibble', 'kettle', 1)).toBe(Infinity);
+    });
+  });
+
+  describe('GET /api/v1/products?search=', () => {
+    let dogFood;
+    let catFood;
+
+    beforeEach(async () => {
+      dogFood = await Category.create({ name: 'Dog Food', is_active: true });
+      catFood = await Category.create({ name: 'Cat Food', is_active: true });
+
+      await Product.bulkCreate([
+        { name: 'Salmon Kibble', description: 'Grain free kibble for adult dogs', price: 120000, stock_quantity: 10, category_id: dogFood.id, sku: 'DOG-001', tags: ['grain-free'], is_active: true },
+        { name: 'Chicken Treats', description: 'Crunchy treats with salmon oil', price: 35000, stock_quantity: 0, category_id: dogFood.id, sku: 'DOG-002', tags: ['training'], is_active: true },
+        { name: 'Salmon Pate', description: 'Wet food for cats', price: 25000, stock_quantity: 30, category_id: catFood.id, sku: 'CAT-001', tags: ['wet'], is_active: true },
+        { name: 'Salmon Jerky', description: 'Discontinued', price: 60000, stock_quantity: 5, category_id: dogFood.id, sku: 'DOG-003', is_active: false }
+      ]);
+    });
+
+    it('should rank name matches above description matches', async () => {
+      const response = await request(app)
+        .get('/api/v1/products')
+        .query({ search: 'salmon' });
+
+      expect(response.status).toBe(200);
+
+      const names = response.body.data.products.map(product => product.name);
+      expect(names).toHaveLength(3);
+      expect(names[names.length - 1]).toBe('Chicken Treats');
+      expect(names).not.toContain('Salmon Jerky');
+    });
+
+    it('should match word prefixes', async () => {
+      const response = await request(app)
+        .get('/api/v1/products')
+        .query({ search: 'kib' });
+
+      expect(response.body.data.products.map(product => product.name)).toEqual(['Salmon Kibble']);
+    });
+
+    it('should tolerate a typo', async () => {
+      const response = await request(app)
+        .get('/api/v1/products')
+        .query({ search: 'salmno kible' });
+
+      expect(response.body.data.products.map(product => product.name)).toEqual(['Salmon Kibble']);
+    });
+
+    it('should match tags and SKUs', async () => {
+      const byTag = await request(app)
+        .get('/api/v1/products')
+        .query({ search: 'training' });
+      expect(byTag.body.data.products.map(product => product.sku)).toEqual(['DOG-002']);
+
+      const bySku = await request(app)
+        .get('/api/v1/products')
+        .query({ search: 'CAT-001' });
+      expect(bySku.body.data.products[0].sku).toBe('CAT-001');
+    });
+
+    it('should return facet counts for all results', async () => {
+      const response = await request(app)
+        .get('/api/v1/products')
+        .query({ search: 'salmon', limit: 1 });
+
+      const { facets, pagination } = response.body.data;
+      expect(pagination.total_items).toBe(3);
+      expect(facets.categories).toEqual([
+        { id: dogFood.id, name: 'Dog Food', count: 2 },
+        { id: catFood.id, name: 'Cat Food', count: 1 }
+      ]);
+      expect(facets.price_ranges.find(range => range.min === 0).count).toBe(2);
+      expect(facets.price_ranges.find(range => range.min === 100000).count).toBe(1);
+      expect(facets.availability).toEqual({ in_stock: 2, out_of_stock: 1 });
+    });
+
+    it('should reflect product changes in the next search', async () => {
+      const pate = await Product.findOne({ where: { sku: 'CAT-001' } });
+      await pate.update({ name: 'Tuna Pate' });
+
+      const response = await request(app)
+        .get('/api/v1/products')
+        .query({ search: 'tuna' });
+
+      expect(response.body.data.products.map(product => product.sku)).toEqual(['CAT-001']);
+    });
+
+    it('should apply other filters to the search results', async () => {
+      const response = await request(app)
+        .get('/api/v1/products')
+        .query({ search: 'salmon', category_id: catFood.id });
+
+      expect(response.body.data.products.map(product => product.sku)).toEqual(['CAT-001']);
+    });
+  });
+});
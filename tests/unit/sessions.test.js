@@ -0,0 +1,109 @@
+const request = require('supertest');
+const app = require('../../app');
+const { User, UserSession } = require('../../models');
+
+describe('Session Endpoints', () => {
+  beforeEach(async () => {
+    await User.create({
+      name: 'Session Customer',
+      email: 'customer@test.com',
+      password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LeD4YOFJf7QXqYzKm', // password123
+      role: 'customer',
+      is_active: true
+    });
+  });
+
+  const login = (userAgent = 'jest') => request(app)
+    .post('/api/v1/auth/login')
+    .set('User-Agent', userAgent)
+    .send({ email: 'customer@test.com', password: 'password123' });
+
+  it('should rotate the refresh token on every use', async () => {
+    const loginResponse = await login();
+    const firstRefreshToken = loginResponse.body.data.refresh_token;
+
+    const refreshResponse = await request(app)
+      .post('/api/v1/auth/refresh')
+      .send({ refresh_token: firstRefreshToken });
+
+    expect(refreshResponse.status).toBe(200);
+    expect(refreshResponse.body.data.refresh_token).not.toBe(firstRefreshToken);
+
+    const secondRefresh = await request(app)
+      .post('/api/v1/auth/refresh')
+      .send({ refresh_token: refreshResponse.body.data.refresh_token });
+
+    expect(secondRefresh.status).toBe(200);
+  });
+
+  it('should revoke the session when a used refresh token is presented again', async () => {
+    const loginResponse = await login();
+    const firstRefreshToken = loginResponse.body.data.refresh_token;
+
+    const refreshResponse = await request(app)
+      .post('/api/v1/auth/refresh')
+      .send({ refresh_token: firstRefreshToken });
+
+    const reuseResponse = await request(app)
+      .post('/api/v1/auth/refresh')
+      .send({ refresh_token: firstRefreshToken });
+
+    expect(reuseResponse.status).toBe(401);
+
+    // The rotated token belongs to the same session, so it is dead too
+    const rotatedResponse = await request(app)
+      .post('/api/v1/auth/refresh')
+      .send({ refresh_token: refreshResponse.body.data.refresh_token });
+
+    expect(rotatedResponse.status).toBe(401);
+
+    const session = await UserSession.findOne();
+    expect(session.revoked_reason).toBe('reuse_detected');
+  });
+
+  it('should reject the access and refresh token after logout', async () => {
+    const loginResponse = await login();
+    const { token, refresh_token } = loginResponse.body.data;
+
+    const logoutResponse = await request(app)
+      .post('/api/v1/auth/logout')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(logoutResponse.status).toBe(200);
+
+    const profileResponse = await request(app)
+      .get('/api/v1/auth/profile')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(profileResponse.status).toBe(401);
+
+    const refreshResponse = await request(app)
+      .post('/api/v1/auth/refresh')
+      .send({ refresh_token });
+
+    expect(refreshResponse.status).toBe(401);
+  });
+
+  it('should list active sessions and revoke them all on logout-all', async () => {
+    await login('Phone');
+    const laptopLogin = await login('Laptop');
+    const token = laptopLogin.body.data.token;
+
+    const sessionsResponse = await request(app)
+      .get('/api/v1/customer/sessions')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(sessionsResponse.status).toBe(200);
+    expect(sessionsResponse.body.data.sessions.length).toBe(2);
+    const current = sessionsResponse.body.data.sessions.find(session => session.is_current);
+    expect(current.user_agent).toBe('Laptop');
+
+    const logoutAllResponse = await request(app)
+      .post('/api/v1/auth/logout-all')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(logoutAllResponse.status).toBe(200);
+    expect(logoutAllResponse.body.data.revoked_sessions).toBe(2);
+    expect(await UserSession.count({ where: { revoked_at: null } })).toBe(0);
+  });
+});
@@ -0,0 +1,203 @@
+const request = require('supertest');
+const app = require('../../app');
+const { User } = require('../../models');
+const { generateCode, getCurrentStep } = require('../../utils/totp');
+const { grantSuperAdmin } = require('../helpers/roles');
+
+// Each accepted step is burned, so consecutive requests use the next step inside the drift window
+const codeForStep = (secret, offset = 0) => generateCode(secret, getCurrentStep() + offset);
+
+const login = (email) => request(app)
+  .post('/api/v1/auth/login')
+  .send({ email, password: 'password123' });
+
+describe('Two-Factor Authentication', () => {
+  let adminToken;
+
+  beforeEach(async () => {
+    const admin = await User.create({
+      name: 'Test Admin',
+      email: 'admin@test.com',
+      password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LeD4YOFJf7QXqYzKm', // password123
+      role: 'admin',
+      is_active: true
+    });
+    await grantSuperAdmin(admin);
+
+    const adminLogin = await login('admin@test.com');
+    adminToken = adminLogin.body.data.token;
+  });
+
+  afterEach(() => {
+    process.env.REQUIRE_ADMIN_2FA = 'false';
+  });
+
+  const enrol = async () => {
+    const setupResponse = await request(app)
+      .post('/api/v1/auth/2fa/setup')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    const { secret } = setupResponse.body.data;
+
+    const enableResponse = await request(app)
+      .post('/api/v1/auth/2fa/enable')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ code: codeForStep(secret, -1) });
+
+    return { secret, recoveryCodes: enableResponse.body.data.recovery_codes };
+  };
+
+  describe('Enrolment', () => {
+    it('should return a secret and otpauth URI without enabling two-factor yet', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/2fa/setup')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(response.body.data.otpauth_url).toContain('otpauth://totp/PetNeeds');
+
+      const user = await User.findOne({ where: { email: 'admin@test.com' } });
+      expect(user.two_factor_enabled_at).toBeNull();
+      expect(user.two_factor_secret).not.toContain(response.body.data.secret);
+    });
+
+    it('should enable two-factor with a valid code and return recovery codes', async () => {
+      const { recoveryCodes } = await enrol();
+
+      expect(recoveryCodes).toHaveLength(10);
+
+      const user = await User.findOne({ where: { email: 'admin@test.com' } });
+      expect(user.two_factor_enabled_at).not.toBeNull();
+    });
+
+    it('should reject an invalid confirmation code', async () => {
+      await request(app)
+        .post('/api/v1/auth/2fa/setup')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      const response = await request(app)
+        .post('/api/v1/auth/2fa/enable')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ code: '000000' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should not expose two-factor secrets in the profile', async () => {
+      await enrol();
+
+      const response = await request(app)
+        .get('/api/v1/auth/profile')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.body.data.user).not.toHaveProperty('two_factor_secret');
+      expect(response.body.data.user).not.toHaveProperty('two_factor_recovery_codes');
+    });
+  });
+
+  describe('Login', () => {
+    it('should ask for a second factor instead of issuing tokens', async () => {
+      await enrol();
+
+      const response = await login('admin@test.com');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.two_factor_required).toBe(true);
+      expect(response.body.data.challenge_token).toBeDefined();
+      expect(response.body.data).not.toHaveProperty('token');
+    });
+
+    it('should complete the login with a TOTP code', async () => {
+      const { secret } = await enrol();
+      const loginResponse = await login('admin@test.com');
+
+      const response = await request(app)
+        .post('/api/v1/auth/2fa/verify')
+        .send({ challenge_token: loginResponse.body.data.challenge_token, code: codeForStep(secret) });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.token).toBeDefined();
+      expect(response.body.data.refresh_token).toBeDefined();
+    });
+
+    it('should not accept the same code twice', async () => {
+      const { secret } = await enrol();
+      const code = codeForStep(secret);
+
+      const firstLogin = await login('admin@test.com');
+      await request(app)
+        .post('/api/v1/auth/2fa/verify')
+        .send({ challenge_token: firstLogin.body.data.challenge_token, code });
+
+      const secondLogin = await login('admin@test.com');
+      const response = await request(app)
+        .post('/api/v1/auth/2fa/verify')
+        .send({ challenge_token: secondLogin.body.data.challenge_token, code });
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should accept each recovery code once', async () => {
+      const { recoveryCodes } = await enrol();
+
+      const firstLogin = await login('admin@test.com');
+      const firstResponse = await request(app)
+        .post('/api/v1/auth/2fa/verify')
+        .send({ challenge_token: firstLogin.body.data.challenge_token, recovery_code: recoveryCodes[0] });
+
+      expect(firstResponse.status).toBe(200);
+
+      const secondLogin = await login('admin@test.com');
+      const secondResponse = await request(app)
+        .post('/api/v1/auth/2fa/verify')
+        .send({ challenge_token: secondLogin.body.data.challenge_token, recovery_code: recoveryCodes[0] });
+
+      expect(secondResponse.status).toBe(401);
+    });
+
+    it('should reject an invalid challenge token', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/2fa/verify')
+        .send({ challenge_token: 'invalid-token', code: '123456' });
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('Admin policy', () => {
+    it('should block admins without two-factor when REQUIRE_ADMIN_2FA is enabled', async () => {
+      process.env.REQUIRE_ADMIN_2FA = 'true';
+
+      const response = await request(app)
+        .get('/api/v1/admin/products')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(403);
+      expect(response.body.two_factor_setup_required).toBe(true);
+    });
+
+    it('should allow admins with two-factor enabled', async () => {
+      await enrol();
+      process.env.REQUIRE_ADMIN_2FA = 'true';
+
+      const response = await request(app)
+        .get('/api/v1/admin/products')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should not let admins disable two-factor while it is required', async () => {
+      const { recoveryCodes } = await enrol();
+      process.env.REQUIRE_ADMIN_2FA = 'true';
+
+      const response = await request(app)
+        .post('/api/v1/auth/2fa/disable')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ password: 'password123', recovery_code: recoveryCodes[0] });
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
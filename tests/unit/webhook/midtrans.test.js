@@ -1,6 +1,14 @@
 const request = require('supertest');
 const app = require('../../../app');
-const { User, Address, Order, Payment } = require('../../../models');
+const { User, Address, Order, Payment, WebhookEvent } = require('../../../models');
+const { generateSignature } = require('../../../utils/midtrans');
+
+// Add the status code and signature Midtrans would send with a notification
+const signNotification = (data, statusCode = '200') => ({
+  ...data,
+  status_code: statusCode,
+  signature_key: generateSignature(data.order_id, statusCode, data.gross_amount)
+});
 
 describe('Midtrans Webhook Endpoints', () => {
   let testUser;
@@ -58,15 +66,14 @@ describe('Midtrans Webhook Endpoints', () => {
 
   describe('POST /api/v1/webhook/midtrans/notification', () => {
     it('should handle settlement webhook successfully', async () => {
-      const webhookData = {
+      const webhookData = signNotification({
         order_id: 'WEBHOOK-TEST-001',
         transaction_id: 'test-transaction-123',
         transaction_status: 'settlement',
         fraud_status: 'accept',
         payment_type: 'credit_card',
-        gross_amount: '180000',
-        signature_key: 'test-signature-key'
-      };
+        gross_amount: '180000'
+      });
 
       const response = await request(app)
         .post('/api/v1/webhook/midtrans/notification')
@@ -93,14 +100,14 @@ describe('Midtrans Webhook Endpoints', () => {
       await testPayment.update({ status: 'pending' });
       await testOrder.update({ status: 'pending', payment_status: 'pending' });
 
-      const webhookData = {
+      const webhookData = signNotification({
         order_id: 'WEBHOOK-TEST-001',
         transaction_id: 'test-transaction-456',
         transaction_status: 'pending',
         fraud_status: 'accept',
         payment_type: 'bank_transfer',
         gross_amount: '180000'
-      };
+      });
 
       const response = await request(app)
         .post('/api/v1/webhook/midtrans/notification')
@@ -120,14 +127,14 @@ describe('Midtrans Webhook Endpoints', () => {
       await testPayment.update({ status: 'pending' });
       await testOrder.update({ status: 'pending', payment_status: 'pending' });
 
-      const webhookData = {
+      const webhookData = signNotification({
         order_id: 'WEBHOOK-TEST-001',
         transaction_id: 'test-transaction-789',
         transaction_status: 'deny',
         fraud_status: 'deny',
         payment_type: 'credit_card',
         gross_amount: '180000'
-      };
+      });
 
       const response = await request(app)
         .post('/api/v1/webhook/midtrans/notification')
@@ -147,14 +154,17 @@ describe('Midtrans Webhook Endpoints', () => {
     });
 
     it('should handle expire webhook successfully', async () => {
-      const webhookData = {
+      await testPayment.update({ status: 'pending' });
+      await testOrder.update({ status: 'pending', payment_status: 'pending' });
+
+      const webhookData = signNotification({
         order_id: 'WEBHOOK-TEST-001',
         transaction_id: 'test-transaction-exp',
         transaction_status: 'expire',
         fraud_status: 'accept',
         payment_type: 'bank_transfer',
         gross_amount: '180000'
-      };
+      });
 
       const response = await request(app)
         .post('/api/v1/webhook/midtrans/notification')
@@ -170,14 +180,17 @@ describe('Midtrans Webhook Endpoints', () => {
     });
 
     it('should handle cancel webhook successfully', async () => {
-      const webhookData = {
+      await testPayment.update({ status: 'pending' });
+      await testOrder.update({ status: 'pending', payment_status: 'pending' });
+
+      const webhookData = signNotification({
         order_id: 'WEBHOOK-TEST-001',
         transaction_id: 'test-transaction-cancel',
         transaction_status: 'cancel',
         fraud_status: 'accept',
         payment_type: 'credit_card',
         gross_amount: '180000'
-      };
+      });
 
       const response = await request(app)
         .post('/api/v1/webhook/midtrans/notification')
@@ -190,29 +203,59 @@ describe('Midtrans Webhook Endpoints', () => {
       expect(updatedPayment.status).toBe('cancel');
     });
 
-    it('should handle webhook with signature verification', async () => {
+    it('should reject webhook with invalid signature', async () => {
+      await testPayment.update({ status: 'pending' });
+      await testOrder.update({ status: 'pending', payment_status: 'pending' });
+
       const webhookData = {
-        order_id: 'WEBHOOK-TEST-001',
-        transaction_id: 'test-transaction-sig',
-        transaction_status: 'settlement',
-        fraud_status: 'accept',
-        payment_type: 'credit_card',
+        ...signNotification({
+          order_id: 'WEBHOOK-TEST-001',
+          transaction_id: 'test-transaction-sig',
+          transaction_status: 'settlement',
+          fraud_status: 'accept',
+          payment_type: 'credit_card',
+          gross_amount: '180000'
+        }),
+        signature_key: 'invalid-signature'
+      };
+
+      const response = await request(app)
+        .post('/api/v1/webhook/midtrans/notification')
+        .send(webhookData);
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('Invalid signature');
+
+      // Nothing should have been changed
+      const updatedPayment = await Payment.findByPk(testPayment.id);
+      const updatedOrder = await Order.findByPk(testOrder.id);
+      expect(updatedPayment.status).toBe('pending');
+      expect(updatedOrder.payment_status).toBe('pending');
+    });
+
+    it('should reject webhook signed for a different amount', async () => {
+      const webhookData = {
+        ...signNotification({
+          order_id: 'WEBHOOK-TEST-001',
+          transaction_id: 'test-transaction-amount',
+          transaction_status: 'settlement',
+          fraud_status: 'accept',
+          payment_type: 'credit_card',
+          gross_amount: '1000'
+        }),
         gross_amount: '180000'
       };
 
-      // Test with invalid signature (would be rejected if WEBHOOK_SECRET_KEY is set)
       const response = await request(app)
         .post('/api/v1/webhook/midtrans/notification')
-        .set('x-signature', 'invalid-signature')
         .send(webhookData);
 
-      // Should still work since we don't have WEBHOOK_SECRET_KEY set in test
-      expect(response.status).toBe(200);
-      expect(response.body.success).toBe(true);
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('Invalid signature');
     });
 
     it('should handle webhook logs correctly', async () => {
-      const webhookData = {
+      const webhookData = signNotification({
         order_id: 'WEBHOOK-TEST-001',
         transaction_id: 'test-transaction-log',
         transaction_status: 'capture',
@@ -220,7 +263,7 @@ describe('Midtrans Webhook Endpoints', () => {
         payment_type: 'credit_card',
         gross_amount: '180000',
         custom_field: 'test-value'
-      };
+      });
 
       const response = await request(app)
         .post('/api/v1/webhook/midtrans/notification')
@@ -242,14 +285,14 @@ describe('Midtrans Webhook Endpoints', () => {
     });
 
     it('should return error for unknown order_id', async () => {
-      const webhookData = {
+      const webhookData = signNotification({
         order_id: 'UNKNOWN-ORDER-123',
         transaction_id: 'unknown-transaction',
         transaction_status: 'settlement',
         fraud_status: 'accept',
         payment_type: 'credit_card',
         gross_amount: '100000'
-      };
+      });
 
       const response = await request(app)
         .post('/api/v1/webhook/midtrans/notification')
@@ -269,29 +312,29 @@ describe('Midtrans Webhook Endpoints', () => {
         .post('/api/v1/webhook/midtrans/notification')
         .send(malformedData);
 
-      // Should handle gracefully and return error
-      expect(response.status).toBe(404);
-      expect(response.body.message).toContain('Payment not found');
+      // Unsigned payloads are rejected before any lookup
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('Invalid signature');
     });
 
     it('should handle concurrent webhooks correctly', async () => {
-      const webhookData1 = {
+      const webhookData1 = signNotification({
         order_id: 'WEBHOOK-TEST-001',
         transaction_id: 'concurrent-1',
         transaction_status: 'settlement',
         fraud_status: 'accept',
         payment_type: 'credit_card',
         gross_amount: '180000'
-      };
+      });
 
-      const webhookData2 = {
+      const webhookData2 = signNotification({
         order_id: 'WEBHOOK-TEST-001',
         transaction_id: 'concurrent-2',
         transaction_status: 'settlement',
         fraud_status: 'accept',
         payment_type: 'credit_card',
         gross_amount: '180000'
-      };
+      });
 
       // Send both webhooks simultaneously
       const [response1, response2] = await Promise.all([
@@ -325,14 +368,14 @@ describe('Midtrans Webhook Endpoints', () => {
         await testOrder.update({ status: 'pending', payment_status: 'pending' });
         await testPayment.update({ status: 'pending' });
 
-        const webhookData = {
+        const webhookData = signNotification({
           order_id: 'WEBHOOK-TEST-001',
           transaction_id: `test-${testCase.status}`,
           transaction_status: testCase.status,
           fraud_status: 'accept',
           payment_type: 'credit_card',
           gross_amount: '180000'
-        };
+        });
 
         const response = await request(app)
           .post('/api/v1/webhook/midtrans/notification')
@@ -353,5 +396,144 @@ describe('Midtrans Webhook Endpoints', () => {
         }
       }
     });
+
+    it('should record the event and ignore duplicate notifications', async () => {
+      await testPayment.update({ status: 'pending', webhook_logs: [] });
+      await testOrder.update({ status: 'pending', payment_status: 'pending' });
+
+      const webhookData = signNotification({
+        order_id: 'WEBHOOK-TEST-001',
+        transaction_id: 'test-transaction-dup',
+        transaction_status: 'settlement',
+        fraud_status: 'accept',
+        payment_type: 'bank_transfer',
+        gross_amount: '180000'
+      });
+
+      const first = await request(app)
+        .post('/api/v1/webhook/midtrans/notification')
+        .send(webhookData);
+      expect(first.status).toBe(200);
+      expect(first.body.message).toContain('processed successfully');
+
+      const second = await request(app)
+        .post('/api/v1/webhook/midtrans/notification')
+        .send(webhookData);
+      expect(second.status).toBe(200);
+      expect(second.body.message).toContain('Duplicate notification ignored');
+
+      const events = await WebhookEvent.findAll({
+        where: { midtrans_transaction_id: 'test-transaction-dup' }
+      });
+      expect(events.length).toBe(1);
+      expect(events[0].processing_status).toBe('processed');
+      expect(events[0].payment_id).toBe(testPayment.id);
+      expect(events[0].attempts).toBe(1);
+
+      // The duplicate must not be applied a second time
+      const updatedPayment = await Payment.findByPk(testPayment.id);
+      expect(updatedPayment.webhook_logs.length).toBe(1);
+    });
+
+    it('should ignore out-of-order notifications that would regress the payment', async () => {
+      await testPayment.update({ status: 'settlement' });
+      await testOrder.update({ status: 'confirmed', payment_status: 'paid' });
+
+      const webhookData = signNotification({
+        order_id: 'WEBHOOK-TEST-001',
+        transaction_id: 'test-transaction-late',
+        transaction_status: 'pending',
+        fraud_status: 'accept',
+        payment_type: 'bank_transfer',
+        gross_amount: '180000'
+      });
+
+      const response = await request(app)
+        .post('/api/v1/webhook/midtrans/notification')
+        .send(webhookData);
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toContain('Notification ignored');
+
+      const updatedPayment = await Payment.findByPk(testPayment.id);
+      const updatedOrder = await Order.findByPk(testOrder.id);
+      expect(updatedPayment.status).toBe('settlement');
+      expect(updatedOrder.payment_status).toBe('paid');
+      expect(updatedOrder.status).toBe('confirmed');
+
+      const event = await WebhookEvent.findOne({
+        where: { midtrans_transaction_id: 'test-transaction-late' }
+      });
+      expect(event.processing_status).toBe('ignored');
+      expect(event.processing_note).toContain('settlement -> pending');
+    });
+
+    it('should flag a payment that settles after its order was cancelled for refund', async () => {
+      const customer = await User.create({
+        name: 'Late Payer',
+        email: 'late-payer@test.com',
+        password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LeD4YOFJf7QXqYzKm',
+        role: 'customer',
+        is_active: true
+      });
+      const address = await Address.create({
+        user_id: customer.id,
+        label: 'Home',
+        recipient_name: 'Late Payer',
+        phone: '08123456789',
+        province: 'DKI Jakarta',
+        city: 'Jakarta Pusat',
+        district: 'Menteng',
+        postal_code: '10350',
+        full_address: 'Jl. Webhook Test No. 789',
+        is_default: true,
+        is_active: true
+      });
+      const cancelledOrder = await Order.create({
+        order_number: 'WEBHOOK-TEST-LATE-PAY',
+        user_id: customer.id,
+        address_id: address.id,
+        status: 'cancelled',
+        subtotal: 50000,
+        total_amount: 50000,
+        payment_status: 'failed',
+        stock_restored_at: new Date()
+      });
+      const deniedPayment = await Payment.create({
+        order_id: cancelledOrder.id,
+        user_id: customer.id,
+        payment_method: 'midtrans',
+        amount: 50000,
+        status: 'deny',
+        midtrans_order_id: 'WEBHOOK-TEST-LATE-PAY'
+      });
+
+      const response = await request(app)
+        .post('/api/v1/webhook/midtrans/notification')
+        .send(signNotification({
+          order_id: 'WEBHOOK-TEST-LATE-PAY',
+          transaction_id: 'test-transaction-late-pay',
+          transaction_status: 'settlement',
+          fraud_status: 'accept',
+          payment_type: 'bank_transfer',
+          gross_amount: '50000'
+        }));
+
+      expect(response.status).toBe(200);
+
+      // The money is recorded, but the order stays cancelled with its stock released
+      const updatedPayment = await Payment.findByPk(deniedPayment.id);
+      expect(updatedPayment.status).toBe('settlement');
+      expect(updatedPayment.refund_required_at).not.toBeNull();
+
+      const updatedOrder = await Order.findByPk(cancelledOrder.id);
+      expect(updatedOrder.status).toBe('cancelled');
+      expect(updatedOrder.payment_status).toBe('failed');
+
+      const event = await WebhookEvent.findOne({
+        where: { midtrans_transaction_id: 'test-transaction-late-pay' }
+      });
+      expect(event.processing_note).toBe('deny -> settlement on a cancelled order; refund required');
+    });
   });
 });
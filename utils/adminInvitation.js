@@ -0,0 +1,122 @@
+const { sequelize, User, Role, UserRole, AdminInvitation } = require('../models');
+const { sendMail, escapeHtml } = require('./mailer');
+const { hashPassword, generateOneTimeToken, hashToken } = require('./password');
+
+const getInvitationLifetimeHours = () => parseInt(process.env.ADMIN_INVITATION_EXPIRE_HOURS) || 72;
+
+const getInvitationStatus = (invitation) => {
+  if (invitation.accepted_at) return 'accepted';
+  if (invitation.revoked_at) return 'revoked';
+  if (new Date(invitation.expires_at) <= new Date()) return 'expired';
+  return 'pending';
+};
+
+/**
+ * Invite `email` to become an admin with `roles`. A pending invitation for the
+ * same address is revoked first, so only the newest link works.
+ */
+const createInvitation = async (email, inviter, roles) => {
+  const token = generateOneTimeToken();
+
+  await AdminInvitation.update(
+    { revoked_at: new Date() },
+    { where: { email, accepted_at: null, revoked_at: null } }
+  );
+
+  const invitation = await AdminInvitation.create({
+    email,
+    token_hash: hashToken(token),
+    role_ids: roles.map(role => role.id),
+    invited_by: inviter.id,
+    expires_at: new Date(Date.now() + getInvitationLifetimeHours() * 60 * 60 * 1000)
+  });
+
+  const acceptUrl = `${process.env.APP_URL || 'http://localhost:3000'}/accept-invitation?token=${token}`;
+
+  await sendMail({
+    to: email,
+    subject: 'You have been invited to manage PetNeeds',
+    text: `${inviter.name} invited you to become a PetNeeds admin. Open the link below within ${getInvitationLifetimeHours()} hours to create your account:\n\n${acceptUrl}\n\nIf you were not expecting this invitation, you can ignore this email.`,
+    html: `<p>${escapeHtml(inviter.name)} invited you to become a PetNeeds admin. Use the link below within ${getInvitationLifetimeHours()} hours to create your account:</p><p><a href="${acceptUrl}">Accept invitation</a></p><p>If you were not expecting this invitation, you can ignore this email.</p>`
+  });
+
+  return invitation;
+};
+
+/**
+ * Create the admin account for an invitation token, with the roles chosen by
+ * the inviter. The token works once.
+ * Returns { success: true, user } or { success: false, status, message }.
+ */
+const acceptInvitation = async (token, { name, password, phone }) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const invitation = await AdminInvitation.findOne({
+      where: { token_hash: hashToken(token) },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!invitation || getInvitationStatus(invitation) !== 'pending') {
+      await transaction.rollback();
+      return { success: false, status: 400, message: 'Invalid or expired invitation' };
+    }
+
+    const existingUser = await User.findOne({
+      where: { email: invitation.email },
+      paranoid: false,
+      transaction
+    });
+
+    if (existingUser) {
+      await transaction.rollback();
+      return { success: false, status: 409, message: 'Email already registered' };
+    }
+
+    const roles = await Role.findAll({
+      where: { id: invitation.role_ids || [] },
+      attributes: ['id'],
+      transaction
+    });
+
+    // Never create an admin without a role, e.g. when its roles were deleted meanwhile
+    if (roles.length === 0) {
+      await transaction.rollback();
+      return { success: false, status: 400, message: 'This invitation no longer grants any role; please ask for a new one' };
+    }
+
+    const user = await User.create({
+      name,
+      email: invitation.email,
+      password: await hashPassword(password),
+      phone,
+      role: 'admin',
+      is_active: true,
+      email_verified_at: new Date() // the invitation link proves the address
+    }, { transaction });
+
+    await UserRole.bulkCreate(roles.map(role => ({
+      user_id: user.id,
+      role_id: role.id,
+      assigned_by: invitation.invited_by
+    })), { transaction });
+
+    await invitation.update({
+      accepted_at: new Date(),
+      accepted_user_id: user.id
+    }, { transaction });
+
+    await transaction.commit();
+    return { success: true, user };
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+module.exports = {
+  createInvitation,
+  acceptInvitation,
+  getInvitationStatus
+};
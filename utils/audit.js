@@ -0,0 +1,203 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Audit trail for admin writes.
+ *
+ * The admin router runs every mutating request inside an audit context (who,
+ * which request). Global model hooks then record each create, update, delete
+ * and restore made while that context is active, in the same transaction as
+ * the change. Writes that skip model hooks, such as increment(), are recorded
+ * explicitly with recordAuditLog.
+ */
+const storage = new AsyncLocalStorage();
+
+// Models whose writes are bookkeeping rather than admin changes
+const IGNORED_MODELS = ['AuditLog', 'UserSession', 'InventoryMovement'];
+
+const IGNORED_FIELDS = ['created_at', 'updated_at', 'deleted_at', 'createdAt', 'updatedAt', 'deletedAt'];
+
+const REDACTED = '[REDACTED]';
+const isSensitiveField = (field) => field === 'password' || field.endsWith('_hash') || field.startsWith('two_factor_');
+
+const runWithAuditContext = (context, callback) => storage.run(context, callback);
+
+const getAuditContext = () => storage.getStore();
+
+// Plain JSON copy with sensitive values masked
+const sanitize = (values) => {
+  if (!values) {
+    return null;
+  }
+
+  const plain = JSON.parse(JSON.stringify(values));
+  Object.keys(plain).forEach(field => {
+    if (isSensitiveField(field) && plain[field] !== null) {
+      plain[field] = REDACTED;
+    }
+  });
+  return plain;
+};
+
+/**
+ * Write an audit entry for the current admin request. Does nothing outside an
+ * audit context (customer requests, webhooks, scripts).
+ */
+const recordAuditLog = async ({ action, entityType, entityId = null, before = null, after = null, metadata = null }, { transaction } = {}) => {
+  const context = getAuditContext();
+  if (!context) {
+    return null;
+  }
+
+  const { AuditLog } = require('../models');
+
+  return AuditLog.create({
+    actor_id: context.actorId,
+    actor_email: context.actorEmail,
+    action,
+    entity_type: entityType,
+    entity_id: entityId,
+    before: sanitize(before),
+    after: sanitize(after),
+    metadata,
+    request_id: context.requestId,
+    method: context.method,
+    path: context.path ? context.path.slice(0, 255) : null,
+    ip_address: context.ip
+  }, { transaction });
+};
+
+const shouldAudit = (model) => !!getAuditContext() && !IGNORED_MODELS.includes(model.name);
+
+const rowValues = (instance) => {
+  const values = { ...instance.get({ plain: true }) };
+  IGNORED_FIELDS.forEach(field => delete values[field]);
+  return values;
+};
+
+const changedValues = (instance, fields) => {
+  const before = {};
+  const after = {};
+
+  fields
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .forEach(field => {
+      const previous = instance.previous(field);
+      const current = instance.get(field);
+      if (JSON.stringify(previous) !== JSON.stringify(current)) {
+        before[field] = previous === undefined ? null : previous;
+        after[field] = current === undefined ? null : current;
+      }
+    });
+
+  return Object.keys(after).length > 0 ? { before, after } : null;
+};
+
+const registerAuditHooks = (sequelize) => {
+  sequelize.addHook('afterCreate', async (instance, options) => {
+    if (!shouldAudit(instance.constructor)) {
+      return;
+    }
+
+    await recordAuditLog({
+      action: `${instance.constructor.tableName}.create`,
+      entityType: instance.constructor.tableName,
+      entityId: instance.id,
+      after: rowValues(instance)
+    }, options);
+  });
+
+  sequelize.addHook('afterBulkCreate', async (instances, options) => {
+    if (!shouldAudit(options.model)) {
+      return;
+    }
+
+    for (const instance of instances) {
+      await recordAuditLog({
+        action: `${instance.constructor.tableName}.create`,
+        entityType: instance.constructor.tableName,
+        entityId: instance.id,
+        after: rowValues(instance)
+      }, options);
+    }
+  });
+
+  sequelize.addHook('afterUpdate', async (instance, options) => {
+    if (!shouldAudit(instance.constructor)) {
+      return;
+    }
+
+    const changes = changedValues(instance, options.fields || instance.changed() || []);
+    if (!changes) {
+      return;
+    }
+
+    await recordAuditLog({
+      action: `${instance.constructor.tableName}.update`,
+      entityType: instance.constructor.tableName,
+      entityId: instance.id,
+      ...changes
+    }, options);
+  });
+
+  sequelize.addHook('afterDestroy', async (instance, options) => {
+    if (!shouldAudit(instance.constructor)) {
+      return;
+    }
+
+    await recordAuditLog({
+      action: `${instance.constructor.tableName}.delete`,
+      entityType: instance.constructor.tableName,
+      entityId: instance.id,
+      before: rowValues(instance),
+      metadata: options.force ? { force: true } : null
+    }, options);
+  });
+
+  sequelize.addHook('afterRestore', async (instance, options) => {
+    if (!shouldAudit(instance.constructor)) {
+      return;
+    }
+
+    await recordAuditLog({
+      action: `${instance.constructor.tableName}.restore`,
+      entityType: instance.constructor.tableName,
+      entityId: instance.id
+    }, options);
+  });
+
+  // Model.update/destroy with a where clause have no instances; record the values and conditions
+  sequelize.addHook('afterBulkUpdate', async (options) => {
+    if (!shouldAudit(options.model) || options.individualHooks) {
+      return;
+    }
+
+    const values = { ...options.attributes };
+    IGNORED_FIELDS.forEach(field => delete values[field]);
+
+    await recordAuditLog({
+      action: `${options.model.tableName}.bulk_update`,
+      entityType: options.model.tableName,
+      after: values,
+      metadata: { where: sanitize(options.where) }
+    }, options);
+  });
+
+  sequelize.addHook('afterBulkDestroy', async (options) => {
+    if (!shouldAudit(options.model) || options.individualHooks) {
+      return;
+    }
+
+    await recordAuditLog({
+      action: `${options.model.tableName}.bulk_delete`,
+      entityType: options.model.tableName,
+      metadata: { where: sanitize(options.where) }
+    }, options);
+  });
+};
+
+module.exports = {
+  runWithAuditContext,
+  getAuditContext,
+  recordAuditLog,
+  registerAuditHooks
+};
@@ -0,0 +1,83 @@
+require('dotenv').config({
+  path: process.env.NODE_ENV === 'test' ? '.env.test' : '.env'
+});
+
+const { sequelize, User, Role, UserRole } = require('../models');
+const { hashPassword } = require('./password');
+
+// Create the first admin from ADMIN_EMAIL / ADMIN_PASSWORD / ADMIN_NAME, with the
+// super_admin role. Safe to run on every deploy: an existing admin with that
+// email is left alone.
+const createAdminFromEnv = async () => {
+  const email = (process.env.ADMIN_EMAIL || '').trim().toLowerCase();
+  const password = process.env.ADMIN_PASSWORD;
+  const name = process.env.ADMIN_NAME || 'Administrator';
+
+  try {
+    if (!email || !password) {
+      console.error('ADMIN_EMAIL and ADMIN_PASSWORD must be set');
+      process.exitCode = 1;
+      return;
+    }
+
+    if (password.length < 6) {
+      console.error('ADMIN_PASSWORD must be at least 6 characters');
+      process.exitCode = 1;
+      return;
+    }
+
+    const existingUser = await User.findOne({ where: { email }, paranoid: false });
+
+    if (existingUser) {
+      if (existingUser.role === 'admin') {
+        console.log(`Admin ${email} already exists, nothing to do.`);
+        return;
+      }
+
+      // Never promote an account someone else may have registered
+      console.error(`${email} is already registered as a ${existingUser.role}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const superAdminRole = await Role.findOne({ where: { name: 'super_admin' } });
+    if (!superAdminRole) {
+      console.error('The super_admin role does not exist; run the migrations first');
+      process.exitCode = 1;
+      return;
+    }
+
+    const hashedPassword = await hashPassword(password);
+    const transaction = await sequelize.transaction();
+    let user;
+
+    try {
+      user = await User.create({
+        name,
+        email,
+        password: hashedPassword,
+        role: 'admin',
+        is_active: true,
+        email_verified_at: new Date()
+      }, { transaction });
+
+      await UserRole.create({ user_id: user.id, role_id: superAdminRole.id }, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    console.log(`✓ Created admin ${user.email} (id ${user.id})`);
+  } catch (error) {
+    console.error('Failed to create admin:', error);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+};
+
+module.exports = {
+  createAdminFromEnv
+};
@@ -0,0 +1,128 @@
+const { Category } = require('../models');
+
+// Every category is loaded at once: the catalogue holds at most a few hundred,
+// so walking the tree in memory is cheaper than one query per level.
+const loadCategoryLinks = ({ activeOnly = false, transaction } = {}) => {
+  return Category.findAll({
+    where: activeOnly ? { is_active: true } : {},
+    attributes: ['id', 'parent_id', 'name', 'is_active'],
+    raw: true,
+    transaction
+  });
+};
+
+const groupByParent = (categories) => {
+  const childrenByParent = new Map();
+  for (const category of categories) {
+    const key = category.parent_id || null;
+    if (!childrenByParent.has(key)) {
+      childrenByParent.set(key, []);
+    }
+    childrenByParent.get(key).push(category);
+  }
+  return childrenByParent;
+};
+
+/**
+ * Nest a flat list of categories (instances or plain objects) under their
+ * parents. Categories whose parent is not in the list are left out, so a
+ * list of active categories hides everything below an inactive one.
+ */
+const buildCategoryTree = (categories) => {
+  const nodes = categories.map(category => ({
+    ...(typeof category.toJSON === 'function' ? category.toJSON() : category),
+    children: []
+  }));
+  const childrenByParent = groupByParent(nodes);
+
+  const attachChildren = (node, visited) => {
+    visited.add(node.id);
+    node.children = (childrenByParent.get(node.id) || []).filter(child => !visited.has(child.id));
+    node.children.forEach(child => attachChildren(child, visited));
+    return node;
+  };
+
+  const visited = new Set();
+  return (childrenByParent.get(null) || []).map(root => attachChildren(root, visited));
+};
+
+// Breadth-first walk from `rootId`, guarding against cycles in bad data
+const collectDescendantIds = (childrenByParent, rootId) => {
+  const ids = [rootId];
+  const visited = new Set(ids);
+
+  for (let i = 0; i < ids.length; i++) {
+    for (const child of childrenByParent.get(ids[i]) || []) {
+      if (!visited.has(child.id)) {
+        visited.add(child.id);
+        ids.push(child.id);
+      }
+    }
+  }
+
+  return ids;
+};
+
+/**
+ * The category id followed by the ids of all its subcategories. With
+ * `activeOnly`, inactive subcategories and everything below them are skipped.
+ */
+const getDescendantIds = async (categoryId, { activeOnly = false, transaction } = {}) => {
+  const childrenByParent = groupByParent(await loadCategoryLinks({ activeOnly, transaction }));
+  return collectDescendantIds(childrenByParent, parseInt(categoryId));
+};
+
+/**
+ * getDescendantIds for every category at once, as a Map from category id to
+ * its id set. Only categories matching `activeOnly` are keys.
+ */
+const getDescendantIdMap = async ({ activeOnly = false, transaction } = {}) => {
+  const categories = await loadCategoryLinks({ activeOnly, transaction });
+  const childrenByParent = groupByParent(categories);
+  return new Map(categories.map(category => [category.id, collectDescendantIds(childrenByParent, category.id)]));
+};
+
+/**
+ * Ancestors of a category, top-level first and ending with the category
+ * itself, as { id, name, is_active }. Empty when the category does not exist.
+ */
+const getCategoryPath = async (categoryId, { transaction } = {}) => {
+  const byId = new Map((await loadCategoryLinks({ transaction })).map(category => [category.id, category]));
+  const path = [];
+  const visited = new Set();
+  let current = byId.get(parseInt(categoryId));
+
+  while (current && !visited.has(current.id)) {
+    visited.add(current.id);
+    path.unshift({ id: current.id, name: current.name, is_active: Boolean(current.is_active) });
+    current = current.parent_id ? byId.get(current.parent_id) : null;
+  }
+
+  return path;
+};
+
+// Whether placing `categoryId` under `parentId` would make it its own ancestor
+const wouldCreateCycle = async (categoryId, parentId, { transaction } = {}) => {
+  const byId = new Map((await loadCategoryLinks({ transaction })).map(category => [category.id, category]));
+  const targetId = parseInt(categoryId);
+  const visited = new Set();
+  let current = byId.get(parseInt(parentId));
+
+  while (current && !visited.has(current.id)) {
+    if (current.id === targetId) {
+      return true;
+    }
+    visited.add(current.id);
+    current = current.parent_id ? byId.get(current.parent_id) : null;
+  }
+
+  return parseInt(parentId) === targetId;
+};
+
+module.exports = {
+  buildCategoryTree,
+  getDescendantIds,
+  getDescendantIdMap,
+  getCategoryPath,
+  wouldCreateCycle
+};
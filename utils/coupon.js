@@ -0,0 +1,155 @@
+const { Coupon, CouponUsage } = require('../models');
+const { getLineDetails } = require('./productVariant');
+
+const normalizeCode = (code) => (code || '').trim().toUpperCase();
+
+// Pass a transaction with `lock: true` when the coupon is about to be redeemed,
+// so concurrent checkouts cannot both take the last use of a limited coupon.
+const findCouponByCode = (code, { transaction, lock = false } = {}) => {
+  return Coupon.findOne({
+    where: { code: normalizeCode(code) },
+    lock: lock && transaction ? transaction.LOCK.UPDATE : undefined,
+    transaction
+  });
+};
+
+// Shape cart rows (with their product and variant) into the line items used for coupon and tax calculation
+const toLineItems = (cartItems) => {
+  return cartItems.map(cartItem => ({
+    product_id: cartItem.product.id,
+    category_id: cartItem.product.category_id,
+    price: getLineDetails(cartItem).price,
+    quantity: cartItem.quantity
+  }));
+};
+
+// A coupon without product or category restrictions applies to every item
+const isEligibleItem = (coupon, item) => {
+  const productIds = coupon.product_ids || [];
+  const categoryIds = coupon.category_ids || [];
+
+  if (productIds.length === 0 && categoryIds.length === 0) {
+    return true;
+  }
+
+  return productIds.includes(item.product_id) || categoryIds.includes(item.category_id);
+};
+
+const invalid = (message) => ({ valid: false, message });
+
+/**
+ * Check a coupon against a set of cart items and work out its discount.
+ * Items are { product_id, category_id, price, quantity }.
+ * Resolves to { valid: true, subtotal, eligible_subtotal, discount_amount }
+ * or { valid: false, message }.
+ */
+const evaluateCoupon = async (coupon, { userId, items, transaction }) => {
+  if (!coupon || !coupon.is_active) {
+    return invalid('Coupon not found or inactive');
+  }
+
+  const now = new Date();
+
+  if (coupon.starts_at && now < new Date(coupon.starts_at)) {
+    return invalid('Coupon is not active yet');
+  }
+
+  if (coupon.expires_at && now > new Date(coupon.expires_at)) {
+    return invalid('Coupon has expired');
+  }
+
+  if (coupon.usage_limit !== null && coupon.used_count >= coupon.usage_limit) {
+    return invalid('Coupon usage limit has been reached');
+  }
+
+  if (coupon.usage_limit_per_user !== null) {
+    // Inside a checkout the coupon row is locked; a locking read then sees usages
+    // committed by an order that held the lock just before, which a snapshot read would miss
+    const userUsageCount = await CouponUsage.count({
+      where: { coupon_id: coupon.id, user_id: userId },
+      lock: transaction ? transaction.LOCK.SHARE : undefined,
+      transaction
+    });
+
+    if (userUsageCount >= coupon.usage_limit_per_user) {
+      return invalid('You have already used this coupon the maximum number of times');
+    }
+  }
+
+  const subtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  const minSpend = parseFloat(coupon.min_spend) || 0;
+
+  if (subtotal < minSpend) {
+    return invalid(`Minimum spend of ${minSpend} is required for this coupon`);
+  }
+
+  const eligibleSubtotal = items
+    .filter(item => isEligibleItem(coupon, item))
+    .reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+  if (eligibleSubtotal === 0) {
+    return invalid('Coupon does not apply to any items in the cart');
+  }
+
+  const discountValue = parseFloat(coupon.discount_value);
+  let discountAmount = coupon.discount_type === 'percentage'
+    ? eligibleSubtotal * discountValue / 100
+    : discountValue;
+
+  if (coupon.max_discount !== null) {
+    discountAmount = Math.min(discountAmount, parseFloat(coupon.max_discount));
+  }
+
+  discountAmount = Math.round(Math.min(discountAmount, eligibleSubtotal) * 100) / 100;
+
+  return {
+    valid: true,
+    subtotal,
+    eligible_subtotal: eligibleSubtotal,
+    discount_amount: discountAmount
+  };
+};
+
+// Record a redemption inside the order transaction
+const redeemCoupon = async (coupon, { userId, orderId, discountAmount, transaction }) => {
+  await CouponUsage.create({
+    coupon_id: coupon.id,
+    user_id: userId,
+    order_id: orderId,
+    code: coupon.code,
+    discount_amount: discountAmount,
+    used_at: new Date()
+  }, { transaction });
+
+  await coupon.increment('used_count', { by: 1, transaction });
+};
+
+// Give the use back when the order it was redeemed on is cancelled
+const releaseCoupon = async (orderId, { transaction }) => {
+  const usage = await CouponUsage.findOne({
+    where: { order_id: orderId },
+    transaction
+  });
+
+  if (!usage) {
+    return false;
+  }
+
+  await usage.destroy({ transaction });
+  await Coupon.decrement('used_count', {
+    by: 1,
+    where: { id: usage.coupon_id },
+    transaction
+  });
+
+  return true;
+};
+
+module.exports = {
+  normalizeCode,
+  findCouponByCode,
+  toLineItems,
+  evaluateCoupon,
+  redeemCoupon,
+  releaseCoupon
+};
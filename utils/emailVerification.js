@@ -0,0 +1,48 @@
+const { sendMail, escapeHtml } = require('./mailer');
+const { generateEmailVerificationToken } = require('./jwt');
+
+// Minimum time between two verification emails to the same user
+const getResendInterval = () => parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS) || 60;
+
+const buildVerificationUrl = (token) => {
+  const baseUrl = process.env.APP_URL || 'http://localhost:3000';
+  return `${baseUrl}/verify-email?token=${encodeURIComponent(token)}`;
+};
+
+// Seconds until another verification email may be sent, 0 when allowed now
+const getResendWaitSeconds = (user) => {
+  if (!user.email_verification_sent_at) {
+    return 0;
+  }
+
+  const elapsed = (Date.now() - new Date(user.email_verification_sent_at).getTime()) / 1000;
+  return Math.max(0, Math.ceil(getResendInterval() - elapsed));
+};
+
+const sendVerificationEmail = async (user) => {
+  const verificationUrl = buildVerificationUrl(generateEmailVerificationToken(user));
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your PetNeeds email address',
+    text: `Hi ${user.name},\n\nPlease verify your email address by opening the link below:\n\n${verificationUrl}\n\nIf you did not create a PetNeeds account, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Please verify your email address by clicking the link below:</p><p><a href="${verificationUrl}">Verify email</a></p><p>If you did not create a PetNeeds account, you can ignore this email.</p>`
+  });
+
+  await user.update({ email_verification_sent_at: new Date() });
+};
+
+// Registration and email changes should not fail because the mail server is down
+const sendVerificationEmailSafely = async (user) => {
+  try {
+    await sendVerificationEmail(user);
+  } catch (error) {
+    console.error('Send verification email error:', error);
+  }
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendVerificationEmailSafely,
+  getResendWaitSeconds
+};
@@ -0,0 +1,152 @@
+const { Product, ProductVariant, InventoryMovement } = require('../models');
+const { getAuditContext } = require('./audit');
+
+/**
+ * Inventory ledger.
+ *
+ * Every stock change goes through recordStockMovement, which updates the stock
+ * and appends an inventory_movements row in the same transaction, so the
+ * movements of a product (or of each of its variants) always add up to its
+ * current stock. Products sold in variants keep their stock on the variants;
+ * the product total moves with them and has no movements of its own.
+ */
+
+const MOVEMENT_TYPES = ['initial', 'sale', 'cancellation_restock', 'adjustment', 'return'];
+
+// Types an admin can post by hand; the others are written by orders and product creation
+const MANUAL_MOVEMENT_TYPES = ['adjustment', 'return'];
+
+// An explicit actor (null for system changes), else the admin of the current request
+const resolveActorId = (actorId) => {
+  if (actorId !== undefined) {
+    return actorId;
+  }
+  const context = getAuditContext();
+  return context ? context.actorId : null;
+};
+
+/**
+ * Change the stock of a product, or of one of its variants, by `change` and
+ * record the movement. The row is locked when a transaction is given.
+ *
+ * Pass `quantity` instead of `change` to set the stock to that level: the
+ * change is then worked out from the locked row, so a sale landing in between
+ * is not overwritten. Setting the current level records nothing and resolves
+ * with a null movement.
+ *
+ * `actorId` defaults to the admin of the current audit context; pass it for
+ * customer actions and null for system changes.
+ *
+ * Resolves to { success: true, movement, stockQuantity }, to
+ * { success: false, message } when stock would go below zero, or to null when
+ * the product or variant does not exist. Deleted variants can still be
+ * restocked, since orders keep pointing at them.
+ */
+const recordStockMovement = async ({
+  productId,
+  variantId = null,
+  change,
+  quantity,
+  type,
+  reason = null,
+  orderId = null,
+  actorId
+}, { transaction } = {}) => {
+  const lock = transaction ? transaction.LOCK.UPDATE : undefined;
+  const stockRow = variantId
+    ? await ProductVariant.findOne({
+      where: { id: variantId, product_id: productId },
+      paranoid: false,
+      lock,
+      transaction
+    })
+    : await Product.findByPk(productId, { lock, transaction });
+
+  if (!stockRow) {
+    return null;
+  }
+
+  const before = stockRow.stock_quantity;
+  const quantityChange = quantity !== undefined ? quantity - before : change;
+  const after = before + quantityChange;
+
+  if (quantity !== undefined && quantityChange === 0) {
+    return {
+      success: true,
+      movement: null,
+      stockQuantity: before
+    };
+  }
+
+  if (after < 0) {
+    return {
+      success: false,
+      message: `Stock cannot go below zero. Available: ${before}`
+    };
+  }
+
+  await stockRow.update({ stock_quantity: after }, { transaction });
+
+  // The product total moves with its active variants. An atomic increment keeps
+  // concurrent sales of different variants from overwriting each other's total.
+  if (variantId && stockRow.is_active && !stockRow.isSoftDeleted()) {
+    await Product.increment('stock_quantity', {
+      by: quantityChange,
+      where: { id: productId },
+      transaction
+    });
+  }
+
+  const movement = await InventoryMovement.create({
+    product_id: productId,
+    variant_id: variantId,
+    type,
+    quantity_change: quantityChange,
+    quantity_before: before,
+    quantity_after: after,
+    reason,
+    order_id: orderId,
+    actor_id: resolveActorId(actorId)
+  }, { transaction });
+
+  return {
+    success: true,
+    movement,
+    stockQuantity: after
+  };
+};
+
+// Record the stock a product or variant was created with
+const recordOpeningBalance = async ({ productId, variantId = null, quantity, actorId }, { transaction } = {}) => {
+  if (!quantity) {
+    return null;
+  }
+
+  return InventoryMovement.create({
+    product_id: productId,
+    variant_id: variantId,
+    type: 'initial',
+    quantity_change: quantity,
+    quantity_before: 0,
+    quantity_after: quantity,
+    reason: 'Opening balance',
+    actor_id: resolveActorId(actorId)
+  }, { transaction });
+};
+
+// Units of a product (or variant) put back into stock as returns against an order
+const getReturnedQuantity = async (orderId, productId, variantId, options = {}) => {
+  const returned = await InventoryMovement.sum('quantity_change', {
+    where: { order_id: orderId, product_id: productId, variant_id: variantId, type: 'return' },
+    transaction: options.transaction
+  });
+  return returned || 0;
+};
+
+module.exports = {
+  MOVEMENT_TYPES,
+  MANUAL_MOVEMENT_TYPES,
+  recordStockMovement,
+  getReturnedQuantity,
+  recordOpeningBalance
+};
@@ -4,6 +4,11 @@ const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-i
 const JWT_EXPIRE = process.env.JWT_EXPIRE || '7d';
 const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'your-refresh-secret-key-change-in-production';
 const JWT_REFRESH_EXPIRE = process.env.JWT_REFRESH_EXPIRE || '30d';
+// Derived secret, so an email token can never be used as an access token
+const EMAIL_VERIFICATION_SECRET = `${JWT_SECRET}:email-verification`;
+const EMAIL_VERIFICATION_EXPIRE = process.env.EMAIL_VERIFICATION_EXPIRE || '24h';
+const TWO_FACTOR_CHALLENGE_SECRET = `${JWT_SECRET}:two-factor-challenge`;
+const TWO_FACTOR_CHALLENGE_EXPIRE = process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m';
 
 const generateToken = (payload) => {
   return jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRE });
@@ -30,9 +35,39 @@ const verifyRefreshToken = (token) => {
   }
 };
 
+// Bound to the address, so the token stops working if the email changes
+const generateEmailVerificationToken = (user) => {
+  return jwt.sign({ id: user.id, email: user.email }, EMAIL_VERIFICATION_SECRET, { expiresIn: EMAIL_VERIFICATION_EXPIRE });
+};
+
+const verifyEmailVerificationToken = (token) => {
+  try {
+    return jwt.verify(token, EMAIL_VERIFICATION_SECRET);
+  } catch (error) {
+    throw new Error('Invalid verification token');
+  }
+};
+
+// Issued after the password step of a login with two-factor authentication enabled
+const generateTwoFactorChallengeToken = (user) => {
+  return jwt.sign({ id: user.id }, TWO_FACTOR_CHALLENGE_SECRET, { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRE });
+};
+
+const verifyTwoFactorChallengeToken = (token) => {
+  try {
+    return jwt.verify(token, TWO_FACTOR_CHALLENGE_SECRET);
+  } catch (error) {
+    throw new Error('Invalid challenge token');
+  }
+};
+
 module.exports = {
   generateToken,
   generateRefreshToken,
   verifyToken,
-  verifyRefreshToken
+  verifyRefreshToken,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+  generateTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken
 };
@@ -0,0 +1,152 @@
+const { Op } = require('sequelize');
+const { User, sequelize } = require('../models');
+const { sendMail, escapeHtml } = require('./mailer');
+const { generateOneTimeToken, hashToken } = require('./password');
+
+const getMaxAttempts = () => parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const getLockoutMinutes = () => parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+
+// 0 disables the delay between failed attempts
+const getDelayBaseSeconds = () => {
+  const seconds = parseInt(process.env.LOGIN_DELAY_BASE_SECONDS);
+  return Number.isNaN(seconds) ? 1 : seconds;
+};
+
+const isLocked = (user) => !!user.locked_until && new Date(user.locked_until) > new Date();
+
+// Wait required after `attempts` consecutive failures: none after the first, then 1s, 2s, 4s, ...
+const getDelaySeconds = (attempts) => {
+  if (attempts < 2) {
+    return 0;
+  }
+  return getDelayBaseSeconds() * Math.pow(2, attempts - 2);
+};
+
+/**
+ * Check whether the user may attempt a login right now, before the password is
+ * verified. Returns null, or { status, message, retryAfter } for a locked
+ * account (423) or an attempt made before the progressive delay has passed (429).
+ */
+const getLoginBlock = (user) => {
+  const now = Date.now();
+
+  if (isLocked(user)) {
+    return {
+      status: 423,
+      message: 'Account is temporarily locked after too many failed login attempts. Check your email for an unlock link or try again later.',
+      retryAfter: Math.ceil((new Date(user.locked_until).getTime() - now) / 1000)
+    };
+  }
+
+  if (user.locked_until || !user.last_failed_login_at) {
+    return null;
+  }
+
+  const allowedAt = new Date(user.last_failed_login_at).getTime() + getDelaySeconds(user.failed_login_attempts) * 1000;
+  if (allowedAt > now) {
+    return {
+      status: 429,
+      message: 'Too many failed login attempts, please wait before trying again',
+      retryAfter: Math.ceil((allowedAt - now) / 1000)
+    };
+  }
+
+  return null;
+};
+
+const sendUnlockEmail = async (user, token) => {
+  const unlockUrl = `${process.env.APP_URL || 'http://localhost:3000'}/unlock-account?token=${token}`;
+
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Your PetNeeds account has been locked',
+      text: `Hi ${user.name},\n\nWe locked your account for ${getLockoutMinutes()} minutes after ${getMaxAttempts()} failed login attempts. If this was you, open the link below to unlock it now:\n\n${unlockUrl}\n\nIf this was not you, we recommend resetting your password.`,
+      html: `<p>Hi ${escapeHtml(user.name)},</p><p>We locked your account for ${getLockoutMinutes()} minutes after ${getMaxAttempts()} failed login attempts. If this was you, use the link below to unlock it now:</p><p><a href="${unlockUrl}">Unlock account</a></p><p>If this was not you, we recommend resetting your password.</p>`
+    });
+  } catch (error) {
+    console.error('Send unlock email error:', error);
+  }
+};
+
+/**
+ * Count a failed password for the user. Reaching LOGIN_MAX_ATTEMPTS locks the
+ * account for LOGIN_LOCKOUT_MINUTES and emails a one-time unlock link.
+ * The count is incremented in the database so parallel guesses are all counted.
+ * Returns true when the account is locked after this attempt.
+ */
+const recordFailedLogin = async (user) => {
+  // A lock that has run out starts a fresh count; the condition makes parallel resets a no-op
+  if (user.locked_until) {
+    await User.update({
+      failed_login_attempts: 0,
+      locked_until: null,
+      unlock_token_hash: null
+    }, {
+      where: { id: user.id, locked_until: user.locked_until }
+    });
+  }
+
+  await User.update({
+    failed_login_attempts: sequelize.literal('failed_login_attempts + 1'),
+    last_failed_login_at: new Date()
+  }, {
+    where: { id: user.id }
+  });
+  await user.reload();
+
+  if (user.failed_login_attempts < getMaxAttempts() || isLocked(user)) {
+    return isLocked(user);
+  }
+
+  const token = generateOneTimeToken();
+
+  // Only the attempt that sets the lock sends the unlock email
+  const [lockedCount] = await User.update({
+    locked_until: new Date(Date.now() + getLockoutMinutes() * 60 * 1000),
+    unlock_token_hash: hashToken(token)
+  }, {
+    where: { id: user.id, locked_until: null }
+  });
+  await user.reload();
+
+  if (lockedCount > 0) {
+    await sendUnlockEmail(user, token);
+  }
+  return isLocked(user);
+};
+
+const clearLoginFailures = async (user, extra = {}) => {
+  await user.update({
+    failed_login_attempts: 0,
+    last_failed_login_at: null,
+    locked_until: null,
+    unlock_token_hash: null,
+    ...extra
+  });
+};
+
+// Redeem an unlock link. Returns the user, or null for an unknown or already used token.
+const unlockWithToken = async (token) => {
+  const user = await User.findOne({
+    where: {
+      unlock_token_hash: hashToken(token),
+      locked_until: { [Op.ne]: null }
+    }
+  });
+
+  if (!user) {
+    return null;
+  }
+
+  await clearLoginFailures(user);
+  return user;
+};
+
+module.exports = {
+  isLocked,
+  getLoginBlock,
+  recordFailedLogin,
+  clearLoginFailures,
+  unlockWithToken
+};
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Messages delivered by the `memory` transport, newest last
+const outbox = [];
+
+/**
+ * Mail delivery is chosen with MAIL_TRANSPORT:
+ * - smtp (default): send through EMAIL_HOST/EMAIL_PORT/EMAIL_USER/EMAIL_PASS
+ * - memory: keep messages in `outbox`, for tests
+ * - file: write each message as JSON to MAIL_FILE_DIR, for local development
+ */
+const createTransport = (type = process.env.MAIL_TRANSPORT || 'smtp') => {
+  if (type === 'memory' || type === 'file') {
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  return nodemailer.createTransport({
+    host: process.env.EMAIL_HOST,
+    port: parseInt(process.env.EMAIL_PORT) || 587,
+    secure: parseInt(process.env.EMAIL_PORT) === 465,
+    auth: process.env.EMAIL_USER ? {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS
+    } : undefined
+  });
+};
+
+let transport = null;
+
+// Replace the transport, e.g. with a stub in tests; pass null to rebuild from env
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  if (!transport) {
+    transport = createTransport();
+  }
+
+  const type = process.env.MAIL_TRANSPORT || 'smtp';
+  const message = {
+    from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+    to,
+    subject,
+    text,
+    html
+  };
+
+  const info = await transport.sendMail(message);
+
+  if (type === 'memory') {
+    outbox.push({ ...message, sent_at: new Date() });
+  } else if (type === 'file') {
+    const directory = process.env.MAIL_FILE_DIR || path.join(__dirname, '../tmp/mail');
+    fs.mkdirSync(directory, { recursive: true });
+    fs.writeFileSync(path.join(directory, `${Date.now()}-${info.messageId.replace(/[<>@]/g, '')}.json`), info.message);
+  }
+
+  return info;
+};
+
+// For user-supplied values interpolated into HTML bodies
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const getOutbox = () => outbox;
+
+const clearOutbox = () => {
+  outbox.length = 0;
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+  escapeHtml,
+  getOutbox,
+  clearOutbox
+};
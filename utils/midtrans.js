@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const midtransClient = require('midtrans-client');
 
 // Initialize Snap API
@@ -94,6 +95,110 @@ const refundTransaction = async (orderId, refundDetails) => {
   }
 };
 
+// Midtrans rejects item ids and names longer than 50 characters
+const truncate = (value, length = 50) => String(value || '').slice(0, length);
+
+/**
+ * Build Snap item_details from an order loaded with its `items`.
+ * IDR has no minor unit, so every line is rounded to whole rupiah; shipping, tax
+ * (only when prices exclude it) and discount get their own lines, and any
+ * rounding remainder goes on a final line so the sum equals gross_amount.
+ */
+const buildItemDetails = (order) => {
+  const grossAmount = Math.round(parseFloat(order.total_amount));
+
+  const itemDetails = (order.items || []).map(item => ({
+    id: truncate(item.product_sku || `PRODUCT-${item.product_id}`),
+    price: Math.round(parseFloat(item.unit_price)),
+    quantity: item.quantity,
+    name: truncate(item.variant_name ? `${item.product_name} (${item.variant_name})` : item.product_name)
+  }));
+
+  const shippingCost = Math.round(parseFloat(order.shipping_cost) || 0);
+  if (shippingCost > 0) {
+    itemDetails.push({
+      id: 'SHIPPING',
+      price: shippingCost,
+      quantity: 1,
+      name: truncate(order.shipping_method ? `Shipping ${order.shipping_method}` : 'Shipping')
+    });
+  }
+
+  const taxAmount = order.tax_inclusive ? 0 : Math.round(parseFloat(order.tax_amount) || 0);
+  if (taxAmount > 0) {
+    itemDetails.push({
+      id: 'TAX',
+      price: taxAmount,
+      quantity: 1,
+      name: `PPN ${parseFloat(order.tax_rate) || 0}%`
+    });
+  }
+
+  const discountAmount = Math.round(parseFloat(order.discount_amount) || 0);
+  if (discountAmount > 0) {
+    itemDetails.push({
+      id: 'DISCOUNT',
+      price: -discountAmount,
+      quantity: 1,
+      name: 'Discount'
+    });
+  }
+
+  const itemsTotal = itemDetails.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  if (itemsTotal !== grossAmount) {
+    itemDetails.push({
+      id: 'ROUNDING',
+      price: grossAmount - itemsTotal,
+      quantity: 1,
+      name: 'Rounding adjustment'
+    });
+  }
+
+  return { grossAmount, itemDetails };
+};
+
+// Snap customer_details.shipping_address from an order Address
+const buildShippingAddress = (address) => {
+  if (!address) {
+    return undefined;
+  }
+
+  const [firstName, ...lastName] = (address.recipient_name || '').split(' ');
+  const street = [address.full_address, address.district].filter(Boolean).join(', ');
+
+  return {
+    first_name: firstName,
+    last_name: lastName.join(' '),
+    phone: address.phone,
+    address: truncate(street, 200),
+    city: address.city,
+    postal_code: address.postal_code,
+    country_code: 'IDN'
+  };
+};
+
+// Midtrans signs notifications with SHA512(order_id + status_code + gross_amount + server key)
+const generateSignature = (orderId, statusCode, grossAmount, serverKey = process.env.MIDTRANS_SERVER_KEY) => {
+  return crypto
+    .createHash('sha512')
+    .update(`${orderId}${statusCode}${grossAmount}${serverKey}`)
+    .digest('hex');
+};
+
+const verifySignature = (notification) => {
+  const { order_id, status_code, gross_amount, signature_key } = notification || {};
+
+  if (!process.env.MIDTRANS_SERVER_KEY || !order_id || !status_code || !gross_amount || typeof signature_key !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(generateSignature(order_id, status_code, gross_amount));
+  const received = Buffer.from(signature_key);
+
+  // Constant-time comparison to avoid leaking how much of the signature matched
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
 module.exports = {
   snap,
   core,
@@ -101,5 +206,9 @@ module.exports = {
   getTransactionStatus,
   cancelTransaction,
   expireTransaction,
-  refundTransaction
+  refundTransaction,
+  buildItemDetails,
+  buildShippingAddress,
+  generateSignature,
+  verifySignature
 };
@@ -0,0 +1,203 @@
+const { Op } = require('sequelize');
+const { sequelize, Payment, Order, WebhookEvent } = require('../models');
+const {
+  SUCCESS_STATUSES,
+  FAILED_STATUSES,
+  canTransitionPaymentStatus,
+  toOrderPaymentStatus
+} = require('./paymentStatus');
+const { cancelOrder } = require('./orderCancellation');
+
+// One event per Midtrans transaction and status, so retried notifications collapse
+const buildEventKey = ({ transaction_id, order_id, transaction_status }) => {
+  return `${transaction_id || order_id}:${transaction_status}`;
+};
+
+// Store a verified notification. `status` holds the effective fields, which may
+// come from the Midtrans status API instead of the payload.
+const recordEvent = async (notification, status) => {
+  const [event, created] = await WebhookEvent.findOrCreate({
+    where: { event_key: buildEventKey(status) },
+    defaults: {
+      provider: 'midtrans',
+      midtrans_order_id: status.order_id,
+      midtrans_transaction_id: status.transaction_id,
+      transaction_status: status.transaction_status,
+      fraud_status: status.fraud_status,
+      payment_type: status.payment_type,
+      payload: notification,
+      received_at: new Date()
+    }
+  });
+
+  return { event, created };
+};
+
+const isAlreadyHandled = (event) => ['processed', 'ignored'].includes(event.processing_status);
+
+/**
+ * Move a payment to a Midtrans transaction status and update its order to
+ * match. The caller locks the payment row inside `transaction`, so webhook
+ * notifications and admin status syncs for it are applied one at a time.
+ * `paymentFields` are other Payment columns to store with the status.
+ *
+ * A successful payment for an order that is already cancelled (after a deny,
+ * or a customer cancellation while the payment was pending) is recorded on the
+ * Payment, but the order stays cancelled: its stock has been released. The
+ * payment is flagged with refund_required_at instead.
+ *
+ * Resolves to { applied: false, message } for an illegal transition, which
+ * leaves the payment untouched, or to { applied: true, message }.
+ */
+const applyTransactionStatus = async (payment, transactionStatus, paymentFields, { transaction }) => {
+  const previousStatus = payment.status;
+  const statusChanged = previousStatus !== transactionStatus;
+
+  if (statusChanged && !canTransitionPaymentStatus(previousStatus, transactionStatus)) {
+    return {
+      applied: false,
+      message: `Illegal payment status transition ${previousStatus} -> ${transactionStatus}`
+    };
+  }
+
+  const order = await Order.findByPk(payment.order_id, {
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  });
+
+  const paidAfterCancellation = statusChanged &&
+    SUCCESS_STATUSES.includes(transactionStatus) &&
+    !!order && order.status === 'cancelled';
+
+  const updateData = { ...paymentFields, status: transactionStatus };
+
+  if (statusChanged && SUCCESS_STATUSES.includes(transactionStatus)) {
+    updateData.payment_date = updateData.payment_date || new Date();
+  }
+
+  if (paidAfterCancellation) {
+    updateData.refund_required_at = payment.refund_required_at || new Date();
+  }
+
+  if (statusChanged && transactionStatus === 'expire') {
+    updateData.expiry_time = new Date();
+  }
+
+  await payment.update(updateData, { transaction });
+
+  if (statusChanged && order && !paidAfterCancellation) {
+    const orderPaymentStatus = toOrderPaymentStatus(transactionStatus);
+
+    if (FAILED_STATUSES.includes(transactionStatus) && order.status === 'pending') {
+      await cancelOrder(order.id, { transaction, paymentStatus: orderPaymentStatus });
+    } else {
+      const orderUpdate = { payment_status: orderPaymentStatus };
+
+      if (SUCCESS_STATUSES.includes(transactionStatus) && order.status === 'pending') {
+        orderUpdate.status = 'confirmed';
+      }
+
+      await order.update(orderUpdate, { transaction });
+    }
+  }
+
+  if (!statusChanged) {
+    return { applied: true, message: 'Status unchanged' };
+  }
+
+  return {
+    applied: true,
+    message: `${previousStatus} -> ${transactionStatus}${paidAfterCancellation ? ' on a cancelled order; refund required' : ''}`
+  };
+};
+
+/**
+ * Apply a stored webhook event to its Payment and Order.
+ * Resolves to { outcome, message, payment } where outcome is one of
+ * 'processed', 'ignored' (illegal transition) or 'not_found'.
+ */
+const processEvent = async (event) => {
+  const notification = event.payload || {};
+  const {
+    midtrans_order_id: orderId,
+    midtrans_transaction_id: transactionId,
+    transaction_status: transactionStatus,
+    fraud_status: fraudStatus,
+    payment_type: paymentType
+  } = event;
+
+  const transaction = await sequelize.transaction();
+  let transactionFinished = false;
+
+  try {
+    const lookup = [{ midtrans_order_id: orderId }];
+    if (transactionId) {
+      lookup.push({ midtrans_transaction_id: transactionId });
+    }
+
+    // Lock the payment row so concurrent notifications for it are applied one at a time
+    const payment = await Payment.findOne({
+      where: { [Op.or]: lookup },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    if (!payment) {
+      await transaction.rollback();
+      transactionFinished = true;
+      await event.update({
+        processing_status: 'failed',
+        processing_note: 'Payment not found',
+        attempts: event.attempts + 1
+      });
+      return { outcome: 'not_found', message: 'Payment not found' };
+    }
+
+    const result = await applyTransactionStatus(payment, transactionStatus, {
+      fraud_status: fraudStatus || payment.fraud_status,
+      midtrans_payment_type: paymentType || payment.midtrans_payment_type,
+      midtrans_transaction_id: transactionId || payment.midtrans_transaction_id,
+      signature_key: notification.signature_key || payment.signature_key,
+      raw_response: { ...payment.raw_response, ...notification },
+      webhook_logs: [...(payment.webhook_logs || []), {
+        received_at: event.received_at,
+        notification: notification
+      }]
+    }, { transaction });
+
+    await event.update({
+      payment_id: payment.id,
+      processing_status: result.applied ? 'processed' : 'ignored',
+      processing_note: result.message,
+      attempts: event.attempts + 1,
+      processed_at: new Date()
+    }, { transaction });
+
+    await transaction.commit();
+    transactionFinished = true;
+
+    if (!result.applied) {
+      return { outcome: 'ignored', message: result.message, payment };
+    }
+
+    return { outcome: 'processed', message: 'Webhook processed successfully', payment };
+  } catch (error) {
+    if (!transactionFinished) {
+      await transaction.rollback();
+    }
+    await event.update({
+      processing_status: 'failed',
+      processing_note: error.message,
+      attempts: event.attempts + 1
+    });
+    throw error;
+  }
+};
+
+module.exports = {
+  buildEventKey,
+  recordEvent,
+  isAlreadyHandled,
+  applyTransactionStatus,
+  processEvent
+};
@@ -6,26 +6,85 @@ const { sequelize } = require('../config/database');
 const fs = require('fs');
 const path = require('path');
 
+const migrationsPath = path.join(__dirname, '../migrations');
+
+// Same layout as sequelize-cli, so either tool can read the ledger
+const META_TABLE = 'SequelizeMeta';
+
+const getMigrationFiles = () => {
+  return fs.readdirSync(migrationsPath)
+    .filter(file => file.endsWith('.js'))
+    .sort();
+};
+
+const ensureMetaTable = async () => {
+  const queryInterface = sequelize.getQueryInterface();
+  await queryInterface.createTable(META_TABLE, {
+    name: {
+      type: sequelize.Sequelize.STRING(255),
+      allowNull: false,
+      unique: true,
+      primaryKey: true
+    }
+  });
+};
+
+const getAppliedMigrations = async () => {
+  await ensureMetaTable();
+  const [rows] = await sequelize.query(
+    `SELECT name FROM \`${META_TABLE}\` ORDER BY name ASC`
+  );
+  return rows.map(row => row.name);
+};
+
+const recordMigration = async (name) => {
+  await sequelize.getQueryInterface().bulkInsert(META_TABLE, [{ name }]);
+};
+
+const forgetMigration = async (name) => {
+  await sequelize.getQueryInterface().bulkDelete(META_TABLE, { name });
+};
+
+// Files not recorded in the ledger, in file name order
+const selectPendingMigrations = (files, applied) => files.filter(file => !applied.includes(file));
+
+/**
+ * The last `steps` applied migrations, newest first. The ledger only holds
+ * names, so "newest" means the highest file name, not the most recently run:
+ * a migration applied out of order (or recorded by a baseline) is rolled back
+ * according to its number.
+ */
+const selectRollbackMigrations = (applied, steps) => applied.slice().sort().reverse().slice(0, steps);
+
+const getPendingMigrations = async () => {
+  const applied = await getAppliedMigrations();
+  return selectPendingMigrations(getMigrationFiles(), applied);
+};
+
 const runMigrations = async () => {
   try {
     console.log('Starting database migrations...');
 
-    const migrationsPath = path.join(__dirname, '../migrations');
-    const migrationFiles = fs.readdirSync(migrationsPath)
-      .filter(file => file.endsWith('.js'))
-      .sort();
+    const pending = await getPendingMigrations();
 
-    for (const file of migrationFiles) {
+    if (pending.length === 0) {
+      console.log('No pending migrations.');
+      return;
+    }
+
+    for (const file of pending) {
       console.log(`Running migration: ${file}`);
       const migration = require(path.join(migrationsPath, file));
 
       if (migration.up) {
         await migration.up(sequelize.getQueryInterface(), sequelize.Sequelize);
-        console.log(`✓ Migration ${file} completed`);
       }
+
+      await recordMigration(file);
+      console.log(`✓ Migration ${file} completed`);
     }
 
-    console.log('All migrations completed successfully!');
+    console.log(`${pending.length} migration(s) completed successfully!`);
   } catch (error) {
     console.error('Migration failed:', error);
     process.exit(1);
@@ -34,23 +93,37 @@ const runMigrations = async () => {
 
 const rollbackMigrations = async (steps = 1) => {
   try {
-    console.log(`Rolling back ${steps} migration(s)...`);
+    steps = parseInt(steps);
+    if (!Number.isInteger(steps) || steps < 1) {
+      console.error('Number of migrations to roll back must be a positive integer');
+      process.exit(1);
+    }
 
-    const migrationsPath = path.join(__dirname, '../migrations');
-    const migrationFiles = fs.readdirSync(migrationsPath)
-      .filter(file => file.endsWith('.js'))
-      .sort()
-      .reverse()
-      .slice(0, steps);
+    const applied = await getAppliedMigrations();
+    const files = getMigrationFiles();
+    const toRollback = selectRollbackMigrations(applied, steps);
+
+    if (toRollback.length === 0) {
+      console.log('No applied migrations to roll back.');
+      return;
+    }
+
+    console.log(`Rolling back ${toRollback.length} migration(s)...`);
+
+    for (const file of toRollback) {
+      if (!files.includes(file)) {
+        throw new Error(`Migration file ${file} is recorded as applied but no longer exists`);
+      }
 
-    for (const file of migrationFiles) {
       console.log(`Rolling back migration: ${file}`);
       const migration = require(path.join(migrationsPath, file));
 
       if (migration.down) {
         await migration.down(sequelize.getQueryInterface(), sequelize.Sequelize);
-        console.log(`✓ Rollback ${file} completed`);
       }
+
+      await forgetMigration(file);
+      console.log(`✓ Rollback ${file} completed`);
     }
 
     console.log('Rollback completed successfully!');
@@ -60,7 +133,111 @@ const rollbackMigrations = async (steps = 1) => {
   }
 };
 
+const migrationStatus = async () => {
+  try {
+    const applied = await getAppliedMigrations();
+    const files = getMigrationFiles();
+
+    for (const file of files) {
+      console.log(`${applied.includes(file) ? 'up     ' : 'pending'}  ${file}`);
+    }
+
+    // Recorded in the ledger but deleted from migrations/
+    for (const name of applied.filter(name => !files.includes(name))) {
+      console.log(`missing  ${name}`);
+    }
+
+    const pendingCount = selectPendingMigrations(files, applied).length;
+    console.log(`\n${applied.length} applied, ${pendingCount} pending`);
+  } catch (error) {
+    console.error('Failed to read migration status:', error);
+    process.exit(1);
+  }
+};
+
+// Record migrations as applied without running them, for databases whose schema
+// was created before the ledger existed. Marks every file up to and including `upTo`.
+const baselineMigrations = async (upTo) => {
+  try {
+    const files = getMigrationFiles();
+
+    if (!upTo || !files.includes(upTo)) {
+      console.error('Usage: npm run migrate:baseline -- <migration file name>');
+      process.exit(1);
+    }
+
+    const applied = await getAppliedMigrations();
+    const toRecord = files
+      .slice(0, files.indexOf(upTo) + 1)
+      .filter(file => !applied.includes(file));
+
+    for (const file of toRecord) {
+      await recordMigration(file);
+      console.log(`✓ Marked ${file} as applied`);
+    }
+
+    console.log(`${toRecord.length} migration(s) marked as applied`);
+  } catch (error) {
+    console.error('Baseline failed:', error);
+    process.exit(1);
+  }
+};
+
+const MIGRATION_TEMPLATE = `'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+  },
+
+  down: async (queryInterface, Sequelize) => {
+  }
+};
+`;
+
+// "<next number>-<slug>.js" after the highest numbered file, or null when the name has no usable characters
+const nextMigrationFileName = (files, name) => {
+  const slug = (name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+  if (!slug) {
+    return null;
+  }
+
+  const lastNumber = files
+    .map(file => parseInt(file.split('-')[0]))
+    .filter(Number.isInteger)
+    .reduce((max, number) => Math.max(max, number), 0);
+
+  return `${String(lastNumber + 1).padStart(3, '0')}-${slug}.js`;
+};
+
+// Create migrations/<next number>-<name>.js from a blank template
+const createMigration = (name) => {
+  const fileName = nextMigrationFileName(getMigrationFiles(), name);
+
+  if (!fileName) {
+    console.error('Usage: npm run migrate:create -- <migration-name>');
+    process.exit(1);
+  }
+
+  const filePath = path.join(migrationsPath, fileName);
+
+  fs.writeFileSync(filePath, MIGRATION_TEMPLATE);
+  console.log(`Created migration: migrations/${fileName}`);
+
+  return fileName;
+};
+
 module.exports = {
   runMigrations,
-  rollbackMigrations
+  rollbackMigrations,
+  migrationStatus,
+  baselineMigrations,
+  createMigration,
+  getPendingMigrations,
+  selectPendingMigrations,
+  selectRollbackMigrations,
+  nextMigrationFileName
 };
@@ -0,0 +1,137 @@
+const { sequelize, Order, OrderItem, Payment } = require('../models');
+const { releaseCoupon } = require('./coupon');
+const { recordStockMovement, getReturnedQuantity } = require('./inventory');
+const { SUCCESS_STATUSES } = require('./paymentStatus');
+
+/**
+ * Cancel an order and return its items to stock.
+ *
+ * Every cancellation path (customer cancel, admin cancel, payment webhook and
+ * admin payment sync) goes through here. The order row is locked and
+ * stock_restored_at is set in the same transaction as the restock, so items
+ * are returned exactly once even if several paths race. Each restock is
+ * recorded in the inventory ledger. Units already taken back as returns are
+ * not restocked again. Any coupon redeemed on the order is
+ * released as well. An order that is already paid keeps its payment status
+ * and its successful payments are flagged with refund_required_at.
+ *
+ * Options:
+ * - transaction: run inside the caller's transaction instead of a new one
+ * - allowedStatuses: statuses the order may be cancelled from, checked again
+ *   once the row is locked (callers check before, and a webhook may land in between)
+ * - notes: replacement value for Order.notes
+ * - paymentStatus: Order.payment_status to set; defaults to 'failed' while pending
+ * - actorId: user recorded on the stock movements; defaults to the admin of the
+ *   current audit context, or none for system cancellations
+ *
+ * Resolves to { success: true, order, restocked }, or to
+ * { success: false, status: 409, message } when the locked order is no longer
+ * in one of `allowedStatuses`.
+ */
+const cancelOrder = async (orderId, options = {}) => {
+  const { notes, paymentStatus, actorId, allowedStatuses } = options;
+  const transaction = options.transaction || await sequelize.transaction();
+  const ownsTransaction = !options.transaction;
+
+  try {
+    const order = await Order.findByPk(orderId, {
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    if (!order) {
+      throw new Error(`Order ${orderId} not found`);
+    }
+
+    if (allowedStatuses && !allowedStatuses.includes(order.status)) {
+      if (ownsTransaction) {
+        await transaction.rollback();
+      }
+      return {
+        success: false,
+        status: 409,
+        message: `Order cannot be cancelled from status "${order.status}"`
+      };
+    }
+
+    const wasPaid = order.payment_status === 'paid';
+    const updateData = { status: 'cancelled' };
+
+    if (notes !== undefined) {
+      updateData.notes = notes;
+    }
+
+    if (paymentStatus) {
+      updateData.payment_status = paymentStatus;
+    } else if (order.payment_status === 'pending') {
+      updateData.payment_status = 'failed';
+    }
+
+    const restocked = !order.stock_restored_at;
+
+    if (restocked) {
+      const items = await OrderItem.findAll({
+        where: { order_id: order.id },
+        attributes: ['id', 'product_id', 'variant_id', 'quantity'],
+        transaction
+      });
+
+      // Returns are booked per product (or variant), so spread them over its items
+      const returned = new Map();
+
+      for (const item of items) {
+        const key = `${item.product_id}:${item.variant_id}`;
+        if (!returned.has(key)) {
+          returned.set(key, await getReturnedQuantity(order.id, item.product_id, item.variant_id, { transaction }));
+        }
+
+        const alreadyReturned = Math.min(returned.get(key), item.quantity);
+        returned.set(key, returned.get(key) - alreadyReturned);
+
+        if (item.quantity === alreadyReturned) {
+          continue;
+        }
+
+        await recordStockMovement({
+          productId: item.product_id,
+          variantId: item.variant_id,
+          change: item.quantity - alreadyReturned,
+          type: 'cancellation_restock',
+          reason: 'Order cancelled',
+          orderId: order.id,
+          actorId
+        }, { transaction });
+      }
+
+      updateData.stock_restored_at = new Date();
+    }
+
+    await order.update(updateData, { transaction });
+
+    // Money taken for an order that is now cancelled has to go back
+    if (wasPaid) {
+      await Payment.update({ refund_required_at: new Date() }, {
+        where: { order_id: order.id, status: SUCCESS_STATUSES, refund_required_at: null },
+        transaction
+      });
+    }
+
+    // A coupon redeemed on this order can be used again
+    await releaseCoupon(order.id, { transaction });
+
+    if (ownsTransaction) {
+      await transaction.commit();
+    }
+
+    return { success: true, order, restocked };
+  } catch (error) {
+    if (ownsTransaction && !transaction.finished) {
+      await transaction.rollback();
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  cancelOrder
+};
@@ -0,0 +1,176 @@
+const { Op } = require('sequelize');
+const { query } = require('express-validator');
+
+/**
+ * Shared pagination for list endpoints.
+ *
+ * Lists accept either `page` (offset pagination with totals) or an opaque
+ * `cursor` taken from a previous response (keyset pagination on the sort
+ * column plus id, which stays fast and stable as tables grow). Both modes
+ * return the same meta; totals and the page number are null in cursor mode.
+ */
+
+const encodeCursor = (row, sortField, sortDirection, direction) => {
+  const value = row.get(sortField);
+  const payload = {
+    f: sortField,
+    o: sortDirection,
+    d: direction,
+    id: row.get('id'),
+    v: value instanceof Date ? value.toISOString() : value
+  };
+  if (value instanceof Date) {
+    payload.t = 'date';
+  }
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// Cursor values go straight into the where clause, so only scalars are accepted
+const isCursorValue = (value) => value === null || typeof value === 'string' || (typeof value === 'number' && Number.isFinite(value));
+
+// The decoded cursor, or null when it is malformed
+const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (
+      !payload ||
+      typeof payload.f !== 'string' ||
+      !['ASC', 'DESC'].includes(payload.o) ||
+      !['next', 'prev'].includes(payload.d) ||
+      !Number.isInteger(payload.id) ||
+      !isCursorValue(payload.v)
+    ) {
+      return null;
+    }
+    if (payload.t === 'date') {
+      payload.v = new Date(payload.v);
+      if (Number.isNaN(payload.v.getTime())) {
+        return null;
+      }
+    }
+    return payload;
+  } catch (error) {
+    return null;
+  }
+};
+
+const paginationValidators = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('cursor').optional().custom(value => decodeCursor(value) !== null).withMessage('Invalid cursor')
+];
+
+// Offset pagination meta; cursors are filled in by paginate()
+const buildPagination = (page, limit, totalItems) => {
+  const totalPages = Math.ceil(totalItems / limit);
+  return {
+    current_page: parseInt(page),
+    total_pages: totalPages,
+    total_items: totalItems,
+    items_per_page: parseInt(limit),
+    has_next: page < totalPages,
+    has_prev: page > 1,
+    next_cursor: null,
+    prev_cursor: null
+  };
+};
+
+/**
+ * Rows that come after (value, id) when ordered by the sort field and then id,
+ * ascending or descending. MySQL puts NULLs first in ascending order.
+ */
+const afterCondition = (field, value, id, ascending) => {
+  if (ascending) {
+    return value === null
+      ? { [Op.or]: [{ [field]: null, id: { [Op.gt]: id } }, { [field]: { [Op.ne]: null } }] }
+      : { [Op.or]: [{ [field]: { [Op.gt]: value } }, { [field]: value, id: { [Op.gt]: id } }] };
+  }
+  return value === null
+    ? { [field]: null, id: { [Op.lt]: id } }
+    : { [Op.or]: [{ [field]: { [Op.lt]: value } }, { [field]: value, id: { [Op.lt]: id } }, { [field]: null }] };
+};
+
+/**
+ * Run a list query on `model` ordered by `sortField`/`sortDirection` (id breaks
+ * ties). Other options (include, attributes...) are passed to Sequelize.
+ *
+ * Returns { rows, pagination }, or null when `cursor` was issued for a
+ * different sort order than the one requested.
+ */
+const paginate = async (model, {
+  where = {},
+  sortField,
+  sortDirection,
+  page = 1,
+  limit = 10,
+  cursor,
+  ...findOptions
+}) => {
+  limit = parseInt(limit);
+
+  if (!cursor) {
+    const { count, rows } = await model.findAndCountAll({
+      ...findOptions,
+      where,
+      limit,
+      offset: (page - 1) * limit,
+      order: [[sortField, sortDirection], ['id', sortDirection]],
+      distinct: true
+    });
+
+    const pagination = buildPagination(page, limit, count);
+    if (rows.length > 0) {
+      pagination.next_cursor = pagination.has_next ? encodeCursor(rows[rows.length - 1], sortField, sortDirection, 'next') : null;
+      pagination.prev_cursor = pagination.has_prev ? encodeCursor(rows[0], sortField, sortDirection, 'prev') : null;
+    }
+    return { rows, pagination };
+  }
+
+  const position = decodeCursor(cursor);
+  if (!position || position.f !== sortField || position.o !== sortDirection) {
+    return null;
+  }
+
+  // Walking backwards reads the rows in reverse order and flips them afterwards
+  const forward = position.d === 'next';
+  const ascending = (sortDirection === 'ASC') === forward;
+  const readDirection = ascending ? 'ASC' : 'DESC';
+
+  const found = await model.findAll({
+    ...findOptions,
+    where: { [Op.and]: [where, afterCondition(sortField, position.v, position.id, ascending)] },
+    limit: limit + 1,
+    order: [[sortField, readDirection], ['id', readDirection]]
+  });
+
+  const hasMore = found.length > limit;
+  const rows = found.slice(0, limit);
+  if (!forward) {
+    rows.reverse();
+  }
+
+  const hasNext = forward ? hasMore : true;
+  const hasPrev = forward ? true : hasMore;
+
+  return {
+    rows,
+    pagination: {
+      current_page: null,
+      total_pages: null,
+      total_items: null,
+      items_per_page: limit,
+      has_next: hasNext,
+      has_prev: hasPrev,
+      next_cursor: hasNext && rows.length > 0 ? encodeCursor(rows[rows.length - 1], sortField, sortDirection, 'next') : null,
+      prev_cursor: hasPrev && rows.length > 0 ? encodeCursor(rows[0], sortField, sortDirection, 'prev') : null
+    }
+  };
+};
+
+module.exports = {
+  paginationValidators,
+  buildPagination,
+  encodeCursor,
+  decodeCursor,
+  paginate
+};
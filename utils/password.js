@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 
 const SALT_ROUNDS = 12;
@@ -19,7 +20,15 @@ const verifyPassword = async (password, hashedPassword) => {
   }
 };
 
+// Random single-use tokens (password resets, invitations) are emailed in full
+// and only their SHA-256 hash is stored
+const generateOneTimeToken = () => crypto.randomBytes(32).toString('hex');
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
 module.exports = {
   hashPassword,
-  verifyPassword
+  verifyPassword,
+  generateOneTimeToken,
+  hashToken
 };
@@ -0,0 +1,108 @@
+const { sequelize, User, PasswordReset } = require('../models');
+const { sendMail, escapeHtml } = require('./mailer');
+const { hashPassword, generateOneTimeToken, hashToken } = require('./password');
+const { revokeAllSessions } = require('./session');
+
+const getResetLifetimeMinutes = () => parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60;
+
+/**
+ * Create a reset token for the user and email it. Any earlier unused token is
+ * retired, so only the newest link works. A failed send is only logged: the
+ * caller answers the same whether or not the email belongs to an account.
+ */
+const requestPasswordReset = async (user, { ip } = {}) => {
+  const token = generateOneTimeToken();
+
+  await PasswordReset.update(
+    { used_at: new Date() },
+    { where: { user_id: user.id, used_at: null } }
+  );
+
+  await PasswordReset.create({
+    user_id: user.id,
+    token_hash: hashToken(token),
+    expires_at: new Date(Date.now() + getResetLifetimeMinutes() * 60 * 1000),
+    requested_ip: ip || null
+  });
+
+  const resetUrl = `${process.env.APP_URL || 'http://localhost:3000'}/reset-password?token=${token}`;
+
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your PetNeeds password',
+      text: `Hi ${user.name},\n\nWe received a request to reset your password. Open the link below within ${getResetLifetimeMinutes()} minutes to choose a new one:\n\n${resetUrl}\n\nIf you did not request this, you can ignore this email.`,
+      html: `<p>Hi ${escapeHtml(user.name)},</p><p>We received a request to reset your password. Use the link below within ${getResetLifetimeMinutes()} minutes to choose a new one:</p><p><a href="${resetUrl}">Reset password</a></p><p>If you did not request this, you can ignore this email.</p>`
+    });
+  } catch (error) {
+    console.error('Send password reset email error:', error);
+  }
+};
+
+/**
+ * Redeem a reset token: set the new password, mark the token used and log out
+ * every session. Returns the user, or null when the token is unknown, used or expired.
+ */
+const resetPassword = async (token, newPassword) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const reset = await PasswordReset.findOne({
+      where: { token_hash: hashToken(token) },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!reset || reset.used_at || new Date(reset.expires_at) <= new Date()) {
+      await transaction.rollback();
+      return null;
+    }
+
+    const user = await User.findByPk(reset.user_id, { transaction });
+    if (!user || !user.is_active) {
+      await transaction.rollback();
+      return null;
+    }
+
+    const hashedPassword = await hashPassword(newPassword);
+
+    // The reset link proves the user owns the address, so it also lifts a login lockout
+    await user.update({
+      password: hashedPassword,
+      email_verified_at: user.email_verified_at || new Date(),
+      failed_login_attempts: 0,
+      last_failed_login_at: null,
+      locked_until: null,
+      unlock_token_hash: null
+    }, { transaction });
+
+    await reset.update({ used_at: new Date() }, { transaction });
+    await revokeAllSessions(user.id, 'password_reset', { transaction });
+
+    await transaction.commit();
+    return user;
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+// Let the owner know, in case they did not reset it themselves
+const sendPasswordChangedEmail = async (user) => {
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Your PetNeeds password was changed',
+      text: `Hi ${user.name},\n\nThe password of your PetNeeds account was just reset and all devices were logged out. If this was not you, please contact our support team immediately.`,
+      html: `<p>Hi ${escapeHtml(user.name)},</p><p>The password of your PetNeeds account was just reset and all devices were logged out. If this was not you, please contact our support team immediately.</p>`
+    });
+  } catch (error) {
+    console.error('Send password changed email error:', error);
+  }
+};
+
+module.exports = {
+  requestPasswordReset,
+  resetPassword,
+  sendPasswordChangedEmail
+};
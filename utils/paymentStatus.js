@@ -0,0 +1,47 @@
+// Legal Payment.status transitions. Midtrans may deliver notifications late or
+// out of order, so anything not listed here (e.g. settlement -> pending) is ignored.
+const PAYMENT_STATUS_TRANSITIONS = {
+  pending: ['capture', 'settlement', 'deny', 'cancel', 'expire', 'failure'],
+  capture: ['settlement', 'cancel', 'refund', 'partial_refund'],
+  settlement: ['refund', 'partial_refund'],
+  partial_refund: ['refund'],
+  // Snap lets the customer retry with another method after a denied card. The
+  // deny has already cancelled the order by then, so such a payment is only
+  // recorded and flagged for refund (see utils/midtransWebhook.js).
+  deny: ['pending', 'capture', 'settlement'],
+  cancel: [],
+  expire: [],
+  failure: [],
+  refund: []
+};
+
+const SUCCESS_STATUSES = ['capture', 'settlement'];
+const FAILED_STATUSES = ['cancel', 'deny', 'expire', 'failure'];
+const REFUND_STATUSES = ['refund', 'partial_refund'];
+
+const canTransitionPaymentStatus = (from, to) => {
+  return (PAYMENT_STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+// Map a Midtrans transaction status to the Order.payment_status it implies
+const toOrderPaymentStatus = (transactionStatus) => {
+  if (SUCCESS_STATUSES.includes(transactionStatus)) {
+    return 'paid';
+  }
+  if (FAILED_STATUSES.includes(transactionStatus)) {
+    return 'failed';
+  }
+  if (REFUND_STATUSES.includes(transactionStatus)) {
+    return 'refunded';
+  }
+  return 'pending';
+};
+
+module.exports = {
+  PAYMENT_STATUS_TRANSITIONS,
+  SUCCESS_STATUSES,
+  FAILED_STATUSES,
+  REFUND_STATUSES,
+  canTransitionPaymentStatus,
+  toOrderPaymentStatus
+};
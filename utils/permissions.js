@@ -0,0 +1,103 @@
+const { Role } = require('../models');
+
+// Every permission an admin role can grant. '*' grants all of them.
+const PERMISSIONS = {
+  'catalog:read': 'View products, categories, product images and stock movements',
+  'catalog:write': 'Create, update and delete products, categories and product images, and adjust stock',
+  'orders:read': 'View orders',
+  'orders:write': 'Confirm, process and cancel orders',
+  'payments:read': 'View payments and webhook events',
+  'payments:write': 'Sync payment status and replay webhook events',
+  'shipments:read': 'View shipments',
+  'shipments:write': 'Create, update and delete shipments',
+  'coupons:manage': 'Manage coupons',
+  'shipping:manage': 'Manage shipping rate tables',
+  'tax:manage': 'Manage tax settings',
+  'users:read': 'View users',
+  'users:manage': 'Create, activate, deactivate, delete and invite users',
+  'roles:manage': 'Manage roles and role assignments',
+  'audit:read': 'View the audit log of admin changes'
+};
+
+const ALL_PERMISSIONS = '*';
+
+const isKnownPermission = (permission) => {
+  return permission === ALL_PERMISSIONS || Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+};
+
+/**
+ * Permissions granted to an admin through their roles. An admin without any
+ * role has none; every way of creating an admin assigns at least one role.
+ */
+const getUserPermissions = async (userId) => {
+  const roles = await Role.findAll({
+    attributes: ['id', 'permissions'],
+    include: [
+      {
+        association: 'users',
+        attributes: [],
+        where: { id: userId },
+        through: { attributes: [] },
+        paranoid: false
+      }
+    ]
+  });
+
+  return [...new Set(roles.flatMap(role => role.permissions || []))];
+};
+
+const hasPermission = (granted, permission) => {
+  return granted.includes(ALL_PERMISSIONS) || granted.includes(permission);
+};
+
+// Whether `granted` includes every one of `permissions` ('*' only by '*')
+const coversPermissions = (granted, permissions) => {
+  return permissions.every(permission => hasPermission(granted, permission));
+};
+
+/**
+ * Roles an admin holding `granted` may hand out, when creating or inviting
+ * an admin (users:manage) or assigning roles (roles:manage): only roles whose
+ * permissions they have.
+ *
+ * Returns { success: true, roles } or { success: false, status, message }.
+ */
+const resolveAssignableRoles = async (roleIds, granted) => {
+  const uniqueIds = [...new Set(roleIds.map(id => parseInt(id)))];
+  const roles = await Role.findAll({ where: { id: uniqueIds } });
+
+  if (roles.length !== uniqueIds.length) {
+    return { success: false, status: 400, message: 'One or more roles do not exist' };
+  }
+
+  if (!coversPermissions(granted, roles.flatMap(role => role.permissions || []))) {
+    return { success: false, status: 403, message: 'You cannot grant permissions you do not have' };
+  }
+
+  return { success: true, roles };
+};
+
+/**
+ * Whether an admin holding `granted` may manage `user` (activate, reset their
+ * password, delete...). Customers always; admins only when the actor has every
+ * permission they have, so users:manage cannot be used to take over an account
+ * with more access.
+ */
+const canManageUser = async (granted, user) => {
+  if (user.role !== 'admin') {
+    return true;
+  }
+
+  return coversPermissions(granted, await getUserPermissions(user.id));
+};
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  isKnownPermission,
+  getUserPermissions,
+  hasPermission,
+  coversPermissions,
+  resolveAssignableRoles,
+  canManageUser
+};
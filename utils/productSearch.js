@@ -0,0 +1,391 @@
+const { Op, fn, col } = require('sequelize');
+const { Product, Category, ProductImage } = require('../models');
+const { buildPagination } = require('./pagination');
+
+/**
+ * In-process inverted index over product name, SKU, tags and description.
+ *
+ * The index only answers "which products match this text, and how well";
+ * every other filter (active status, category, featured...) stays in SQL, so
+ * it never has to track stock or status changes. It is rebuilt lazily when a
+ * product is written through this process (model hooks) or when the products
+ * table signature changes, which covers writes from other processes.
+ */
+
+// How much a match in each field counts towards the relevance score
+const FIELD_WEIGHTS = {
+  name: 3,
+  sku: 3,
+  tags: 2,
+  description: 1
+};
+
+const MATCH_QUALITY = {
+  exact: 1,
+  prefix: 0.7,
+  typo: 0.5
+};
+
+// Extra score when the whole query appears in the product name
+const PHRASE_BONUS = 5;
+
+const getPriceBoundaries = () => {
+  const boundaries = (process.env.SEARCH_PRICE_BUCKETS || '50000,100000,250000,500000')
+    .split(',')
+    .map(value => parseFloat(value))
+    .filter(value => Number.isFinite(value) && value > 0);
+  return [...new Set(boundaries)].sort((a, b) => a - b);
+};
+
+// Lowercase words without accents, e.g. "Royal-Canin Küçük" -> ['royal', 'canin', 'kucuk']
+const tokenize = (text) => {
+  if (!text) {
+    return [];
+  }
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+};
+
+const normalize = (text) => tokenize(text).join(' ');
+
+// Edit distance (with transpositions) between two words, or Infinity once it exceeds `max`
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) {
+    return Infinity;
+  }
+
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previousPrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) {
+      return Infinity;
+    }
+    previousPrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length] <= max ? previous[b.length] : Infinity;
+};
+
+// Typos tolerated for a query word: none for short words, more for long ones
+const allowedTypos = (word) => {
+  if (word.length < 4) {
+    return 0;
+  }
+  return word.length < 8 ? 1 : 2;
+};
+
+let index = null;
+let stale = true;
+let building = null;
+
+const markStale = () => {
+  stale = true;
+};
+
+['afterCreate', 'afterBulkCreate', 'afterUpdate', 'afterBulkUpdate', 'afterDestroy', 'afterBulkDestroy', 'afterRestore']
+  .forEach(hook => Product.addHook(hook, 'productSearchIndex', markStale));
+
+// Cheap fingerprint of the products table, so writes from other processes are noticed
+const getTableSignature = async () => {
+  const row = await Product.findOne({
+    attributes: [
+      [fn('COUNT', col('id')), 'total'],
+      [fn('MAX', col('updated_at')), 'last_updated'],
+      [fn('MAX', col('deleted_at')), 'last_deleted']
+    ],
+    paranoid: false,
+    raw: true
+  });
+  return JSON.stringify(row);
+};
+
+const buildIndex = async (signature) => {
+  const products = await Product.findAll({
+    attributes: ['id', 'name', 'sku', 'tags', 'description'],
+    raw: true
+  });
+
+  // term -> Map(productId -> best field weight)
+  const postings = new Map();
+  const names = new Map();
+
+  const addTerm = (term, productId, weight) => {
+    if (!postings.has(term)) {
+      postings.set(term, new Map());
+    }
+    const productWeights = postings.get(term);
+    productWeights.set(productId, Math.max(productWeights.get(productId) || 0, weight));
+  };
+
+  for (const product of products) {
+    let tags = product.tags || [];
+    if (typeof tags === 'string') {
+      try {
+        tags = JSON.parse(tags);
+      } catch (error) {
+        tags = [];
+      }
+    }
+
+    names.set(product.id, normalize(product.name));
+
+    tokenize(product.name).forEach(term => addTerm(term, product.id, FIELD_WEIGHTS.name));
+    tokenize(product.description).forEach(term => addTerm(term, product.id, FIELD_WEIGHTS.description));
+    (Array.isArray(tags) ? tags : []).forEach(tag => {
+      tokenize(tag).forEach(term => addTerm(term, product.id, FIELD_WEIGHTS.tags));
+    });
+    if (product.sku) {
+      // The whole SKU is a term as well, so "DOG-001" matches as one word
+      addTerm(tokenize(product.sku).join(''), product.id, FIELD_WEIGHTS.sku);
+      tokenize(product.sku).forEach(term => addTerm(term, product.id, FIELD_WEIGHTS.sku));
+    }
+  }
+
+  return {
+    signature,
+    postings,
+    names,
+    documentCount: products.length
+  };
+};
+
+const getIndex = async () => {
+  const signature = await getTableSignature();
+  if (index && !stale && index.signature === signature) {
+    return index;
+  }
+
+  if (!building) {
+    stale = false;
+    building = buildIndex(signature)
+      .then(built => {
+        index = built;
+        return built;
+      })
+      .finally(() => {
+        building = null;
+      });
+  }
+  return building;
+};
+
+/**
+ * Products matching every word of `search`, best match first, as [{ id, score }].
+ * A word matches exactly, as the prefix of an indexed word, or with one or two
+ * typos depending on its length. Rarer words count for more.
+ */
+const matchProducts = async (search) => {
+  const words = [...new Set(tokenize(search))];
+  if (words.length === 0) {
+    return [];
+  }
+
+  const { postings, names, documentCount } = await getIndex();
+  let scores = null;
+
+  for (const word of words) {
+    const wordScores = new Map();
+    const maxTypos = allowedTypos(word);
+
+    for (const [term, productWeights] of postings) {
+      let quality = 0;
+      if (term === word) {
+        quality = MATCH_QUALITY.exact;
+      } else if (word.length >= 2 && term.startsWith(word)) {
+        quality = MATCH_QUALITY.prefix;
+      } else if (maxTypos > 0 && editDistance(word, term, maxTypos) <= maxTypos) {
+        quality = MATCH_QUALITY.typo;
+      }
+
+      if (quality === 0) {
+        continue;
+      }
+
+      const idf = Math.log(1 + documentCount / productWeights.size);
+      for (const [productId, weight] of productWeights) {
+        const score = quality * weight * idf;
+        if (score > (wordScores.get(productId) || 0)) {
+          wordScores.set(productId, score);
+        }
+      }
+    }
+
+    // Every word has to match
+    if (scores === null) {
+      scores = wordScores;
+    } else {
+      for (const [productId, score] of scores) {
+        if (wordScores.has(productId)) {
+          scores.set(productId, score + wordScores.get(productId));
+        } else {
+          scores.delete(productId);
+        }
+      }
+    }
+
+    if (scores.size === 0) {
+      return [];
+    }
+  }
+
+  const phrase = words.join(' ');
+  return [...scores]
+    .map(([id, score]) => ({
+      id,
+      score: (names.get(id) || '').includes(phrase) ? score + PHRASE_BONUS : score
+    }))
+    .sort((a, b) => b.score - a.score || b.id - a.id);
+};
+
+// Result counts per category, price range and availability
+const buildFacets = (products) => {
+  const categories = new Map();
+  for (const product of products) {
+    if (!product.category) {
+      continue;
+    }
+    const entry = categories.get(product.category.id) || { id: product.category.id, name: product.category.name, count: 0 };
+    entry.count++;
+    categories.set(product.category.id, entry);
+  }
+
+  const boundaries = getPriceBoundaries();
+  const priceRanges = [0, ...boundaries].map((min, i) => ({
+    min,
+    max: i < boundaries.length ? boundaries[i] : null,
+    count: 0
+  }));
+  for (const product of products) {
+    const price = parseFloat(product.price);
+    const range = priceRanges.find(({ min, max }) => price >= min && (max === null || price < max));
+    if (range) {
+      range.count++;
+    }
+  }
+
+  const inStock = products.filter(product => product.stock_quantity > 0).length;
+
+  return {
+    categories: [...categories.values()].sort((a, b) => b.count - a.count || a.name.localeCompare(b.name)),
+    price_ranges: priceRanges,
+    availability: {
+      in_stock: inStock,
+      out_of_stock: products.length - inStock
+    }
+  };
+};
+
+const NUMERIC_SORT_FIELDS = ['id', 'price', 'stock_quantity', 'units_sold'];
+
+const compareValues = (field, a, b) => {
+  if (NUMERIC_SORT_FIELDS.includes(field)) {
+    return parseFloat(a) - parseFloat(b);
+  }
+  if (a instanceof Date || b instanceof Date) {
+    return new Date(a) - new Date(b);
+  }
+  return String(a).localeCompare(String(b));
+};
+
+/**
+ * A page of products matching `search` plus facet counts over all matches.
+ *
+ * `where` holds the caller's other filters and `categoryScope` extra options
+ * for the category include (guests only see active categories). Results are
+ * ordered by relevance unless `sortField` names a product column, or the alias
+ * of a computed `sortAttribute` ([expression, alias]).
+ */
+const searchProducts = async (search, {
+  where = {},
+  categoryScope = {},
+  page = 1,
+  limit = 10,
+  sortField = 'relevance',
+  sortDirection = 'DESC',
+  sortAttribute = null
+} = {}) => {
+  const matches = await matchProducts(search);
+  const scores = new Map(matches.map(({ id, score }) => [id, score]));
+
+  const categoryInclude = {
+    model: Category,
+    as: 'category',
+    attributes: ['id', 'name'],
+    ...categoryScope
+  };
+
+  const sortAttributes = sortField === 'relevance' ? [] : [sortAttribute || sortField];
+  const candidates = scores.size === 0 ? [] : await Product.findAll({
+    where: {
+      ...where,
+      id: { [Op.in]: [...scores.keys()] }
+    },
+    include: [categoryInclude],
+    attributes: [...new Set(['id', 'price', 'stock_quantity', ...sortAttributes])]
+  });
+
+  const direction = sortDirection === 'ASC' ? 1 : -1;
+  const ordered = candidates.sort((a, b) => {
+    if (sortField !== 'relevance') {
+      const byField = compareValues(sortField, a.get(sortField), b.get(sortField)) * direction;
+      if (byField !== 0) {
+        return byField;
+      }
+    }
+    return scores.get(b.id) - scores.get(a.id) || b.id - a.id;
+  });
+
+  const offset = (page - 1) * limit;
+  const pageIds = ordered.slice(offset, offset + parseInt(limit)).map(product => product.id);
+
+  const rows = pageIds.length === 0 ? [] : await Product.findAll({
+    where: { id: { [Op.in]: pageIds } },
+    include: [
+      categoryInclude,
+      {
+        model: ProductImage,
+        as: 'images',
+        attributes: ['id', 'image_url', 'alt_text', 'is_primary', 'sort_order'],
+        where: { is_primary: true },
+        required: false
+      }
+    ]
+  });
+
+  const products = rows
+    .sort((a, b) => pageIds.indexOf(a.id) - pageIds.indexOf(b.id))
+    .map(product => {
+      product.setDataValue('relevance', Math.round(scores.get(product.id) * 100) / 100);
+      return product;
+    });
+
+  return {
+    products,
+    pagination: buildPagination(page, limit, ordered.length),
+    facets: buildFacets(ordered)
+  };
+};
+
+module.exports = {
+  tokenize,
+  editDistance,
+  matchProducts,
+  buildFacets,
+  searchProducts
+};
@@ -0,0 +1,126 @@
+const { Op } = require('sequelize');
+const { Product, ProductVariant } = require('../models');
+
+/**
+ * Helpers for products sold in variants (size, flavour, weight...).
+ *
+ * A product with active variants is bought through one of them: price, SKU,
+ * stock and weight come from the variant, and the product's own
+ * stock_quantity is kept at the sum of its active variants' stock so catalogue
+ * filters and availability keep working on the product row.
+ */
+
+// "Size: 2 kg, Flavour: Chicken" style label from { size: '2 kg', flavour: 'Chicken' }
+const describeVariant = (options) => {
+  return Object.values(options || {})
+    .map(value => String(value).trim())
+    .filter(Boolean)
+    .join(' / ');
+};
+
+// Price, SKU, stock and weight of a cart row (with its product and optional variant)
+const getLineDetails = (cartItem) => {
+  const { product, variant } = cartItem;
+  if (!variant) {
+    return {
+      price: parseFloat(product.price),
+      sku: product.sku,
+      stock_quantity: product.stock_quantity,
+      weight_grams: product.weight_grams,
+      is_active: Boolean(product.is_active)
+    };
+  }
+
+  return {
+    price: parseFloat(variant.price),
+    sku: variant.sku,
+    stock_quantity: variant.stock_quantity,
+    weight_grams: variant.weight_grams || product.weight_grams,
+    is_active: Boolean(product.is_active && variant.is_active)
+  };
+};
+
+// Whether a cart row can still be ordered: active product, and an active variant when one was chosen.
+// A row without a variant is also unavailable once the product has active variants (countActiveVariants).
+const isLineAvailable = (cartItem) => {
+  if (!cartItem.product || !cartItem.product.is_active) {
+    return false;
+  }
+  if (!cartItem.variant_id) {
+    return true;
+  }
+  return Boolean(cartItem.variant && cartItem.variant.is_active);
+};
+
+/**
+ * Whether a SKU is already used by another product or variant. Deleted variants
+ * count as well, since the unique index on product_variants.sku still holds them.
+ */
+const isSkuTaken = async (sku, { productId, variantId } = {}) => {
+  const productWhere = { sku };
+  if (productId) {
+    productWhere.id = { [Op.ne]: productId };
+  }
+  const variantWhere = { sku };
+  if (variantId) {
+    variantWhere.id = { [Op.ne]: variantId };
+  }
+
+  const [product, variant] = await Promise.all([
+    Product.findOne({ where: productWhere, attributes: ['id'] }),
+    ProductVariant.findOne({ where: variantWhere, attributes: ['id'], paranoid: false })
+  ]);
+  return Boolean(product || variant);
+};
+
+const countActiveVariants = (productId, { transaction } = {}) => {
+  return ProductVariant.count({
+    where: { product_id: productId, is_active: true },
+    transaction
+  });
+};
+
+/**
+ * Set the product's stock_quantity to the total stock of its active variants.
+ * Products without variants keep their own stock. Resolves to the new stock,
+ * or null when nothing changed.
+ *
+ * With a transaction the product row is locked before the variants are read.
+ * Every variant stock change also writes the product row (see
+ * utils/inventory.js), so no other change to the total is in flight meanwhile.
+ */
+const syncProductStock = async (productId, { transaction } = {}) => {
+  const product = await Product.findByPk(productId, {
+    lock: transaction ? transaction.LOCK.UPDATE : undefined,
+    transaction
+  });
+  if (!product) {
+    return null;
+  }
+
+  const activeVariants = await countActiveVariants(productId, { transaction });
+  if (activeVariants === 0) {
+    return null;
+  }
+
+  const total = await ProductVariant.sum('stock_quantity', {
+    where: { product_id: productId, is_active: true },
+    transaction
+  }) || 0;
+
+  if (product.stock_quantity === total) {
+    return null;
+  }
+
+  await product.update({ stock_quantity: total }, { transaction });
+  return total;
+};
+
+module.exports = {
+  describeVariant,
+  getLineDetails,
+  isLineAvailable,
+  isSkuTaken,
+  countActiveVariants,
+  syncProductStock
+};
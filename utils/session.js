@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { sequelize, User, UserSession } = require('../models');
+const { generateToken, generateRefreshToken, verifyRefreshToken } = require('./jwt');
+
+const newRefreshTokenId = () => crypto.randomBytes(32).toString('hex');
+
+const getClientInfo = (req) => ({
+  user_agent: req.get('User-Agent') ? req.get('User-Agent').slice(0, 500) : null,
+  ip_address: req.ip || null
+});
+
+// Access tokens carry the session id so logout takes effect before they expire
+const signTokens = (user, session) => {
+  const token = generateToken({ id: user.id, email: user.email, role: user.role, sid: session.id });
+  const refreshToken = generateRefreshToken({ id: user.id, sid: session.id, jti: session.refresh_token_id });
+  return {
+    token,
+    refresh_token: refreshToken,
+    expires_at: new Date(jwt.decode(refreshToken).exp * 1000)
+  };
+};
+
+const isSessionActive = (session) => {
+  return !!session && !session.revoked_at && new Date(session.expires_at) > new Date();
+};
+
+// Start a new session for a successful login or registration
+const createSession = async (user, req) => {
+  const session = await UserSession.create({
+    user_id: user.id,
+    refresh_token_id: newRefreshTokenId(),
+    ...getClientInfo(req),
+    last_used_at: new Date(),
+    expires_at: new Date()
+  });
+
+  const { token, refresh_token, expires_at } = signTokens(user, session);
+  await session.update({ expires_at });
+
+  return { session, token, refresh_token };
+};
+
+/**
+ * Exchange a refresh token for a new token pair. Only the newest refresh token
+ * of a session is accepted; an older one means it was copied, so the whole
+ * session is revoked and both holders have to log in again.
+ *
+ * Returns { success: true, user, token, refresh_token } or { success: false, message }.
+ */
+const rotateSession = async (refreshToken, req) => {
+  const invalid = { success: false, message: 'Invalid refresh token' };
+
+  let decoded;
+  try {
+    decoded = verifyRefreshToken(refreshToken);
+  } catch (error) {
+    return invalid;
+  }
+
+  // Tokens issued before sessions were persisted cannot be rotated
+  if (!decoded.sid || !decoded.jti) {
+    return invalid;
+  }
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    const session = await UserSession.findByPk(decoded.sid, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!session || session.user_id !== decoded.id) {
+      await transaction.rollback();
+      return invalid;
+    }
+
+    if (!isSessionActive(session)) {
+      await transaction.rollback();
+      return { success: false, message: 'Session has expired or been revoked' };
+    }
+
+    if (session.refresh_token_id !== decoded.jti) {
+      await session.update({
+        revoked_at: new Date(),
+        revoked_reason: 'reuse_detected'
+      }, { transaction });
+      await transaction.commit();
+      return { success: false, message: 'Refresh token has already been used; the session has been revoked' };
+    }
+
+    const user = await User.findByPk(decoded.id, { transaction });
+    if (!user || !user.is_active) {
+      await transaction.rollback();
+      return invalid;
+    }
+
+    session.refresh_token_id = newRefreshTokenId();
+    const { token, refresh_token, expires_at } = signTokens(user, session);
+
+    await session.update({
+      refresh_token_id: session.refresh_token_id,
+      ...getClientInfo(req),
+      last_used_at: new Date(),
+      expires_at
+    }, { transaction });
+
+    await transaction.commit();
+
+    return { success: true, user, token, refresh_token };
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+const revokeSession = async (sessionId, userId, reason) => {
+  const [revoked] = await UserSession.update({
+    revoked_at: new Date(),
+    revoked_reason: reason
+  }, {
+    where: { id: sessionId, user_id: userId, revoked_at: null }
+  });
+
+  return revoked;
+};
+
+// Revoke every open session of a user, optionally keeping the current one
+const revokeAllSessions = async (userId, reason, { exceptSessionId, transaction } = {}) => {
+  const where = { user_id: userId, revoked_at: null };
+  if (exceptSessionId) {
+    where.id = { [Op.ne]: exceptSessionId };
+  }
+
+  const [revoked] = await UserSession.update({
+    revoked_at: new Date(),
+    revoked_reason: reason
+  }, { where, transaction });
+
+  return revoked;
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive
+};
@@ -0,0 +1,97 @@
+const { Op } = require('sequelize');
+const { ShippingRate } = require('../models');
+const { getLineDetails } = require('./productVariant');
+
+// Used for products that have no weight_grams set
+const getDefaultItemWeight = () => parseInt(process.env.SHIPPING_DEFAULT_ITEM_WEIGHT_GRAMS) || 500;
+
+// Total weight in grams of cart rows (with their product and variant)
+const calculateCartWeight = (cartItems) => {
+  return cartItems.reduce((total, cartItem) => {
+    const weight = getLineDetails(cartItem).weight_grams || getDefaultItemWeight();
+    return total + weight * cartItem.quantity;
+  }, 0);
+};
+
+// Couriers bill per started kilogram, with a 1 kg minimum
+const toBillableKg = (weightGrams) => Math.max(1, Math.ceil(weightGrams / 1000));
+
+const sameText = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+// How closely a rate's zone matches the address, or -1 when it does not apply
+const zoneSpecificity = (rate, address) => {
+  if (rate.province && !sameText(rate.province, address.province)) {
+    return -1;
+  }
+  if (rate.city && !sameText(rate.city, address.city)) {
+    return -1;
+  }
+  if (rate.postal_code_prefix && !address.postal_code.startsWith(rate.postal_code_prefix)) {
+    return -1;
+  }
+
+  return (rate.province ? 1 : 0) + (rate.city ? 2 : 0) + (rate.postal_code_prefix ? 4 : 0);
+};
+
+const toQuote = (rate, weightGrams) => {
+  const billableKg = toBillableKg(weightGrams);
+  const cost = parseFloat(rate.base_cost) + parseFloat(rate.cost_per_kg) * billableKg;
+
+  return {
+    shipping_rate_id: rate.id,
+    carrier: rate.carrier,
+    service_type: rate.service_type,
+    service_name: rate.service_name,
+    shipping_method: `${rate.carrier} ${rate.service_type}`,
+    weight_grams: weightGrams,
+    billable_weight_kg: billableKg,
+    cost: Math.round(cost * 100) / 100,
+    estimated_days_min: rate.estimated_days_min,
+    estimated_days_max: rate.estimated_days_max
+  };
+};
+
+/**
+ * Quote every carrier service that delivers to the address for the given weight.
+ * When several rates of the same carrier service match, the most specific zone
+ * wins (postal code prefix, then city, then province, then the fallback rate).
+ * Resolves to quotes sorted by cost.
+ */
+const getShippingQuotes = async (address, weightGrams, { transaction } = {}) => {
+  const rates = await ShippingRate.findAll({
+    where: {
+      is_active: true,
+      min_weight_grams: { [Op.lte]: weightGrams },
+      [Op.or]: [
+        { max_weight_grams: null },
+        { max_weight_grams: { [Op.gte]: weightGrams } }
+      ]
+    },
+    transaction
+  });
+
+  const bestByService = new Map();
+
+  for (const rate of rates) {
+    const specificity = zoneSpecificity(rate, address);
+    if (specificity < 0) {
+      continue;
+    }
+
+    const key = `${rate.carrier.toUpperCase()}:${rate.service_type.toUpperCase()}`;
+    const current = bestByService.get(key);
+    if (!current || specificity > current.specificity) {
+      bestByService.set(key, { rate, specificity });
+    }
+  }
+
+  return Array.from(bestByService.values())
+    .map(({ rate }) => toQuote(rate, weightGrams))
+    .sort((a, b) => a.cost - b.cost);
+};
+
+module.exports = {
+  calculateCartWeight,
+  toBillableKg,
+  getShippingQuotes
+};
@@ -0,0 +1,66 @@
+const { TaxSetting } = require('../models');
+
+// The store-wide tax setting, or null when no tax is configured
+const getTaxSetting = async ({ transaction } = {}) => {
+  return TaxSetting.findOne({
+    order: [['id', 'ASC']],
+    transaction
+  });
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Work out the tax for a set of items { category_id, price, quantity }.
+ * The order discount is spread over the items by value, so only the taxable
+ * share of it lowers the tax base. Shipping is not taxed.
+ *
+ * With inclusive pricing the tax is already part of the item prices and is only
+ * reported; with exclusive pricing it is added on top (see `added_amount`).
+ */
+const calculateTax = (setting, items, { discountAmount = 0 } = {}) => {
+  const noTax = {
+    name: setting ? setting.name : null,
+    rate: 0,
+    is_inclusive: setting ? setting.is_inclusive : false,
+    taxable_amount: 0,
+    tax_amount: 0,
+    added_amount: 0
+  };
+
+  if (!setting || !setting.is_active || parseFloat(setting.rate) <= 0) {
+    return noTax;
+  }
+
+  const exemptCategoryIds = setting.exempt_category_ids || [];
+  const subtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  const taxableSubtotal = items
+    .filter(item => !exemptCategoryIds.includes(item.category_id))
+    .reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+  if (subtotal <= 0 || taxableSubtotal <= 0) {
+    return noTax;
+  }
+
+  const taxableDiscount = discountAmount * (taxableSubtotal / subtotal);
+  const taxableAmount = Math.max(0, taxableSubtotal - taxableDiscount);
+  const rate = parseFloat(setting.rate);
+
+  const taxAmount = setting.is_inclusive
+    ? taxableAmount - taxableAmount / (1 + rate / 100)
+    : taxableAmount * rate / 100;
+
+  return {
+    name: setting.name,
+    rate,
+    is_inclusive: setting.is_inclusive,
+    taxable_amount: roundAmount(taxableAmount),
+    tax_amount: roundAmount(taxAmount),
+    added_amount: setting.is_inclusive ? 0 : roundAmount(taxAmount)
+  };
+};
+
+module.exports = {
+  getTaxSetting,
+  calculateTax
+};
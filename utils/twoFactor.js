@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('./totp');
+const { hashToken } = require('./password');
+
+const RECOVERY_CODE_COUNT = 10;
+
+// TOTP secrets must be readable again, so they are encrypted rather than hashed
+const getEncryptionKey = () => {
+  const source = process.env.TWO_FACTOR_ENCRYPTION_KEY || `${process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production'}:two-factor`;
+  return crypto.createHash('sha256').update(source).digest();
+};
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+};
+
+const decryptSecret = (value) => {
+  const [iv, authTag, encrypted] = value.split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const isTwoFactorEnabled = (user) => !!user.two_factor_enabled_at;
+
+// Admins must enrol before using the admin API when REQUIRE_ADMIN_2FA is on
+const isTwoFactorRequired = (user) => process.env.REQUIRE_ADMIN_2FA === 'true' && user.role === 'admin';
+
+// Codes are shown as xxxxx-xxxxx; dashes, spaces and case are ignored when redeeming
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const generateRecoveryCodes = () => {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const code = crypto.randomBytes(5).toString('hex');
+    codes.push(`${code.slice(0, 5)}-${code.slice(5)}`);
+  }
+  return codes;
+};
+
+/**
+ * Start (or restart) enrolment with a fresh secret. Two-factor stays disabled
+ * until the first code is confirmed with confirmEnrolment.
+ */
+const startEnrolment = async (user) => {
+  const secret = generateSecret();
+
+  await user.update({
+    two_factor_secret: encryptSecret(secret),
+    two_factor_enabled_at: null,
+    two_factor_last_step: null,
+    two_factor_recovery_codes: null
+  });
+
+  return {
+    secret,
+    otpauth_url: buildOtpauthUri({
+      secret,
+      accountName: user.email,
+      issuer: process.env.TWO_FACTOR_ISSUER || 'PetNeeds'
+    })
+  };
+};
+
+// Replace the recovery codes; returns the plain codes, which are never shown again
+const resetRecoveryCodes = async (user) => {
+  const codes = generateRecoveryCodes();
+  await user.update({
+    two_factor_recovery_codes: codes.map(code => hashToken(normalizeRecoveryCode(code)))
+  });
+  return codes;
+};
+
+const verifyTotp = async (user, code) => {
+  if (!user.two_factor_secret) {
+    return false;
+  }
+
+  const step = verifyCode(decryptSecret(user.two_factor_secret), code, {
+    afterStep: user.two_factor_last_step
+  });
+
+  if (step === null) {
+    return false;
+  }
+
+  await user.update({ two_factor_last_step: step });
+  return true;
+};
+
+/**
+ * Confirm enrolment with a code from the authenticator app. Returns the
+ * recovery codes, or null when there is no pending setup or the code is wrong.
+ */
+const confirmEnrolment = async (user, code) => {
+  if (isTwoFactorEnabled(user) || !(await verifyTotp(user, code))) {
+    return null;
+  }
+
+  await user.update({ two_factor_enabled_at: new Date() });
+  return resetRecoveryCodes(user);
+};
+
+// Second factor for an enabled account: a TOTP code, or a recovery code that is then used up
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (!isTwoFactorEnabled(user)) {
+    return false;
+  }
+
+  if (code) {
+    return verifyTotp(user, code);
+  }
+
+  const hashedCode = hashToken(normalizeRecoveryCode(recoveryCode));
+  const remainingCodes = user.two_factor_recovery_codes || [];
+
+  if (!recoveryCode || !remainingCodes.includes(hashedCode)) {
+    return false;
+  }
+
+  await user.update({
+    two_factor_recovery_codes: remainingCodes.filter(hash => hash !== hashedCode)
+  });
+  return true;
+};
+
+const disableTwoFactor = async (user) => {
+  await user.update({
+    two_factor_secret: null,
+    two_factor_enabled_at: null,
+    two_factor_last_step: null,
+    two_factor_recovery_codes: null
+  });
+};
+
+module.exports = {
+  isTwoFactorEnabled,
+  isTwoFactorRequired,
+  startEnrolment,
+  confirmEnrolment,
+  verifySecondFactor,
+  resetRecoveryCodes,
+  disableTwoFactor
+};